@@ -2,7 +2,7 @@ import { TokenCounter } from '../utils/token-counter';
 
 // Mock the tiktoken import
 jest.mock('tiktoken', () => ({
-  encoding_for_model: jest.fn().mockImplementation(() => ({
+  get_encoding: jest.fn().mockImplementation(() => ({
     encode: jest.fn().mockImplementation((text) => {
       // Simple mock that returns an array with length roughly proportional to text length
       // Handle null/undefined case
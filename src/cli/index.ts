@@ -0,0 +1,20 @@
+#!/usr/bin/env node
+import { runCli } from './run-cli';
+
+const argv = process.argv.slice(2);
+const isVerbose = argv.includes('--verbose') || argv.includes('-v');
+
+// Shared services log per-file progress through console.log/info; keep stdout reserved
+// for the generated output and only surface those diagnostics on stderr when verbose.
+const writeDiagnostic = (...args: unknown[]) => {
+  if (isVerbose) {
+    console.error(...args);
+  }
+};
+console.log = writeDiagnostic;
+console.info = writeDiagnostic;
+console.debug = writeDiagnostic;
+
+void runCli(argv).then((exitCode) => {
+  process.exitCode = exitCode;
+});
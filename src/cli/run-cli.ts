@@ -0,0 +1,334 @@
+import fs from 'fs';
+import { parseArgs } from 'node:util';
+import path from 'path';
+
+import yaml from 'yaml';
+
+import { getErrorMessage } from '../main/errors';
+import { getDirectoryTree } from '../main/services/directory-tree';
+import { analyzeRepository } from '../main/services/repository-analyzer';
+import {
+  processRepository,
+  processRepositoryToFile,
+} from '../main/services/repository-processing';
+import {
+  loadDefaultConfig,
+  migrateConfigContent,
+  resolveConfigContent,
+} from '../utils/config-manager';
+import { EXPORT_FORMATS, normalizeExportFormat } from '../utils/export-format';
+import { getRelativePath } from '../utils/filter-utils';
+import fnmatch from '../utils/fnmatch';
+import { GitignoreParser } from '../utils/gitignore-parser';
+
+import type {
+  ConfigObject,
+  DirectoryTreeItem,
+  ExportFormat,
+  ProcessRepositoryOptions,
+} from '../types/ipc';
+
+export const CLI_EXIT_CODES = {
+  success: 0,
+  failure: 1,
+  usage: 2,
+} as const;
+
+export const CLI_USAGE = `Usage: ai-code-fusion <root> [options]
+
+Analyze and process a repository without opening the desktop window.
+
+Options:
+  -c, --config <file>    YAML configuration file (defaults to the built-in config)
+  -i, --include <glob>   Only process files matching the glob (repeatable)
+  -o, --output <file>    Write output to a file instead of stdout
+  -f, --format <format>  Export format: ${EXPORT_FORMATS.join(', ')}
+      --tree             Include the file tree in the output
+      --no-token-count   Omit per-file token counts from the output
+  -v, --verbose          Print per-file diagnostics to stderr
+  -h, --help             Show this help
+`;
+
+export class CliUsageError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'CliUsageError';
+  }
+}
+
+export type CliOptions = {
+  rootPath: string;
+  configPath?: string;
+  includeGlobs: string[];
+  outputPath?: string;
+  exportFormat?: ExportFormat;
+  includeTreeView: boolean;
+  showTokenCount: boolean;
+  verbose: boolean;
+  help: boolean;
+};
+
+export type CliIo = {
+  stdout: (text: string) => void;
+  stderr: (text: string) => void;
+};
+
+const defaultIo: CliIo = {
+  stdout: (text) => {
+    process.stdout.write(text);
+  },
+  stderr: (text) => {
+    process.stderr.write(text);
+  },
+};
+
+const parseExportFormat = (value: string | undefined): ExportFormat | undefined => {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const normalizedValue = value.trim().toLowerCase();
+  if (!EXPORT_FORMATS.includes(normalizedValue as ExportFormat)) {
+    throw new CliUsageError(
+      `Unsupported format "${value}". Expected one of: ${EXPORT_FORMATS.join(', ')}`
+    );
+  }
+
+  return normalizedValue as ExportFormat;
+};
+
+export const parseCliArgs = (argv: string[]): CliOptions => {
+  let parsed: ReturnType<typeof parseArgs>;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      strict: true,
+      options: {
+        config: { type: 'string', short: 'c' },
+        include: { type: 'string', short: 'i', multiple: true },
+        output: { type: 'string', short: 'o' },
+        format: { type: 'string', short: 'f' },
+        tree: { type: 'boolean' },
+        'no-token-count': { type: 'boolean' },
+        verbose: { type: 'boolean', short: 'v' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    });
+  } catch (error) {
+    throw new CliUsageError(getErrorMessage(error));
+  }
+
+  const { values, positionals } = parsed;
+  const help = values.help === true;
+
+  if (!help && positionals.length === 0) {
+    throw new CliUsageError('Missing required <root> argument');
+  }
+
+  if (positionals.length > 1) {
+    throw new CliUsageError(`Unexpected arguments: ${positionals.slice(1).join(' ')}`);
+  }
+
+  return {
+    rootPath: positionals[0] ?? '',
+    configPath: values.config as string | undefined,
+    includeGlobs: (values.include as string[] | undefined) ?? [],
+    outputPath: values.output as string | undefined,
+    exportFormat: parseExportFormat(values.format as string | undefined),
+    includeTreeView: values.tree === true,
+    showTokenCount: values['no-token-count'] !== true,
+    verbose: values.verbose === true,
+    help,
+  };
+};
+
+const collectTreeFilePaths = (items: DirectoryTreeItem[], target: string[] = []): string[] => {
+  for (const item of items) {
+    if (item.type === 'file') {
+      target.push(item.path);
+    } else if (item.children) {
+      collectTreeFilePaths(item.children, target);
+    }
+  }
+
+  return target;
+};
+
+export const filterByIncludeGlobs = (
+  filePaths: string[],
+  rootPath: string,
+  includeGlobs: string[]
+): string[] => {
+  if (includeGlobs.length === 0) {
+    return filePaths;
+  }
+
+  return filePaths.filter((filePath) => {
+    const relativePath = getRelativePath(filePath, rootPath);
+    return includeGlobs.some((glob) => fnmatch.fnmatch(relativePath, glob));
+  });
+};
+
+const readConfigContent = (
+  configPath: string | undefined,
+  onWarn: (message: string) => void
+): string => {
+  if (!configPath) {
+    return loadDefaultConfig();
+  }
+
+  const resolvedConfigPath = path.resolve(configPath);
+  let configContent: string;
+  try {
+    configContent = fs.readFileSync(resolvedConfigPath, 'utf8');
+  } catch (error) {
+    throw new Error(`Unable to read config file ${configPath}: ${getErrorMessage(error)}`);
+  }
+
+  // An older config is upgraded in memory when it is resolved; the file is left as it is.
+  const { migration } = migrateConfigContent(configContent);
+  if (migration && migration.changes.length > 0) {
+    onWarn(
+      `Upgraded config ${configPath} from version ${migration.fromVersion} to ${migration.toVersion}: ${migration.changes.join(' ')}`
+    );
+  }
+
+  // Config files named in `extends` are resolved next to the config file.
+  return resolveConfigContent(configContent, { baseDir: path.dirname(resolvedConfigPath) });
+};
+
+const resolveProcessingOptions = (
+  configContent: string,
+  cliOptions: CliOptions
+): NonNullable<ProcessRepositoryOptions['options']> => {
+  const config = (yaml.parse(configContent) || {}) as ConfigObject;
+
+  return {
+    showTokenCount: cliOptions.showTokenCount && config.show_token_count !== false,
+    includeTreeView: cliOptions.includeTreeView || config.include_tree_view === true,
+    exportFormat: cliOptions.exportFormat ?? normalizeExportFormat(config.export_format),
+    maxTokensPerPart: config.max_tokens_per_part,
+    chunkSize: config.chunk_size,
+    chunkOverlap: config.chunk_overlap,
+    tokenizer: config.tokenizer,
+  };
+};
+
+const assertDirectory = (rootPath: string): void => {
+  let stats: fs.Stats;
+  try {
+    stats = fs.statSync(rootPath);
+  } catch {
+    throw new Error(`Root path does not exist: ${rootPath}`);
+  }
+
+  if (!stats.isDirectory()) {
+    throw new Error(`Root path is not a directory: ${rootPath}`);
+  }
+};
+
+export const runCli = async (argv: string[], io: CliIo = defaultIo): Promise<number> => {
+  let cliOptions: CliOptions;
+  try {
+    cliOptions = parseCliArgs(argv);
+  } catch (error) {
+    io.stderr(`Error: ${getErrorMessage(error)}\n\n${CLI_USAGE}`);
+    return CLI_EXIT_CODES.usage;
+  }
+
+  if (cliOptions.help) {
+    io.stdout(CLI_USAGE);
+    return CLI_EXIT_CODES.success;
+  }
+
+  const writeWarning = (message: string) => {
+    io.stderr(`Warning: ${message}\n`);
+  };
+  const writeInfo = (message: string) => {
+    if (cliOptions.verbose) {
+      io.stderr(`${message}\n`);
+    }
+  };
+
+  try {
+    const rootPath = path.resolve(cliOptions.rootPath);
+    assertDirectory(rootPath);
+
+    const configContent = readConfigContent(cliOptions.configPath, writeWarning);
+    const processingOptions = resolveProcessingOptions(configContent, cliOptions);
+    const gitignoreParser = new GitignoreParser();
+
+    let treeError: unknown = null;
+    const directoryTree = await getDirectoryTree({
+      rootPath,
+      configContent,
+      gitignoreParser,
+      onWarn: writeWarning,
+      onError: (message, error) => {
+        treeError ??= error ?? new Error(message);
+        writeWarning(`${message} ${error ? getErrorMessage(error) : ''}`.trim());
+      },
+    });
+    if (treeError && directoryTree.length === 0) {
+      throw new Error(`Unable to read directory tree: ${getErrorMessage(treeError)}`);
+    }
+
+    const selectedFiles = filterByIncludeGlobs(
+      collectTreeFilePaths(directoryTree),
+      rootPath,
+      cliOptions.includeGlobs
+    );
+    if (selectedFiles.length === 0) {
+      throw new Error('No files matched the configured filters');
+    }
+    writeInfo(`Selected ${selectedFiles.length} files under ${rootPath}`);
+
+    const analysisResult = analyzeRepository({
+      rootPath,
+      configContent,
+      selectedFiles,
+      gitignoreParser,
+      onWarn: writeWarning,
+      onInfo: writeInfo,
+    });
+
+    const processInput = {
+      rootPath,
+      filesInfo: analysisResult.filesInfo,
+      treeView: null,
+      options: processingOptions,
+      onWarn: writeWarning,
+      onInfo: (message: string) => writeInfo(message),
+    };
+
+    if (!cliOptions.outputPath) {
+      const result = processRepository(processInput);
+      // Markdown and JSON Lines parts can be joined; json and xml parts are documents each.
+      const partCount = result.parts?.length ?? 0;
+      if (partCount > 1 && (result.exportFormat === 'json' || result.exportFormat === 'xml')) {
+        throw new Error(
+          `Output is split into ${partCount} ${result.exportFormat} parts; ` +
+            'use --output to write one file per part'
+        );
+      }
+      io.stdout(result.content);
+      return CLI_EXIT_CODES.success;
+    }
+
+    const outputPath = path.resolve(cliOptions.outputPath);
+    const result = processRepositoryToFile({ ...processInput, outputPath, previewLength: 0 });
+    const writtenPaths =
+      result.parts && result.parts.length > 1
+        ? result.parts.map((part) => part.outputPath ?? outputPath)
+        : [outputPath];
+    io.stderr(
+      `Wrote ${result.processedFiles} files (${result.totalTokens.toLocaleString()} tokens) ` +
+        `as ${result.exportFormat} to ${writtenPaths.join(', ')}\n`
+    );
+    return CLI_EXIT_CODES.success;
+  } catch (error) {
+    io.stderr(`Error: ${getErrorMessage(error)}\n`);
+    return CLI_EXIT_CODES.failure;
+  }
+};
@@ -4,11 +4,17 @@ import path from 'path';
 
 import { app, BrowserWindow, dialog, ipcMain, net, protocol, shell } from 'electron';
 import { autoUpdater } from 'electron-updater';
+import yaml from 'yaml';
 
-import { loadDefaultConfig } from '../utils/config-manager';
-import { isBinaryFile } from '../utils/file-analyzer';
-import { GitignoreParser } from '../utils/gitignore-parser';
-import { TokenCounter } from '../utils/token-counter';
+import {
+  loadDefaultConfig,
+  migrateConfigContent,
+  resolveConfig,
+  resolveConfigContent,
+} from '../utils/config-manager';
+import { parseConfigObject } from '../utils/config-schema';
+import { getExportFileExtension } from '../utils/export-format';
+import { GitignoreParser, resolveIgnoreFileSettings } from '../utils/gitignore-parser';
 
 import { getErrorMessage } from './errors';
 import { initializeUpdaterFeatureFlags } from './feature-flags';
@@ -21,10 +27,13 @@ import {
   isPathWithinTempRoot,
   resolveAuthorizedPath,
 } from './security/path-guard';
-import { getDirectoryTree } from './services/directory-tree';
+import { explainPathFilter, getDirectoryFiles, getDirectoryTree } from './services/directory-tree';
+import { DirectoryWatcher } from './services/directory-watcher';
 import { testProviderConnection } from './services/provider-connection';
-import { analyzeRepository } from './services/repository-analyzer';
-import { processRepository } from './services/repository-processing';
+import { findRepoConfig, writeRepoConfig } from './services/repo-config';
+import { processRepository, processRepositoryToFile } from './services/repository-processing';
+import { TOKEN_CACHE_FILE_NAME, TokenCache } from './services/token-cache';
+import { resolveTokenWorkerScriptPath, TokenWorkerPool } from './services/token-worker-pool';
 import {
   createUpdaterService,
   resolveUpdaterRuntimeOptions,
@@ -34,75 +43,48 @@ import {
 import type {
   AnalyzeRepositoryOptions,
   AnalyzeRepositoryResult,
+  CompareTokenizersOptions,
+  CompareTokenizersResult,
+  ConfigObject,
   CountFilesTokensOptions,
   CountFilesTokensResult,
+  DirectoryFilesResult,
+  DirectoryListingOptions,
+  DirectoryScanOptions,
+  DirectoryTreeItem,
+  ExplainPathFilterOptions,
+  FilterDecision,
   GetFilesStatsOptions,
   GetFilesStatsResult,
+  MigratedConfigContent,
   ProviderConnectionOptions,
   ProviderConnectionResult,
   ProcessRepositoryOptions,
   ProcessRepositoryResult,
+  ProcessRepositoryToFileOptions,
+  RepoConfigFile,
+  ResolveConfigRequest,
+  ResolvedConfigResult,
   SaveFileOptions,
+  WriteRepoConfigOptions,
 } from '../types/ipc';
 
 // Initialize the gitignore parser
 const gitignoreParser = new GitignoreParser();
 
-// Create a singleton TokenCounter instance for reuse
-const tokenCounter = new TokenCounter();
-
 // Keep a global reference of the window object to avoid garbage collection
 let mainWindow: BrowserWindow | null = null;
 let authorizedRootPath: string | null = null;
+let streamOutputPath: string | null = null;
 const resolveAuthorizedPathForCurrentRoot = (candidatePath: string): string | null =>
   resolveAuthorizedPath(authorizedRootPath, candidatePath);
-type FileMetadata = { size: number; mtime: number };
-type ResolvedFileContext = {
-  filePath: string;
-  resolvedFilePath: string;
-  fileMetadata: FileMetadata;
-};
-
-type ResolvedFileHandlers = {
-  onOutsideRoot: (filePath: string) => void;
-  onMissingFile: (filePath: string) => void;
-  onResolvedFile: (context: ResolvedFileContext) => void;
-  onError: (filePath: string, error: unknown) => void;
-};
-
-const forEachResolvedFile = (
-  authorizedRoot: string,
-  filePaths: string[],
-  handlers: ResolvedFileHandlers
-) => {
-  for (const filePath of filePaths) {
-    try {
-      const resolvedFilePath = path.resolve(authorizedRoot, filePath);
-      if (!isPathWithinRoot(authorizedRoot, resolvedFilePath)) {
-        handlers.onOutsideRoot(filePath);
-        continue;
-      }
-
-      if (!fs.existsSync(resolvedFilePath)) {
-        handlers.onMissingFile(filePath);
-        continue;
-      }
-
-      const stats = fs.statSync(resolvedFilePath);
-      handlers.onResolvedFile({
-        filePath,
-        resolvedFilePath,
-        fileMetadata: {
-          size: stats.size,
-          mtime: stats.mtime.getTime(),
-        },
-      });
-    } catch (error) {
-      handlers.onError(filePath, error);
-    }
-  }
-};
-
+// Config files named in `extends` resolve against the selected root and must stay inside it.
+const configResolveOptionsForCurrentRoot = () => ({
+  baseDir: authorizedRootPath ?? undefined,
+  isPathAllowed: (filePath: string) => resolveAuthorizedPathForCurrentRoot(filePath) !== null,
+});
+const resolveConfigForCurrentRoot = <T extends string | null | undefined>(configContent: T) =>
+  resolveConfigContent(configContent, configResolveOptionsForCurrentRoot());
 const logUpdaterCheckEvent = (event: UpdaterCheckEvent) => {
   if (event.event === 'updater_check_error') {
     console.warn('[updater-check]', event);
@@ -174,6 +156,28 @@ if (
   }
 }
 
+// Token counts persist across restarts, keyed by file content hash and tokenizer
+const tokenCache = new TokenCache({
+  filePath: path.join(app.getPath('userData'), TOKEN_CACHE_FILE_NAME),
+  autoSaveDelayMs: 2000,
+});
+
+// Token counting and analysis run in worker threads so large selections do not block IPC
+const tokenWorkerPool = new TokenWorkerPool({
+  workerScriptPath: resolveTokenWorkerScriptPath(),
+  tokenCache,
+});
+
+// Keeps the renderer's tree in sync with edits made outside the app while a root is open
+const directoryWatcher = new DirectoryWatcher({
+  gitignoreParser,
+  onChanges: (rootPath, changes) => {
+    if (mainWindow && !mainWindow.webContents.isDestroyed()) {
+      mainWindow.webContents.send('fs:directoryChanged', { rootPath, changes });
+    }
+  },
+});
+
 async function createWindow() {
   // Create the browser window
   mainWindow = new BrowserWindow({
@@ -297,6 +301,12 @@ const bootstrapApp = async () => {
 
 void bootstrapApp();
 
+app.on('will-quit', () => {
+  directoryWatcher.close();
+  void tokenWorkerPool.destroy();
+  tokenCache.save();
+});
+
 // Quit when all windows are closed
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') {
@@ -337,6 +347,7 @@ ipcMain.handle('dialog:selectDirectory', async () => {
   const testDirectoryPath = resolveTestPathOverride('E2E_DIALOG_DIRECTORY_PATH');
   if (testDirectoryPath) {
     authorizedRootPath = testDirectoryPath;
+    directoryWatcher.close();
     return testDirectoryPath;
   }
 
@@ -350,29 +361,157 @@ ipcMain.handle('dialog:selectDirectory', async () => {
 
   const selectedPath = filePaths[0];
   authorizedRootPath = path.resolve(selectedPath);
+  directoryWatcher.close();
   return selectedPath;
 });
 
 // Get directory tree
+// Only one scan runs at a time: a new request or fs:cancelDirectoryScan aborts the current one.
+let activeDirectoryScan: AbortController | null = null;
+
 ipcMain.handle(
   'fs:getDirectoryTree',
-  async (_event, dirPath: string, configContent?: string | null) => {
+  async (
+    event,
+    dirPath: string,
+    configContent?: string | null,
+    { scanId = 0, maxDepth, includeExcluded }: DirectoryScanOptions = {}
+  ) => {
     const authorizedDirPath = resolveAuthorizedPathForCurrentRoot(dirPath);
     if (!authorizedDirPath) {
       console.warn(`Rejected unauthorized directory tree request: ${dirPath}`);
       return [];
     }
 
+    const treeConfigContent = resolveConfigForCurrentRoot(configContent);
+    activeDirectoryScan?.abort();
+    const scanController = new AbortController();
+    activeDirectoryScan = scanController;
+
+    try {
+      const tree = await getDirectoryTree({
+        rootPath: authorizedDirPath,
+        maxDepth,
+        includeExcluded,
+        configContent: treeConfigContent,
+        gitignoreParser,
+        signal: scanController.signal,
+        onProgress: (progress) => {
+          if (!event.sender.isDestroyed()) {
+            event.sender.send('fs:directoryScanProgress', { ...progress, scanId });
+          }
+        },
+        onWarn: (message: string) => {
+          console.warn(message);
+        },
+        onError: (message: string, error?: unknown) => {
+          console.error(message, error);
+        },
+      });
+
+      // Watch the root once its tree is complete; a cancelled scan leaves any existing watch.
+      if (!scanController.signal.aborted && authorizedDirPath === authorizedRootPath) {
+        directoryWatcher.watch(authorizedDirPath, treeConfigContent, { includeExcluded });
+      }
+      return tree;
+    } finally {
+      if (activeDirectoryScan === scanController) {
+        activeDirectoryScan = null;
+      }
+    }
+  }
+);
+
+ipcMain.handle('fs:cancelDirectoryScan', () => {
+  if (!activeDirectoryScan) {
+    return false;
+  }
+
+  activeDirectoryScan.abort();
+  return true;
+});
+
+// Both paths must be inside the selected root; returns null for unauthorized requests.
+const resolveDirectoryListing = (
+  options: DirectoryListingOptions | undefined
+): { rootPath: string; directoryPath: string; configContent?: string | null } | null => {
+  const { rootPath, directoryPath, configContent } = options ?? ({} as DirectoryListingOptions);
+  const authorizedRoot = rootPath ? resolveAuthorizedPathForCurrentRoot(rootPath) : null;
+  const authorizedDirectory = directoryPath
+    ? resolveAuthorizedPathForCurrentRoot(directoryPath)
+    : null;
+  if (!authorizedRoot || !authorizedDirectory) {
+    console.warn(`Rejected unauthorized directory listing request: ${directoryPath}`);
+    return null;
+  }
+
+  return {
+    rootPath: authorizedRoot,
+    directoryPath: authorizedDirectory,
+    configContent: resolveConfigForCurrentRoot(configContent),
+  };
+};
+
+const directoryServiceLogging = {
+  onWarn: (message: string) => {
+    console.warn(message);
+  },
+  onError: (message: string, error?: unknown) => {
+    console.error(message, error);
+  },
+};
+
+// Load one level of a directory when a folder is expanded in a lazily loaded tree
+ipcMain.handle(
+  'fs:getDirectoryChildren',
+  async (_event, options: DirectoryListingOptions): Promise<DirectoryTreeItem[]> => {
+    const listing = resolveDirectoryListing(options);
+    if (!listing) {
+      return [];
+    }
+
     return getDirectoryTree({
-      rootPath: authorizedDirPath,
-      configContent,
+      ...listing,
+      maxDepth: 1,
+      includeExcluded: options.includeExcluded,
       gitignoreParser,
-      onWarn: (message: string) => {
-        console.warn(message);
-      },
-      onError: (message: string, error?: unknown) => {
-        console.error(message, error);
-      },
+      ...directoryServiceLogging,
+    });
+  }
+);
+
+// Resolve every file below a folder, including levels the renderer has not loaded
+ipcMain.handle(
+  'fs:getDirectoryFiles',
+  async (_event, options: DirectoryListingOptions): Promise<DirectoryFilesResult> => {
+    const listing = resolveDirectoryListing(options);
+    if (!listing) {
+      return { files: [], folders: [] };
+    }
+
+    return getDirectoryFiles({ ...listing, gitignoreParser, ...directoryServiceLogging });
+  }
+);
+
+// Explain which filter rule shows or hides a path; relative paths are resolved from the root
+ipcMain.handle(
+  'filter:explainPath',
+  (_event, { rootPath, itemPath, configContent }: ExplainPathFilterOptions): FilterDecision => {
+    const authorizedRoot = rootPath ? resolveAuthorizedPathForCurrentRoot(rootPath) : null;
+    const authorizedItemPath =
+      authorizedRoot && itemPath
+        ? resolveAuthorizedPathForCurrentRoot(path.resolve(authorizedRoot, itemPath))
+        : null;
+    if (!authorizedRoot || !authorizedItemPath || authorizedItemPath === authorizedRoot) {
+      throw new Error('The path to explain must be inside the selected directory.');
+    }
+
+    return explainPathFilter({
+      rootPath: authorizedRoot,
+      itemPath: authorizedItemPath,
+      configContent: resolveConfigForCurrentRoot(configContent),
+      gitignoreParser,
+      onError: directoryServiceLogging.onError,
     });
   }
 );
@@ -390,17 +529,22 @@ ipcMain.handle(
         throw new Error('Unauthorized root path. Please select the directory again.');
       }
 
-      return analyzeRepository({
+      const analyzeConfigContent = resolveConfigForCurrentRoot(configContent);
+      const config = parseConfigObject(analyzeConfigContent);
+      const analyzeFiles = Array.isArray(selectedFiles) ? selectedFiles : [];
+      return await tokenWorkerPool.run({
+        type: 'analyze',
         rootPath: authorizedAnalyzeRoot,
-        configContent,
-        selectedFiles,
-        gitignoreParser,
-        onWarn: (message: string) => {
-          console.warn(message);
-        },
-        onInfo: (message: string) => {
-          console.info(message);
-        },
+        configContent: analyzeConfigContent,
+        selectedFiles: analyzeFiles,
+        gitignoreRules:
+          config.use_gitignore === false
+            ? []
+            : gitignoreParser.parseGitignoreForPaths(
+                authorizedAnalyzeRoot,
+                analyzeFiles,
+                resolveIgnoreFileSettings(config)
+              ),
       });
     } catch (error) {
       console.error('Error analyzing repository:', error);
@@ -427,6 +571,7 @@ ipcMain.handle(
         filesInfo,
         treeView,
         options,
+        tokenCache,
         onWarn: (message: string) => {
           console.warn(message);
         },
@@ -441,30 +586,35 @@ ipcMain.handle(
   }
 );
 
-// Save output to file
-ipcMain.handle('fs:saveFile', async (_event, { content, defaultPath }: SaveFileOptions) => {
+const SAVE_DIALOG_FILTERS = [
+  { name: 'Markdown Files', extensions: ['md'] },
+  { name: 'XML Files', extensions: ['xml'] },
+  { name: 'JSON Files', extensions: ['json'] },
+  { name: 'JSON Lines Files', extensions: ['jsonl'] },
+  { name: 'Text Files', extensions: ['txt'] },
+  { name: 'All Files', extensions: ['*'] },
+];
+
+// Lists the filter matching the default file extension first so the dialog preselects it.
+const getSaveDialogFilters = (defaultPath: string) => {
+  const defaultExtension = defaultPath ? path.extname(defaultPath).toLowerCase().slice(1) : '';
+  const preferredFilter = SAVE_DIALOG_FILTERS.find(
+    (filter) => defaultExtension && filter.extensions.includes(defaultExtension)
+  );
+
+  return preferredFilter
+    ? [preferredFilter, ...SAVE_DIALOG_FILTERS.filter((filter) => filter !== preferredFilter)]
+    : SAVE_DIALOG_FILTERS;
+};
+
+const selectSavePath = async (defaultPath: unknown): Promise<string | null> => {
   const testSavePath = resolveTestPathOverride('E2E_DIALOG_SAVE_PATH');
   if (testSavePath) {
-    fs.writeFileSync(testSavePath, content);
     return testSavePath;
   }
 
   const safeDefaultPath = typeof defaultPath === 'string' ? defaultPath : '';
-  const defaultExtension = safeDefaultPath ? path.extname(safeDefaultPath).toLowerCase() : '';
-  const filters =
-    defaultExtension === '.xml'
-      ? [
-          { name: 'XML Files', extensions: ['xml'] },
-          { name: 'Markdown Files', extensions: ['md'] },
-          { name: 'Text Files', extensions: ['txt'] },
-          { name: 'All Files', extensions: ['*'] },
-        ]
-      : [
-          { name: 'Markdown Files', extensions: ['md'] },
-          { name: 'XML Files', extensions: ['xml'] },
-          { name: 'Text Files', extensions: ['txt'] },
-          { name: 'All Files', extensions: ['*'] },
-        ];
+  const filters = getSaveDialogFilters(safeDefaultPath);
 
   const { canceled, filePath } = mainWindow
     ? await dialog.showSaveDialog(mainWindow, {
@@ -480,16 +630,90 @@ ipcMain.handle('fs:saveFile', async (_event, { content, defaultPath }: SaveFileO
     return null;
   }
 
+  return filePath;
+};
+
+// Save output to file
+ipcMain.handle('fs:saveFile', async (_event, { content, defaultPath }: SaveFileOptions) => {
+  const filePath = await selectSavePath(defaultPath);
+  if (!filePath) {
+    return null;
+  }
+
   fs.writeFileSync(filePath, content);
   return filePath;
 });
 
+// Process repository and stream the output directly to a user-selected file
+ipcMain.handle(
+  'repo:processToFile',
+  async (
+    _event,
+    { rootPath, filesInfo, treeView, options = {}, outputPath }: ProcessRepositoryToFileOptions
+  ): Promise<ProcessRepositoryResult | null> => {
+    try {
+      const authorizedProcessRoot = resolveAuthorizedPathForCurrentRoot(rootPath);
+      if (!authorizedProcessRoot) {
+        throw new Error('Unauthorized root path. Please select the directory again.');
+      }
+
+      // Re-processing may reuse the last file picked through the dialog; any other
+      // renderer-supplied path goes through the dialog again.
+      const canReuseOutputPath =
+        typeof outputPath === 'string' &&
+        streamOutputPath !== null &&
+        path.resolve(outputPath) === streamOutputPath;
+      const targetPath = canReuseOutputPath
+        ? streamOutputPath
+        : await selectSavePath(
+            path.join(
+              authorizedProcessRoot,
+              `output.${getExportFileExtension(options.exportFormat)}`
+            )
+          );
+      if (!targetPath) {
+        return null;
+      }
+      streamOutputPath = path.resolve(targetPath);
+
+      return processRepositoryToFile({
+        rootPath: authorizedProcessRoot,
+        filesInfo,
+        treeView,
+        options,
+        outputPath: streamOutputPath,
+        tokenCache,
+        onWarn: (message: string) => {
+          console.warn(message);
+        },
+        onInfo: (message: string, metadata?: unknown) => {
+          console.info(message, metadata);
+        },
+      });
+    } catch (error) {
+      console.error('Error processing repository to file:', error);
+      throw error;
+    }
+  }
+);
+
 // Reset gitignore cache
 ipcMain.handle('gitignore:resetCache', () => {
   gitignoreParser.clearCache();
   return true;
 });
 
+// List the root-level ignore files found for the current root
+ipcMain.handle('gitignore:listIgnoreFiles', (_event, rootPath: string) => {
+  const authorizedRoot = resolveAuthorizedPathForCurrentRoot(rootPath);
+  if (!authorizedRoot) {
+    console.warn(`Rejected unauthorized ignore file listing: ${rootPath}`);
+    return [];
+  }
+
+  return gitignoreParser.findIgnoreFiles(authorizedRoot);
+});
+
 // Get default configuration
 ipcMain.handle('config:getDefault', async () => {
   try {
@@ -500,6 +724,54 @@ ipcMain.handle('config:getDefault', async () => {
   }
 });
 
+// Find the config committed in the selected root (.aicodefusion.yaml or .ai-code-fusion/config.yaml)
+ipcMain.handle('config:getRepoConfig', (_event, rootPath: string): RepoConfigFile | null => {
+  const authorizedRoot = resolveAuthorizedPathForCurrentRoot(rootPath);
+  if (!authorizedRoot) {
+    console.warn(`Rejected unauthorized repository config request: ${rootPath}`);
+    return null;
+  }
+
+  return findRepoConfig(authorizedRoot);
+});
+
+// Write the current config into the selected root
+ipcMain.handle(
+  'config:writeRepoConfig',
+  (_event, { rootPath, configContent }: WriteRepoConfigOptions): RepoConfigFile => {
+    const authorizedRoot = rootPath ? resolveAuthorizedPathForCurrentRoot(rootPath) : null;
+    if (!authorizedRoot) {
+      throw new Error('Unauthorized root path. Please select the directory again.');
+    }
+
+    return writeRepoConfig(authorizedRoot, configContent);
+  }
+);
+
+// Resolve a config's `extends` presets and files for the effective config view
+ipcMain.handle(
+  'config:resolve',
+  (_event, { rootPath, configContent }: ResolveConfigRequest): ResolvedConfigResult => {
+    const config: unknown = yaml.parse(configContent) ?? {};
+    if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+      throw new Error('The config must be a YAML mapping.');
+    }
+
+    const authorizedRoot = rootPath ? resolveAuthorizedPathForCurrentRoot(rootPath) : null;
+    const resolved = resolveConfig(config as ConfigObject, {
+      ...configResolveOptionsForCurrentRoot(),
+      baseDir: authorizedRoot ?? undefined,
+    });
+    return { content: yaml.stringify(resolved.config), sources: resolved.sources };
+  }
+);
+
+// Upgrade a stored or committed config to the current config version
+ipcMain.handle(
+  'config:migrate',
+  (_event, configContent: string): MigratedConfigContent => migrateConfigContent(configContent)
+);
+
 // Get path to an asset
 ipcMain.handle('assets:getPath', (_event, assetName: string) => {
   try {
@@ -571,9 +843,9 @@ ipcMain.handle(
 // Count tokens for multiple files in a single call
 ipcMain.handle(
   'tokens:countFiles',
-  async (_event, options: CountFilesTokensOptions): Promise<CountFilesTokensResult> => {
+  async (event, options: CountFilesTokensOptions): Promise<CountFilesTokensResult> => {
     try {
-      const { rootPath, filePaths } = options ?? {};
+      const { rootPath, filePaths, tokenizer } = options ?? {};
       if (!rootPath || !Array.isArray(filePaths) || filePaths.length === 0) {
         return { results: {}, stats: {} };
       }
@@ -584,40 +856,58 @@ ipcMain.handle(
         return { results: {}, stats: {} };
       }
 
-      const results: Record<string, number> = {};
-      const stats: Record<string, { size: number; mtime: number }> = {};
+      // Large requests report each finished chunk so the renderer can show counts early.
+      return await tokenWorkerPool.run(
+        { type: 'countFiles', rootPath: authorizedTokensRoot, filePaths, tokenizer },
+        (chunkResult, { completedChunks, totalChunks }) => {
+          if (totalChunks > 1 && !event.sender.isDestroyed()) {
+            event.sender.send('tokens:countProgress', {
+              ...chunkResult,
+              rootPath,
+              tokenizer,
+              completedChunks,
+              totalChunks,
+            });
+          }
+        }
+      );
+    } catch (error) {
+      console.error(`Error counting tokens for files:`, error);
+      return { results: {}, stats: {} };
+    }
+  }
+);
+
+// Clear the persisted token cache
+ipcMain.handle('tokens:clearCache', () => {
+  tokenCache.clear();
+  return true;
+});
 
-      forEachResolvedFile(authorizedTokensRoot, filePaths, {
-        onOutsideRoot: (filePath) => {
-          console.warn(`Skipping file outside current root directory: ${filePath}`);
-          results[filePath] = 0;
-        },
-        onMissingFile: (filePath) => {
-          console.warn(`File not found for token counting: ${filePath}`);
-          results[filePath] = 0;
-        },
-        onResolvedFile: ({ filePath, resolvedFilePath, fileMetadata }) => {
-          stats[filePath] = fileMetadata; // Metadata used for cache validation
+ipcMain.handle(
+  'tokens:compareTokenizers',
+  async (_event, options: CompareTokenizersOptions): Promise<CompareTokenizersResult> => {
+    try {
+      const { rootPath, filePaths, tokenizers } = options ?? {};
+      if (!rootPath || !Array.isArray(filePaths) || filePaths.length === 0) {
+        return { totals: {} };
+      }
 
-          if (isBinaryFile(resolvedFilePath)) {
-            console.log(`Skipping binary file for token counting: ${filePath}`);
-            results[filePath] = 0;
-            return;
-          }
+      const authorizedTokensRoot = resolveAuthorizedPathForCurrentRoot(rootPath);
+      if (!authorizedTokensRoot) {
+        console.warn(`Rejected unauthorized tokenizer comparison for root: ${rootPath}`);
+        return { totals: {} };
+      }
 
-          const content = fs.readFileSync(resolvedFilePath, { encoding: 'utf-8', flag: 'r' });
-          results[filePath] = tokenCounter.countTokens(content);
-        },
-        onError: (filePath, error) => {
-          console.error(`Error counting tokens for file ${filePath}:`, error);
-          results[filePath] = 0;
-        },
+      return await tokenWorkerPool.run({
+        type: 'compareTokenizers',
+        rootPath: authorizedTokensRoot,
+        filePaths,
+        tokenizers,
       });
-
-      return { results, stats };
     } catch (error) {
-      console.error(`Error counting tokens for files:`, error);
-      return { results: {}, stats: {} };
+      console.error('Error comparing tokenizers:', error);
+      return { totals: {} };
     }
   }
 );
@@ -3,20 +3,39 @@ import { contextBridge, ipcRenderer, shell } from 'electron';
 import type {
   AnalyzeRepositoryOptions,
   AnalyzeRepositoryResult,
+  CompareTokenizersOptions,
+  CompareTokenizersResult,
   CountFilesTokensOptions,
   CountFilesTokensResult,
+  DirectoryChangeEvent,
+  DirectoryFilesResult,
+  DirectoryListingOptions,
+  DirectoryScanOptions,
+  DirectoryScanProgress,
   DirectoryTreeItem,
   ElectronApi,
+  ExplainPathFilterOptions,
+  FilterDecision,
   GetFilesStatsOptions,
   GetFilesStatsResult,
+  IgnoreFileInfo,
+  MigratedConfigContent,
   ProviderConnectionOptions,
   ProviderConnectionResult,
   ProcessRepositoryOptions,
   ProcessRepositoryResult,
+  ProcessRepositoryToFileOptions,
+  RepoConfigFile,
+  ResolveConfigRequest,
+  ResolvedConfigResult,
   SaveFileOptions,
+  TokenCountProgress,
   UpdateCheckResult,
   UpdaterStatus,
+  WriteRepoConfigOptions,
 } from '../types/ipc';
+import type { IpcRendererEvent } from 'electron';
+
 
 // Keep preload self-contained: sandboxed preload cannot reliably require local modules.
 const isAllowedExternalNavigationUrl = (url: string): boolean => {
@@ -59,24 +78,77 @@ const electronShellApi: ElectronShellApi = {
 
 const electronAPI: ElectronApi = {
   selectDirectory: () => ipcRenderer.invoke('dialog:selectDirectory') as Promise<string | null>,
-  getDirectoryTree: (dirPath: string, configContent?: string | null) =>
-    ipcRenderer.invoke('fs:getDirectoryTree', dirPath, configContent) as Promise<
+  getDirectoryTree: (
+    dirPath: string,
+    configContent?: string | null,
+    options?: DirectoryScanOptions
+  ) =>
+    ipcRenderer.invoke('fs:getDirectoryTree', dirPath, configContent, options) as Promise<
       DirectoryTreeItem[]
     >,
+  getDirectoryChildren: (options: DirectoryListingOptions) =>
+    ipcRenderer.invoke('fs:getDirectoryChildren', options) as Promise<DirectoryTreeItem[]>,
+  getDirectoryFiles: (options: DirectoryListingOptions) =>
+    ipcRenderer.invoke('fs:getDirectoryFiles', options) as Promise<DirectoryFilesResult>,
+  cancelDirectoryScan: () => ipcRenderer.invoke('fs:cancelDirectoryScan') as Promise<boolean>,
+  onDirectoryScanProgress: (listener: (progress: DirectoryScanProgress) => void) => {
+    const handleProgress = (_event: IpcRendererEvent, progress: DirectoryScanProgress) => {
+      listener(progress);
+    };
+    ipcRenderer.on('fs:directoryScanProgress', handleProgress);
+    return () => {
+      ipcRenderer.removeListener('fs:directoryScanProgress', handleProgress);
+    };
+  },
+  onDirectoryChange: (listener: (event: DirectoryChangeEvent) => void) => {
+    const handleChange = (_event: IpcRendererEvent, changeEvent: DirectoryChangeEvent) => {
+      listener(changeEvent);
+    };
+    ipcRenderer.on('fs:directoryChanged', handleChange);
+    return () => {
+      ipcRenderer.removeListener('fs:directoryChanged', handleChange);
+    };
+  },
   saveFile: (options: SaveFileOptions) =>
     ipcRenderer.invoke('fs:saveFile', options) as Promise<string | null>,
   resetGitignoreCache: () => ipcRenderer.invoke('gitignore:resetCache') as Promise<boolean>,
+  listIgnoreFiles: (rootPath: string) =>
+    ipcRenderer.invoke('gitignore:listIgnoreFiles', rootPath) as Promise<IgnoreFileInfo[]>,
+  explainPathFilter: (options: ExplainPathFilterOptions) =>
+    ipcRenderer.invoke('filter:explainPath', options) as Promise<FilterDecision>,
   analyzeRepository: (options: AnalyzeRepositoryOptions) =>
     ipcRenderer.invoke('repo:analyze', options) as Promise<AnalyzeRepositoryResult>,
   processRepository: (options: ProcessRepositoryOptions) =>
     ipcRenderer.invoke('repo:process', options) as Promise<ProcessRepositoryResult>,
+  processRepositoryToFile: (options: ProcessRepositoryToFileOptions) =>
+    ipcRenderer.invoke('repo:processToFile', options) as Promise<ProcessRepositoryResult | null>,
   getDefaultConfig: () => ipcRenderer.invoke('config:getDefault') as Promise<string>,
+  getRepoConfig: (rootPath: string) =>
+    ipcRenderer.invoke('config:getRepoConfig', rootPath) as Promise<RepoConfigFile | null>,
+  writeRepoConfig: (options: WriteRepoConfigOptions) =>
+    ipcRenderer.invoke('config:writeRepoConfig', options) as Promise<RepoConfigFile>,
+  resolveConfig: (options: ResolveConfigRequest) =>
+    ipcRenderer.invoke('config:resolve', options) as Promise<ResolvedConfigResult>,
+  migrateConfig: (configContent: string) =>
+    ipcRenderer.invoke('config:migrate', configContent) as Promise<MigratedConfigContent>,
   getAssetPath: (assetName: string) =>
     ipcRenderer.invoke('assets:getPath', assetName) as Promise<string | null>,
   getFilesStats: (options: GetFilesStatsOptions) =>
     ipcRenderer.invoke('fs:getFilesStats', options) as Promise<GetFilesStatsResult>,
   countFilesTokens: (options: CountFilesTokensOptions) =>
     ipcRenderer.invoke('tokens:countFiles', options) as Promise<CountFilesTokensResult>,
+  onTokenCountProgress: (listener: (progress: TokenCountProgress) => void) => {
+    const handleProgress = (_event: IpcRendererEvent, progress: TokenCountProgress) => {
+      listener(progress);
+    };
+    ipcRenderer.on('tokens:countProgress', handleProgress);
+    return () => {
+      ipcRenderer.removeListener('tokens:countProgress', handleProgress);
+    };
+  },
+  compareTokenizers: (options: CompareTokenizersOptions) =>
+    ipcRenderer.invoke('tokens:compareTokenizers', options) as Promise<CompareTokenizersResult>,
+  clearTokenCache: () => ipcRenderer.invoke('tokens:clearCache') as Promise<boolean>,
   getUpdaterStatus: () => ipcRenderer.invoke('updater:getStatus') as Promise<UpdaterStatus>,
   checkForUpdates: () => ipcRenderer.invoke('updater:check') as Promise<UpdateCheckResult>,
   testProviderConnection: (options: ProviderConnectionOptions) =>
@@ -1,24 +1,68 @@
 import fs from 'fs';
 import path from 'path';
 
-import yaml from 'yaml';
-
-import { shouldExclude } from '../../utils/filter-utils';
+import {
+  ConfigValidationError,
+  omitInvalidSettings,
+  validateConfigContent,
+} from '../../utils/config-schema';
+import { isBinaryFile } from '../../utils/file-analyzer';
+import {
+  addFilterCheck,
+  explainExclusion,
+  explainSecretScan,
+  shouldExclude,
+} from '../../utils/filter-utils';
+import { GitignoreMatcher } from '../../utils/gitignore-matcher';
+import { resolveIgnoreFileSettings } from '../../utils/gitignore-parser';
+import { scanFileForSecrets } from '../../utils/secret-scanner';
 import { isPathWithinRoot, resolveRealPath } from '../security/path-guard';
 
-import type { ConfigObject, DirectoryTreeItem } from '../../types/ipc';
+import type {
+  ConfigObject,
+  DirectoryFilesResult,
+  DirectoryScanProgress,
+  DirectoryScanStatus,
+  DirectoryTreeItem,
+  ExclusionReason,
+  FilterCheck,
+  FilterCheckStep,
+  FilterDecision,
+  FilterTrace,
+} from '../../types/ipc';
+import type { ExcludePatterns } from '../../utils/filter-utils';
+import type { GitignoreRule } from '../../utils/gitignore-matcher';
 import type { GitignoreParser } from '../../utils/gitignore-parser';
 
-type FilterPatternBundle = string[] & { includePatterns?: string[]; includeExtensions?: string[] };
+type FilterPatternBundle = ExcludePatterns;
+
+type DirectoryGitignoreParser = Pick<
+  GitignoreParser,
+  'parseIgnoreFiles' | 'parseDirectoryGitignore'
+>;
 
 type DirectoryTreeServiceOptions = {
   rootPath: string;
+  // Directory to list, inside rootPath; defaults to rootPath.
+  directoryPath?: string;
+  // Directory levels to load; directories below it are returned with itemCount only.
+  maxDepth?: number;
+  // List excluded entries too, tagged with excludedReason; excluded directories are not walked.
+  includeExcluded?: boolean;
   configContent?: string | null;
-  gitignoreParser: Pick<GitignoreParser, 'parseGitignore'>;
+  gitignoreParser: DirectoryGitignoreParser;
   onWarn?: (message: string) => void;
   onError?: (message: string, error?: unknown) => void;
+  signal?: AbortSignal;
+  onProgress?: (progress: DirectoryScanProgressUpdate) => void;
+  progressIntervalMs?: number;
 };
 
+// The service reports counts only; the IPC layer tags each update with the renderer's scan id.
+export type DirectoryScanProgressUpdate = Omit<DirectoryScanProgress, 'scanId'>;
+
+export const DIRECTORY_SCAN_PROGRESS_INTERVAL_MS = 100;
+
 const appendExcludePatterns = (
   excludePatterns: FilterPatternBundle,
   additionalPatterns: string[] | undefined
@@ -28,21 +72,55 @@ const appendExcludePatterns = (
   }
 
   const mergedPatterns = [...excludePatterns, ...additionalPatterns] as FilterPatternBundle;
-  if (Array.isArray(excludePatterns.includePatterns)) {
-    mergedPatterns.includePatterns = excludePatterns.includePatterns;
+  if (Array.isArray(excludePatterns.includeExtensions)) {
+    mergedPatterns.includeExtensions = excludePatterns.includeExtensions;
+  }
+  if (excludePatterns.gitignoreMatcher) {
+    mergedPatterns.gitignoreMatcher = excludePatterns.gitignoreMatcher;
   }
+
+  return mergedPatterns;
+};
+
+// Adds gitignore rules after the inherited ones, so a nested .gitignore overrides its parents.
+const appendGitignoreRules = (
+  excludePatterns: FilterPatternBundle,
+  gitignoreRules: GitignoreRule[]
+): FilterPatternBundle => {
+  if (gitignoreRules.length === 0) {
+    return excludePatterns;
+  }
+
+  const mergedPatterns = [...excludePatterns] as FilterPatternBundle;
   if (Array.isArray(excludePatterns.includeExtensions)) {
     mergedPatterns.includeExtensions = excludePatterns.includeExtensions;
   }
+  mergedPatterns.gitignoreMatcher = (
+    excludePatterns.gitignoreMatcher ?? new GitignoreMatcher()
+  ).extend(gitignoreRules);
 
   return mergedPatterns;
 };
 
-const readPathStats = (itemPath: string): { stats: fs.Stats; isSymbolicLink: boolean } => {
-  const lstatFn = fs.lstatSync;
+type PathStats = { stats: fs.Stats; isSymbolicLink: boolean };
+
+// Why an entry is left out; which filter hid it is only looked up for listed excluded entries.
+type EntryExclusion = 'filters' | Extract<ExclusionReason, 'symlink' | 'outside-root'>;
+
+// The tree never runs the secret-content check, and an include override never excludes.
+const EXCLUSION_REASON_BY_STEP: Partial<Record<FilterCheckStep, ExclusionReason>> = {
+  'sensitive-path': 'sensitive',
+  extension: 'extension',
+  'include-glob': 'include-glob',
+  'exclude-pattern': 'custom-pattern',
+  gitignore: 'gitignore',
+};
+
+const readPathStats = async (itemPath: string): Promise<PathStats> => {
+  const lstatFn = fs.promises.lstat;
   if (typeof lstatFn === 'function') {
     try {
-      const lstatResult = lstatFn(itemPath);
+      const lstatResult = await lstatFn(itemPath);
       if (lstatResult && typeof lstatResult.isDirectory === 'function') {
         return {
           stats: lstatResult,
@@ -51,12 +129,12 @@ const readPathStats = (itemPath: string): { stats: fs.Stats; isSymbolicLink: boo
         };
       }
     } catch {
-      // Fall back to statSync when lstatSync fails (e.g., transient ENOENT in mocked/fs race scenarios).
+      // Fall back to stat when lstat fails (e.g., transient ENOENT in mocked/fs race scenarios).
     }
   }
 
   return {
-    stats: fs.statSync(itemPath),
+    stats: await fs.promises.stat(itemPath),
     isSymbolicLink: false,
   };
 };
@@ -64,16 +142,25 @@ const readPathStats = (itemPath: string): { stats: fs.Stats; isSymbolicLink: boo
 const parseFilterSettings = (
   rootPath: string,
   configContent: string | null | undefined,
-  gitignoreParser: Pick<GitignoreParser, 'parseGitignore'>,
+  gitignoreParser: DirectoryGitignoreParser,
   onError: (message: string, error?: unknown) => void
 ): { excludePatterns: FilterPatternBundle; config: ConfigObject } => {
   let excludePatterns: FilterPatternBundle = [];
   let config: ConfigObject;
 
   try {
-    config = (configContent
-      ? (yaml.parse(configContent) as ConfigObject)
-      : ({ exclude_patterns: [] } as ConfigObject)) || { exclude_patterns: [] };
+    const { config: parsedConfig, errors } = validateConfigContent(configContent);
+    if (!parsedConfig) {
+      throw new ConfigValidationError(errors);
+    }
+
+    // Settings with values of the wrong type are left out and reported; every valid setting
+    // still applies, so one typo does not turn off the other filters.
+    config = parsedConfig;
+    if (errors.length > 0) {
+      onError('Ignoring invalid config settings:', new ConfigValidationError(errors));
+      config = omitInvalidSettings(parsedConfig, errors);
+    }
 
     const useCustomExcludes = config.use_custom_excludes !== false;
     const useCustomIncludes = config.use_custom_includes !== false;
@@ -88,11 +175,10 @@ const parseFilterSettings = (
     }
 
     if (useGitignore) {
-      const gitignoreResult = gitignoreParser.parseGitignore(rootPath);
-      excludePatterns = appendExcludePatterns(excludePatterns, gitignoreResult.excludePatterns);
-      if (gitignoreResult.includePatterns && gitignoreResult.includePatterns.length > 0) {
-        excludePatterns.includePatterns = gitignoreResult.includePatterns;
-      }
+      excludePatterns = appendGitignoreRules(
+        excludePatterns,
+        gitignoreParser.parseIgnoreFiles(rootPath, resolveIgnoreFileSettings(config))
+      );
     }
   } catch (error) {
     onError('Error parsing config:', error);
@@ -109,53 +195,182 @@ const sortTreeItems = (a: DirectoryTreeItem, b: DirectoryTreeItem): number => {
   return a.name.localeCompare(b.name);
 };
 
-export const getDirectoryTree = ({
+/**
+ * Walk a directory asynchronously and build the filtered tree. Progress is reported at most
+ * every progressIntervalMs, together with the top-level entries finished since the last report.
+ * Aborting the signal stops the walk and resolves with the top-level entries finished so far.
+ * With maxDepth, directories at the limit are counted but not walked, so huge repositories can
+ * be loaded one level at a time. With includeExcluded, entries the filters hide are listed
+ * with the reason they are hidden instead of being dropped.
+ */
+export const getDirectoryTree = async ({
   rootPath,
+  directoryPath: startPath = rootPath,
+  maxDepth = Infinity,
+  includeExcluded = false,
   configContent,
   gitignoreParser,
   onWarn = console.warn,
   onError = console.error,
-}: DirectoryTreeServiceOptions): DirectoryTreeItem[] => {
+  signal,
+  onProgress,
+  progressIntervalMs = DIRECTORY_SCAN_PROGRESS_INTERVAL_MS,
+}: DirectoryTreeServiceOptions): Promise<DirectoryTreeItem[]> => {
   const { excludePatterns, config } = parseFilterSettings(
     rootPath,
     configContent,
     gitignoreParser,
     onError
   );
-  const localShouldExclude = (itemPath: string) => {
-    return shouldExclude(itemPath, rootPath, excludePatterns, config);
+  const useGitignore = config.use_gitignore !== false;
+
+  // Each directory's .gitignore applies to its own subtree only.
+  const getDirectoryPatterns = (
+    directoryPath: string,
+    inheritedPatterns: FilterPatternBundle
+  ): FilterPatternBundle => {
+    if (!useGitignore || directoryPath === rootPath) {
+      return inheritedPatterns;
+    }
+
+    return appendGitignoreRules(
+      inheritedPatterns,
+      gitignoreParser.parseDirectoryGitignore(rootPath, directoryPath)
+    );
   };
 
   const visitedDirectoryRealPaths = new Set<string>();
+  const counts = { directoriesVisited: 0, filesFound: 0 };
+  let completedItems: DirectoryTreeItem[] = [];
+  let lastProgressAt = Date.now();
 
-  const processEntry = (
-    dir: string,
-    item: string,
-    walkFn: (nextDirectoryPath: string) => DirectoryTreeItem[]
-  ): DirectoryTreeItem | null => {
-    const itemPath = path.join(dir, item);
-    if (localShouldExclude(itemPath)) {
-      return null;
+  const reportProgress = (status: DirectoryScanStatus, force = false) => {
+    if (!onProgress || (!force && Date.now() - lastProgressAt < progressIntervalMs)) {
+      return;
+    }
+
+    lastProgressAt = Date.now();
+    onProgress({ status, ...counts, completedItems });
+    completedItems = [];
+  };
+
+  const getEntryExclusion = (
+    itemPath: string,
+    { stats, isSymbolicLink }: PathStats,
+    directoryPatterns: FilterPatternBundle
+  ): EntryExclusion | null => {
+    // Stats come first: directory-only gitignore rules (e.g. build/) need the entry type.
+    if (shouldExclude(itemPath, rootPath, directoryPatterns, config, stats.isDirectory())) {
+      return 'filters';
     }
 
-    const { stats, isSymbolicLink } = readPathStats(itemPath);
     if (isSymbolicLink) {
       const resolvedSymlinkPath = resolveRealPath(itemPath);
       if (!isPathWithinRoot(rootPath, resolvedSymlinkPath)) {
         onWarn(`Skipping symlink outside current root directory: ${itemPath}`);
+        return 'outside-root';
       }
       // Intentionally skip all symlinks (including in-root targets) to avoid
       // implicit path aliasing in tree output and keep traversal boundaries explicit.
-      return null;
+      return 'symlink';
     }
 
     if (!isPathWithinRoot(rootPath, itemPath)) {
       onWarn(`Skipping path outside current root directory: ${itemPath}`);
+      return 'outside-root';
+    }
+
+    return null;
+  };
+
+  const getExclusionReason = (
+    itemPath: string,
+    exclusion: EntryExclusion,
+    directoryPatterns: FilterPatternBundle,
+    isDirectory: boolean
+  ): ExclusionReason => {
+    if (exclusion !== 'filters') {
+      return exclusion;
+    }
+
+    const { decidedBy } = explainExclusion(
+      itemPath,
+      rootPath,
+      directoryPatterns,
+      config,
+      isDirectory
+    );
+    return (decidedBy ? EXCLUSION_REASON_BY_STEP[decidedBy] : undefined) ?? 'custom-pattern';
+  };
+
+  // Counts the visible entries of a directory that is not walked. Subdirectories are counted
+  // even when everything below them is filtered out, which a full walk would prune.
+  const countVisibleChildren = async (
+    directoryPath: string,
+    inheritedPatterns: FilterPatternBundle
+  ): Promise<number> => {
+    const items = await fs.promises.readdir(directoryPath);
+    const directoryPatterns = getDirectoryPatterns(directoryPath, inheritedPatterns);
+    const itemStats = await Promise.allSettled(
+      items.map((item) => readPathStats(path.join(directoryPath, item)))
+    );
+
+    return items.filter((item, index) => {
+      const itemStat = itemStats[index];
+      return (
+        itemStat.status === 'fulfilled' &&
+        (includeExcluded ||
+          getEntryExclusion(path.join(directoryPath, item), itemStat.value, directoryPatterns) ===
+            null)
+      );
+    }).length;
+  };
+
+  const processEntry = async (
+    dir: string,
+    item: string,
+    pathStats: PathStats,
+    directoryPatterns: FilterPatternBundle,
+    depth: number
+  ): Promise<DirectoryTreeItem | null> => {
+    const itemPath = path.join(dir, item);
+    const { stats } = pathStats;
+    const exclusion = getEntryExclusion(itemPath, pathStats, directoryPatterns);
+    if (exclusion && !includeExcluded) {
       return null;
     }
 
+    if (exclusion) {
+      const isDirectory = stats.isDirectory();
+      return {
+        name: item,
+        path: itemPath,
+        type: isDirectory ? 'directory' : 'file',
+        size: stats.size,
+        lastModified: stats.mtime,
+        ...(isDirectory ? { children: [] } : { extension: path.extname(item).toLowerCase() }),
+        excludedReason: getExclusionReason(itemPath, exclusion, directoryPatterns, isDirectory),
+      };
+    }
+
+    if (stats.isDirectory() && depth >= maxDepth) {
+      const itemCount = await countVisibleChildren(itemPath, directoryPatterns);
+      if (itemCount === 0) {
+        return null;
+      }
+
+      return {
+        name: item,
+        path: itemPath,
+        type: 'directory',
+        size: stats.size,
+        lastModified: stats.mtime,
+        itemCount,
+      };
+    }
+
     if (stats.isDirectory()) {
-      const children = walkFn(itemPath);
+      const children = await walkDirectory(itemPath, directoryPatterns, depth + 1);
       if (children.length === 0) {
         return null;
       }
@@ -171,6 +386,7 @@ export const getDirectoryTree = ({
       };
     }
 
+    counts.filesFound += 1;
     return {
       name: item,
       path: itemPath,
@@ -181,7 +397,11 @@ export const getDirectoryTree = ({
     };
   };
 
-  const walkDirectory = (directoryPath: string): DirectoryTreeItem[] => {
+  const walkDirectory = async (
+    directoryPath: string,
+    inheritedPatterns: FilterPatternBundle,
+    depth: number
+  ): Promise<DirectoryTreeItem[]> => {
     const realDirectoryPath = resolveRealPath(directoryPath);
     if (visitedDirectoryRealPaths.has(realDirectoryPath)) {
       onWarn(`Skipping previously visited directory to avoid recursion loops: ${directoryPath}`);
@@ -189,27 +409,256 @@ export const getDirectoryTree = ({
     }
     visitedDirectoryRealPaths.add(realDirectoryPath);
 
-    const items = fs.readdirSync(directoryPath);
+    const items = await fs.promises.readdir(directoryPath);
+    const directoryPatterns = getDirectoryPatterns(directoryPath, inheritedPatterns);
+    const isStart = directoryPath === startPath;
     const result: DirectoryTreeItem[] = [];
+    counts.directoriesVisited += 1;
+
+    // Stat the whole directory at once, then descend into subdirectories one at a time.
+    const itemStats = await Promise.allSettled(
+      items.map((item) => readPathStats(path.join(directoryPath, item)))
+    );
+
+    for (const [index, item] of items.entries()) {
+      if (signal?.aborted) {
+        break;
+      }
 
-    for (const item of items) {
       try {
-        const entry = processEntry(directoryPath, item, walkDirectory);
-        if (entry) {
+        const itemStat = itemStats[index];
+        if (itemStat.status === 'rejected') {
+          throw itemStat.reason;
+        }
+
+        const entry = await processEntry(
+          directoryPath,
+          item,
+          itemStat.value,
+          directoryPatterns,
+          depth
+        );
+        // A subtree cut short by cancellation is incomplete; keep only finished entries.
+        if (entry && !signal?.aborted) {
           result.push(entry);
+          if (isStart) {
+            completedItems.push(entry);
+          }
         }
       } catch (error) {
         onError(`Error processing ${path.join(directoryPath, item)}:`, error);
       }
+      reportProgress('scanning');
     }
 
     return result.sort(sortTreeItems);
   };
 
+  // A directory below the root also inherits the .gitignore files of its parents.
+  const getStartPatterns = (): FilterPatternBundle => {
+    let patterns = excludePatterns;
+    let parentPath = rootPath;
+    const parentSegments = path.relative(rootPath, startPath).split(path.sep).slice(0, -1);
+    for (const segment of parentSegments) {
+      parentPath = path.join(parentPath, segment);
+      patterns = getDirectoryPatterns(parentPath, patterns);
+    }
+    return patterns;
+  };
+
   try {
-    return walkDirectory(rootPath);
+    if (startPath !== rootPath && !isPathWithinRoot(rootPath, startPath)) {
+      onWarn(`Skipping directory outside current root directory: ${startPath}`);
+      return [];
+    }
+
+    return await walkDirectory(startPath, getStartPatterns(), 1);
   } catch (error) {
     onError('Error getting directory tree:', error);
     return [];
+  } finally {
+    reportProgress(signal?.aborted ? 'cancelled' : 'completed', true);
   }
 };
+
+/**
+ * Build a check for whether a path lies inside a directory the tree hides, applying the same
+ * filters and nested .gitignore files as a walk. Only the parent directories are tested, so
+ * the check also works for paths that no longer exist.
+ */
+export const createHiddenDirectoryCheck = ({
+  rootPath,
+  configContent,
+  gitignoreParser,
+  onError = console.error,
+}: Pick<
+  DirectoryTreeServiceOptions,
+  'rootPath' | 'configContent' | 'gitignoreParser' | 'onError'
+>): ((itemPath: string) => boolean) => {
+  const { excludePatterns, config } = parseFilterSettings(
+    rootPath,
+    configContent,
+    gitignoreParser,
+    onError
+  );
+  const useGitignore = config.use_gitignore !== false;
+
+  return (itemPath: string): boolean => {
+    let patterns = excludePatterns;
+    let directoryPath = rootPath;
+    const parentSegments = path.relative(rootPath, itemPath).split(path.sep).slice(0, -1);
+    for (const segment of parentSegments) {
+      directoryPath = path.join(directoryPath, segment);
+      if (shouldExclude(directoryPath, rootPath, patterns, config, true)) {
+        return true;
+      }
+      if (useGitignore) {
+        patterns = appendGitignoreRules(
+          patterns,
+          gitignoreParser.parseDirectoryGitignore(rootPath, directoryPath)
+        );
+      }
+    }
+    return false;
+  };
+};
+
+/**
+ * Resolve every file and folder below a directory with the same filters as the tree, so a
+ * folder can be selected before its children are loaded. Excluded entries are never returned.
+ */
+export const getDirectoryFiles = async (
+  options: Omit<DirectoryTreeServiceOptions, 'maxDepth' | 'includeExcluded' | 'onProgress'>
+): Promise<DirectoryFilesResult> => {
+  const result: DirectoryFilesResult = { files: [], folders: [] };
+  const collect = (items: DirectoryTreeItem[]) => {
+    for (const item of items) {
+      if (item.type === 'file') {
+        result.files.push(item.path);
+      } else {
+        result.folders.push(item.path);
+        collect(item.children ?? []);
+      }
+    }
+  };
+
+  collect(await getDirectoryTree(options));
+  return result;
+};
+
+// Line of a config entry in the YAML text: the list item equal to value under key, else the key.
+const findConfigLine = (configContent: string, key: string, value?: string): number | undefined => {
+  const lines = configContent.split(/\r?\n/);
+  const keyIndex = lines.findIndex((line) => new RegExp(`^${key}\\s*:`).test(line));
+  if (keyIndex === -1) {
+    return undefined;
+  }
+
+  if (value !== undefined) {
+    for (let index = keyIndex + 1; index < lines.length; index++) {
+      const line = lines[index];
+      // The list ends at the next top-level key.
+      if (/^[^\s#-]/.test(line)) {
+        break;
+      }
+
+      const item = /^\s*-\s*(.*?)\s*(?:#.*)?$/.exec(line)?.[1];
+      if (item !== undefined && item.replace(/^(['"])(.*)\1$/, '$2') === value) {
+        return index + 1;
+      }
+    }
+  }
+
+  return keyIndex + 1;
+};
+
+const addConfigLines = <T extends FilterTrace>(trace: T, configContent: string): T => ({
+  ...trace,
+  checks: trace.checks.map((check): FilterCheck => {
+    const { source } = check;
+    if (source?.kind !== 'config') {
+      return check;
+    }
+
+    // An excluded extension is missing from the list, so only an included one has its own line.
+    const value =
+      check.step === 'extension' && check.outcome !== 'included' ? undefined : check.rule;
+    return {
+      ...check,
+      source: { ...source, line: findConfigLine(configContent, source.key, value) },
+    };
+  }),
+});
+
+/**
+ * Explain why the tree shows or hides a path: every filter check with the rule that matched and
+ * where it was configured, the excluded parent directory hiding it if any, and for files the
+ * secret scan that runs before analysis.
+ */
+export const explainPathFilter = ({
+  rootPath,
+  itemPath,
+  configContent,
+  gitignoreParser,
+  onError = console.error,
+}: Pick<
+  DirectoryTreeServiceOptions,
+  'rootPath' | 'configContent' | 'gitignoreParser' | 'onError'
+> & { itemPath: string }): FilterDecision => {
+  const { excludePatterns, config } = parseFilterSettings(
+    rootPath,
+    configContent,
+    gitignoreParser,
+    onError
+  );
+  const useGitignore = config.use_gitignore !== false;
+
+  let patterns = excludePatterns;
+  let excludedParent: FilterTrace | undefined;
+  let directoryPath = rootPath;
+  const parentSegments = path.relative(rootPath, itemPath).split(path.sep).slice(0, -1);
+  for (const segment of parentSegments) {
+    directoryPath = path.join(directoryPath, segment);
+    const parentTrace = explainExclusion(directoryPath, rootPath, patterns, config, true);
+    if (parentTrace.excluded) {
+      excludedParent = parentTrace;
+      break;
+    }
+    if (useGitignore) {
+      patterns = appendGitignoreRules(
+        patterns,
+        gitignoreParser.parseDirectoryGitignore(rootPath, directoryPath)
+      );
+    }
+  }
+
+  let stats: fs.Stats | null = null;
+  try {
+    stats = fs.statSync(itemPath);
+  } catch {
+    // A path that does not exist yet is still run through the path filters.
+  }
+  const isDirectory = stats?.isDirectory() === true;
+
+  let trace = explainExclusion(itemPath, rootPath, patterns, config, isDirectory);
+  if (stats && !isDirectory) {
+    trace = addFilterCheck(
+      trace,
+      explainSecretScan(isBinaryFile(itemPath) ? null : scanFileForSecrets(itemPath), config)
+    );
+  }
+
+  let decision: FilterDecision = { ...trace, exists: stats !== null };
+  if (excludedParent) {
+    decision = {
+      ...decision,
+      excluded: true,
+      decidedBy: excludedParent.decidedBy,
+      excludedParent: configContent
+        ? addConfigLines(excludedParent, configContent)
+        : excludedParent,
+    };
+  }
+
+  return configContent ? addConfigLines(decision, configContent) : decision;
+};
@@ -0,0 +1,285 @@
+import fs from 'fs';
+import path from 'path';
+
+import { getErrorMessage } from '../errors';
+import { isPathWithinRoot } from '../security/path-guard';
+
+import { createHiddenDirectoryCheck, getDirectoryTree } from './directory-tree';
+
+import type { DirectoryChange, DirectoryScanOptions, DirectoryTreeItem } from '../../types/ipc';
+import type { GitignoreParser } from '../../utils/gitignore-parser';
+
+type WatchListener = (eventType: string, fileName: string | Buffer | null) => void;
+
+type WatchHandle = {
+  close: () => void;
+  on: (eventName: 'error', listener: (error: Error) => void) => unknown;
+};
+
+type WatchFunction = (
+  rootPath: string,
+  options: { recursive: boolean },
+  listener: WatchListener
+) => WatchHandle;
+
+type DirectoryWatcherOptions = {
+  gitignoreParser: Pick<
+    GitignoreParser,
+    'parseIgnoreFiles' | 'parseDirectoryGitignore' | 'clearCache'
+  >;
+  onChanges: (rootPath: string, changes: DirectoryChange[]) => void;
+  onWarn?: (message: string) => void;
+  onError?: (message: string, error?: unknown) => void;
+  // Events arriving within this window are reported together, so a save or a checkout
+  // produces one update instead of dozens.
+  debounceMs?: number;
+  watch?: WatchFunction;
+};
+
+export const DIRECTORY_WATCH_DEBOUNCE_MS = 200;
+
+// Editing one of these changes which paths are hidden, so the filters are rebuilt.
+const IGNORE_FILE_NAMES = new Set(['.gitignore', '.aicodefusionignore']);
+
+/**
+ * Watches the selected root recursively and reports visible entries that were added, changed
+ * or removed. Each affected directory is listed again with the tree filters, so events for
+ * excluded or ignored paths never reach the renderer unless the tree lists excluded entries.
+ */
+export class DirectoryWatcher {
+  private readonly gitignoreParser: DirectoryWatcherOptions['gitignoreParser'];
+
+  private readonly onChanges: DirectoryWatcherOptions['onChanges'];
+
+  private readonly onWarn: (message: string) => void;
+
+  private readonly onError: (message: string, error?: unknown) => void;
+
+  private readonly debounceMs: number;
+
+  private readonly watchFn: WatchFunction;
+
+  private handle: WatchHandle | null = null;
+
+  private rootPath: string | null = null;
+
+  private configContent: string | null = null;
+
+  private includeExcluded = false;
+
+  private isHidden: (itemPath: string) => boolean = () => false;
+
+  // Changed paths since the last flush; true when the path was created, renamed or removed.
+  private pendingPaths = new Map<string, boolean>();
+
+  private ignoreFilesChanged = false;
+
+  private flushTimer: ReturnType<typeof setTimeout> | null = null;
+
+  private flushQueue: Promise<void> = Promise.resolve();
+
+  // Bumped on every watch() and close() so a flush for a previous root is dropped.
+  private generation = 0;
+
+  constructor({
+    gitignoreParser,
+    onChanges,
+    onWarn = console.warn,
+    onError = console.error,
+    debounceMs = DIRECTORY_WATCH_DEBOUNCE_MS,
+    watch = (rootPath, options, listener) => fs.watch(rootPath, options, listener),
+  }: DirectoryWatcherOptions) {
+    this.gitignoreParser = gitignoreParser;
+    this.onChanges = onChanges;
+    this.onWarn = onWarn;
+    this.onError = onError;
+    this.debounceMs = debounceMs;
+    this.watchFn = watch;
+  }
+
+  get watchedRootPath(): string | null {
+    return this.rootPath;
+  }
+
+  /**
+   * Start watching a root, replacing any previous watch.
+   * @param {string} rootPath - Authorized root directory
+   * @param {string|null} configContent - Config whose filters decide which paths are visible
+   * @param {Object} options - includeExcluded reports excluded entries as the tree lists them
+   * @returns {boolean} - False when the platform cannot watch the directory
+   */
+  watch(
+    rootPath: string,
+    configContent?: string | null,
+    { includeExcluded = false }: Pick<DirectoryScanOptions, 'includeExcluded'> = {}
+  ): boolean {
+    this.close();
+
+    try {
+      const handle = this.watchFn(rootPath, { recursive: true }, (eventType, fileName) => {
+        this.handleEvent(eventType, fileName);
+      });
+      if (!handle) {
+        return false;
+      }
+
+      handle.on('error', (error) => {
+        this.onError(`Stopped watching ${rootPath}:`, error);
+        this.close();
+      });
+      this.handle = handle;
+    } catch (error) {
+      this.onWarn(`Live updates are unavailable for ${rootPath}: ${getErrorMessage(error)}`);
+      return false;
+    }
+
+    this.rootPath = rootPath;
+    this.configContent = configContent ?? null;
+    this.includeExcluded = includeExcluded;
+    this.rebuildFilters();
+    return true;
+  }
+
+  close(): void {
+    this.generation += 1;
+    this.handle?.close();
+    this.handle = null;
+    this.rootPath = null;
+    this.pendingPaths = new Map();
+    this.ignoreFilesChanged = false;
+    if (this.flushTimer !== null) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+  }
+
+  // Resolves once the changes queued so far have been reported; used by tests.
+  async flush(): Promise<void> {
+    if (this.flushTimer !== null) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+      this.queueFlush();
+    }
+    await this.flushQueue;
+  }
+
+  private rebuildFilters(): void {
+    if (!this.rootPath) {
+      return;
+    }
+
+    this.isHidden = createHiddenDirectoryCheck({
+      rootPath: this.rootPath,
+      configContent: this.configContent,
+      gitignoreParser: this.gitignoreParser,
+      onError: this.onError,
+    });
+  }
+
+  private handleEvent(eventType: string, fileName: string | Buffer | null): void {
+    if (!this.rootPath || !fileName) {
+      return;
+    }
+
+    const itemPath = path.join(this.rootPath, fileName.toString());
+    if (itemPath === this.rootPath || !isPathWithinRoot(this.rootPath, itemPath)) {
+      return;
+    }
+
+    if (IGNORE_FILE_NAMES.has(path.basename(itemPath))) {
+      this.ignoreFilesChanged = true;
+    }
+    if (this.isHidden(itemPath)) {
+      return;
+    }
+
+    this.pendingPaths.set(
+      itemPath,
+      this.pendingPaths.get(itemPath) === true || eventType === 'rename'
+    );
+    if (this.flushTimer === null) {
+      this.flushTimer = setTimeout(() => {
+        this.flushTimer = null;
+        this.queueFlush();
+      }, this.debounceMs);
+    }
+  }
+
+  // Flushes run one after another so reports keep the order the events arrived in.
+  private queueFlush(): void {
+    const pendingPaths = this.pendingPaths;
+    this.pendingPaths = new Map();
+    this.flushQueue = this.flushQueue
+      .then(() => this.reportChanges(pendingPaths))
+      .catch((error) => {
+        this.onError('Error reporting directory changes:', error);
+      });
+  }
+
+  private async reportChanges(pendingPaths: Map<string, boolean>): Promise<void> {
+    const rootPath = this.rootPath;
+    const generation = this.generation;
+    if (!rootPath || pendingPaths.size === 0) {
+      return;
+    }
+
+    if (this.ignoreFilesChanged) {
+      this.ignoreFilesChanged = false;
+      this.gitignoreParser.clearCache();
+      this.rebuildFilters();
+    }
+
+    // A parent's item count changes with its children, and a new folder only becomes visible
+    // once something is in it, so parents are listed again as well.
+    for (const itemPath of [...pendingPaths.keys()]) {
+      const parentPath = path.dirname(itemPath);
+      if (parentPath !== rootPath && !pendingPaths.has(parentPath)) {
+        pendingPaths.set(parentPath, false);
+      }
+    }
+
+    const pathsByParent = new Map<string, string[]>();
+    for (const itemPath of pendingPaths.keys()) {
+      const parentPath = path.dirname(itemPath);
+      pathsByParent.set(parentPath, [...(pathsByParent.get(parentPath) ?? []), itemPath]);
+    }
+
+    const changes: DirectoryChange[] = [];
+    for (const [parentPath, itemPaths] of pathsByParent) {
+      const entries = fs.existsSync(parentPath)
+        ? await this.listDirectory(rootPath, parentPath)
+        : [];
+      const entriesByPath = new Map(entries.map((entry) => [entry.path, entry]));
+
+      for (const itemPath of itemPaths) {
+        const item = entriesByPath.get(itemPath);
+        if (!item) {
+          changes.push({ type: 'unlink', path: itemPath });
+        } else {
+          changes.push({
+            type: pendingPaths.get(itemPath) ? 'add' : 'change',
+            path: itemPath,
+            item,
+          });
+        }
+      }
+    }
+
+    if (generation === this.generation && changes.length > 0) {
+      this.onChanges(rootPath, changes);
+    }
+  }
+
+  private listDirectory(rootPath: string, directoryPath: string): Promise<DirectoryTreeItem[]> {
+    return getDirectoryTree({
+      rootPath,
+      directoryPath,
+      maxDepth: 1,
+      includeExcluded: this.includeExcluded,
+      configContent: this.configContent,
+      gitignoreParser: this.gitignoreParser,
+      onWarn: this.onWarn,
+      onError: this.onError,
+    });
+  }
+}
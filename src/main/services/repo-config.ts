@@ -0,0 +1,54 @@
+import fs from 'fs';
+import path from 'path';
+
+import { isPathWithinRoot } from '../security/path-guard';
+
+import type { RepoConfigFile } from '../../types/ipc';
+
+// Checked in order; new configs are written to the first one.
+export const REPO_CONFIG_FILE_NAMES = ['.aicodefusion.yaml', '.ai-code-fusion/config.yaml'];
+
+const resolveRepoConfigPath = (rootPath: string, relativePath: string): string | null => {
+  const configPath = path.join(rootPath, relativePath);
+  // A symlinked config (or config folder) must not lead outside the root.
+  return isPathWithinRoot(rootPath, configPath) ? configPath : null;
+};
+
+/**
+ * Find the config file committed in a root directory.
+ * @param {string} rootPath - Authorized root directory
+ * @returns {Object|null} - The config's root-relative path and content, or null when there is none
+ */
+export const findRepoConfig = (rootPath: string): RepoConfigFile | null => {
+  for (const relativePath of REPO_CONFIG_FILE_NAMES) {
+    const configPath = resolveRepoConfigPath(rootPath, relativePath);
+    if (!configPath || !fs.existsSync(configPath)) {
+      continue;
+    }
+
+    try {
+      return { relativePath, content: fs.readFileSync(configPath, 'utf8') };
+    } catch (error) {
+      console.warn(`Could not read repository config ${configPath}:`, error);
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Write a config into a root directory, replacing the config found there if any.
+ * @param {string} rootPath - Authorized root directory
+ * @param {string} configContent - YAML config to write
+ * @returns {Object} - The written config's root-relative path and content
+ */
+export const writeRepoConfig = (rootPath: string, configContent: string): RepoConfigFile => {
+  const relativePath = findRepoConfig(rootPath)?.relativePath ?? REPO_CONFIG_FILE_NAMES[0];
+  const configPath = resolveRepoConfigPath(rootPath, relativePath);
+  if (!configPath) {
+    throw new Error('The repository config must be inside the selected directory.');
+  }
+
+  fs.writeFileSync(configPath, configContent, 'utf8');
+  return { relativePath, content: configContent };
+};
@@ -1,21 +1,25 @@
 import path from 'path';
 
-import yaml from 'yaml';
-
+import { parseConfigObject } from '../../utils/config-schema';
 import { FileAnalyzer, isBinaryFile } from '../../utils/file-analyzer';
 import { getRelativePath } from '../../utils/filter-utils';
+import { resolveIgnoreFileSettings } from '../../utils/gitignore-parser';
 import { TokenCounter } from '../../utils/token-counter';
 import { isPathWithinRoot } from '../security/path-guard';
 
-import type { AnalyzeRepositoryResult, ConfigObject, FileInfo } from '../../types/ipc';
+import { CachedTokenCounter } from './token-cache';
 
-type GitignorePatterns = {
-  excludePatterns: string[];
-  includePatterns: string[];
-};
+import type { TokenCacheStore } from './token-cache';
+import type { AnalyzeRepositoryResult, FileInfo } from '../../types/ipc';
+import type { GitignoreRule } from '../../utils/gitignore-matcher';
+import type { IgnoreFileSettings } from '../../utils/gitignore-parser';
 
 type GitignoreParserLike = {
-  parseGitignore: (rootPath: string) => GitignorePatterns;
+  parseGitignoreForPaths: (
+    rootPath: string,
+    filePaths: string[],
+    settings: IgnoreFileSettings
+  ) => GitignoreRule[];
 };
 
 type AnalyzeRepositoryInput = {
@@ -23,6 +27,7 @@ type AnalyzeRepositoryInput = {
   configContent: string;
   selectedFiles: string[];
   gitignoreParser: GitignoreParserLike;
+  tokenCache?: TokenCacheStore;
   onWarn?: (message: string) => void;
   onInfo?: (message: string) => void;
 };
@@ -32,22 +37,27 @@ export const analyzeRepository = ({
   configContent,
   selectedFiles,
   gitignoreParser,
+  tokenCache,
   onWarn,
   onInfo,
 }: AnalyzeRepositoryInput): AnalyzeRepositoryResult => {
-  const config = (yaml.parse(configContent) || {}) as ConfigObject;
-  const localTokenCounter = new TokenCounter();
-  let gitignorePatterns: GitignorePatterns = {
-    excludePatterns: [],
-    includePatterns: [],
-  };
+  const config = parseConfigObject(configContent, onWarn);
+  const localTokenCounter = tokenCache
+    ? new CachedTokenCounter(config.tokenizer, tokenCache)
+    : new TokenCounter(config.tokenizer);
+  let gitignoreRules: GitignoreRule[] = [];
   if (config.use_gitignore !== false) {
-    gitignorePatterns = gitignoreParser.parseGitignore(rootPath);
+    // Nested .gitignore files only apply to the directories of the selected files
+    gitignoreRules = gitignoreParser.parseGitignoreForPaths(
+      rootPath,
+      selectedFiles,
+      resolveIgnoreFileSettings(config)
+    );
   }
 
   const fileAnalyzer = new FileAnalyzer(config, localTokenCounter, {
     useGitignore: config.use_gitignore !== false,
-    gitignorePatterns,
+    gitignoreRules,
   });
 
   const filesInfo: FileInfo[] = [];
@@ -1,6 +1,7 @@
 import fs from 'fs';
 import path from 'path';
 
+import { resolveChunkOptions } from '../../utils/chunker';
 import { ContentProcessor } from '../../utils/content-processor';
 import {
   normalizeExportFormat,
@@ -8,32 +9,69 @@ import {
   toXmlNumericAttribute,
   wrapXmlCdata,
 } from '../../utils/export-format';
+import { isBinaryFile } from '../../utils/file-analyzer';
 import { TokenCounter } from '../../utils/token-counter';
+import { normalizeTokenizerId } from '../../utils/tokenizers';
 import { getErrorMessage } from '../errors';
 import { isPathWithinRoot } from '../security/path-guard';
 
-import type { FileInfo, ProcessRepositoryOptions, ProcessRepositoryResult } from '../../types/ipc';
+import { CachedTokenCounter } from './token-cache';
+
+import type { TokenCacheStore } from './token-cache';
+import type {
+  FileInfo,
+  ProcessedOutputPart,
+  ProcessRepositoryOptions,
+  ProcessRepositoryResult,
+  TokenizerId,
+} from '../../types/ipc';
 
 type RepositoryProcessingOptions = {
   showTokenCount: boolean;
   includeTreeView: boolean;
   exportFormat: ReturnType<typeof normalizeExportFormat>;
+  maxTokensPerPart: number;
+  chunkSize: number;
+  chunkOverlap: number;
+  tokenizer: TokenizerId;
 };
 
-type ProcessedRepositoryFileResult = {
+type RepositoryOutputBlock = {
   content: string;
   tokenCount: number;
+  // Tokens the block takes in the output, file wrapper included. Only measured when the output
+  // is split into parts.
+  outputTokenCount?: number;
+};
+
+type ProcessedRepositoryFileResult = {
+  blocks: RepositoryOutputBlock[];
+  tokenCount: number;
 } | null;
 
+type OutputPartMarker = {
+  index: number;
+  total: number;
+};
+
 type ProcessRepositoryInput = {
   rootPath: string;
   filesInfo: FileInfo[] | undefined;
   treeView?: string | null;
   options?: ProcessRepositoryOptions['options'];
+  tokenCache?: TokenCacheStore;
   onWarn?: (message: string) => void;
   onInfo?: (message: string, metadata?: unknown) => void;
 };
 
+type ProcessRepositoryToFileInput = ProcessRepositoryInput & {
+  outputPath: string;
+  previewLength?: number;
+};
+
+// Upper bound on the preview returned to the renderer when output is streamed to disk.
+export const PROCESSED_PREVIEW_MAX_LENGTH = 100_000;
+
 interface PathTree {
   [key: string]: PathTree | null;
 }
@@ -48,6 +86,9 @@ const resolveRepositoryProcessingOptions = (
   showTokenCount: options.showTokenCount !== false,
   includeTreeView: options.includeTreeView === true,
   exportFormat: normalizeExportFormat(options.exportFormat),
+  maxTokensPerPart: normalizeTokenCount(options.maxTokensPerPart),
+  ...resolveChunkOptions(options.chunkSize, options.chunkOverlap),
+  tokenizer: normalizeTokenizerId(options.tokenizer),
 });
 
 const upsertPathPart = (tree: PathTree, part: string, isLeaf: boolean): PathTree | null => {
@@ -125,15 +166,52 @@ const generateTreeView = (filesInfo: FileInfo[]): string => {
   return renderTreeView(buildPathTree(filesInfo));
 };
 
+// JSON output is assembled incrementally as `{ tree, files: [...], summary }` so it can be
+// streamed like the text formats; file entries come from ContentProcessor.
+const buildJsonHeader = (
+  processingOptions: RepositoryProcessingOptions,
+  treeView: string | undefined,
+  filesInfo: FileInfo[],
+  part?: OutputPartMarker
+): string => {
+  const headerFields: Record<string, unknown> = {};
+  if (part) {
+    headerFields.part = part;
+  }
+  headerFields.tree = processingOptions.includeTreeView
+    ? treeView || generateTreeView(filesInfo)
+    : null;
+
+  const serializedFields = Object.entries(headerFields)
+    .map(([key, value]) => `  ${JSON.stringify(key)}: ${JSON.stringify(value)},\n`)
+    .join('');
+  return `{\n${serializedFields}  "files": [\n`;
+};
+
 const buildRepositoryHeader = (
   processingOptions: RepositoryProcessingOptions,
   treeView: string | undefined,
-  filesInfo: FileInfo[]
+  filesInfo: FileInfo[],
+  part?: OutputPartMarker
 ): string => {
-  let header =
-    processingOptions.exportFormat === 'xml'
-      ? '<?xml version="1.0" encoding="UTF-8"?>\n<repositoryContent>\n'
+  if (processingOptions.exportFormat === 'json') {
+    return buildJsonHeader(processingOptions, treeView, filesInfo, part);
+  }
+
+  // JSON Lines output is a flat list of chunk records without a document wrapper.
+  if (processingOptions.exportFormat === 'jsonl') {
+    return '';
+  }
+
+  let header: string;
+  if (processingOptions.exportFormat === 'xml') {
+    const partAttributes = part ? ` part="${part.index}" totalParts="${part.total}"` : '';
+    header = `<?xml version="1.0" encoding="UTF-8"?>\n<repositoryContent${partAttributes}>\n`;
+  } else {
+    header = part
+      ? `# Repository Content (part ${part.index} of ${part.total})\n\n`
       : '# Repository Content\n\n';
+  }
 
   if (processingOptions.includeTreeView) {
     const resolvedTreeView = treeView || generateTreeView(filesInfo);
@@ -158,11 +236,75 @@ const buildRepositoryHeader = (
   return header;
 };
 
+// Splits on line boundaries so each segment stays within the token limit; a single line
+// longer than the limit becomes its own segment.
+const splitContentByTokens = (
+  content: string,
+  maxTokens: number,
+  tokenCounter: TokenCounter
+): RepositoryOutputBlock[] => {
+  const segments: RepositoryOutputBlock[] = [];
+  let currentContent = '';
+  let currentTokens = 0;
+
+  for (const line of content.split(/(?<=\n)/)) {
+    const lineTokens = tokenCounter.countTokens(line);
+    if (currentContent && currentTokens + lineTokens > maxTokens) {
+      segments.push({ content: currentContent, tokenCount: currentTokens });
+      currentContent = '';
+      currentTokens = 0;
+    }
+    currentContent += line;
+    currentTokens += lineTokens;
+  }
+
+  if (currentContent) {
+    segments.push({ content: currentContent, tokenCount: currentTokens });
+  }
+
+  return segments;
+};
+
+// One block per JSON Lines chunk record, counted with the tokens of the chunk it carries.
+const splitChunkRecords = (content: string, tokenCounter: TokenCounter): RepositoryOutputBlock[] =>
+  content.split(/(?<=\n)/).map((record) => ({
+    content: record,
+    tokenCount: normalizeTokenCount((JSON.parse(record) as { tokens?: unknown }).tokens),
+    outputTokenCount: tokenCounter.countTokens(record),
+  }));
+
+// Part numbers and totals are not known while parts are packed. Placeholders with more digits
+// than real values keep the budget reserved for headers and footers on the safe side.
+const PLACEHOLDER_PART_MARKER: OutputPartMarker = { index: 99_999, total: 99_999 };
+const PLACEHOLDER_PART_SUMMARY = {
+  totalTokens: 999_999_999,
+  processedFiles: 99_999,
+  skippedFiles: 99_999,
+};
+
+// Tokens a file's wrapper (path header, tags or JSON fields) adds around its content.
+const countFileWrapperTokens = (
+  contentProcessor: ContentProcessor,
+  tokenCounter: TokenCounter,
+  processingOptions: RepositoryProcessingOptions,
+  filePath: string,
+  formatOptions: Parameters<ContentProcessor['formatTextFile']>[2]
+): number =>
+  tokenCounter.countTokens(
+    formatOutputBlock(
+      processingOptions,
+      contentProcessor.formatTextFile(filePath, '', formatOptions),
+      false
+    )
+  );
+
 const processRepositoryFile = (
   rootPath: string,
   fileInfo: FileInfo,
   contentProcessor: ContentProcessor,
+  tokenCounter: TokenCounter,
   processingOptions: RepositoryProcessingOptions,
+  partReserveTokens: number,
   onWarn?: (message: string) => void
 ): ProcessedRepositoryFileResult => {
   const filePath = fileInfo.path;
@@ -179,22 +321,101 @@ const processRepositoryFile = (
     return null;
   }
 
-  const content = contentProcessor.processFile(fullPath, filePath, {
+  const { maxTokensPerPart } = processingOptions;
+  const formatOptions = {
     exportFormat: processingOptions.exportFormat,
     showTokenCount: processingOptions.showTokenCount,
     tokenCount,
+  };
+  const isBinary = maxTokensPerPart > 0 && isBinaryFile(fullPath);
+
+  // Chunk records are already bounded by chunkSize, so JSON Lines files are never segmented;
+  // their records are packed into parts one by one instead.
+  if (maxTokensPerPart > 0 && processingOptions.exportFormat !== 'jsonl' && !isBinary) {
+    const segmentWrapperTokens = countFileWrapperTokens(
+      contentProcessor,
+      tokenCounter,
+      processingOptions,
+      filePath,
+      { ...formatOptions, segment: PLACEHOLDER_PART_MARKER }
+    );
+    const segmentTokenLimit = Math.max(
+      1,
+      maxTokensPerPart - partReserveTokens - segmentWrapperTokens
+    );
+
+    const segments =
+      tokenCount > segmentTokenLimit
+        ? splitContentByTokens(
+            fs.readFileSync(fullPath, { encoding: 'utf-8', flag: 'r' }),
+            segmentTokenLimit,
+            tokenCounter
+          )
+        : [];
+    if (segments.length > 1) {
+      return {
+        tokenCount,
+        blocks: segments.map((segment, index) => ({
+          tokenCount: segment.tokenCount,
+          outputTokenCount: segment.tokenCount + segmentWrapperTokens,
+          content: contentProcessor.formatTextFile(filePath, segment.content, {
+            ...formatOptions,
+            tokenCount: segment.tokenCount,
+            segment: { index: index + 1, total: segments.length },
+          }),
+        })),
+      };
+    }
+  }
+
+  const content = contentProcessor.processFile(fullPath, filePath, {
+    ...formatOptions,
+    chunkSize: processingOptions.chunkSize,
+    chunkOverlap: processingOptions.chunkOverlap,
   });
   if (!content) {
     return null;
   }
 
-  return { content, tokenCount };
+  if (maxTokensPerPart > 0 && processingOptions.exportFormat === 'jsonl' && !isBinary) {
+    return { blocks: splitChunkRecords(content, tokenCounter), tokenCount };
+  }
+
+  const block: RepositoryOutputBlock = { content, tokenCount };
+  if (maxTokensPerPart > 0) {
+    // Binary notes and chunk records are mostly wrapper, so they are measured whole.
+    block.outputTokenCount =
+      isBinary || processingOptions.exportFormat === 'jsonl'
+        ? tokenCounter.countTokens(content)
+        : tokenCount +
+          countFileWrapperTokens(
+            contentProcessor,
+            tokenCounter,
+            processingOptions,
+            filePath,
+            formatOptions
+          );
+  }
+  return { blocks: [block], tokenCount };
 };
 
 const buildRepositoryFooter = (
   processingOptions: RepositoryProcessingOptions,
   summary: { totalTokens: number; processedFiles: number; skippedFiles: number }
 ): string => {
+  if (processingOptions.exportFormat === 'json') {
+    const jsonSummary = {
+      totalTokens: normalizeTokenCount(summary.totalTokens),
+      processedFiles: normalizeTokenCount(summary.processedFiles),
+      skippedFiles: normalizeTokenCount(summary.skippedFiles),
+    };
+    return `\n  ],\n  "summary": ${JSON.stringify(jsonSummary)}\n}\n`;
+  }
+
+  if (processingOptions.exportFormat === 'jsonl') {
+    return '';
+  }
+
   if (processingOptions.exportFormat === 'xml') {
     return (
       '</files>\n' +
@@ -208,34 +429,68 @@ const buildRepositoryFooter = (
   return '\n--END--\n';
 };
 
-export const processRepository = ({
-  rootPath,
-  filesInfo,
-  treeView,
-  options,
-  onWarn,
-  onInfo,
-}: ProcessRepositoryInput): ProcessRepositoryResult => {
-  const tokenCounter = new TokenCounter();
-  const contentProcessor = new ContentProcessor(tokenCounter);
-  const processingOptions = resolveRepositoryProcessingOptions(options);
-  onInfo?.('Processing with options:', processingOptions);
+type RepositoryOutputSink = (chunk: string) => void;
 
-  const normalizedFilesInfo = filesInfo ?? [];
-  let processedContent = buildRepositoryHeader(
-    processingOptions,
-    treeView ?? undefined,
-    normalizedFilesInfo
-  );
+// Text formats concatenate file blocks as-is; JSON file entries need array separators.
+const formatOutputBlock = (
+  processingOptions: RepositoryProcessingOptions,
+  content: string,
+  isFirstBlock: boolean
+): string => {
+  if (processingOptions.exportFormat !== 'json') {
+    return content;
+  }
+
+  return `${isFirstBlock ? '' : ',\n'}    ${content}`;
+};
+
+type RepositoryOutputSummary = {
+  exportFormat: RepositoryProcessingOptions['exportFormat'];
+  totalTokens: number;
+  processedFiles: number;
+  skippedFiles: number;
+  filesInfo: FileInfo[];
+};
+
+type ProcessedFilesSummary = Pick<
+  RepositoryOutputSummary,
+  'totalTokens' | 'processedFiles' | 'skippedFiles'
+>;
+
+type ProcessedFileHandlers = {
+  onFile: (fileInfo: FileInfo, processedFile: NonNullable<ProcessedRepositoryFileResult>) => void;
+  onSkippedFile?: () => void;
+  // Tokens a part needs besides the file itself; a file that does not fit next to them is
+  // split into segments.
+  getPartReserveTokens?: (fileInfo: FileInfo) => number;
+};
+
+const createProcessingTokenCounter = (
+  { tokenCache }: ProcessRepositoryInput,
+  processingOptions: RepositoryProcessingOptions
+): TokenCounter =>
+  tokenCache
+    ? new CachedTokenCounter(processingOptions.tokenizer, tokenCache)
+    : new TokenCounter(processingOptions.tokenizer);
+
+const forEachProcessedFile = (
+  input: ProcessRepositoryInput,
+  processingOptions: RepositoryProcessingOptions,
+  { onFile, onSkippedFile, getPartReserveTokens }: ProcessedFileHandlers,
+  tokenCounter = createProcessingTokenCounter(input, processingOptions)
+): ProcessedFilesSummary => {
+  const { rootPath, filesInfo, onWarn } = input;
+  const contentProcessor = new ContentProcessor(tokenCounter);
 
   let totalTokens = 0;
   let processedFiles = 0;
   let skippedFiles = 0;
 
-  for (const fileInfo of normalizedFilesInfo) {
+  for (const fileInfo of filesInfo ?? []) {
     if (!fileInfo?.path) {
       onWarn?.('Skipping invalid file info entry');
       skippedFiles++;
+      onSkippedFile?.();
       continue;
     }
 
@@ -244,35 +499,393 @@ export const processRepository = ({
         rootPath,
         fileInfo,
         contentProcessor,
+        tokenCounter,
         processingOptions,
+        getPartReserveTokens?.(fileInfo) ?? 0,
         onWarn
       );
       if (!processedFile) {
         skippedFiles++;
+        onSkippedFile?.();
         continue;
       }
 
-      processedContent += processedFile.content;
+      onFile(fileInfo, processedFile);
       totalTokens += processedFile.tokenCount;
       processedFiles++;
     } catch (error) {
       onWarn?.(`Failed to process file: ${getErrorMessage(error)}`);
       skippedFiles++;
+      onSkippedFile?.();
     }
   }
 
-  processedContent += buildRepositoryFooter(processingOptions, {
-    totalTokens,
-    processedFiles,
-    skippedFiles,
+  return { totalTokens, processedFiles, skippedFiles };
+};
+
+// Emits header, per-file blocks and footer in order so callers can either buffer the
+// output or stream it to disk without holding the whole repository in memory.
+const writeRepositoryOutput = (
+  input: ProcessRepositoryInput,
+  write: RepositoryOutputSink
+): RepositoryOutputSummary => {
+  const processingOptions = resolveRepositoryProcessingOptions(input.options);
+  input.onInfo?.('Processing with options:', processingOptions);
+
+  const normalizedFilesInfo = input.filesInfo ?? [];
+  write(
+    buildRepositoryHeader(processingOptions, input.treeView ?? undefined, normalizedFilesInfo)
+  );
+
+  let writtenBlocks = 0;
+  const summary = forEachProcessedFile(input, processingOptions, {
+    onFile: (_fileInfo, processedFile) => {
+      for (const block of processedFile.blocks) {
+        write(formatOutputBlock(processingOptions, block.content, writtenBlocks === 0));
+        writtenBlocks++;
+      }
+    },
   });
 
+  write(buildRepositoryFooter(processingOptions, summary));
+
   return {
-    content: processedContent,
     exportFormat: processingOptions.exportFormat,
-    totalTokens,
-    processedFiles,
-    skippedFiles,
+    ...summary,
     filesInfo: normalizedFilesInfo,
   };
 };
+
+type PendingOutputPart = {
+  blocks: string[];
+  filesInfo: FileInfo[];
+  totalTokens: number;
+  // Tokens of the blocks in the output, file wrappers included.
+  outputTokens: number;
+  skippedFiles: number;
+};
+
+const createPendingOutputPart = (): PendingOutputPart => ({
+  blocks: [],
+  filesInfo: [],
+  totalTokens: 0,
+  outputTokens: 0,
+  skippedFiles: 0,
+});
+
+// Packs whole files into parts of at most maxTokensPerPart tokens, header and footer included,
+// and hands each part over once it is full. Only files that do not fit a part on their own
+// arrive here as several segment blocks. Files skipped while a part is filled count towards it.
+const forEachOutputPart = (
+  input: ProcessRepositoryInput,
+  processingOptions: RepositoryProcessingOptions,
+  onPart: (part: PendingOutputPart) => void
+): ProcessedFilesSummary => {
+  const { maxTokensPerPart } = processingOptions;
+  const tokenCounter = createProcessingTokenCounter(input, processingOptions);
+  const countHeaderTokens = (filesInfo: FileInfo[]) =>
+    tokenCounter.countTokens(
+      buildRepositoryHeader(
+        processingOptions,
+        input.treeView ?? undefined,
+        filesInfo,
+        PLACEHOLDER_PART_MARKER
+      )
+    );
+  const footerTokens = tokenCounter.countTokens(
+    buildRepositoryFooter(processingOptions, PLACEHOLDER_PART_SUMMARY)
+  );
+  // Only a generated tree view depends on the files in the part.
+  const headerListsPartFiles = processingOptions.includeTreeView && !input.treeView;
+  const fixedHeaderTokens = headerListsPartFiles ? 0 : countHeaderTokens([]);
+  const countReserveTokens = (filesInfo: FileInfo[]) =>
+    footerTokens + (headerListsPartFiles ? countHeaderTokens(filesInfo) : fixedHeaderTokens);
+
+  let currentPart = createPendingOutputPart();
+  let partCount = 0;
+  const completePart = () => {
+    onPart(currentPart);
+    partCount++;
+    currentPart = createPendingOutputPart();
+  };
+
+  const summary = forEachProcessedFile(
+    input,
+    processingOptions,
+    {
+      onFile: (fileInfo, processedFile) => {
+        for (const block of processedFile.blocks) {
+          const blockTokens = block.outputTokenCount ?? block.tokenCount;
+          if (currentPart.blocks.length > 0) {
+            const partFilesInfo = currentPart.filesInfo.includes(fileInfo)
+              ? currentPart.filesInfo
+              : [...currentPart.filesInfo, fileInfo];
+            const partTokens =
+              currentPart.outputTokens + blockTokens + countReserveTokens(partFilesInfo);
+            if (partTokens > maxTokensPerPart) {
+              completePart();
+            }
+          }
+
+          currentPart.blocks.push(block.content);
+          currentPart.totalTokens += block.tokenCount;
+          currentPart.outputTokens += blockTokens;
+          if (!currentPart.filesInfo.includes(fileInfo)) {
+            currentPart.filesInfo.push(fileInfo);
+          }
+        }
+      },
+      onSkippedFile: () => {
+        currentPart.skippedFiles++;
+      },
+      getPartReserveTokens: (fileInfo) => countReserveTokens([fileInfo]),
+    },
+    tokenCounter
+  );
+
+  if (currentPart.blocks.length > 0 || partCount === 0) {
+    completePart();
+  }
+  return summary;
+};
+
+const formatOutputPartBody = (
+  processingOptions: RepositoryProcessingOptions,
+  part: PendingOutputPart
+): string =>
+  part.blocks
+    .map((block, blockIndex) => formatOutputBlock(processingOptions, block, blockIndex === 0))
+    .join('');
+
+const buildOutputPartHeader = (
+  processingOptions: RepositoryProcessingOptions,
+  treeView: string | null | undefined,
+  part: Omit<PendingOutputPart, 'blocks'>,
+  marker: OutputPartMarker
+): string =>
+  buildRepositoryHeader(processingOptions, treeView ?? undefined, part.filesInfo, marker);
+
+const buildOutputPartFooter = (
+  processingOptions: RepositoryProcessingOptions,
+  part: Omit<PendingOutputPart, 'blocks'>
+): string =>
+  buildRepositoryFooter(processingOptions, {
+    totalTokens: part.totalTokens,
+    processedFiles: part.filesInfo.length,
+    skippedFiles: part.skippedFiles,
+  });
+
+// Markdown parts and JSON Lines records still read as one output when joined; a blank
+// separator line would be an invalid JSON Lines record. Joined json or xml parts would not be
+// a valid document, so the first part stands in for them, as for streamed parts.
+const joinOutputParts = (
+  processingOptions: RepositoryProcessingOptions,
+  parts: ProcessedOutputPart[]
+): string => {
+  if (processingOptions.exportFormat === 'markdown') {
+    return parts.map((part) => part.content).join('\n');
+  }
+
+  if (processingOptions.exportFormat === 'jsonl') {
+    return parts.map((part) => part.content).join('');
+  }
+
+  return parts[0].content;
+};
+
+const processRepositoryInParts = (
+  input: ProcessRepositoryInput,
+  processingOptions: RepositoryProcessingOptions
+): ProcessRepositoryResult => {
+  const pendingParts: PendingOutputPart[] = [];
+  const summary = forEachOutputPart(input, processingOptions, (part) => {
+    pendingParts.push(part);
+  });
+
+  const parts: ProcessedOutputPart[] = pendingParts.map((pendingPart, index) => {
+    const marker = { index: index + 1, total: pendingParts.length };
+    const content =
+      buildOutputPartHeader(processingOptions, input.treeView, pendingPart, marker) +
+      formatOutputPartBody(processingOptions, pendingPart) +
+      buildOutputPartFooter(processingOptions, pendingPart);
+
+    return {
+      index: marker.index,
+      content,
+      totalTokens: pendingPart.totalTokens,
+      processedFiles: pendingPart.filesInfo.length,
+    };
+  });
+
+  return {
+    content: joinOutputParts(processingOptions, parts),
+    exportFormat: processingOptions.exportFormat,
+    ...summary,
+    filesInfo: input.filesInfo ?? [],
+    parts,
+  };
+};
+
+type OutputFileWriter = {
+  write: RepositoryOutputSink;
+  close: () => void;
+  getPreview: () => { content: string; isPreviewTruncated: boolean };
+};
+
+// Writes output to disk and keeps its first previewLength characters for the renderer.
+const openOutputFile = (outputPath: string, previewLength: number): OutputFileWriter => {
+  let preview = '';
+  let isPreviewTruncated = false;
+  const fileDescriptor = fs.openSync(outputPath, 'w');
+
+  return {
+    write: (chunk) => {
+      fs.writeSync(fileDescriptor, chunk);
+
+      const remainingPreviewLength = previewLength - preview.length;
+      if (chunk.length > remainingPreviewLength) {
+        isPreviewTruncated = true;
+      }
+      if (remainingPreviewLength > 0) {
+        preview += chunk.slice(0, remainingPreviewLength);
+      }
+    },
+    close: () => {
+      fs.closeSync(fileDescriptor);
+    },
+    getPreview: () => ({ content: preview, isPreviewTruncated }),
+  };
+};
+
+// Parts of streamed output are named like parts saved from the Processed tab.
+const getOutputPartPath = (outputPath: string, marker: OutputPartMarker): string => {
+  const { dir, name, ext } = path.parse(outputPath);
+  return path.join(dir, `${name}.part-${marker.index}-of-${marker.total}${ext}`);
+};
+
+// Part headers name the total number of parts, so part bodies are spooled to a temporary file
+// until the last part is known. Only one part is held in memory at a time. Each part is a
+// document of its own, so several parts are written to one file per part.
+const writeRepositoryOutputInParts = (
+  input: ProcessRepositoryInput,
+  processingOptions: RepositoryProcessingOptions,
+  outputPath: string,
+  previewLength: number
+): ProcessRepositoryResult => {
+  const spooledParts: Array<Omit<PendingOutputPart, 'blocks'> & { byteLength: number }> = [];
+  const writtenPaths: string[] = [];
+  const spoolPath = `${outputPath}.parts.tmp`;
+  const spoolDescriptor = fs.openSync(spoolPath, 'w+');
+  try {
+    const summary = forEachOutputPart(input, processingOptions, (part) => {
+      const body = formatOutputPartBody(processingOptions, part);
+      fs.writeSync(spoolDescriptor, body);
+      spooledParts.push({
+        filesInfo: part.filesInfo,
+        totalTokens: part.totalTokens,
+        outputTokens: part.outputTokens,
+        skippedFiles: part.skippedFiles,
+        byteLength: Buffer.byteLength(body),
+      });
+    });
+
+    let spoolPosition = 0;
+    const parts: ProcessedOutputPart[] = spooledParts.map((part, index) => {
+      const marker = { index: index + 1, total: spooledParts.length };
+      const body = Buffer.alloc(part.byteLength);
+      fs.readSync(spoolDescriptor, body, 0, part.byteLength, spoolPosition);
+      spoolPosition += part.byteLength;
+
+      const partPath =
+        spooledParts.length > 1 ? getOutputPartPath(outputPath, marker) : outputPath;
+      const outputFile = openOutputFile(partPath, previewLength);
+      writtenPaths.push(partPath);
+      try {
+        outputFile.write(buildOutputPartHeader(processingOptions, input.treeView, part, marker));
+        outputFile.write(body.toString('utf-8'));
+        outputFile.write(buildOutputPartFooter(processingOptions, part));
+      } finally {
+        outputFile.close();
+      }
+
+      return {
+        index: marker.index,
+        ...outputFile.getPreview(),
+        totalTokens: part.totalTokens,
+        processedFiles: part.filesInfo.length,
+        outputPath: partPath,
+      };
+    });
+
+    // The first part stands in for the output; the parts list every file written.
+    const [firstPart] = parts;
+    return {
+      content: firstPart.content,
+      exportFormat: processingOptions.exportFormat,
+      ...summary,
+      filesInfo: input.filesInfo ?? [],
+      outputPath,
+      isPreviewTruncated: firstPart.isPreviewTruncated,
+      parts,
+    };
+  } catch (error) {
+    // Do not leave half-written output files behind.
+    for (const writtenPath of writtenPaths) {
+      fs.rmSync(writtenPath, { force: true });
+    }
+    throw error;
+  } finally {
+    fs.closeSync(spoolDescriptor);
+    fs.rmSync(spoolPath, { force: true });
+  }
+};
+
+export const processRepository = (input: ProcessRepositoryInput): ProcessRepositoryResult => {
+  const processingOptions = resolveRepositoryProcessingOptions(input.options);
+  if (processingOptions.maxTokensPerPart > 0) {
+    input.onInfo?.('Processing with options:', processingOptions);
+    return processRepositoryInParts(input, processingOptions);
+  }
+
+  let processedContent = '';
+  const summary = writeRepositoryOutput(input, (chunk) => {
+    processedContent += chunk;
+  });
+
+  return {
+    content: processedContent,
+    ...summary,
+  };
+};
+
+export const processRepositoryToFile = ({
+  outputPath,
+  previewLength = PROCESSED_PREVIEW_MAX_LENGTH,
+  ...input
+}: ProcessRepositoryToFileInput): ProcessRepositoryResult => {
+  const processingOptions = resolveRepositoryProcessingOptions(input.options);
+  if (processingOptions.maxTokensPerPart > 0) {
+    input.onInfo?.('Processing with options:', processingOptions);
+    return writeRepositoryOutputInParts(input, processingOptions, outputPath, previewLength);
+  }
+
+  const outputFile = openOutputFile(outputPath, previewLength);
+  let summary: RepositoryOutputSummary;
+  try {
+    summary = writeRepositoryOutput(input, outputFile.write);
+  } catch (error) {
+    // Do not leave a half-written output file behind.
+    outputFile.close();
+    fs.rmSync(outputPath, { force: true });
+    throw error;
+  }
+  outputFile.close();
+
+  const { content, isPreviewTruncated } = outputFile.getPreview();
+  return {
+    content,
+    ...summary,
+    outputPath,
+    isPreviewTruncated,
+  };
+};
@@ -0,0 +1,267 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+import { TokenCounter } from '../../utils/token-counter';
+import { getErrorMessage } from '../errors';
+
+import type { TokenizerId } from '../../types/ipc';
+
+export type TokenCacheStore = {
+  get: (contentHash: string, tokenizer: TokenizerId) => number | undefined;
+  set: (contentHash: string, tokenizer: TokenizerId, tokens: number) => void;
+};
+
+// [`${tokenizer}:${contentHash}`, tokens]
+export type TokenCacheEntry = [string, number];
+
+type TokenCacheFile = {
+  version: number;
+  entries: TokenCacheEntry[];
+};
+
+type TokenCacheOptions = {
+  filePath: string;
+  maxEntries?: number;
+  // When set, changes are written to disk after this delay; otherwise only save() persists.
+  autoSaveDelayMs?: number;
+};
+
+export const TOKEN_CACHE_FILE_NAME = 'token-cache.json';
+const TOKEN_CACHE_VERSION = 1;
+
+// ~50k entries keep the cache file around 5 MB.
+export const DEFAULT_TOKEN_CACHE_MAX_ENTRIES = 50_000;
+
+// Short strings (single lines, small chunks) are cheaper to tokenize than to hash and store.
+export const MIN_CACHED_CONTENT_LENGTH = 256;
+
+export const hashTokenContent = (content: string): string => {
+  return crypto.createHash('sha256').update(content).digest('hex');
+};
+
+const toCacheKey = (contentHash: string, tokenizer: TokenizerId) => `${tokenizer}:${contentHash}`;
+
+const isTokenCacheEntry = (value: unknown): value is TokenCacheEntry => {
+  return (
+    Array.isArray(value) &&
+    value.length === 2 &&
+    typeof value[0] === 'string' &&
+    typeof value[1] === 'number' &&
+    Number.isFinite(value[1])
+  );
+};
+
+/**
+ * Token counts keyed by content hash and tokenizer, persisted as JSON under userData.
+ * Entries are kept in least-recently-used order and the oldest are evicted past maxEntries.
+ */
+export class TokenCache implements TokenCacheStore {
+  readonly filePath: string;
+
+  private readonly maxEntries: number;
+
+  private readonly autoSaveDelayMs: number | null;
+
+  private entries = new Map<string, number>();
+
+  private loaded = false;
+
+  private loadedMtimeMs: number | null = null;
+
+  private saveTimer: ReturnType<typeof setTimeout> | null = null;
+
+  constructor({
+    filePath,
+    maxEntries = DEFAULT_TOKEN_CACHE_MAX_ENTRIES,
+    autoSaveDelayMs,
+  }: TokenCacheOptions) {
+    this.filePath = filePath;
+    this.maxEntries = Math.max(1, maxEntries);
+    this.autoSaveDelayMs = autoSaveDelayMs ?? null;
+  }
+
+  get size(): number {
+    this.ensureLoaded();
+    return this.entries.size;
+  }
+
+  /**
+   * Reads the cache file if it changed since the last load. Other methods load the cache on
+   * first use only, so callers decide when to pick up entries saved by another process.
+   */
+  load(): void {
+    const mtimeMs = this.readFileMtime();
+    if (this.loaded && mtimeMs === this.loadedMtimeMs) {
+      return;
+    }
+
+    this.loaded = true;
+    this.loadedMtimeMs = mtimeMs;
+    this.entries = new Map();
+    if (mtimeMs === null) {
+      return;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8')) as Partial<TokenCacheFile>;
+      if (data?.version !== TOKEN_CACHE_VERSION || !Array.isArray(data.entries)) {
+        return;
+      }
+
+      for (const entry of data.entries.filter((value) => isTokenCacheEntry(value))) {
+        this.entries.set(entry[0], entry[1]);
+      }
+      this.evict();
+    } catch (error) {
+      console.warn(`Ignoring unreadable token cache ${this.filePath}: ${getErrorMessage(error)}`);
+      this.entries = new Map();
+    }
+  }
+
+  get(contentHash: string, tokenizer: TokenizerId): number | undefined {
+    this.ensureLoaded();
+    const key = toCacheKey(contentHash, tokenizer);
+    const tokens = this.entries.get(key);
+    if (tokens !== undefined) {
+      // Re-insert to mark the entry as recently used.
+      this.entries.delete(key);
+      this.entries.set(key, tokens);
+    }
+    return tokens;
+  }
+
+  set(contentHash: string, tokenizer: TokenizerId, tokens: number): void {
+    this.merge([[toCacheKey(contentHash, tokenizer), tokens]]);
+  }
+
+  // Adds entries counted elsewhere (e.g. by a worker thread).
+  merge(entries: TokenCacheEntry[]): void {
+    this.ensureLoaded();
+    for (const [key, tokens] of entries.filter((entry) => isTokenCacheEntry(entry))) {
+      this.entries.delete(key);
+      this.entries.set(key, tokens);
+    }
+    this.evict();
+    this.scheduleSave();
+  }
+
+  save(): void {
+    this.cancelScheduledSave();
+    if (!this.loaded) {
+      return;
+    }
+
+    try {
+      const data: TokenCacheFile = {
+        version: TOKEN_CACHE_VERSION,
+        entries: [...this.entries.entries()],
+      };
+      const tempFilePath = `${this.filePath}.tmp`;
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(tempFilePath, JSON.stringify(data));
+      fs.renameSync(tempFilePath, this.filePath);
+      this.loadedMtimeMs = this.readFileMtime();
+    } catch (error) {
+      console.warn(`Failed to save token cache ${this.filePath}: ${getErrorMessage(error)}`);
+    }
+  }
+
+  clear(): void {
+    this.cancelScheduledSave();
+    this.entries = new Map();
+    this.loaded = true;
+    this.loadedMtimeMs = null;
+    try {
+      fs.rmSync(this.filePath, { force: true });
+    } catch (error) {
+      console.warn(`Failed to remove token cache ${this.filePath}: ${getErrorMessage(error)}`);
+    }
+  }
+
+  private ensureLoaded(): void {
+    if (!this.loaded) {
+      this.load();
+    }
+  }
+
+  private evict(): void {
+    const overflow = this.entries.size - this.maxEntries;
+    if (overflow <= 0) {
+      return;
+    }
+
+    const keys = this.entries.keys();
+    for (let index = 0; index < overflow; index++) {
+      this.entries.delete(keys.next().value as string);
+    }
+  }
+
+  private scheduleSave(): void {
+    if (this.autoSaveDelayMs === null || this.saveTimer !== null) {
+      return;
+    }
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, this.autoSaveDelayMs);
+    // A pending save must not keep the process alive; quitting flushes explicitly.
+    this.saveTimer.unref?.();
+  }
+
+  private cancelScheduledSave(): void {
+    if (this.saveTimer !== null) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+  }
+
+  private readFileMtime(): number | null {
+    try {
+      return fs.statSync(this.filePath).mtimeMs;
+    } catch {
+      return null;
+    }
+  }
+}
+
+// Wraps a store and remembers every entry written through it, so a worker can send its new
+// counts back to the process that owns the cache file.
+export const recordTokenCacheWrites = (store: TokenCacheStore) => {
+  const entries: TokenCacheEntry[] = [];
+  const recorder: TokenCacheStore = {
+    get: (contentHash, tokenizer) => store.get(contentHash, tokenizer),
+    set: (contentHash, tokenizer, tokens) => {
+      store.set(contentHash, tokenizer, tokens);
+      entries.push([toCacheKey(contentHash, tokenizer), tokens]);
+    },
+  };
+  return { store: recorder, entries };
+};
+
+// TokenCounter that looks whole-file contents up by hash before tokenizing them.
+export class CachedTokenCounter extends TokenCounter {
+  private readonly tokenCache: TokenCacheStore;
+
+  constructor(tokenizer: unknown, tokenCache: TokenCacheStore) {
+    super(tokenizer);
+    this.tokenCache = tokenCache;
+  }
+
+  countTokens(text: unknown): number {
+    if (typeof text !== 'string' || text.length < MIN_CACHED_CONTENT_LENGTH) {
+      return super.countTokens(text);
+    }
+
+    const contentHash = hashTokenContent(text);
+    const cachedTokens = this.tokenCache.get(contentHash, this.tokenizer);
+    if (cachedTokens !== undefined) {
+      return cachedTokens;
+    }
+
+    const tokens = super.countTokens(text);
+    this.tokenCache.set(contentHash, this.tokenizer, tokens);
+    return tokens;
+  }
+}
@@ -0,0 +1,283 @@
+import fs from 'fs';
+import path from 'path';
+
+import { isBinaryFile } from '../../utils/file-analyzer';
+import { TokenCounter } from '../../utils/token-counter';
+import { TOKENIZER_IDS, normalizeTokenizerId } from '../../utils/tokenizers';
+import { isPathWithinRoot } from '../security/path-guard';
+
+import { analyzeRepository } from './repository-analyzer';
+import { CachedTokenCounter } from './token-cache';
+
+import type { TokenCacheStore } from './token-cache';
+import type {
+  AnalyzeRepositoryResult,
+  CompareTokenizersResult,
+  CountFilesTokensResult,
+  TokenizerId,
+} from '../../types/ipc';
+import type { GitignoreRule } from '../../utils/gitignore-matcher';
+
+export type CountFilesTask = {
+  type: 'countFiles';
+  rootPath: string;
+  filePaths: string[];
+  tokenizer?: TokenizerId;
+};
+
+export type CompareTokenizersTask = {
+  type: 'compareTokenizers';
+  rootPath: string;
+  filePaths: string[];
+  tokenizers?: TokenizerId[];
+};
+
+export type AnalyzeFilesTask = {
+  type: 'analyze';
+  rootPath: string;
+  configContent: string;
+  selectedFiles: string[];
+  // Resolved on the main thread so every worker shares the parser cache.
+  gitignoreRules: GitignoreRule[];
+};
+
+export type TokenTask = CountFilesTask | CompareTokenizersTask | AnalyzeFilesTask;
+
+export type TokenTaskResult<T extends TokenTask> = T extends CountFilesTask
+  ? CountFilesTokensResult
+  : T extends CompareTokenizersTask
+    ? CompareTokenizersResult
+    : AnalyzeRepositoryResult;
+
+type FileMetadata = { size: number; mtime: number };
+type ResolvedFileContext = {
+  filePath: string;
+  resolvedFilePath: string;
+  fileMetadata: FileMetadata;
+};
+
+type ResolvedFileHandlers = {
+  onOutsideRoot: (filePath: string) => void;
+  onMissingFile: (filePath: string) => void;
+  onResolvedFile: (context: ResolvedFileContext) => void;
+  onError: (filePath: string, error: unknown) => void;
+};
+
+const forEachResolvedFile = (
+  authorizedRoot: string,
+  filePaths: string[],
+  handlers: ResolvedFileHandlers
+) => {
+  for (const filePath of filePaths) {
+    try {
+      const resolvedFilePath = path.resolve(authorizedRoot, filePath);
+      if (!isPathWithinRoot(authorizedRoot, resolvedFilePath)) {
+        handlers.onOutsideRoot(filePath);
+        continue;
+      }
+
+      if (!fs.existsSync(resolvedFilePath)) {
+        handlers.onMissingFile(filePath);
+        continue;
+      }
+
+      const stats = fs.statSync(resolvedFilePath);
+      handlers.onResolvedFile({
+        filePath,
+        resolvedFilePath,
+        fileMetadata: {
+          size: stats.size,
+          mtime: stats.mtime.getTime(),
+        },
+      });
+    } catch (error) {
+      handlers.onError(filePath, error);
+    }
+  }
+};
+
+// Reuse one TokenCounter per tokenizer for every uncached task handled by this thread
+const tokenCounters = new Map<TokenizerId, TokenCounter>();
+const getTokenCounter = (tokenizer: unknown, tokenCache?: TokenCacheStore): TokenCounter => {
+  const tokenizerId = normalizeTokenizerId(tokenizer);
+  if (tokenCache) {
+    return new CachedTokenCounter(tokenizerId, tokenCache);
+  }
+
+  let tokenCounter = tokenCounters.get(tokenizerId);
+  if (!tokenCounter) {
+    tokenCounter = new TokenCounter(tokenizerId);
+    tokenCounters.set(tokenizerId, tokenCounter);
+  }
+  return tokenCounter;
+};
+
+const resolveRequestedTokenizers = (tokenizers: TokenizerId[] | undefined): TokenizerId[] => {
+  return Array.isArray(tokenizers) && tokenizers.length > 0
+    ? [...new Set(tokenizers.map((tokenizer) => normalizeTokenizerId(tokenizer)))]
+    : [...TOKENIZER_IDS];
+};
+
+const countFilesTokens = (
+  { rootPath, filePaths, tokenizer }: CountFilesTask,
+  tokenCache?: TokenCacheStore
+) => {
+  const tokenCounter = getTokenCounter(tokenizer, tokenCache);
+  const results: CountFilesTokensResult['results'] = {};
+  const stats: CountFilesTokensResult['stats'] = {};
+
+  forEachResolvedFile(rootPath, filePaths, {
+    onOutsideRoot: (filePath) => {
+      console.warn(`Skipping file outside current root directory: ${filePath}`);
+      results[filePath] = 0;
+    },
+    onMissingFile: (filePath) => {
+      console.warn(`File not found for token counting: ${filePath}`);
+      results[filePath] = 0;
+    },
+    onResolvedFile: ({ filePath, resolvedFilePath, fileMetadata }) => {
+      stats[filePath] = fileMetadata; // Metadata used for cache validation
+
+      if (isBinaryFile(resolvedFilePath)) {
+        console.log(`Skipping binary file for token counting: ${filePath}`);
+        results[filePath] = 0;
+        return;
+      }
+
+      const content = fs.readFileSync(resolvedFilePath, { encoding: 'utf-8', flag: 'r' });
+      results[filePath] = tokenCounter.countTokens(content);
+    },
+    onError: (filePath, error) => {
+      console.error(`Error counting tokens for file ${filePath}:`, error);
+      results[filePath] = 0;
+    },
+  });
+
+  return { results, stats };
+};
+
+const compareTokenizers = (
+  { rootPath, filePaths, tokenizers }: CompareTokenizersTask,
+  tokenCache?: TokenCacheStore
+) => {
+  const requestedTokenizers = resolveRequestedTokenizers(tokenizers);
+  const comparedCounters = requestedTokenizers.map((tokenizerId) =>
+    getTokenCounter(tokenizerId, tokenCache)
+  );
+  const totals: CompareTokenizersResult['totals'] = {};
+  for (const tokenizerId of requestedTokenizers) {
+    totals[tokenizerId] = 0;
+  }
+
+  // Each file is read once and counted with every requested tokenizer.
+  forEachResolvedFile(rootPath, filePaths, {
+    onOutsideRoot: (filePath) => {
+      console.warn(`Skipping file outside current root directory: ${filePath}`);
+    },
+    onMissingFile: (filePath) => {
+      console.warn(`File not found for tokenizer comparison: ${filePath}`);
+    },
+    onResolvedFile: ({ resolvedFilePath }) => {
+      if (isBinaryFile(resolvedFilePath)) {
+        return;
+      }
+
+      const content = fs.readFileSync(resolvedFilePath, { encoding: 'utf-8', flag: 'r' });
+      for (const tokenCounter of comparedCounters) {
+        totals[tokenCounter.tokenizer] += tokenCounter.countTokens(content);
+      }
+    },
+    onError: (filePath, error) => {
+      console.error(`Error comparing tokenizers for file ${filePath}:`, error);
+    },
+  });
+
+  return { totals };
+};
+
+const analyzeFiles = (
+  { gitignoreRules, ...input }: AnalyzeFilesTask,
+  tokenCache?: TokenCacheStore
+) => {
+  return analyzeRepository({
+    ...input,
+    tokenCache,
+    gitignoreParser: { parseGitignoreForPaths: () => gitignoreRules },
+    onWarn: (message: string) => {
+      console.warn(message);
+    },
+    onInfo: (message: string) => {
+      console.info(message);
+    },
+  });
+};
+
+export const runTokenTask = <T extends TokenTask>(
+  task: T,
+  tokenCache?: TokenCacheStore
+): TokenTaskResult<T> => {
+  switch (task.type) {
+    case 'countFiles':
+      return countFilesTokens(task, tokenCache) as TokenTaskResult<T>;
+    case 'compareTokenizers':
+      return compareTokenizers(task, tokenCache) as TokenTaskResult<T>;
+    case 'analyze':
+      return analyzeFiles(task, tokenCache) as TokenTaskResult<T>;
+    default:
+      throw new Error(`Unknown token task: ${(task as { type?: unknown }).type}`);
+  }
+};
+
+const chunkList = (items: string[], chunkSize: number): string[][] => {
+  const chunks: string[][] = [];
+  for (let index = 0; index < items.length; index += chunkSize) {
+    chunks.push(items.slice(index, index + chunkSize));
+  }
+  return chunks;
+};
+
+// Splits a task's file list so a large request can be spread over several workers.
+export const splitTokenTask = <T extends TokenTask>(task: T, chunkSize: number): T[] => {
+  if (task.type === 'analyze') {
+    const chunks = chunkList(task.selectedFiles, chunkSize);
+    return chunks.length > 1 ? chunks.map((selectedFiles) => ({ ...task, selectedFiles })) : [task];
+  }
+
+  const chunks = chunkList(task.filePaths, chunkSize);
+  return chunks.length > 1 ? chunks.map((filePaths) => ({ ...task, filePaths })) : [task];
+};
+
+export const mergeTokenTaskResults = <T extends TokenTask>(
+  task: T,
+  results: TokenTaskResult<T>[]
+): TokenTaskResult<T> => {
+  if (task.type === 'countFiles') {
+    const merged: CountFilesTokensResult = { results: {}, stats: {} };
+    for (const result of results as CountFilesTokensResult[]) {
+      Object.assign(merged.results, result.results);
+      Object.assign(merged.stats, result.stats);
+    }
+    return merged as TokenTaskResult<T>;
+  }
+
+  if (task.type === 'compareTokenizers') {
+    const merged: CompareTokenizersResult = { totals: {} };
+    for (const result of results as CompareTokenizersResult[]) {
+      for (const [tokenizerId, total] of Object.entries(result.totals)) {
+        const key = tokenizerId as TokenizerId;
+        merged.totals[key] = (merged.totals[key] ?? 0) + total;
+      }
+    }
+    return merged as TokenTaskResult<T>;
+  }
+
+  const merged: AnalyzeRepositoryResult = { filesInfo: [], totalTokens: 0, skippedBinaryFiles: 0 };
+  for (const result of results as AnalyzeRepositoryResult[]) {
+    merged.filesInfo.push(...result.filesInfo);
+    merged.totalTokens += result.totalTokens;
+    merged.skippedBinaryFiles += result.skippedBinaryFiles;
+  }
+  // Keep the analyzer's largest-first ordering across chunks.
+  merged.filesInfo.sort((a, b) => b.tokens - a.tokens);
+  return merged as TokenTaskResult<T>;
+};
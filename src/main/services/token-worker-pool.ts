@@ -0,0 +1,242 @@
+import os from 'node:os';
+import path from 'path';
+import { Worker } from 'worker_threads';
+
+import { mergeTokenTaskResults, runTokenTask, splitTokenTask } from './token-tasks';
+
+import type { TokenCache, TokenCacheEntry } from './token-cache';
+import type { TokenTask, TokenTaskResult } from './token-tasks';
+
+export type TokenWorkerRequest = {
+  id: number;
+  task: TokenTask;
+  // Counts other workers reported since this worker's previous task.
+  cacheEntries?: TokenCacheEntry[];
+};
+
+export type TokenWorkerResponse =
+  | { id: number; result: TokenTaskResult<TokenTask>; cacheEntries?: TokenCacheEntry[] }
+  | { id: number; error: string };
+
+export type TokenWorkerData = {
+  // Workers read the persisted cache once; new counts come back in each response and are
+  // passed on to the other workers with their next request in the same run.
+  tokenCacheFilePath: string | null;
+};
+
+type PendingTask = {
+  task: TokenTask;
+  resolve: (result: TokenTaskResult<TokenTask>) => void;
+  reject: (error: Error) => void;
+};
+
+type WorkerSlot = {
+  worker: Worker;
+  current: (PendingTask & { id: number }) | null;
+  pendingCacheEntries: TokenCacheEntry[];
+};
+
+export type TokenTaskProgress = {
+  completedChunks: number;
+  totalChunks: number;
+};
+
+type TokenWorkerPoolOptions = {
+  // When null, tasks run on the calling thread (used when running from TypeScript sources).
+  workerScriptPath: string | null;
+  tokenCache?: TokenCache | null;
+  size?: number;
+  chunkSize?: number;
+};
+
+// Files per worker task; small enough that several workers share a large selection.
+export const TOKEN_TASK_CHUNK_SIZE = 50;
+
+export const getDefaultTokenWorkerPoolSize = (): number => {
+  return Math.max(1, Math.min(4, os.cpus().length - 1));
+};
+
+// Compiled builds ship the worker next to this file; under ts-node/jest there is no
+// JavaScript worker script to load, so tasks run inline instead.
+export const resolveTokenWorkerScriptPath = (): string | null => {
+  if (path.extname(__filename) !== '.js') {
+    return null;
+  }
+  return path.join(__dirname, '..', 'workers', 'token-worker.js');
+};
+
+const yieldToEventLoop = () => new Promise<void>((resolve) => setTimeout(resolve, 0));
+
+export class TokenWorkerPool {
+  private readonly workerScriptPath: string | null;
+
+  private readonly tokenCache: TokenCache | null;
+
+  private readonly size: number;
+
+  private readonly chunkSize: number;
+
+  private readonly slots: WorkerSlot[] = [];
+
+  private readonly queue: PendingTask[] = [];
+
+  private nextTaskId = 0;
+
+  constructor({
+    workerScriptPath,
+    tokenCache = null,
+    size = getDefaultTokenWorkerPoolSize(),
+    chunkSize = TOKEN_TASK_CHUNK_SIZE,
+  }: TokenWorkerPoolOptions) {
+    this.workerScriptPath = workerScriptPath;
+    this.tokenCache = tokenCache;
+    this.size = Math.max(1, size);
+    this.chunkSize = Math.max(1, chunkSize);
+  }
+
+  /**
+   * Splits the task into file chunks and runs them across the pool. Each chunk result is
+   * handed to `onChunkResult` as soon as it completes; the resolved value merges all chunks,
+   * so callers get the same result shape as a single task.
+   */
+  async run<T extends TokenTask>(
+    task: T,
+    onChunkResult?: (result: TokenTaskResult<T>, progress: TokenTaskProgress) => void
+  ): Promise<TokenTaskResult<T>> {
+    const subtasks = splitTokenTask(task, this.chunkSize);
+    let completedChunks = 0;
+    const results = await Promise.all(
+      subtasks.map(async (subtask) => {
+        const result = await this.runSingle(subtask);
+        completedChunks += 1;
+        onChunkResult?.(result, { completedChunks, totalChunks: subtasks.length });
+        return result;
+      })
+    );
+    return mergeTokenTaskResults(task, results);
+  }
+
+  async destroy(): Promise<void> {
+    const slots = this.slots.splice(0);
+    for (const pendingTask of this.queue.splice(0)) {
+      pendingTask.reject(new Error('Token worker pool was destroyed'));
+    }
+    await Promise.all(slots.map((slot) => slot.worker.terminate()));
+  }
+
+  private async runSingle<T extends TokenTask>(task: T): Promise<TokenTaskResult<T>> {
+    if (!this.workerScriptPath) {
+      // Inline mode still yields between chunks so other IPC can be served.
+      await yieldToEventLoop();
+      return runTokenTask(task, this.tokenCache ?? undefined);
+    }
+
+    return new Promise<TokenTaskResult<T>>((resolve, reject) => {
+      this.queue.push({
+        task,
+        resolve: resolve as PendingTask['resolve'],
+        reject,
+      });
+      this.dispatch();
+    });
+  }
+
+  private dispatch(): void {
+    while (this.queue.length > 0) {
+      const slot = this.getIdleSlot();
+      if (!slot) {
+        return;
+      }
+
+      const pendingTask = this.queue.shift() as PendingTask;
+      this.nextTaskId += 1;
+      slot.current = { ...pendingTask, id: this.nextTaskId };
+      slot.worker.ref();
+      const cacheEntries = slot.pendingCacheEntries.splice(0);
+      const request: TokenWorkerRequest = {
+        id: this.nextTaskId,
+        task: pendingTask.task,
+        ...(cacheEntries.length > 0 ? { cacheEntries } : {}),
+      };
+      slot.worker.postMessage(request);
+    }
+
+    // Counts only help workers within a run; dropping them once the pool drains keeps
+    // workers that get no further request from holding every count made since.
+    if (this.slots.every((slot) => slot.current === null)) {
+      for (const slot of this.slots) {
+        slot.pendingCacheEntries = [];
+      }
+    }
+  }
+
+  private getIdleSlot(): WorkerSlot | null {
+    const idleSlot = this.slots.find((slot) => slot.current === null);
+    if (idleSlot) {
+      return idleSlot;
+    }
+
+    return this.slots.length < this.size ? this.spawnWorker() : null;
+  }
+
+  private spawnWorker(): WorkerSlot {
+    const workerData: TokenWorkerData = {
+      tokenCacheFilePath: this.tokenCache?.filePath ?? null,
+    };
+    const worker = new Worker(this.workerScriptPath as string, { workerData });
+    const slot: WorkerSlot = { worker, current: null, pendingCacheEntries: [] };
+
+    worker.on('message', (response: TokenWorkerResponse) => {
+      const currentTask = slot.current;
+      if (!currentTask || currentTask.id !== response.id) {
+        return;
+      }
+
+      slot.current = null;
+      slot.worker.unref();
+      if ('error' in response) {
+        currentTask.reject(new Error(response.error));
+      } else {
+        if (response.cacheEntries?.length) {
+          this.tokenCache?.merge(response.cacheEntries);
+          this.shareCacheEntries(slot, response.cacheEntries);
+        }
+        currentTask.resolve(response.result);
+      }
+      this.dispatch();
+    });
+    worker.on('error', (error) => {
+      this.retireWorker(slot, error instanceof Error ? error : new Error(String(error)));
+    });
+    worker.on('exit', (exitCode) => {
+      this.retireWorker(slot, new Error(`Token worker exited with code ${exitCode}`));
+    });
+    // Idle workers must not keep the process alive; busy ones are ref'd while they run.
+    worker.unref();
+
+    this.slots.push(slot);
+    return slot;
+  }
+
+  // Saves the other workers from re-reading the cache file for counts made by this one.
+  private shareCacheEntries(sourceSlot: WorkerSlot, cacheEntries: TokenCacheEntry[]): void {
+    for (const slot of this.slots) {
+      if (slot !== sourceSlot) {
+        slot.pendingCacheEntries.push(...cacheEntries);
+      }
+    }
+  }
+
+  private retireWorker(slot: WorkerSlot, error: Error): void {
+    const slotIndex = this.slots.indexOf(slot);
+    if (slotIndex === -1) {
+      return;
+    }
+
+    this.slots.splice(slotIndex, 1);
+    slot.current?.reject(error);
+    slot.current = null;
+    // A replacement worker is spawned on demand for any queued tasks.
+    this.dispatch();
+  }
+}
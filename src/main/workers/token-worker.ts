@@ -0,0 +1,30 @@
+import { parentPort, workerData } from 'worker_threads';
+
+import { getErrorMessage } from '../errors';
+import { recordTokenCacheWrites, TokenCache } from '../services/token-cache';
+import { runTokenTask } from '../services/token-tasks';
+
+import type {
+  TokenWorkerData,
+  TokenWorkerRequest,
+  TokenWorkerResponse,
+} from '../services/token-worker-pool';
+
+const { tokenCacheFilePath } = (workerData ?? {}) as Partial<TokenWorkerData>;
+// Read-only view of the cache file, loaded on first use; only the main process writes it.
+// Counts from other workers arrive with the requests instead of through the file.
+const tokenCache = tokenCacheFilePath ? new TokenCache({ filePath: tokenCacheFilePath }) : null;
+
+parentPort?.on('message', ({ id, task, cacheEntries }: TokenWorkerRequest) => {
+  let response: TokenWorkerResponse;
+  try {
+    if (cacheEntries?.length) {
+      tokenCache?.merge(cacheEntries);
+    }
+    const recorder = tokenCache ? recordTokenCacheWrites(tokenCache) : null;
+    response = { id, result: runTokenTask(task, recorder?.store), cacheEntries: recorder?.entries };
+  } catch (error) {
+    response = { id, error: getErrorMessage(error) };
+  }
+  parentPort?.postMessage(response);
+});
@@ -44,17 +44,28 @@ const AppContent = () => {
     activeTab,
     rootPath,
     directoryTree,
+    directoryScan,
+    showExcluded,
     selectedFiles,
     selectedFolders,
     processedResult,
     configContent,
+    configProfiles,
+    activeProfileId,
+    defaultProfileId,
     switchTab,
     selectDirectory,
     refreshDirectoryTree,
+    cancelDirectoryScan,
+    loadDirectoryChildren,
+    setShowExcluded,
+    includePathAnyway,
     updateConfig,
+    switchConfigProfile,
     handleFileSelect,
     handleFolderSelect,
     handleBatchSelect,
+    handleFitToBudget,
     handleAnalyze,
     handleRefreshProcessed,
     handleSaveOutput,
@@ -164,6 +175,7 @@ const AppContent = () => {
                 isActive={activeTab === 'source'}
                 rootPath={rootPath}
                 directoryTree={directoryTree}
+                directoryScan={directoryScan}
                 selectedFiles={selectedFiles}
                 selectedFolders={selectedFolders}
                 configContent={configContent}
@@ -171,8 +183,18 @@ const AppContent = () => {
                 onFileSelect={handleFileSelect}
                 onFolderSelect={handleFolderSelect}
                 onBatchSelect={handleBatchSelect}
+                onLoadChildren={loadDirectoryChildren}
+                showExcluded={showExcluded}
+                onShowExcludedChange={setShowExcluded}
+                onIncludeAnyway={includePathAnyway}
+                configProfiles={configProfiles}
+                activeProfileId={activeProfileId}
+                defaultProfileId={defaultProfileId}
+                onProfileChange={switchConfigProfile}
+                onFitToBudget={handleFitToBudget}
                 onAnalyze={handleAnalyze}
                 onRefreshTree={refreshDirectoryTree}
+                onCancelScan={cancelDirectoryScan}
               />
             </ErrorBoundary>
           </div>
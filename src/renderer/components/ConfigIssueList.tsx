@@ -0,0 +1,71 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+
+import type { ConfigIssue } from '../../utils/config-schema';
+
+const getConfigIssueMessage = (
+  issue: ConfigIssue,
+  t: (key: string, options?: Record<string, unknown>) => string
+): string => {
+  let message: string;
+  switch (issue.code) {
+    case 'yaml-syntax':
+      message = t('config.issues.yaml-syntax', { message: issue.message });
+      break;
+    case 'not-a-mapping':
+      message = t('config.issues.not-a-mapping');
+      break;
+    case 'invalid-type':
+      message = t('config.issues.invalid-type', {
+        key: issue.key,
+        expected: t(`config.issues.expected.${issue.expected}`),
+      });
+      break;
+    case 'invalid-value':
+      message = t('config.issues.invalid-value', {
+        key: issue.key,
+        values: issue.values.join(', '),
+      });
+      break;
+    case 'unknown-key':
+      message = issue.suggestion
+        ? t('config.issues.unknown-key-suggestion', {
+            key: issue.key,
+            suggestion: issue.suggestion,
+          })
+        : t('config.issues.unknown-key', { key: issue.key });
+      break;
+  }
+  return issue.line === undefined
+    ? message
+    : t('config.issues.atLine', { line: issue.line, message });
+};
+
+type ConfigIssueListProps = {
+  errors: ConfigIssue[];
+  warnings: ConfigIssue[];
+};
+
+const ConfigIssueList = ({ errors, warnings }: ConfigIssueListProps) => {
+  const { t } = useTranslation();
+  if (errors.length === 0 && warnings.length === 0) {
+    return null;
+  }
+
+  return (
+    <ul className='mt-2 space-y-1 text-sm' data-testid='config-issues'>
+      {errors.map((issue, index) => (
+        <li key={`error-${index}`} className='text-red-600 dark:text-red-400'>
+          {getConfigIssueMessage(issue, t)}
+        </li>
+      ))}
+      {warnings.map((issue, index) => (
+        <li key={`warning-${index}`} className='text-amber-700 dark:text-amber-300'>
+          {getConfigIssueMessage(issue, t)}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default ConfigIssueList;
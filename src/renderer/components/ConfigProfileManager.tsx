@@ -0,0 +1,109 @@
+import React, { useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+
+import ConfigProfileSelect from './ConfigProfileSelect';
+
+import type { ConfigProfile } from '../context/utils/config-profiles';
+
+type ConfigProfileManagerProps = {
+  profiles: ConfigProfile[];
+  activeProfileId: string;
+  defaultProfileId: string;
+  onSwitch: (profileId: string) => Promise<void> | void;
+  onCreate: (name: string) => Promise<void> | void;
+  onDuplicate: (profileId: string) => Promise<void> | void;
+  onRename: (profileId: string, name: string) => void;
+  onDelete: (profileId: string) => Promise<void> | void;
+  onSetDefault: (profileId: string) => void;
+};
+
+const BUTTON_CLASS =
+  'inline-flex items-center border border-gray-300 bg-white px-3 py-1 text-sm text-gray-700 shadow-sm hover:bg-gray-50 focus:outline-none disabled:cursor-not-allowed disabled:text-gray-400 dark:border-gray-600 dark:bg-gray-700 dark:text-gray-200 dark:hover:bg-gray-600';
+
+const ConfigProfileManager = ({
+  profiles,
+  activeProfileId,
+  defaultProfileId,
+  onSwitch,
+  onCreate,
+  onDuplicate,
+  onRename,
+  onDelete,
+  onSetDefault,
+}: ConfigProfileManagerProps) => {
+  const { t } = useTranslation();
+  const activeProfile = profiles.find((profile) => profile.id === activeProfileId);
+  const [profileName, setProfileName] = useState(activeProfile?.name ?? '');
+
+  useEffect(() => {
+    setProfileName(activeProfile?.name ?? '');
+  }, [activeProfile?.name]);
+
+  if (!activeProfile) {
+    return null;
+  }
+
+  const trimmedName = profileName.trim();
+
+  return (
+    <div
+      className='mb-4 flex flex-wrap items-center gap-2 rounded-md border border-gray-200 bg-gray-50 p-3 dark:border-gray-700 dark:bg-gray-800'
+      data-testid='config-profiles'
+    >
+      <ConfigProfileSelect
+        id='config-profile-select'
+        profiles={profiles}
+        activeProfileId={activeProfileId}
+        defaultProfileId={defaultProfileId}
+        onProfileChange={onSwitch}
+      />
+      <input
+        type='text'
+        aria-label={t('profiles.nameLabel')}
+        value={profileName}
+        onChange={(event) => setProfileName(event.target.value)}
+        className='w-48 border border-gray-300 px-2 py-1 text-sm dark:border-gray-600 dark:bg-gray-700 dark:text-white'
+      />
+      <button
+        type='button'
+        className={BUTTON_CLASS}
+        disabled={!trimmedName || trimmedName === activeProfile.name}
+        onClick={() => onRename(activeProfile.id, trimmedName)}
+      >
+        {t('profiles.rename')}
+      </button>
+      <button
+        type='button'
+        className={BUTTON_CLASS}
+        onClick={() => void onCreate(t('profiles.newProfileName'))}
+      >
+        {t('profiles.create')}
+      </button>
+      <button
+        type='button'
+        className={BUTTON_CLASS}
+        onClick={() => void onDuplicate(activeProfile.id)}
+      >
+        {t('profiles.duplicate')}
+      </button>
+      <button
+        type='button'
+        className={BUTTON_CLASS}
+        disabled={activeProfile.id === defaultProfileId}
+        onClick={() => onSetDefault(activeProfile.id)}
+      >
+        {t('profiles.setDefault')}
+      </button>
+      <button
+        type='button'
+        className={BUTTON_CLASS}
+        disabled={profiles.length <= 1}
+        onClick={() => void onDelete(activeProfile.id)}
+      >
+        {t('profiles.delete')}
+      </button>
+    </div>
+  );
+};
+
+export default ConfigProfileManager;
@@ -0,0 +1,46 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+
+import type { ConfigProfile } from '../context/utils/config-profiles';
+
+type ConfigProfileSelectProps = {
+  id: string;
+  profiles: ConfigProfile[];
+  activeProfileId: string;
+  defaultProfileId: string;
+  onProfileChange: (profileId: string) => Promise<void> | void;
+};
+
+const ConfigProfileSelect = ({
+  id,
+  profiles,
+  activeProfileId,
+  defaultProfileId,
+  onProfileChange,
+}: ConfigProfileSelectProps) => {
+  const { t } = useTranslation();
+
+  return (
+    <div className='flex items-center'>
+      <label htmlFor={id} className='mr-2 text-sm text-gray-600 dark:text-gray-300'>
+        {t('profiles.label')}
+      </label>
+      <select
+        id={id}
+        value={activeProfileId}
+        onChange={(event) => void onProfileChange(event.target.value)}
+        className='rounded border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-700 px-2 py-1 text-sm text-gray-700 dark:text-gray-200 focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500'
+      >
+        {profiles.map((profile) => (
+          <option key={profile.id} value={profile.id}>
+            {profile.id === defaultProfileId
+              ? t('profiles.defaultProfileOption', { name: profile.name })
+              : profile.name}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default ConfigProfileSelect;
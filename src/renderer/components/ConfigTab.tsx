@@ -1,8 +1,10 @@
-import React, { useCallback, useEffect, useReducer, useRef, useState } from 'react';
+import React, { useCallback, useEffect, useMemo, useReducer, useRef, useState } from 'react';
 import { useTranslation } from 'react-i18next';
 import * as yaml from 'yaml';
 
-import { normalizeExportFormat } from '../../utils/export-format';
+import { validateConfigContent } from '../../utils/config-schema';
+import { normalizeExportFormat, normalizeTokenCount } from '../../utils/export-format';
+import { TOKENIZER_IDS, normalizeTokenizerId } from '../../utils/tokenizers';
 import { useApp } from '../context/AppContext';
 import { isAiSurfacesEnabled } from '../feature-flags';
 
@@ -19,9 +21,40 @@ import {
   PROVIDER_OPTIONS,
   trimToUndefined,
 } from './config-tab/provider-utils';
+import ConfigIssueList from './ConfigIssueList';
+import ConfigProfileManager from './ConfigProfileManager';
+import { TOKENIZER_LABEL_KEYS } from './tokenizer-labels';
 
 import type { ConfigFormState } from './config-tab/config-form';
-import type { ProviderConnectionResult } from '../../types/ipc';
+import type {
+  IgnoreFileInfo,
+  IgnoreFileSource,
+  ProviderConnectionResult,
+  ResolvedConfigResult,
+} from '../../types/ipc';
+
+const IGNORE_FILE_TOGGLES = [
+  { id: 'use-git-info-exclude', field: 'useGitInfoExclude', labelKey: 'config.useGitInfoExclude' },
+  { id: 'use-global-gitignore', field: 'useGlobalGitignore', labelKey: 'config.useGlobalGitignore' },
+  {
+    id: 'use-aicodefusionignore',
+    field: 'useAicodefusionignore',
+    labelKey: 'config.useAicodefusionignore',
+  },
+] as const;
+
+const IGNORE_FILE_SOURCE_LABEL_KEYS: Record<IgnoreFileSource, string> = {
+  'global-excludes': 'config.ignoreFileSources.global-excludes',
+  'git-info-exclude': 'config.ignoreFileSources.git-info-exclude',
+  gitignore: 'config.ignoreFileSources.gitignore',
+  aicodefusionignore: 'config.ignoreFileSources.aicodefusionignore',
+};
+
+// IPC errors arrive as "Error invoking remote method '<channel>': Error: <message>".
+const getRemoteErrorMessage = (error: unknown): string => {
+  const message = error instanceof Error ? error.message : String(error);
+  return message.replace(/^Error invoking remote method '[^']+': (?:Error: )?/, '');
+};
 
 type ConfigTabProps = {
   configContent: string;
@@ -30,18 +63,46 @@ type ConfigTabProps = {
 
 const ConfigTab = ({ configContent, onConfigChange }: ConfigTabProps) => {
   const { t } = useTranslation();
-  const { rootPath, selectDirectory, switchTab } = useApp();
+  const {
+    rootPath,
+    selectDirectory,
+    switchTab,
+    configProfiles,
+    activeProfileId,
+    defaultProfileId,
+    switchConfigProfile,
+    createConfigProfile,
+    duplicateConfigProfile,
+    renameConfigProfile,
+    deleteConfigProfile,
+    setDefaultConfigProfile,
+    repoConfigPath,
+    writeRepoConfig,
+    configMigration,
+    dismissConfigMigration,
+  } = useApp();
   const [formState, dispatch] = useReducer(configFormReducer, initialFormState);
   const [isSaved, setIsSaved] = useState(false);
+  const [isRepoConfigWritten, setIsRepoConfigWritten] = useState(false);
   const [providerValidationErrors, setProviderValidationErrors] = useState<string[]>([]);
   const [providerTestResult, setProviderTestResult] = useState<ProviderConnectionResult | null>(
     null
   );
   const [isTestingProviderConnection, setIsTestingProviderConnection] = useState(false);
+  const [ignoreFiles, setIgnoreFiles] = useState<IgnoreFileInfo[]>([]);
+  const [showEffectiveConfig, setShowEffectiveConfig] = useState(false);
+  const [effectiveConfig, setEffectiveConfig] = useState<ResolvedConfigResult | null>(null);
+  const [effectiveConfigError, setEffectiveConfigError] = useState('');
+  const [showYamlEditor, setShowYamlEditor] = useState(false);
+  const [yamlDraft, setYamlDraft] = useState(configContent);
   const formStateRef = useRef(formState);
   formStateRef.current = formState;
   const appWindow = globalThis as Window & typeof globalThis;
   const aiSurfacesEnabled = isAiSurfacesEnabled();
+  const configValidation = useMemo(() => validateConfigContent(configContent), [configContent]);
+  const yamlDraftValidation = useMemo(() => validateConfigContent(yamlDraft), [yamlDraft]);
+  // The form cannot save over a config with errors, so it is locked until they are fixed.
+  const hasConfigErrors = configValidation.errors.length > 0;
 
   // Load form state from config prop
   useEffect(() => {
@@ -58,11 +119,71 @@ const ConfigTab = ({ configContent, onConfigChange }: ConfigTabProps) => {
     }
   }, [aiSurfacesEnabled, configContent]);
 
+  // Start YAML edits from the config in use
+  useEffect(() => {
+    setYamlDraft(configContent);
+  }, [configContent]);
+
+  // List the ignore files found for the selected root
+  useEffect(() => {
+    let isCurrent = true;
+    setIgnoreFiles([]);
+    if (!rootPath || !appWindow.electronAPI?.listIgnoreFiles) {
+      return;
+    }
+
+    appWindow.electronAPI
+      .listIgnoreFiles(rootPath)
+      .then((files) => {
+        if (isCurrent) {
+          setIgnoreFiles(Array.isArray(files) ? files : []);
+        }
+      })
+      .catch((error) => {
+        console.error('Error listing ignore files:', error);
+      });
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [appWindow, rootPath]);
+
+  // Resolve the config's presets and list changes while the effective config is shown
+  useEffect(() => {
+    let isCurrent = true;
+    if (!showEffectiveConfig || !appWindow.electronAPI?.resolveConfig) {
+      return;
+    }
+
+    appWindow.electronAPI
+      .resolveConfig({ rootPath: rootPath || undefined, configContent })
+      .then((result) => {
+        if (isCurrent) {
+          setEffectiveConfig(result);
+          setEffectiveConfigError('');
+        }
+      })
+      .catch((error) => {
+        if (isCurrent) {
+          setEffectiveConfig(null);
+          setEffectiveConfigError(getRemoteErrorMessage(error));
+        }
+      });
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [appWindow, rootPath, configContent, showEffectiveConfig]);
+
   // Save config from form state - accepts explicit state to keep identity stable
   const saveConfig = useCallback(
     (state: ConfigFormState) => {
       try {
-        const config = parseConfigContent(configContent) ?? {};
+        const config = parseConfigContent(configContent);
+        // The form is locked while the config has errors; they are fixed in the YAML editor.
+        if (!config) {
+          return;
+        }
         applyBaseConfigState(config, state);
 
         const providerResult = applyProviderConfigState(config, state, aiSurfacesEnabled, t);
@@ -103,6 +224,15 @@ const ConfigTab = ({ configContent, onConfigChange }: ConfigTabProps) => {
     [aiSurfacesEnabled, configContent, onConfigChange, t]
   );
 
+  const handleWriteRepoConfig = useCallback(async () => {
+    if (await writeRepoConfig()) {
+      setIsRepoConfigWritten(true);
+      setTimeout(() => {
+        setIsRepoConfigWritten(false);
+      }, 1500);
+    }
+  }, [writeRepoConfig]);
+
   // Auto-save on checkbox/select changes (not text fields - those save on blur/button)
   useEffect(() => {
     const timer = setTimeout(() => saveConfig(formStateRef.current), 50);
@@ -111,11 +241,19 @@ const ConfigTab = ({ configContent, onConfigChange }: ConfigTabProps) => {
     formState.useCustomExcludes,
     formState.useCustomIncludes,
     formState.useGitignore,
+    formState.useGitInfoExclude,
+    formState.useGlobalGitignore,
+    formState.useAicodefusionignore,
     formState.enableSecretScanning,
     formState.excludeSuspiciousFiles,
     formState.includeTreeView,
     formState.showTokenCount,
+    formState.tokenizer,
     formState.exportFormat,
+    formState.streamToFile,
+    formState.maxTokensPerPart,
+    formState.chunkSize,
+    formState.chunkOverlap,
     saveConfig,
   ]);
 
@@ -237,7 +375,86 @@ const ConfigTab = ({ configContent, onConfigChange }: ConfigTabProps) => {
         </div>
       </div>
 
-      <div className='mb-4'>
+      <ConfigProfileManager
+        profiles={configProfiles}
+        activeProfileId={activeProfileId}
+        defaultProfileId={defaultProfileId}
+        onSwitch={switchConfigProfile}
+        onCreate={createConfigProfile}
+        onDuplicate={duplicateConfigProfile}
+        onRename={renameConfigProfile}
+        onDelete={deleteConfigProfile}
+        onSetDefault={setDefaultConfigProfile}
+      />
+
+      {rootPath && (
+        <div
+          className='mb-4 flex flex-wrap items-center justify-between gap-2 rounded-md border border-blue-200 bg-blue-50 p-3 text-sm text-blue-800 dark:border-blue-800 dark:bg-blue-900/30 dark:text-blue-200'
+          data-testid='repo-config'
+        >
+          <span>
+            {repoConfigPath
+              ? t('repoConfig.activeNotice', { path: repoConfigPath })
+              : t('repoConfig.inactiveNotice')}
+          </span>
+          <button
+            type='button'
+            onClick={() => void handleWriteRepoConfig()}
+            className='inline-flex items-center border border-blue-300 bg-white px-3 py-1 text-sm text-blue-700 shadow-sm hover:bg-blue-50 focus:outline-none dark:border-blue-700 dark:bg-gray-700 dark:text-blue-200 dark:hover:bg-gray-600'
+          >
+            {isRepoConfigWritten ? t('repoConfig.written') : t('repoConfig.write')}
+          </button>
+        </div>
+      )}
+
+      {configMigration && (
+        <div
+          className='mb-4 rounded-md border border-blue-200 bg-blue-50 p-3 text-sm text-blue-800 dark:border-blue-800 dark:bg-blue-900/30 dark:text-blue-200'
+          data-testid='config-migration'
+        >
+          <div className='flex items-start justify-between gap-2'>
+            <p>
+              {t('config.migratedNotice', {
+                source: configMigration.source,
+                fromVersion: configMigration.fromVersion,
+                toVersion: configMigration.toVersion,
+              })}
+            </p>
+            <button
+              type='button'
+              onClick={dismissConfigMigration}
+              className='text-sm text-blue-700 hover:underline dark:text-blue-300'
+            >
+              {t('config.dismissMigration')}
+            </button>
+          </div>
+          <ul className='mt-2 list-disc pl-5'>
+            {configMigration.changes.map((change) => (
+              <li key={change}>{change}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {!showYamlEditor &&
+        (configValidation.errors.length > 0 || configValidation.warnings.length > 0) && (
+          <div
+            className='mb-4 rounded-md border border-amber-200 bg-amber-50 p-3 text-sm text-amber-800 dark:border-amber-800 dark:bg-amber-900/30 dark:text-amber-200'
+            data-testid='config-validation'
+          >
+            <p>
+              {configValidation.errors.length > 0
+                ? t('config.invalidConfigNotice')
+                : t('config.ignoredSettingsNotice')}
+            </p>
+            <ConfigIssueList
+              errors={configValidation.errors}
+              warnings={configValidation.warnings}
+            />
+          </div>
+        )}
+
+      <fieldset className='mb-4' disabled={hasConfigErrors}>
         <div className='rounded-md border border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800 p-4'>
           <div className='grid grid-cols-1 md:grid-cols-2 gap-4 mb-2'>
             {/* File Filtering section */}
@@ -295,6 +512,52 @@ const ConfigTab = ({ configContent, onConfigChange }: ConfigTabProps) => {
                   </label>
                 </div>
 
+                <div className='ml-6 space-y-2'>
+                  {IGNORE_FILE_TOGGLES.map(({ id, field, labelKey }) => (
+                    <div key={id} className='flex items-center'>
+                      <input
+                        type='checkbox'
+                        id={id}
+                        checked={formState[field]}
+                        disabled={!formState.useGitignore}
+                        onChange={(e) => setField(field, e.target.checked)}
+                        className='size-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500 disabled:opacity-50'
+                      />
+                      <label
+                        htmlFor={id}
+                        className='ml-2 block text-sm text-gray-700 dark:text-gray-300'
+                      >
+                        {t(labelKey)}
+                      </label>
+                    </div>
+                  ))}
+
+                  {rootPath && (
+                    <div
+                      data-testid='ignore-files-found'
+                      className='text-xs text-gray-500 dark:text-gray-400'
+                    >
+                      {ignoreFiles.length > 0 ? (
+                        <>
+                          <span>{t('config.ignoreFilesFound')}</span>
+                          <ul className='mt-1 space-y-0.5'>
+                            {ignoreFiles.map((ignoreFile) => (
+                              <li key={ignoreFile.path} title={ignoreFile.path} className='truncate'>
+                                <span className='font-medium'>
+                                  {t(IGNORE_FILE_SOURCE_LABEL_KEYS[ignoreFile.source])}
+                                </span>{' '}
+                                <span className='font-mono'>{ignoreFile.path}</span>
+                              </li>
+                            ))}
+                          </ul>
+                        </>
+                      ) : (
+                        t('config.noIgnoreFilesFound')
+                      )}
+                    </div>
+                  )}
+                </div>
+
                 <div className='flex items-center'>
                   <input
                     type='checkbox'
@@ -368,6 +631,65 @@ const ConfigTab = ({ configContent, onConfigChange }: ConfigTabProps) => {
                   </label>
                 </div>
 
+                <div>
+                  <label
+                    htmlFor='tokenizer'
+                    className='mb-1 block text-sm text-gray-700 dark:text-gray-300'
+                  >
+                    {t('config.tokenizer')}
+                  </label>
+                  <select
+                    id='tokenizer'
+                    value={formState.tokenizer}
+                    onChange={(event) => setField('tokenizer', normalizeTokenizerId(event.target.value))}
+                    data-testid='tokenizer-select'
+                    className='w-full rounded border border-gray-300 dark:border-gray-600 dark:bg-gray-700 dark:text-white px-2 py-1 text-sm focus:border-blue-500 focus:outline-none focus:ring-blue-500'
+                  >
+                    {TOKENIZER_IDS.map((tokenizerId) => (
+                      <option key={tokenizerId} value={tokenizerId}>
+                        {t(TOKENIZER_LABEL_KEYS[tokenizerId])}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className='flex items-center'>
+                  <input
+                    id='stream-to-file'
+                    type='checkbox'
+                    className='size-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500'
+                    checked={formState.streamToFile}
+                    onChange={(e) => setField('streamToFile', e.target.checked)}
+                  />
+                  <label
+                    htmlFor='stream-to-file'
+                    className='ml-2 block text-sm text-gray-700 dark:text-gray-300'
+                  >
+                    {t('config.streamToFile')}
+                  </label>
+                </div>
+
+                <div>
+                  <label
+                    htmlFor='max-tokens-per-part'
+                    className='mb-1 block text-sm text-gray-700 dark:text-gray-300'
+                  >
+                    {t('config.maxTokensPerPart')}
+                  </label>
+                  <input
+                    id='max-tokens-per-part'
+                    type='number'
+                    min={0}
+                    step={1000}
+                    value={formState.maxTokensPerPart}
+                    onChange={(event) =>
+                      setField('maxTokensPerPart', normalizeTokenCount(event.target.value))
+                    }
+                    data-testid='max-tokens-per-part-input'
+                    className='w-full rounded border border-gray-300 dark:border-gray-600 dark:bg-gray-700 dark:text-white px-2 py-1 text-sm focus:border-blue-500 focus:outline-none focus:ring-blue-500'
+                  />
+                </div>
+
                 <div>
                   <label
                     htmlFor='export-format'
@@ -384,8 +706,53 @@ const ConfigTab = ({ configContent, onConfigChange }: ConfigTabProps) => {
                   >
                     <option value='markdown'>{t('config.exportFormatMarkdown')}</option>
                     <option value='xml'>{t('config.exportFormatXml')}</option>
+                    <option value='json'>{t('config.exportFormatJson')}</option>
+                    <option value='jsonl'>{t('config.exportFormatJsonl')}</option>
                   </select>
                 </div>
+
+                {formState.exportFormat === 'jsonl' && (
+                  <div className='grid grid-cols-2 gap-3'>
+                    <div>
+                      <label
+                        htmlFor='chunk-size'
+                        className='mb-1 block text-sm text-gray-700 dark:text-gray-300'
+                      >
+                        {t('config.chunkSize')}
+                      </label>
+                      <input
+                        id='chunk-size'
+                        type='number'
+                        min={1}
+                        value={formState.chunkSize}
+                        onChange={(event) =>
+                          setField('chunkSize', normalizeTokenCount(event.target.value))
+                        }
+                        data-testid='chunk-size-input'
+                        className='w-full rounded border border-gray-300 dark:border-gray-600 dark:bg-gray-700 dark:text-white px-2 py-1 text-sm focus:border-blue-500 focus:outline-none focus:ring-blue-500'
+                      />
+                    </div>
+                    <div>
+                      <label
+                        htmlFor='chunk-overlap'
+                        className='mb-1 block text-sm text-gray-700 dark:text-gray-300'
+                      >
+                        {t('config.chunkOverlap')}
+                      </label>
+                      <input
+                        id='chunk-overlap'
+                        type='number'
+                        min={0}
+                        value={formState.chunkOverlap}
+                        onChange={(event) =>
+                          setField('chunkOverlap', normalizeTokenCount(event.target.value))
+                        }
+                        data-testid='chunk-overlap-input'
+                        className='w-full rounded border border-gray-300 dark:border-gray-600 dark:bg-gray-700 dark:text-white px-2 py-1 text-sm focus:border-blue-500 focus:outline-none focus:ring-blue-500'
+                      />
+                    </div>
+                  </div>
+                )}
               </div>
             </div>
           </div>
@@ -528,53 +895,175 @@ const ConfigTab = ({ configContent, onConfigChange }: ConfigTabProps) => {
             {t('config.autoSaveHint')}
           </p>
         </div>
-      </div>
+      </fieldset>
 
       <div className='mb-4'>
-        <div className='mb-1 flex items-center justify-end'>
-          <button
-            onClick={() => saveConfig(formState)}
-            className='inline-flex items-center border border-transparent bg-green-600 px-4 py-2 text-sm font-medium text-white shadow-sm hover:bg-green-700 focus:outline-none'
-          >
-            {isSaved ? t('config.savedConfig') : t('config.saveConfig')}
-          </button>
-        </div>
-        <div className='grid grid-cols-1 md:grid-cols-2 gap-4 mb-4'>
-          <div>
+        <fieldset disabled={hasConfigErrors}>
+          <div className='mb-1 flex items-center justify-end'>
+            <button
+              onClick={() => saveConfig(formState)}
+              className='inline-flex items-center border border-transparent bg-green-600 px-4 py-2 text-sm font-medium text-white shadow-sm hover:bg-green-700 focus:outline-none'
+            >
+              {isSaved ? t('config.savedConfig') : t('config.saveConfig')}
+            </button>
+          </div>
+          <div className='mb-4'>
             <h4 className='mb-2 text-xs font-medium text-gray-700 dark:text-gray-300'>
-              {t('config.includeExtensionsTitle')}
+              {t('config.extendsTitle')}
             </h4>
             <p className='text-xs text-gray-500 dark:text-gray-400 mb-1'>
-              {t('config.includeExtensionsHint')}
+              {t('config.extendsHint')}
             </p>
             <textarea
-              className='h-44 w-full border border-gray-300 dark:border-gray-600 dark:bg-gray-700 dark:text-white p-2 font-mono text-sm shadow-sm focus:border-blue-500 focus:outline-none focus:ring-blue-500'
-              value={formState.fileExtensions}
-              placeholder='.py
+              aria-label={t('config.extendsTitle')}
+              className='h-16 w-full border border-gray-300 dark:border-gray-600 dark:bg-gray-700 dark:text-white p-2 font-mono text-sm shadow-sm focus:border-blue-500 focus:outline-none focus:ring-blue-500'
+              value={formState.extendsConfigs}
+              placeholder='javascript
+.ai-code-fusion/team.yaml'
+              onChange={(e) => setField('extendsConfigs', e.target.value)}
+            />
+          </div>
+          <div className='grid grid-cols-1 md:grid-cols-2 gap-4 mb-4'>
+            <div>
+              <h4 className='mb-2 text-xs font-medium text-gray-700 dark:text-gray-300'>
+                {t('config.includeExtensionsTitle')}
+              </h4>
+              <p className='text-xs text-gray-500 dark:text-gray-400 mb-1'>
+                {t('config.includeExtensionsHint')}
+              </p>
+              <textarea
+                className='h-44 w-full border border-gray-300 dark:border-gray-600 dark:bg-gray-700 dark:text-white p-2 font-mono text-sm shadow-sm focus:border-blue-500 focus:outline-none focus:ring-blue-500'
+                value={formState.fileExtensions}
+                placeholder='.py
 .js
 .jsx
 .ts
 .tsx'
-              onChange={(e) => setField('fileExtensions', e.target.value)}
-            />
-          </div>
-          <div>
-            <h4 className='mb-2 text-xs font-medium text-gray-700 dark:text-gray-300'>
-              {t('config.excludePatternsTitle')}
-            </h4>
-            <p className='text-xs text-gray-500 dark:text-gray-400 mb-1'>
-              {t('config.excludePatternsHint')}
-            </p>
-            <textarea
-              className='h-44 w-full border border-gray-300 dark:border-gray-600 dark:bg-gray-700 dark:text-white p-2 font-mono text-sm shadow-sm focus:border-blue-500 focus:outline-none focus:ring-blue-500'
-              value={formState.excludePatterns}
-              placeholder='**/.git/**
+                onChange={(e) => setField('fileExtensions', e.target.value)}
+              />
+            </div>
+            <div>
+              <h4 className='mb-2 text-xs font-medium text-gray-700 dark:text-gray-300'>
+                {t('config.includeGlobsTitle')}
+              </h4>
+              <p className='text-xs text-gray-500 dark:text-gray-400 mb-1'>
+                {t('config.includeGlobsHint')}
+              </p>
+              <textarea
+                className='h-44 w-full border border-gray-300 dark:border-gray-600 dark:bg-gray-700 dark:text-white p-2 font-mono text-sm shadow-sm focus:border-blue-500 focus:outline-none focus:ring-blue-500'
+                value={formState.includeGlobs}
+                placeholder='src/**/*.ts
+**/Dockerfile
+**/Makefile'
+                onChange={(e) => setField('includeGlobs', e.target.value)}
+              />
+            </div>
+            <div>
+              <h4 className='mb-2 text-xs font-medium text-gray-700 dark:text-gray-300'>
+                {t('config.excludePatternsTitle')}
+              </h4>
+              <p className='text-xs text-gray-500 dark:text-gray-400 mb-1'>
+                {t('config.excludePatternsHint')}
+              </p>
+              <textarea
+                className='h-44 w-full border border-gray-300 dark:border-gray-600 dark:bg-gray-700 dark:text-white p-2 font-mono text-sm shadow-sm focus:border-blue-500 focus:outline-none focus:ring-blue-500'
+                value={formState.excludePatterns}
+                placeholder='**/.git/**
 **/node_modules/**
 **/dist/**
 **/build/**'
-              onChange={(e) => setField('excludePatterns', e.target.value)}
-            />
+                onChange={(e) => setField('excludePatterns', e.target.value)}
+              />
+            </div>
+            <div>
+              <h4 className='mb-2 text-xs font-medium text-gray-700 dark:text-gray-300'>
+                {t('config.includePatternsTitle')}
+              </h4>
+              <p className='text-xs text-gray-500 dark:text-gray-400 mb-1'>
+                {t('config.includePatternsHint')}
+              </p>
+              <textarea
+                className='h-44 w-full border border-gray-300 dark:border-gray-600 dark:bg-gray-700 dark:text-white p-2 font-mono text-sm shadow-sm focus:border-blue-500 focus:outline-none focus:ring-blue-500'
+                value={formState.includePatterns}
+                placeholder='dist/schema.graphql
+**/generated/*.ts'
+                onChange={(e) => setField('includePatterns', e.target.value)}
+              />
+            </div>
           </div>
+        </fieldset>
+        <div data-testid='effective-config'>
+          <button
+            type='button'
+            aria-expanded={showEffectiveConfig}
+            onClick={() => setShowEffectiveConfig((previous) => !previous)}
+            className='text-sm text-blue-600 hover:underline dark:text-blue-400'
+          >
+            {showEffectiveConfig
+              ? t('config.hideEffectiveConfig')
+              : t('config.showEffectiveConfig')}
+          </button>
+          {showEffectiveConfig && (
+            <div className='mt-2'>
+              <p className='text-xs text-gray-500 dark:text-gray-400 mb-1'>
+                {effectiveConfig && effectiveConfig.sources.length > 0
+                  ? t('config.effectiveConfigSources', {
+                      sources: effectiveConfig.sources.join(' → '),
+                    })
+                  : t('config.effectiveConfigHint')}
+              </p>
+              {effectiveConfigError ? (
+                <p className='text-sm text-red-600 dark:text-red-400'>
+                  {t('config.effectiveConfigError', { message: effectiveConfigError })}
+                </p>
+              ) : (
+                <textarea
+                  readOnly
+                  aria-label={t('config.effectiveConfigTitle')}
+                  className='h-64 w-full border border-gray-300 bg-gray-50 dark:border-gray-600 dark:bg-gray-800 dark:text-gray-200 p-2 font-mono text-xs'
+                  value={effectiveConfig?.content ?? ''}
+                />
+              )}
+            </div>
+          )}
+        </div>
+        <div className='mt-4' data-testid='config-yaml'>
+          <button
+            type='button'
+            aria-expanded={showYamlEditor}
+            onClick={() => setShowYamlEditor((previous) => !previous)}
+            className='text-sm text-blue-600 hover:underline dark:text-blue-400'
+          >
+            {showYamlEditor ? t('config.hideYamlEditor') : t('config.showYamlEditor')}
+          </button>
+          {showYamlEditor && (
+            <div className='mt-2'>
+              <p className='text-xs text-gray-500 dark:text-gray-400 mb-1'>
+                {t('config.yamlEditorHint')}
+              </p>
+              <textarea
+                aria-label={t('config.yamlEditorTitle')}
+                spellCheck={false}
+                className='h-64 w-full border border-gray-300 dark:border-gray-600 dark:bg-gray-700 dark:text-white p-2 font-mono text-xs shadow-sm focus:border-blue-500 focus:outline-none focus:ring-blue-500'
+                value={yamlDraft}
+                onChange={(e) => setYamlDraft(e.target.value)}
+              />
+              <ConfigIssueList
+                errors={yamlDraftValidation.errors}
+                warnings={yamlDraftValidation.warnings}
+              />
+              <div className='mt-2 flex justify-end'>
+                <button
+                  type='button'
+                  onClick={() => onConfigChange(yamlDraft)}
+                  disabled={yamlDraftValidation.errors.length > 0 || yamlDraft === configContent}
+                  className='inline-flex items-center border border-transparent bg-green-600 px-4 py-2 text-sm font-medium text-white shadow-sm hover:bg-green-700 focus:outline-none disabled:cursor-not-allowed disabled:bg-gray-400'
+                >
+                  {t('config.applyYaml')}
+                </button>
+              </div>
+            </div>
+          )}
         </div>
       </div>
 
@@ -1,15 +1,34 @@
-import React, { useMemo, useState } from 'react';
+import React, { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
 import { useTranslation } from 'react-i18next';
 
-import type { DirectoryTreeItem, SelectionHandler } from '../../types/ipc';
+import {
+  collectPartiallySelectedFolders,
+  flattenVisibleRows,
+  getSelectionStatus,
+  getVisibleRowRange,
+} from './file-tree/tree-rows';
 
-type FileTreeItemProps = {
+import type { FileTreeRow, SelectionStatus } from './file-tree/tree-rows';
+import type { DirectoryTreeItem, ExclusionReason, SelectionHandler } from '../../types/ipc';
+
+type FileTreeRowProps = {
   item: DirectoryTreeItem;
-  level?: number;
-  selectedFiles: Set<string>;
-  selectedFolders: Set<string>;
+  level: number;
+  selectionStatus: SelectionStatus;
+  isExpanded: boolean;
+  isFocusTarget: boolean;
   onFileSelect: SelectionHandler;
   onFolderSelect: SelectionHandler;
+  onToggleFolder: (folderPath: string) => void;
+  onFocusRow: (itemPath: string) => void;
+};
+
+type ExcludedRowProps = {
+  item: DirectoryTreeItem & { excludedReason: ExclusionReason };
+  level: number;
+  isFocusTarget: boolean;
+  onFocusRow: (itemPath: string) => void;
+  onIncludeAnyway?: (itemPath: string) => Promise<void> | void;
 };
 
 type FileTreeProps = {
@@ -19,41 +38,61 @@ type FileTreeProps = {
   onFileSelect: SelectionHandler;
   onFolderSelect: SelectionHandler;
   onBatchSelect?: (files: string[], folders: string[], isSelected: boolean) => void;
+  // Called when a folder whose children are not loaded yet is expanded.
+  onLoadChildren?: (folderPath: string) => Promise<void> | void;
+  // Called when an excluded entry is included anyway.
+  onIncludeAnyway?: (itemPath: string) => Promise<void> | void;
 };
 
-const getSelectionStatus = (
-  item: DirectoryTreeItem,
-  selectedFiles: Set<string>,
-  selectedFolders: Set<string>
-): boolean => {
-  if (item.type === 'file') {
-    return selectedFiles.has(item.path);
-  }
-
-  return selectedFolders.has(item.path);
+// Rows have a fixed height so the visible window can be computed from the scroll position.
+const ROW_HEIGHT = 32;
+const OVERSCAN_ROWS = 10;
+// Used until the scroll container is measured, and where there is no layout (tests).
+const FALLBACK_VIEWPORT_HEIGHT = 640;
+
+const EXCLUSION_REASON_LABEL_KEYS: Record<ExclusionReason, string> = {
+  extension: 'fileTree.excludedByExtension',
+  'include-glob': 'fileTree.excludedByIncludeGlobs',
+  'custom-pattern': 'fileTree.excludedByCustomPattern',
+  gitignore: 'fileTree.excludedByGitignore',
+  sensitive: 'fileTree.excludedAsSensitive',
+  symlink: 'fileTree.excludedAsSymlink',
+  'outside-root': 'fileTree.excludedOutsideRoot',
 };
 
-const FileTreeItemComponent = ({
+// Symlinks and paths outside the root stay excluded whatever the config says.
+const canIncludeAnyway = (reason: ExclusionReason): boolean =>
+  reason !== 'symlink' && reason !== 'outside-root';
+
+const isExcludedItem = (
+  item: DirectoryTreeItem
+): item is DirectoryTreeItem & { excludedReason: ExclusionReason } =>
+  item.excludedReason !== undefined;
+
+const FileTreeRowComponent = ({
   item,
-  level = 0,
-  selectedFiles,
-  selectedFolders,
+  level,
+  selectionStatus,
+  isExpanded,
+  isFocusTarget,
   onFileSelect,
   onFolderSelect,
-}: FileTreeItemProps) => {
+  onToggleFolder,
+  onFocusRow,
+}: FileTreeRowProps) => {
   const { t } = useTranslation();
   const isFile = item.type === 'file';
   const isFolder = item.type === 'directory';
-  const checkboxIsSelected = getSelectionStatus(item, selectedFiles, selectedFolders);
-  const [isOpen, setIsOpen] = useState(false);
+  const checkboxIsSelected = selectionStatus === 'checked';
 
   const handleToggle = (event: React.MouseEvent<HTMLElement> | React.KeyboardEvent<HTMLElement>) => {
     event.stopPropagation();
-    setIsOpen((prev) => !prev);
+    onToggleFolder(item.path);
   };
 
   const handleSelect = (event: React.MouseEvent<HTMLElement> | React.KeyboardEvent<HTMLElement>) => {
     event.stopPropagation();
+    // A partially selected folder selects everything below it.
     const newIsSelected = !checkboxIsSelected;
 
     if (isFile) {
@@ -83,124 +122,195 @@ const FileTreeItemComponent = ({
   const paddingLeft = level * 16;
 
   return (
-    <div className='my-1'>
-      <div
-        role='treeitem'
-        tabIndex={0}
-        className={`flex items-center py-1 hover:bg-gray-100 dark:hover:bg-gray-700 w-full text-left cursor-pointer ${
-          checkboxIsSelected ? 'bg-blue-100 dark:bg-blue-900/30' : ''
-        }`}
-        style={{ paddingLeft: `${paddingLeft}px` }}
-        onClick={handleSelect}
-        onKeyDown={(event) => {
-          if (event.key === 'Enter' || event.key === ' ') {
-            event.preventDefault();
-            handleSelect(event);
-          }
-        }}
-        aria-selected={checkboxIsSelected}
-      >
-        <div className='mr-2 shrink-0'>
-          <input
-            type='checkbox'
-            id={`checkbox-${item.path}`}
-            checked={checkboxIsSelected}
-            onChange={handleCheckboxChange}
-            onClick={(event) => event.stopPropagation()}
-            aria-labelledby={`label-${item.path}`}
-            className='size-4 cursor-pointer rounded border-gray-300 text-blue-600 focus:ring-blue-500'
-          />
-        </div>
+    <div
+      role='treeitem'
+      tabIndex={isFocusTarget ? 0 : -1}
+      data-path={item.path}
+      aria-level={level + 1}
+      className={`flex items-center hover:bg-gray-100 dark:hover:bg-gray-700 w-full text-left cursor-pointer ${
+        checkboxIsSelected ? 'bg-blue-100 dark:bg-blue-900/30' : ''
+      }`}
+      style={{ height: `${ROW_HEIGHT}px`, paddingLeft: `${paddingLeft}px` }}
+      onClick={handleSelect}
+      onFocus={() => onFocusRow(item.path)}
+      onKeyDown={(event) => {
+        if (event.key === 'Enter' || event.key === ' ') {
+          event.preventDefault();
+          handleSelect(event);
+        }
+      }}
+      aria-selected={checkboxIsSelected}
+    >
+      <div className='mr-2 shrink-0'>
+        <input
+          type='checkbox'
+          id={`checkbox-${item.path}`}
+          ref={(element) => {
+            if (element) {
+              element.indeterminate = selectionStatus === 'partial';
+            }
+          }}
+          checked={checkboxIsSelected}
+          onChange={handleCheckboxChange}
+          onClick={(event) => event.stopPropagation()}
+          aria-labelledby={`label-${item.path}`}
+          aria-checked={selectionStatus === 'partial' ? 'mixed' : checkboxIsSelected}
+          tabIndex={-1}
+          className='size-4 cursor-pointer rounded border-gray-300 text-blue-600 focus:ring-blue-500'
+        />
+      </div>
 
-        {isFolder && (
-          <button
-            type='button'
-            className='mr-1 size-5 shrink-0 rounded text-gray-500 dark:text-gray-400 hover:bg-gray-200 dark:hover:bg-gray-700 focus:outline-none'
-            onClick={handleToggle}
-            aria-label={isOpen ? t('fileTree.collapseFolder') : t('fileTree.expandFolder')}
-          >
-            <span className='block text-center'>{isOpen ? '▼' : '▶'}</span>
-          </button>
-        )}
+      {isFolder && (
+        <button
+          type='button'
+          tabIndex={-1}
+          className='mr-1 size-5 shrink-0 rounded text-gray-500 dark:text-gray-400 hover:bg-gray-200 dark:hover:bg-gray-700 focus:outline-none'
+          onClick={handleToggle}
+          aria-label={isExpanded ? t('fileTree.collapseFolder') : t('fileTree.expandFolder')}
+        >
+          <span className='block text-center'>{isExpanded ? '▼' : '▶'}</span>
+        </button>
+      )}
 
-        <div className='flex grow items-center overflow-hidden'>
-          {isFile ? (
-            <>
-              <span className='mr-1 shrink-0 text-gray-500 dark:text-gray-400' aria-hidden='true'>
-                📄
+      <div className='flex grow items-center overflow-hidden'>
+        {isFile ? (
+          <>
+            <span className='mr-1 shrink-0 text-gray-500 dark:text-gray-400' aria-hidden='true'>
+              📄
+            </span>
+            <span id={`label-${item.path}`} className='truncate' title={item.path}>
+              {item.name}
+            </span>
+            <label htmlFor={`checkbox-${item.path}`} className='sr-only'>
+              {item.name}
+            </label>
+          </>
+        ) : (
+          <>
+            <button
+              type='button'
+              tabIndex={-1}
+              className='mr-1 flex items-center text-left border-0 bg-transparent p-0 cursor-pointer'
+              onClick={handleToggle}
+              onKeyDown={(event) => {
+                if (event.key === 'Enter' || event.key === ' ') {
+                  event.preventDefault();
+                  event.stopPropagation();
+                  handleToggle(event);
+                }
+              }}
+              aria-expanded={isExpanded}
+              aria-label={
+                isExpanded
+                  ? t('fileTree.collapseFolderWithName', { name: item.name })
+                  : t('fileTree.expandFolderWithName', { name: item.name })
+              }
+            >
+              <span className='shrink-0 text-yellow-500' aria-hidden='true'>
+                {isExpanded ? '📂' : '📁'}
               </span>
-              <span id={`label-${item.path}`} className='truncate' title={item.path}>
+              <span
+                id={`label-${item.path}`}
+                className='ml-1 truncate font-semibold hover:underline'
+                title={item.path}
+              >
                 {item.name}
               </span>
-              <label htmlFor={`checkbox-${item.path}`} className='sr-only'>
-                {item.name}
-              </label>
-            </>
-          ) : (
-            <>
-              <button
-                type='button'
-                className='mr-1 flex items-center text-left border-0 bg-transparent p-0 cursor-pointer'
-                onClick={handleToggle}
-                onKeyDown={(event) => {
-                  if (event.key === 'Enter' || event.key === ' ') {
-                    event.preventDefault();
-                    event.stopPropagation();
-                    handleToggle(event);
-                  }
-                }}
-                aria-expanded={isOpen}
-                aria-label={
-                  isOpen
-                    ? t('fileTree.collapseFolderWithName', { name: item.name })
-                    : t('fileTree.expandFolderWithName', { name: item.name })
-                }
-              >
-                <span className='shrink-0 text-yellow-500' aria-hidden='true'>
-                  {isOpen ? '📂' : '📁'}
-                </span>
+              {item.itemCount !== undefined && (
                 <span
-                  id={`label-${item.path}`}
-                  className='ml-1 truncate font-semibold hover:underline'
-                  title={item.path}
+                  className='ml-2 shrink-0 text-xs text-gray-500 dark:text-gray-400'
+                  title={t('fileTree.folderItemCount', { items: item.itemCount })}
                 >
-                  {item.name}
+                  {item.itemCount}
                 </span>
-              </button>
-              <label htmlFor={`checkbox-${item.path}`} className='sr-only'>
-                {item.name}
-              </label>
-            </>
-          )}
-        </div>
+              )}
+            </button>
+            <label htmlFor={`checkbox-${item.path}`} className='sr-only'>
+              {item.name}
+            </label>
+          </>
+        )}
       </div>
+    </div>
+  );
+};
 
-      {isFolder && isOpen && item.children && (
-        <div className='overflow-hidden transition-all duration-200 max-h-screen opacity-100'>
-          {item.children.map((child) => (
-            <FileTreeItem
-              key={child.path}
-              item={child}
-              level={level + 1}
-              selectedFiles={selectedFiles}
-              selectedFolders={selectedFolders}
-              onFileSelect={onFileSelect}
-              onFolderSelect={onFolderSelect}
-            />
-          ))}
-        </div>
+const FileTreeRowItem = React.memo(FileTreeRowComponent);
+FileTreeRowItem.displayName = 'FileTreeRowItem';
+
+// Excluded entries are shown greyed out with their reason; they cannot be selected or expanded.
+const ExcludedRowComponent = ({
+  item,
+  level,
+  isFocusTarget,
+  onFocusRow,
+  onIncludeAnyway,
+}: ExcludedRowProps) => {
+  const { t } = useTranslation();
+
+  return (
+    <div
+      role='treeitem'
+      tabIndex={isFocusTarget ? 0 : -1}
+      data-path={item.path}
+      aria-level={level + 1}
+      aria-disabled='true'
+      className='flex w-full items-center text-left text-gray-500 dark:text-gray-400'
+      style={{ height: `${ROW_HEIGHT}px`, paddingLeft: `${level * 16}px` }}
+      onFocus={() => onFocusRow(item.path)}
+    >
+      <div className='mr-2 shrink-0'>
+        <input
+          type='checkbox'
+          id={`checkbox-${item.path}`}
+          checked={false}
+          disabled
+          aria-labelledby={`label-${item.path}`}
+          tabIndex={-1}
+          className='size-4 cursor-not-allowed rounded border-gray-300 opacity-50'
+        />
+      </div>
+
+      <div className='flex grow items-center overflow-hidden opacity-60'>
+        <span className='mr-1 shrink-0' aria-hidden='true'>
+          {item.type === 'directory' ? '📁' : '📄'}
+        </span>
+        <span id={`label-${item.path}`} className='truncate italic' title={item.path}>
+          {item.name}
+        </span>
+        <span className='ml-2 shrink-0 text-xs'>
+          {t(EXCLUSION_REASON_LABEL_KEYS[item.excludedReason])}
+        </span>
+      </div>
+
+      {onIncludeAnyway && canIncludeAnyway(item.excludedReason) && (
+        <button
+          type='button'
+          className='mx-1 shrink-0 rounded border border-gray-300 px-2 text-xs text-blue-700 hover:bg-gray-100 dark:border-gray-600 dark:text-blue-300 dark:hover:bg-gray-700'
+          onClick={(event) => {
+            event.stopPropagation();
+            void onIncludeAnyway(item.path);
+          }}
+          aria-label={t('fileTree.includeAnywayWithName', { name: item.name })}
+        >
+          {t('fileTree.includeAnyway')}
+        </button>
       )}
     </div>
   );
 };
 
-const FileTreeItem = React.memo(FileTreeItemComponent);
-FileTreeItem.displayName = 'FileTreeItem';
+const ExcludedRowItem = React.memo(ExcludedRowComponent);
+ExcludedRowItem.displayName = 'ExcludedRowItem';
 
 const countTotalFiles = (itemsToCount: DirectoryTreeItem[]): number => {
   let count = 0;
 
   for (const item of itemsToCount) {
+    if (isExcludedItem(item)) {
+      continue;
+    }
+
     if (item.type === 'file') {
       count += 1;
     } else if (item.children) {
@@ -211,8 +321,19 @@ const countTotalFiles = (itemsToCount: DirectoryTreeItem[]): number => {
   return count;
 };
 
+const hasUnloadedFolders = (itemsToCheck: DirectoryTreeItem[]): boolean =>
+  itemsToCheck.some(
+    (item) =>
+      item.type === 'directory' &&
+      (item.children === undefined || hasUnloadedFolders(item.children))
+  );
+
 const collectFilePaths = (itemsToSearch: DirectoryTreeItem[], target: Set<string>) => {
   for (const item of itemsToSearch) {
+    if (isExcludedItem(item)) {
+      continue;
+    }
+
     if (item.type === 'file') {
       target.add(item.path);
     } else if (item.children) {
@@ -225,6 +346,10 @@ const getAllPaths = (itemsToProcess: DirectoryTreeItem[]): { files: string[]; fo
   const result = { files: [] as string[], folders: [] as string[] };
 
   for (const item of itemsToProcess) {
+    if (isExcludedItem(item)) {
+      continue;
+    }
+
     if (item.type === 'file') {
       result.files.push(item.path);
       continue;
@@ -248,11 +373,181 @@ const FileTreeComponent = ({
   onFileSelect,
   onFolderSelect,
   onBatchSelect,
+  onLoadChildren,
+  onIncludeAnyway,
 }: FileTreeProps) => {
   const { t } = useTranslation();
+  const isPartiallyLoaded = useMemo(() => hasUnloadedFolders(items), [items]);
   const totalFiles = useMemo(() => countTotalFiles(items), [items]);
+  const [expandedFolders, setExpandedFolders] = useState<Set<string>>(() => new Set());
+  const [focusedPath, setFocusedPath] = useState<string | null>(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(FALLBACK_VIEWPORT_HEIGHT);
+  const scrollContainerRef = useRef<HTMLDivElement>(null);
+  // Set by keyboard navigation so the newly focused row takes DOM focus once it is rendered.
+  const shouldMoveFocusRef = useRef(false);
+
+  const rows = useMemo(() => flattenVisibleRows(items, expandedFolders), [items, expandedFolders]);
+  const partialFolders = useMemo(
+    () => collectPartiallySelectedFolders(items, selectedFiles, selectedFolders),
+    [items, selectedFiles, selectedFolders]
+  );
+  const itemRowIndexes = useMemo(
+    () => rows.flatMap((row, index) => (row.kind === 'item' ? [index] : [])),
+    [rows]
+  );
+  const focusedRowIndex = rows.findIndex(
+    (row) => row.kind === 'item' && row.item.path === focusedPath
+  );
+  // Tab enters the tree on the focused row, or on the first row when it is not shown.
+  const focusTargetIndex = focusedRowIndex === -1 ? (itemRowIndexes[0] ?? -1) : focusedRowIndex;
+
+  // Also reloads the children of folders left open when the tree is rescanned.
+  useEffect(() => {
+    for (const row of rows) {
+      if (row.kind === 'loading') {
+        void onLoadChildren?.(row.folderPath);
+      }
+    }
+  }, [rows, onLoadChildren]);
+
+  useEffect(() => {
+    const container = scrollContainerRef.current;
+    if (!container || typeof ResizeObserver === 'undefined') {
+      return undefined;
+    }
+
+    const observer = new ResizeObserver(() => {
+      setViewportHeight(container.clientHeight || FALLBACK_VIEWPORT_HEIGHT);
+    });
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  const { start, end } = getVisibleRowRange({
+    rowCount: rows.length,
+    rowHeight: ROW_HEIGHT,
+    scrollTop,
+    viewportHeight,
+    overscan: OVERSCAN_ROWS,
+  });
+
+  useLayoutEffect(() => {
+    if (!shouldMoveFocusRef.current || !focusedPath) {
+      return;
+    }
+
+    const rowElement = [
+      ...(scrollContainerRef.current?.querySelectorAll<HTMLElement>('[role="treeitem"]') ?? []),
+    ].find((element) => element.dataset.path === focusedPath);
+    if (rowElement) {
+      shouldMoveFocusRef.current = false;
+      rowElement.focus({ preventScroll: true });
+    }
+  });
+
+  const toggleFolder = useCallback((folderPath: string) => {
+    setExpandedFolders((previous) => {
+      const next = new Set(previous);
+      if (next.has(folderPath)) {
+        next.delete(folderPath);
+      } else {
+        next.add(folderPath);
+      }
+      return next;
+    });
+  }, []);
+
+  const focusRow = useCallback((itemPath: string) => {
+    setFocusedPath(itemPath);
+  }, []);
+
+  // Scrolls the row into the rendered window and moves DOM focus to it.
+  const moveFocusToRow = (rowIndex: number) => {
+    const row = rows[rowIndex];
+    if (row?.kind !== 'item') {
+      return;
+    }
+
+    const container = scrollContainerRef.current;
+    if (container) {
+      const rowTop = rowIndex * ROW_HEIGHT;
+      const visibleHeight = container.clientHeight || viewportHeight;
+      if (rowTop < container.scrollTop) {
+        container.scrollTop = rowTop;
+      } else if (rowTop + ROW_HEIGHT > container.scrollTop + visibleHeight) {
+        container.scrollTop = rowTop + ROW_HEIGHT - visibleHeight;
+      }
+      setScrollTop(container.scrollTop);
+    }
+
+    shouldMoveFocusRef.current = true;
+    setFocusedPath(row.item.path);
+  };
+
+  const handleTreeKeyDown = (event: React.KeyboardEvent<HTMLDivElement>) => {
+    const rowPath = (event.target as HTMLElement).closest<HTMLElement>('[role="treeitem"]')?.dataset
+      .path;
+    const rowIndex = rows.findIndex((row) => row.kind === 'item' && row.item.path === rowPath);
+    const focusedRow = rows[rowIndex];
+    if (focusedRow?.kind !== 'item') {
+      return;
+    }
+
+    const position = itemRowIndexes.indexOf(rowIndex);
+    const { item, parentPath } = focusedRow;
+    const isFolder = item.type === 'directory' && !isExcludedItem(item);
+    const isExpanded = expandedFolders.has(item.path);
+    let handled = true;
+
+    switch (event.key) {
+      case 'ArrowDown':
+        moveFocusToRow(itemRowIndexes[position + 1] ?? rowIndex);
+        break;
+      case 'ArrowUp':
+        moveFocusToRow(itemRowIndexes[position - 1] ?? rowIndex);
+        break;
+      case 'Home':
+        moveFocusToRow(itemRowIndexes[0]);
+        break;
+      case 'End':
+        moveFocusToRow(itemRowIndexes.at(-1) ?? rowIndex);
+        break;
+      case 'ArrowRight':
+        if (isFolder && !isExpanded) {
+          toggleFolder(item.path);
+        } else if (isFolder && rows[rowIndex + 1]?.kind === 'item') {
+          moveFocusToRow(rowIndex + 1);
+        }
+        break;
+      case 'ArrowLeft':
+        if (isFolder && isExpanded) {
+          toggleFolder(item.path);
+        } else if (parentPath) {
+          moveFocusToRow(
+            rows.findIndex((row) => row.kind === 'item' && row.item.path === parentPath)
+          );
+        }
+        break;
+      default:
+        handled = false;
+    }
+
+    if (handled) {
+      event.preventDefault();
+    }
+  };
 
   const selectAllChecked = useMemo(() => {
+    // Unloaded files are unknown here; a selected folder stands for everything below it.
+    if (isPartiallyLoaded) {
+      return items.every(
+        (item) =>
+          isExcludedItem(item) ||
+          getSelectionStatus(item, selectedFiles, selectedFolders, partialFolders) === 'checked'
+      );
+    }
+
     if (totalFiles === 0) return false;
 
     const validFilePaths = new Set<string>();
@@ -261,9 +556,26 @@ const FileTreeComponent = ({
       if (!selectedFiles.has(filePath)) return false;
     }
     return true;
-  }, [items, selectedFiles, totalFiles]);
+  }, [items, isPartiallyLoaded, partialFolders, selectedFiles, selectedFolders, totalFiles]);
 
   const handleSelectAllToggle = () => {
+    if (isPartiallyLoaded) {
+      // Folder selection resolves the files that are not loaded yet.
+      const selectableItems = items.filter((item) => !isExcludedItem(item));
+      const topLevelFiles = selectableItems
+        .filter((item) => item.type === 'file')
+        .map((item) => item.path);
+      if (onBatchSelect) {
+        onBatchSelect(topLevelFiles, [], !selectAllChecked);
+      } else {
+        topLevelFiles.forEach((filePath) => onFileSelect(filePath, !selectAllChecked));
+      }
+      selectableItems
+        .filter((item) => item.type === 'directory')
+        .forEach((item) => onFolderSelect(item.path, !selectAllChecked));
+      return;
+    }
+
     const allPaths = getAllPaths(items);
 
     if (onBatchSelect) {
@@ -281,6 +593,56 @@ const FileTreeComponent = ({
     allPaths.folders.forEach((folderPath) => onFolderSelect(folderPath, true));
   };
 
+  const renderRow = (row: FileTreeRow, rowIndex: number) => {
+    if (row.kind === 'loading') {
+      return (
+        <div
+          key={`loading-${row.folderPath}`}
+          role='treeitem'
+          aria-level={row.level + 1}
+          aria-busy='true'
+          className='flex items-center text-sm italic text-gray-500 dark:text-gray-400'
+          style={{ height: `${ROW_HEIGHT}px`, paddingLeft: `${row.level * 16 + 24}px` }}
+        >
+          {t('fileTree.loadingFolder')}
+        </div>
+      );
+    }
+
+    if (isExcludedItem(row.item)) {
+      return (
+        <ExcludedRowItem
+          key={row.item.path}
+          item={row.item}
+          level={row.level}
+          isFocusTarget={rowIndex === focusTargetIndex}
+          onFocusRow={focusRow}
+          onIncludeAnyway={onIncludeAnyway}
+        />
+      );
+    }
+
+    return (
+      <FileTreeRowItem
+        key={row.item.path}
+        item={row.item}
+        level={row.level}
+        selectionStatus={getSelectionStatus(
+          row.item,
+          selectedFiles,
+          selectedFolders,
+          partialFolders
+        )}
+        isExpanded={expandedFolders.has(row.item.path)}
+        isFocusTarget={rowIndex === focusTargetIndex}
+        onFileSelect={onFileSelect}
+        onFolderSelect={onFolderSelect}
+        onToggleFolder={toggleFolder}
+        onFocusRow={focusRow}
+      />
+    );
+  };
+
   return (
     <div className='file-tree flex min-h-0 flex-1 flex-col rounded-md border border-gray-200 dark:border-gray-700'>
       <div className='flex items-center justify-between border-b border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800 p-2'>
@@ -303,11 +665,20 @@ const FileTreeComponent = ({
           </label>
         </div>
         <span className='text-xs font-medium text-gray-500 dark:text-gray-400'>
-          {t('fileTree.selectedCount', { selected: selectedFiles.size, total: totalFiles })}
+          {isPartiallyLoaded
+            ? t('fileTree.selectedCountPartial', { selected: selectedFiles.size })
+            : t('fileTree.selectedCount', { selected: selectedFiles.size, total: totalFiles })}
         </span>
       </div>
 
-      <div role='tree' className='flex-1 min-h-0 overflow-auto p-2'>
+      <div
+        ref={scrollContainerRef}
+        role='tree'
+        aria-multiselectable='true'
+        className='flex-1 min-h-0 overflow-auto p-2'
+        onScroll={(event) => setScrollTop(event.currentTarget.scrollTop)}
+        onKeyDown={handleTreeKeyDown}
+      >
         {items.length === 0 ? (
           <div className='flex flex-col items-center justify-center p-8 text-center text-gray-500 dark:text-gray-400'>
             <svg
@@ -328,17 +699,13 @@ const FileTreeComponent = ({
             <p className='mt-2 text-sm'>{t('fileTree.emptyHint')}</p>
           </div>
         ) : (
-          items.map((item) => (
-            <FileTreeItem
-              key={item.path}
-              item={item}
-              level={0}
-              selectedFiles={selectedFiles}
-              selectedFolders={selectedFolders}
-              onFileSelect={onFileSelect}
-              onFolderSelect={onFolderSelect}
-            />
-          ))
+          // Only the rows in and around the viewport are mounted; the wrapper keeps the full
+          // height so the scrollbar matches the whole tree.
+          <div style={{ height: `${rows.length * ROW_HEIGHT}px`, position: 'relative' }}>
+            <div style={{ transform: `translateY(${start * ROW_HEIGHT}px)` }}>
+              {rows.slice(start, end).map((row, offset) => renderRow(row, start + offset))}
+            </div>
+          </div>
         )}
       </div>
     </div>
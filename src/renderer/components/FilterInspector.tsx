@@ -0,0 +1,247 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+
+import { getPathRelativeToRoot } from '../context/utils/path-boundary';
+
+import Spinner from './icons/Spinner';
+
+import type {
+  DirectoryTreeItem,
+  FilterCheck,
+  FilterCheckOutcome,
+  FilterCheckStep,
+  FilterDecision,
+  FilterTrace,
+} from '../../types/ipc';
+
+type FilterInspectorProps = {
+  rootPath: string;
+  configContent: string;
+  directoryTree: DirectoryTreeItem[];
+};
+
+const STEP_LABEL_KEYS: Record<FilterCheckStep, string> = {
+  'include-override': 'filterInspector.stepIncludeOverride',
+  'include-pattern': 'filterInspector.stepIncludePattern',
+  'sensitive-path': 'filterInspector.stepSensitivePath',
+  extension: 'filterInspector.stepExtension',
+  'include-glob': 'filterInspector.stepIncludeGlob',
+  'exclude-pattern': 'filterInspector.stepExcludePattern',
+  gitignore: 'filterInspector.stepGitignore',
+  'secret-content': 'filterInspector.stepSecretContent',
+};
+
+const OUTCOME_LABEL_KEYS: Record<FilterCheckOutcome, string> = {
+  excluded: 'filterInspector.outcomeExcluded',
+  included: 'filterInspector.outcomeIncluded',
+  'no-match': 'filterInspector.outcomeNoMatch',
+  disabled: 'filterInspector.outcomeDisabled',
+  'not-applicable': 'filterInspector.outcomeNotApplicable',
+};
+
+const OUTCOME_CLASSES: Record<FilterCheckOutcome, string> = {
+  excluded: 'text-red-700 dark:text-red-300',
+  included: 'text-green-700 dark:text-green-300',
+  'no-match': 'text-gray-600 dark:text-gray-400',
+  disabled: 'text-gray-500 dark:text-gray-500',
+  'not-applicable': 'text-gray-500 dark:text-gray-500',
+};
+
+// Suggestions come from the levels loaded so far; any other path can still be typed.
+const collectLoadedPaths = (items: DirectoryTreeItem[], rootPath: string): string[] => {
+  const paths: string[] = [];
+  const visit = (levelItems: DirectoryTreeItem[]) => {
+    for (const item of levelItems) {
+      paths.push(getPathRelativeToRoot(item.path, rootPath));
+      visit(item.children ?? []);
+    }
+  };
+  visit(items);
+  return paths;
+};
+
+const FilterInspector = ({ rootPath, configContent, directoryTree }: FilterInspectorProps) => {
+  const { t } = useTranslation();
+  const appWindow = globalThis as Window & typeof globalThis;
+  const [itemPath, setItemPath] = useState('');
+  const [decision, setDecision] = useState<FilterDecision | null>(null);
+  const [hasError, setHasError] = useState(false);
+  const [isExplaining, setIsExplaining] = useState(false);
+  const loadedPaths = useMemo(
+    () => collectLoadedPaths(directoryTree, rootPath),
+    [directoryTree, rootPath]
+  );
+
+  useEffect(() => {
+    setItemPath('');
+    setDecision(null);
+    setHasError(false);
+  }, [rootPath]);
+
+  const handleExplain = async (event: React.FormEvent) => {
+    event.preventDefault();
+    const electronAPI = appWindow.electronAPI;
+    if (!itemPath.trim() || !electronAPI?.explainPathFilter) {
+      return;
+    }
+
+    setIsExplaining(true);
+    setHasError(false);
+    try {
+      setDecision(
+        await electronAPI.explainPathFilter({
+          rootPath,
+          itemPath: itemPath.trim(),
+          configContent,
+        })
+      );
+    } catch (error) {
+      console.error('Error explaining path filters:', error);
+      setDecision(null);
+      setHasError(true);
+    } finally {
+      setIsExplaining(false);
+    }
+  };
+
+  const describeSource = (check: FilterCheck): string | null => {
+    const { source } = check;
+    switch (source?.kind) {
+      case 'config':
+        return source.line
+          ? t('filterInspector.sourceConfigLine', { key: source.key, line: source.line })
+          : t('filterInspector.sourceConfig', { key: source.key });
+      case 'ignore-file':
+        return source.line
+          ? t('filterInspector.sourceIgnoreFileLine', { file: source.filePath, line: source.line })
+          : source.filePath;
+      case 'built-in':
+        return t('filterInspector.sourceBuiltIn');
+      case 'sensitive-path-rule':
+      case 'secret-rule':
+        return source.description;
+      default:
+        return null;
+    }
+  };
+
+  const renderChecks = (trace: FilterTrace, testId: string) => (
+    <ol className='space-y-1' data-testid={testId}>
+      {trace.checks.map((check) => {
+        const sourceText = describeSource(check);
+        return (
+          <li
+            key={check.step}
+            className='flex flex-wrap items-baseline gap-x-2 text-xs'
+            data-testid={`filter-check-${check.step}`}
+          >
+            <span className='w-32 shrink-0 font-medium text-gray-700 dark:text-gray-300'>
+              {t(STEP_LABEL_KEYS[check.step])}
+            </span>
+            <span className={`w-24 shrink-0 ${OUTCOME_CLASSES[check.outcome]}`}>
+              {t(OUTCOME_LABEL_KEYS[check.outcome])}
+            </span>
+            {check.rule && (
+              <code className='rounded bg-gray-100 px-1 dark:bg-gray-700 dark:text-gray-200'>
+                {check.rule}
+              </code>
+            )}
+            {check.matchedPath && (
+              <span className='text-gray-500 dark:text-gray-400'>
+                {t('filterInspector.matchedPath', { path: check.matchedPath })}
+              </span>
+            )}
+            {sourceText && (
+              <span className='break-all text-gray-500 dark:text-gray-400'>{sourceText}</span>
+            )}
+          </li>
+        );
+      })}
+    </ol>
+  );
+
+  return (
+    <div
+      className='mt-4 rounded-md border border-gray-200 bg-gray-50 p-3 dark:border-gray-700 dark:bg-gray-800'
+      data-testid='filter-inspector'
+    >
+      <form className='flex flex-wrap items-end gap-2' onSubmit={handleExplain}>
+        <div className='min-w-48 grow'>
+          <label
+            htmlFor='filter-inspector-path'
+            className='mb-1 block text-xs text-gray-600 dark:text-gray-400'
+          >
+            {t('filterInspector.pathLabel')}
+          </label>
+          <input
+            id='filter-inspector-path'
+            type='text'
+            list='filter-inspector-paths'
+            value={itemPath}
+            onChange={(event) => setItemPath(event.target.value)}
+            placeholder='src/index.ts'
+            className='w-full rounded border border-gray-300 px-2 py-1 text-sm dark:border-gray-600 dark:bg-gray-700 dark:text-white'
+          />
+          <datalist id='filter-inspector-paths'>
+            {loadedPaths.map((loadedPath) => (
+              <option key={loadedPath} value={loadedPath} />
+            ))}
+          </datalist>
+        </div>
+        <button
+          type='submit'
+          data-testid='filter-inspector-explain'
+          disabled={!itemPath.trim() || isExplaining}
+          className='inline-flex items-center border border-transparent bg-blue-600 px-4 py-1.5 text-sm font-medium text-white shadow-sm hover:bg-blue-700 focus:outline-none disabled:cursor-not-allowed disabled:bg-gray-400'
+        >
+          {isExplaining && <Spinner className='-ml-1 mr-2 h-4 w-4 text-white' />}
+          {t('filterInspector.explain')}
+        </button>
+      </form>
+
+      {hasError && (
+        <p className='mt-2 text-xs text-red-700 dark:text-red-300' role='alert'>
+          {t('filterInspector.error')}
+        </p>
+      )}
+
+      {decision && (
+        <div className='mt-3 space-y-2' data-testid='filter-decision'>
+          <p
+            className={`text-sm font-semibold ${
+              decision.excluded
+                ? 'text-red-700 dark:text-red-300'
+                : 'text-green-700 dark:text-green-300'
+            }`}
+            data-testid='filter-decision-verdict'
+          >
+            {decision.excluded && decision.decidedBy
+              ? t('filterInspector.verdictExcluded', {
+                  path: decision.relativePath,
+                  step: t(STEP_LABEL_KEYS[decision.decidedBy]),
+                })
+              : t('filterInspector.verdictIncluded', { path: decision.relativePath })}
+          </p>
+          {!decision.exists && (
+            <p className='text-xs text-amber-700 dark:text-amber-300'>
+              {t('filterInspector.missingPath')}
+            </p>
+          )}
+          {decision.excludedParent && (
+            <div>
+              <p className='mb-1 text-xs text-gray-700 dark:text-gray-300'>
+                {t('filterInspector.excludedParent', {
+                  path: decision.excludedParent.relativePath,
+                })}
+              </p>
+              {renderChecks(decision.excludedParent, 'filter-parent-checks')}
+            </div>
+          )}
+          {renderChecks(decision, 'filter-checks')}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FilterInspector;
@@ -1,13 +1,13 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useTranslation } from 'react-i18next';
 
 import Spinner from './icons/Spinner';
 
-import type { ProcessRepositoryResult } from '../../types/ipc';
+import type { ProcessedOutputPart, ProcessRepositoryResult } from '../../types/ipc';
 
 type ProcessedTabProps = {
   processedResult: ProcessRepositoryResult | null;
-  onSave: () => Promise<void> | void;
+  onSave: (part?: ProcessedOutputPart) => Promise<void> | void;
   onRefresh?: () => Promise<void> | void;
 };
 
@@ -16,11 +16,24 @@ const ProcessedTab = ({ processedResult, onSave, onRefresh }: ProcessedTabProps)
   const [isSaving, setIsSaving] = useState(false);
   const [isCopied, setIsCopied] = useState(false);
   const [isRefreshing, setIsRefreshing] = useState(false);
+  const [partIndex, setPartIndex] = useState(0);
+
+  const isStreamedOutput = Boolean(processedResult?.outputPath);
+  const parts = processedResult?.parts ?? [];
+  const currentPart = parts.length > 1 ? parts[Math.min(partIndex, parts.length - 1)] : undefined;
+  // Streamed parts are written to a file each, with a preview of their own.
+  const isPreviewTruncated = (currentPart ?? processedResult)?.isPreviewTruncated === true;
+  const streamedOutputPath = currentPart?.outputPath ?? processedResult?.outputPath;
+  const displayedContent = currentPart?.content ?? processedResult?.content ?? '';
+
+  useEffect(() => {
+    setPartIndex(0);
+  }, [processedResult]);
 
   const handleSave = async () => {
     setIsSaving(true);
     try {
-      await onSave();
+      await onSave(currentPart);
     } catch (error) {
       console.error('Failed to save:', error);
     } finally {
@@ -48,7 +61,7 @@ const ProcessedTab = ({ processedResult, onSave, onRefresh }: ProcessedTabProps)
   const handleCopy = async () => {
     if (processedResult) {
       try {
-        await navigator.clipboard.writeText(processedResult.content);
+        await navigator.clipboard.writeText(displayedContent);
         setIsCopied(true);
         setTimeout(() => {
           setIsCopied(false);
@@ -133,7 +146,9 @@ const ProcessedTab = ({ processedResult, onSave, onRefresh }: ProcessedTabProps)
             <div className='flex space-x-2'>
               <button
                 onClick={handleCopy}
-                className='inline-flex items-center border border-transparent bg-green-600 px-4 py-2 text-sm font-medium text-white shadow-sm hover:bg-green-700 focus:outline-none'
+                className='inline-flex items-center border border-transparent bg-green-600 px-4 py-2 text-sm font-medium text-white shadow-sm hover:bg-green-700 focus:outline-none disabled:cursor-not-allowed disabled:opacity-50'
+                disabled={isPreviewTruncated}
+                title={isPreviewTruncated ? t('processed.copyDisabledTruncated') : undefined}
               >
                 {isCopied ? (
                   t('processed.copied')
@@ -152,34 +167,36 @@ const ProcessedTab = ({ processedResult, onSave, onRefresh }: ProcessedTabProps)
                   </>
                 )}
               </button>
-              <button
-                onClick={handleSave}
-                className={`inline-flex items-center border border-transparent px-4 py-2 text-sm font-medium text-white shadow-sm ${
-                  isSaving ? 'bg-green-600' : 'bg-blue-600 hover:bg-blue-700'
-                } focus:outline-none`}
-              >
-                {isSaving ? (
-                  t('processed.saving')
-                ) : (
-                  <>
-                    <svg
-                      className='w-4 h-4 mr-2'
-                      fill='none'
-                      stroke='currentColor'
-                      viewBox='0 0 24 24'
-                      xmlns='http://www.w3.org/2000/svg'
-                    >
-                      <path
-                        strokeLinecap='round'
-                        strokeLinejoin='round'
-                        strokeWidth={2}
-                        d='M8 7H5a2 2 0 00-2 2v9a2 2 0 002 2h14a2 2 0 002-2V9a2 2 0 00-2-2h-3m-1 4l-3 3m0 0l-3-3m3 3V4'
-                      />
-                    </svg>
-                    {t('processed.saveToFile')}
-                  </>
-                )}
-              </button>
+              {!isStreamedOutput && (
+                <button
+                  onClick={handleSave}
+                  className={`inline-flex items-center border border-transparent px-4 py-2 text-sm font-medium text-white shadow-sm ${
+                    isSaving ? 'bg-green-600' : 'bg-blue-600 hover:bg-blue-700'
+                  } focus:outline-none`}
+                >
+                  {isSaving ? (
+                    t('processed.saving')
+                  ) : (
+                    <>
+                      <svg
+                        className='w-4 h-4 mr-2'
+                        fill='none'
+                        stroke='currentColor'
+                        viewBox='0 0 24 24'
+                        xmlns='http://www.w3.org/2000/svg'
+                      >
+                        <path
+                          strokeLinecap='round'
+                          strokeLinejoin='round'
+                          strokeWidth={2}
+                          d='M8 7H5a2 2 0 00-2 2v9a2 2 0 002 2h14a2 2 0 002-2V9a2 2 0 00-2-2h-3m-1 4l-3 3m0 0l-3-3m3 3V4'
+                        />
+                      </svg>
+                      {t('processed.saveToFile')}
+                    </>
+                  )}
+                </button>
+              )}
             </div>
           </div>
 
@@ -191,16 +208,53 @@ const ProcessedTab = ({ processedResult, onSave, onRefresh }: ProcessedTabProps)
               >
                 {t('processed.processedContent')}
               </label>
+              {currentPart && (
+                <div className='flex items-center space-x-2' data-testid='processed-part-pager'>
+                  <button
+                    type='button'
+                    onClick={() => setPartIndex((index) => Math.max(0, index - 1))}
+                    disabled={partIndex === 0}
+                    className='rounded border border-gray-300 px-2 py-0.5 text-xs text-gray-700 hover:bg-gray-100 disabled:cursor-not-allowed disabled:opacity-50 dark:border-gray-600 dark:text-gray-300 dark:hover:bg-gray-600'
+                  >
+                    {t('processed.previousPart')}
+                  </button>
+                  <span className='text-xs text-gray-600 dark:text-gray-300'>
+                    {t('processed.partIndicator', {
+                      index: currentPart.index,
+                      total: parts.length,
+                      tokens: currentPart.totalTokens.toLocaleString(),
+                    })}
+                  </span>
+                  <button
+                    type='button'
+                    onClick={() => setPartIndex((index) => Math.min(parts.length - 1, index + 1))}
+                    disabled={partIndex >= parts.length - 1}
+                    className='rounded border border-gray-300 px-2 py-0.5 text-xs text-gray-700 hover:bg-gray-100 disabled:cursor-not-allowed disabled:opacity-50 dark:border-gray-600 dark:text-gray-300 dark:hover:bg-gray-600'
+                  >
+                    {t('processed.nextPart')}
+                  </button>
+                </div>
+              )}
               <div className='text-xs text-gray-500 dark:text-gray-400'>
-                {t('processed.contentReady')}
+                {isStreamedOutput
+                  ? t('processed.streamedToFile', { path: streamedOutputPath })
+                  : t('processed.contentReady')}
               </div>
             </div>
+            {isPreviewTruncated && (
+              <div
+                className='mb-2 rounded-md border border-amber-200 bg-amber-50 px-3 py-2 text-xs text-amber-800 dark:border-amber-700 dark:bg-amber-900/30 dark:text-amber-200'
+                data-testid='processed-preview-truncated'
+              >
+                {t('processed.previewTruncated', { path: streamedOutputPath })}
+              </div>
+            )}
             <div
               id='processed-content'
               className='min-h-48 min-h-0 flex-1 overflow-auto rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-700 p-4 shadow-sm'
             >
               <pre className='whitespace-pre-wrap font-mono text-xs leading-5 dark:text-white'>
-                {processedResult.content}
+                {displayedContent}
               </pre>
             </div>
           </div>
@@ -2,20 +2,34 @@ import React, { useEffect, useRef, useState } from 'react';
 import { useTranslation } from 'react-i18next';
 import yaml from 'yaml';
 
+import { TOKEN_BUDGET_STRATEGIES, normalizeTokenBudgetStrategy } from '../../utils/token-budget';
+import { DEFAULT_TOKENIZER, TOKENIZER_IDS, normalizeTokenizerId } from '../../utils/tokenizers';
+
+import ConfigProfileSelect from './ConfigProfileSelect';
 import FileTree from './FileTree';
+import FilterInspector from './FilterInspector';
 import Spinner from './icons/Spinner';
+import { TOKENIZER_LABEL_KEYS } from './tokenizer-labels';
 
 import type {
+  CompareTokenizersResult,
   CountFilesTokensResult,
+  DirectoryScanProgress,
   DirectoryTreeItem,
+  FitToBudgetOptions,
+  FitToBudgetResult,
   GetFilesStatsResult,
   SelectionHandler,
+  TokenBudgetStrategy,
+  TokenizerId,
 } from '../../types/ipc';
+import type { ConfigProfile } from '../context/utils/config-profiles';
 
 type SourceTabProps = {
   isActive: boolean;
   rootPath: string;
   directoryTree: DirectoryTreeItem[];
+  directoryScan?: Pick<DirectoryScanProgress, 'status' | 'directoriesVisited' | 'filesFound'> | null;
   selectedFiles: Set<string>;
   selectedFolders: Set<string>;
   configContent: string;
@@ -23,8 +37,18 @@ type SourceTabProps = {
   onFileSelect: SelectionHandler;
   onFolderSelect: SelectionHandler;
   onBatchSelect: (files: string[], folders: string[], isSelected: boolean) => void;
+  onLoadChildren?: (folderPath: string) => Promise<void> | void;
+  showExcluded?: boolean;
+  onShowExcludedChange?: (showExcluded: boolean) => Promise<void> | void;
+  onIncludeAnyway?: (itemPath: string) => Promise<void> | void;
+  configProfiles?: ConfigProfile[];
+  activeProfileId?: string;
+  defaultProfileId?: string;
+  onProfileChange?: (profileId: string) => Promise<void> | void;
+  onFitToBudget?: (options: FitToBudgetOptions) => Promise<FitToBudgetResult | undefined>;
   onAnalyze: () => Promise<unknown>;
   onRefreshTree: () => Promise<void>;
+  onCancelScan?: () => Promise<void> | void;
 };
 
 type TokenCacheEntry = {
@@ -55,6 +79,14 @@ const updateTokenCache = (
   });
 };
 
+const DEFAULT_TOKEN_BUDGET = 100_000;
+
+const TOKEN_BUDGET_STRATEGY_LABEL_KEYS: Record<TokenBudgetStrategy, string> = {
+  'smallest-first': 'source.budgetStrategySmallestFirst',
+  'priority-globs': 'source.budgetStrategyPriorityGlobs',
+  'recently-modified': 'source.budgetStrategyRecentlyModified',
+};
+
 const getProcessButtonClass = (rootPath: string, hasSelection: boolean, isBusy: boolean) => {
   const isDisabled = !rootPath || !hasSelection || isBusy;
 
@@ -71,6 +103,7 @@ const SourceTab = ({
   isActive,
   rootPath,
   directoryTree,
+  directoryScan = null,
   selectedFiles,
   selectedFolders,
   onDirectorySelect,
@@ -78,8 +111,18 @@ const SourceTab = ({
   onFolderSelect,
   configContent,
   onBatchSelect,
+  onLoadChildren,
+  showExcluded = false,
+  onShowExcludedChange,
+  onIncludeAnyway,
+  configProfiles = [],
+  activeProfileId = '',
+  defaultProfileId = '',
+  onProfileChange,
+  onFitToBudget,
   onAnalyze,
   onRefreshTree,
+  onCancelScan,
 }: SourceTabProps) => {
   const { t } = useTranslation();
   const [isAnalyzing, setIsAnalyzing] = useState(false);
@@ -87,6 +130,18 @@ const SourceTab = ({
   const [totalTokens, setTotalTokens] = useState(0);
   const [isCalculating, setIsCalculating] = useState(false);
   const [tokenCache, setTokenCache] = useState<TokenCache>({});
+  const [tokenizer, setTokenizer] = useState<TokenizerId>(DEFAULT_TOKENIZER);
+  const [tokenizerTotals, setTokenizerTotals] = useState<
+    CompareTokenizersResult['totals'] | null
+  >(null);
+  const [isComparingTokenizers, setIsComparingTokenizers] = useState(false);
+  const [isClearingTokenCache, setIsClearingTokenCache] = useState(false);
+  const [tokenBudget, setTokenBudget] = useState(DEFAULT_TOKEN_BUDGET);
+  const [budgetStrategy, setBudgetStrategy] = useState<TokenBudgetStrategy>('smallest-first');
+  const [priorityGlobsInput, setPriorityGlobsInput] = useState('');
+  const [pinCurrentSelection, setPinCurrentSelection] = useState(false);
+  const [isFittingBudget, setIsFittingBudget] = useState(false);
+  const [budgetResult, setBudgetResult] = useState<FitToBudgetResult | null>(null);
   const pendingCalculationRef = useRef<number | null>(null);
   const calculationEpochRef = useRef(0);
   const appWindow = globalThis as Window & typeof globalThis;
@@ -116,14 +171,61 @@ const SourceTab = ({
   useEffect(() => {
     try {
       if (configContent) {
-        const config = yaml.parse(configContent) as { show_token_count?: boolean };
+        const config = yaml.parse(configContent) as {
+          show_token_count?: boolean;
+          tokenizer?: TokenizerId;
+        };
         setShowTokenCount(config.show_token_count !== false);
+        setTokenizer(normalizeTokenizerId(config.tokenizer));
       }
     } catch (error) {
       console.error('Error parsing config for token count visibility:', error);
     }
   }, [configContent]);
 
+  // Cached counts belong to the previous tokenizer; recount the selection from scratch.
+  useEffect(() => {
+    setTokenCache({});
+    setTotalTokens(0);
+  }, [tokenizer]);
+
+  useEffect(() => {
+    setTokenizerTotals(null);
+  }, [selectedFiles, rootPath, tokenizer]);
+
+  // Only files the watcher reports as changed or removed are counted again.
+  useEffect(() => {
+    return appWindow.electronAPI?.onDirectoryChange?.(({ changes }) => {
+      const changedPaths = changes
+        .filter((change) => change.type !== 'add')
+        .map((change) => change.path);
+      setTokenCache((prevCache) => {
+        const stalePaths = changedPaths.filter((filePath) => Object.hasOwn(prevCache, filePath));
+        if (stalePaths.length === 0) {
+          return prevCache;
+        }
+
+        const newCache = { ...prevCache };
+        for (const filePath of stalePaths) {
+          delete newCache[filePath];
+        }
+        return newCache;
+      });
+    });
+  }, [appWindow]);
+
+  // Chunks of large count requests (such as fit-to-budget) fill the cache before they finish.
+  useEffect(() => {
+    return appWindow.electronAPI?.onTokenCountProgress?.((progress) => {
+      if (
+        progress.rootPath === rootPath &&
+        normalizeTokenizerId(progress.tokenizer) === tokenizer
+      ) {
+        updateTokenCache(progress.results, progress.stats, setTokenCache);
+      }
+    });
+  }, [appWindow, rootPath, tokenizer]);
+
   useEffect(() => {
     calculationEpochRef.current += 1;
     const effectEpoch = calculationEpochRef.current;
@@ -202,6 +304,7 @@ const SourceTab = ({
         const { results, stats } = await electronAPI.countFilesTokens({
           rootPath,
           filePaths: fileBatch,
+          tokenizer,
         });
 
         const normalizedResults: CountFilesTokensResult['results'] = { ...results };
@@ -248,7 +351,71 @@ const SourceTab = ({
       }
     };
   // eslint-disable-next-line react-hooks/exhaustive-deps -- selectedFilesArray is derived from selectedFiles
-  }, [isActive, selectedFiles, tokenCache, rootPath, appWindow]);
+  }, [isActive, selectedFiles, tokenCache, tokenizer, rootPath, appWindow]);
+
+  const handleCompareTokenizers = async () => {
+    const electronAPI = appWindow.electronAPI;
+    if (!electronAPI?.compareTokenizers || selectedFiles.size === 0) {
+      return;
+    }
+
+    setIsComparingTokenizers(true);
+    try {
+      const { totals } = await electronAPI.compareTokenizers({
+        rootPath,
+        filePaths: [...selectedFiles],
+        tokenizers: [...TOKENIZER_IDS],
+      });
+      setTokenizerTotals(totals);
+    } catch (error) {
+      console.error('Error comparing tokenizers:', error);
+    } finally {
+      setIsComparingTokenizers(false);
+    }
+  };
+
+  const handleClearTokenCache = async () => {
+    const electronAPI = appWindow.electronAPI;
+    if (!electronAPI?.clearTokenCache) {
+      return;
+    }
+
+    setIsClearingTokenCache(true);
+    try {
+      await electronAPI.clearTokenCache();
+      // Recount the current selection against the now empty cache.
+      setTokenizerTotals(null);
+      resetTokenCalculation();
+    } catch (error) {
+      console.error('Error clearing token cache:', error);
+    } finally {
+      setIsClearingTokenCache(false);
+    }
+  };
+
+  const handleFitToBudget = async () => {
+    if (!onFitToBudget) {
+      return;
+    }
+
+    setIsFittingBudget(true);
+    try {
+      const result = await onFitToBudget({
+        tokenBudget,
+        strategy: budgetStrategy,
+        priorityGlobs: priorityGlobsInput
+          .split(',')
+          .map((glob) => glob.trim())
+          .filter(Boolean),
+        pinnedFiles: pinCurrentSelection ? [...selectedFiles] : [],
+      });
+      setBudgetResult(result ?? null);
+    } catch (error) {
+      console.error('Error fitting selection to token budget:', error);
+    } finally {
+      setIsFittingBudget(false);
+    }
+  };
 
   const hasSelection = selectedFiles.size > 0 || selectedFolders.size > 0;
   const isProcessBusy = isAnalyzing || isCalculating;
@@ -293,17 +460,60 @@ const SourceTab = ({
     );
   };
 
+  const isScanning = directoryScan?.status === 'scanning';
+  const scanStatusContent =
+    directoryScan && directoryScan.status !== 'completed' ? (
+      <div
+        className='mb-2 flex items-center gap-3 text-sm text-gray-600 dark:text-gray-300'
+        data-testid='directory-scan-status'
+      >
+        {isScanning && <Spinner className='h-4 w-4 text-blue-600 dark:text-blue-400' />}
+        <span>
+          {t(isScanning ? 'source.scanningDirectory' : 'source.scanCancelled', {
+            directories: directoryScan.directoriesVisited,
+            files: directoryScan.filesFound,
+          })}
+        </span>
+        {isScanning && onCancelScan && (
+          <button
+            type='button'
+            onClick={() => void onCancelScan()}
+            className='border border-gray-300 px-2 py-1 text-xs font-medium text-gray-700 hover:bg-gray-50 dark:border-gray-600 dark:text-gray-200 dark:hover:bg-gray-700'
+          >
+            {t('source.cancelScan')}
+          </button>
+        )}
+      </div>
+    ) : null;
+
   let fileSelectionContent: React.ReactNode = null;
   if (directoryTree.length > 0) {
     fileSelectionContent = (
       <div className='mb-6 flex min-h-0 flex-1 flex-col'>
-        <div className='mb-2 flex items-center'>
+        <div className='mb-2 flex items-center justify-between'>
           <label
             htmlFor='file-folder-selection'
             className='block text-sm font-medium text-gray-700 dark:text-gray-300'
           >
             {t('source.selectFilesAndFolders')}
           </label>
+          {onShowExcludedChange && (
+            <div className='flex items-center'>
+              <input
+                id='show-excluded-files'
+                type='checkbox'
+                className='size-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500'
+                checked={showExcluded}
+                onChange={(event) => void onShowExcludedChange(event.target.checked)}
+              />
+              <label
+                htmlFor='show-excluded-files'
+                className='ml-2 block text-sm text-gray-700 dark:text-gray-300'
+              >
+                {t('source.showExcluded')}
+              </label>
+            </div>
+          )}
         </div>
 
         <div
@@ -317,11 +527,13 @@ const SourceTab = ({
             onFileSelect={onFileSelect}
             onFolderSelect={onFolderSelect}
             onBatchSelect={onBatchSelect}
+            onLoadChildren={onLoadChildren}
+            onIncludeAnyway={onIncludeAnyway}
           />
         </div>
       </div>
     );
-  } else if (rootPath) {
+  } else if (rootPath && directoryScan?.status !== 'cancelled') {
     fileSelectionContent = (
       <div className='mb-6 rounded-md border border-gray-200 bg-gray-50 p-8 text-center dark:border-gray-700 dark:bg-gray-800'>
         <svg
@@ -436,6 +648,16 @@ const SourceTab = ({
           </div>
         )}
 
+        {onProfileChange && configProfiles.length > 0 && (
+          <ConfigProfileSelect
+            id='source-profile-select'
+            profiles={configProfiles}
+            activeProfileId={activeProfileId}
+            defaultProfileId={defaultProfileId}
+            onProfileChange={onProfileChange}
+          />
+        )}
+
         <div className='ml-auto flex items-center space-x-4'>
           <div className='flex items-center'>
             <span className='text-sm text-gray-500 dark:text-gray-400 mr-2'>{t('common.files')}</span>
@@ -452,7 +674,27 @@ const SourceTab = ({
                 <span className='text-lg font-bold text-green-600 dark:text-green-400'>
                   {totalTokens.toLocaleString()}
                 </span>
+                <span className='ml-2 text-xs text-gray-500 dark:text-gray-400'>
+                  ({t(TOKENIZER_LABEL_KEYS[tokenizer])})
+                </span>
               </div>
+              <button
+                data-testid='compare-tokenizers-button'
+                onClick={handleCompareTokenizers}
+                disabled={selectedFiles.size === 0 || isComparingTokenizers}
+                className='inline-flex items-center text-xs text-blue-600 hover:underline disabled:cursor-not-allowed disabled:text-gray-400 dark:text-blue-400'
+              >
+                {isComparingTokenizers && <Spinner className='mr-1 h-3 w-3' />}
+                {t('source.compareTokenizers')}
+              </button>
+              <button
+                data-testid='clear-token-cache-button'
+                onClick={handleClearTokenCache}
+                disabled={isClearingTokenCache}
+                className='inline-flex items-center text-xs text-blue-600 hover:underline disabled:cursor-not-allowed disabled:text-gray-400 dark:text-blue-400'
+              >
+                {t('source.clearTokenCache')}
+              </button>
             </>
           )}
         </div>
@@ -476,8 +718,158 @@ const SourceTab = ({
         </button>
       </div>
 
+      {showTokenCount && tokenizerTotals && (
+        <div
+          className='mb-4 rounded-md border border-gray-200 bg-gray-50 p-3 text-sm dark:border-gray-700 dark:bg-gray-800'
+          data-testid='tokenizer-comparison'
+        >
+          <p className='mb-1 text-xs font-semibold text-gray-600 dark:text-gray-400'>
+            {t('source.tokenizerComparisonTitle')}
+          </p>
+          <dl className='grid grid-cols-2 gap-x-4 gap-y-1 sm:grid-cols-4'>
+            {TOKENIZER_IDS.filter((tokenizerId) => tokenizerTotals[tokenizerId] !== undefined).map(
+              (tokenizerId) => (
+                <div key={tokenizerId}>
+                  <dt className='text-xs text-gray-500 dark:text-gray-400'>
+                    {t(TOKENIZER_LABEL_KEYS[tokenizerId])}
+                  </dt>
+                  <dd
+                    className={`font-bold ${
+                      tokenizerId === tokenizer
+                        ? 'text-green-600 dark:text-green-400'
+                        : 'text-gray-700 dark:text-gray-200'
+                    }`}
+                  >
+                    {tokenizerTotals[tokenizerId]?.toLocaleString()}
+                  </dd>
+                </div>
+              )
+            )}
+          </dl>
+        </div>
+      )}
+
+      {rootPath && onFitToBudget && directoryTree.length > 0 && (
+        <div
+          className='mb-4 flex flex-wrap items-end gap-3 rounded-md border border-gray-200 bg-gray-50 p-3 dark:border-gray-700 dark:bg-gray-800'
+          data-testid='fit-to-budget-panel'
+        >
+          <div>
+            <label
+              htmlFor='token-budget'
+              className='mb-1 block text-xs text-gray-600 dark:text-gray-400'
+            >
+              {t('source.tokenBudget')}
+            </label>
+            <input
+              id='token-budget'
+              type='number'
+              min={1}
+              step={1000}
+              value={tokenBudget}
+              onChange={(event) => setTokenBudget(Math.max(0, Number(event.target.value) || 0))}
+              className='w-32 rounded border border-gray-300 px-2 py-1 text-sm dark:border-gray-600 dark:bg-gray-700 dark:text-white'
+            />
+          </div>
+
+          <div>
+            <label
+              htmlFor='budget-strategy'
+              className='mb-1 block text-xs text-gray-600 dark:text-gray-400'
+            >
+              {t('source.budgetStrategy')}
+            </label>
+            <select
+              id='budget-strategy'
+              value={budgetStrategy}
+              onChange={(event) =>
+                setBudgetStrategy(normalizeTokenBudgetStrategy(event.target.value))
+              }
+              className='rounded border border-gray-300 px-2 py-1 text-sm dark:border-gray-600 dark:bg-gray-700 dark:text-white'
+            >
+              {TOKEN_BUDGET_STRATEGIES.map((strategy) => (
+                <option key={strategy} value={strategy}>
+                  {t(TOKEN_BUDGET_STRATEGY_LABEL_KEYS[strategy])}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {budgetStrategy === 'priority-globs' && (
+            <div className='min-w-48 grow'>
+              <label
+                htmlFor='budget-priority-globs'
+                className='mb-1 block text-xs text-gray-600 dark:text-gray-400'
+              >
+                {t('source.budgetPriorityGlobs')}
+              </label>
+              <input
+                id='budget-priority-globs'
+                type='text'
+                value={priorityGlobsInput}
+                onChange={(event) => setPriorityGlobsInput(event.target.value)}
+                placeholder='src/**/*.ts, *.md'
+                className='w-full rounded border border-gray-300 px-2 py-1 text-sm dark:border-gray-600 dark:bg-gray-700 dark:text-white'
+              />
+            </div>
+          )}
+
+          <div className='flex items-center pb-1'>
+            <input
+              id='budget-pin-selection'
+              type='checkbox'
+              className='size-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500'
+              checked={pinCurrentSelection}
+              onChange={(event) => setPinCurrentSelection(event.target.checked)}
+            />
+            <label
+              htmlFor='budget-pin-selection'
+              className='ml-2 block text-sm text-gray-700 dark:text-gray-300'
+            >
+              {t('source.budgetPinSelection')}
+            </label>
+          </div>
+
+          <button
+            data-testid='fit-to-budget-button'
+            onClick={handleFitToBudget}
+            disabled={isFittingBudget || tokenBudget <= 0}
+            className='inline-flex items-center border border-transparent bg-blue-600 px-4 py-1.5 text-sm font-medium text-white shadow-sm hover:bg-blue-700 focus:outline-none disabled:cursor-not-allowed disabled:bg-gray-400'
+          >
+            {isFittingBudget && <Spinner className='-ml-1 mr-2 h-4 w-4 text-white' />}
+            {t('source.fitToBudget')}
+          </button>
+
+          {budgetResult && (
+            <p
+              className={`w-full text-xs ${
+                budgetResult.isOverBudget
+                  ? 'text-amber-700 dark:text-amber-300'
+                  : 'text-gray-600 dark:text-gray-400'
+              }`}
+              data-testid='fit-to-budget-result'
+            >
+              {t(budgetResult.isOverBudget ? 'source.budgetPinnedOverBudget' : 'source.budgetResult', {
+                files: budgetResult.selectedFiles.length,
+                tokens: budgetResult.totalTokens.toLocaleString(),
+                excluded: budgetResult.excludedFiles,
+              })}
+            </p>
+          )}
+        </div>
+      )}
+
+      {scanStatusContent}
       {fileSelectionContent}
 
+      {rootPath && (
+        <FilterInspector
+          rootPath={rootPath}
+          configContent={configContent}
+          directoryTree={directoryTree}
+        />
+      )}
+
       {isAnalyzing && (
         <div className='mt-4 p-4 bg-blue-50 rounded-md border border-blue-100 dark:border-blue-800 dark:bg-blue-900/30'>
           <div className='flex items-center justify-center text-blue-700 dark:text-blue-300'>
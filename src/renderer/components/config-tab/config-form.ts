@@ -1,7 +1,12 @@
-import * as yaml from 'yaml';
-
-import { normalizeExportFormat } from '../../../utils/export-format';
+import {
+  DEFAULT_CHUNK_OVERLAP,
+  DEFAULT_CHUNK_SIZE,
+  resolveChunkOptions,
+} from '../../../utils/chunker';
+import { validateConfigContent } from '../../../utils/config-schema';
+import { normalizeExportFormat, normalizeTokenCount } from '../../../utils/export-format';
 import { yamlArrayToPlainText } from '../../../utils/formatters/list-formatter';
+import { DEFAULT_TOKENIZER, normalizeTokenizerId } from '../../../utils/tokenizers';
 
 import {
   getProviderValidationErrors,
@@ -10,19 +15,36 @@ import {
   trimToUndefined,
 } from './provider-utils';
 
-import type { ConfigObject, ExportFormat, ProviderId } from '../../../types/ipc';
+import type {
+  ConfigListMerge,
+  ConfigObject,
+  ExportFormat,
+  ProviderId,
+  TokenizerId,
+} from '../../../types/ipc';
 
 export type ConfigFormState = {
   useCustomExcludes: boolean;
   useCustomIncludes: boolean;
   useGitignore: boolean;
+  useGitInfoExclude: boolean;
+  useGlobalGitignore: boolean;
+  useAicodefusionignore: boolean;
   enableSecretScanning: boolean;
   excludeSuspiciousFiles: boolean;
   includeTreeView: boolean;
   showTokenCount: boolean;
+  tokenizer: TokenizerId;
   exportFormat: ExportFormat;
+  streamToFile: boolean;
+  maxTokensPerPart: number;
+  chunkSize: number;
+  chunkOverlap: number;
+  extendsConfigs: string;
   fileExtensions: string;
+  includeGlobs: string;
   excludePatterns: string;
+  includePatterns: string;
   providerId: ProviderId | '';
   providerModel: string;
   providerApiKey: string;
@@ -45,21 +67,51 @@ export const initialFormState: ConfigFormState = {
   useCustomExcludes: true,
   useCustomIncludes: true,
   useGitignore: true,
+  useGitInfoExclude: true,
+  useGlobalGitignore: true,
+  useAicodefusionignore: true,
   enableSecretScanning: true,
   excludeSuspiciousFiles: true,
   includeTreeView: false,
   showTokenCount: true,
+  tokenizer: DEFAULT_TOKENIZER,
   exportFormat: 'markdown',
+  streamToFile: false,
+  maxTokensPerPart: 0,
+  chunkSize: DEFAULT_CHUNK_SIZE,
+  chunkOverlap: DEFAULT_CHUNK_OVERLAP,
+  extendsConfigs: '',
   fileExtensions: '',
+  includeGlobs: '',
   excludePatterns: '',
+  includePatterns: '',
   providerId: '',
   providerModel: '',
   providerApiKey: '',
   providerBaseUrl: '',
 };
 
+// In the list editors, "+ item" adds to and "- item" removes from the list the config extends.
+const ADD_LINE_PREFIX = '+ ';
+const REMOVE_LINE_PREFIX = '- ';
+
+const toStringList = (value: unknown): string[] => {
+  return Array.isArray(value) ? value.map((item) => String(item)) : [];
+};
+
 const toPlainTextList = (value: unknown): string => {
-  return Array.isArray(value) ? yamlArrayToPlainText(value) : '';
+  if (Array.isArray(value)) {
+    return yamlArrayToPlainText(value);
+  }
+  if (!value || typeof value !== 'object') {
+    return '';
+  }
+
+  const listMerge = value as ConfigListMerge;
+  return [
+    ...toStringList(listMerge.add).map((item) => `${ADD_LINE_PREFIX}${item}`),
+    ...toStringList(listMerge.remove).map((item) => `${REMOVE_LINE_PREFIX}${item}`),
+  ].join('\n');
 };
 
 const toTrimmedLines = (value: string): string[] => {
@@ -69,6 +121,37 @@ const toTrimmedLines = (value: string): string[] => {
     .filter((line) => line.length > 0);
 };
 
+// Once any line adds or removes, the other lines are added to the extended list as well.
+const toListSetting = (value: string): string[] | ConfigListMerge => {
+  const lines = toTrimmedLines(value);
+  const isListMerge = lines.some(
+    (line) => line.startsWith(ADD_LINE_PREFIX) || line.startsWith(REMOVE_LINE_PREFIX)
+  );
+  if (!isListMerge) {
+    return lines;
+  }
+
+  const add: string[] = [];
+  const remove: string[] = [];
+  for (const line of lines) {
+    if (line.startsWith(REMOVE_LINE_PREFIX)) {
+      remove.push(line.slice(REMOVE_LINE_PREFIX.length).trim());
+    } else {
+      add.push(
+        (line.startsWith(ADD_LINE_PREFIX) ? line.slice(ADD_LINE_PREFIX.length) : line).trim()
+      );
+    }
+  }
+  return { add, remove };
+};
+
+const toExtendsText = (value: unknown): string => {
+  if (typeof value === 'string') {
+    return value;
+  }
+  return toStringList(value).join('\n');
+};
+
 const extractProviderFormFields = (
   config: ConfigObject,
   aiSurfacesEnabled: boolean
@@ -99,21 +182,34 @@ const loadFormStateFromConfig = (
   const providerFields = extractProviderFormFields(config, aiSurfacesEnabled);
   return {
     ...state,
+    extendsConfigs: toExtendsText(config.extends),
     fileExtensions: toPlainTextList(config.include_extensions),
+    includeGlobs: toPlainTextList(config.include_globs),
     excludePatterns: toPlainTextList(config.exclude_patterns),
+    includePatterns: toPlainTextList(config.include_patterns),
     useCustomExcludes: config.use_custom_excludes !== false,
     useCustomIncludes: config.use_custom_includes !== false,
     useGitignore: config.use_gitignore !== false,
+    useGitInfoExclude: config.use_git_info_exclude !== false,
+    useGlobalGitignore: config.use_global_gitignore !== false,
+    useAicodefusionignore: config.use_aicodefusionignore !== false,
     enableSecretScanning: config.enable_secret_scanning !== false,
     excludeSuspiciousFiles: config.exclude_suspicious_files !== false,
     includeTreeView: config.include_tree_view === true,
     showTokenCount: config.show_token_count !== false,
+    tokenizer: normalizeTokenizerId(config.tokenizer),
     exportFormat: normalizeExportFormat(config.export_format),
+    streamToFile: config.stream_to_file === true,
+    maxTokensPerPart: normalizeTokenCount(config.max_tokens_per_part),
+    ...resolveChunkOptions(config.chunk_size, config.chunk_overlap),
     ...providerFields,
   };
 };
 
-export const configFormReducer = (state: ConfigFormState, action: ConfigFormAction): ConfigFormState => {
+export const configFormReducer = (
+  state: ConfigFormState,
+  action: ConfigFormAction
+): ConfigFormState => {
   switch (action.type) {
     case 'SET_FIELD':
       return { ...state, [action.field]: action.value };
@@ -124,29 +220,47 @@ export const configFormReducer = (state: ConfigFormState, action: ConfigFormActi
   }
 };
 
+// Null when the YAML does not parse or has values the config schema rejects.
 export const parseConfigContent = (configContent: string): ConfigObject | null => {
-  try {
-    const parsedConfig = yaml.parse(configContent) as ConfigObject;
-    if (!parsedConfig || typeof parsedConfig !== 'object') {
-      return {};
-    }
-    return parsedConfig;
-  } catch {
-    return null;
-  }
+  const { config, errors } = validateConfigContent(configContent);
+  return errors.length > 0 ? null : config;
 };
 
 export const applyBaseConfigState = (config: ConfigObject, state: ConfigFormState): void => {
   config.use_custom_excludes = state.useCustomExcludes;
   config.use_custom_includes = state.useCustomIncludes;
   config.use_gitignore = state.useGitignore;
+  config.use_git_info_exclude = state.useGitInfoExclude;
+  config.use_global_gitignore = state.useGlobalGitignore;
+  config.use_aicodefusionignore = state.useAicodefusionignore;
   config.enable_secret_scanning = state.enableSecretScanning;
   config.exclude_suspicious_files = state.excludeSuspiciousFiles;
   config.include_tree_view = state.includeTreeView;
   config.show_token_count = state.showTokenCount;
+  config.tokenizer = state.tokenizer;
   config.export_format = state.exportFormat;
-  config.include_extensions = toTrimmedLines(state.fileExtensions);
-  config.exclude_patterns = toTrimmedLines(state.excludePatterns);
+  config.stream_to_file = state.streamToFile;
+  if (state.maxTokensPerPart > 0) {
+    config.max_tokens_per_part = state.maxTokensPerPart;
+  } else {
+    delete config.max_tokens_per_part;
+  }
+  // Chunk settings only apply to JSON Lines output; keep them out of other configs.
+  if (state.exportFormat === 'jsonl') {
+    const chunkOptions = resolveChunkOptions(state.chunkSize, state.chunkOverlap);
+    config.chunk_size = chunkOptions.chunkSize;
+    config.chunk_overlap = chunkOptions.chunkOverlap;
+  }
+  const extendsConfigs = toTrimmedLines(state.extendsConfigs);
+  if (extendsConfigs.length === 0) {
+    delete config.extends;
+  } else {
+    config.extends = extendsConfigs.length === 1 ? extendsConfigs[0] : extendsConfigs;
+  }
+  config.include_extensions = toListSetting(state.fileExtensions);
+  config.include_globs = toListSetting(state.includeGlobs);
+  config.exclude_patterns = toListSetting(state.excludePatterns);
+  config.include_patterns = toListSetting(state.includePatterns);
 };
 
 export type ProviderConfigSaveResult = {
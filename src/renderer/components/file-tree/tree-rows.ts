@@ -0,0 +1,130 @@
+import type { DirectoryTreeItem } from '../../../types/ipc';
+
+export type SelectionStatus = 'checked' | 'partial' | 'unchecked';
+
+export type FileTreeRow =
+  | { kind: 'item'; item: DirectoryTreeItem; level: number; parentPath: string | null }
+  // Placeholder under an expanded folder whose children are still being loaded.
+  | { kind: 'loading'; folderPath: string; level: number };
+
+/**
+ * Flatten the tree into the rows currently shown: every top-level item plus the children of
+ * expanded folders, in display order.
+ * @param {Object[]} items - Top-level tree items
+ * @param {Set<string>} expandedFolders - Paths of expanded folders
+ * @returns {Object[]} - Rows in display order
+ */
+export const flattenVisibleRows = (
+  items: DirectoryTreeItem[],
+  expandedFolders: Set<string>
+): FileTreeRow[] => {
+  const rows: FileTreeRow[] = [];
+
+  const visit = (levelItems: DirectoryTreeItem[], level: number, parentPath: string | null) => {
+    for (const item of levelItems) {
+      rows.push({ kind: 'item', item, level, parentPath });
+      if (item.type !== 'directory' || !expandedFolders.has(item.path)) {
+        continue;
+      }
+
+      if (item.children === undefined) {
+        rows.push({ kind: 'loading', folderPath: item.path, level: level + 1 });
+      } else {
+        visit(item.children, level + 1, item.path);
+      }
+    }
+  };
+
+  visit(items, 0, null);
+  return rows;
+};
+
+/**
+ * Folders whose loaded files are only partly selected, or that are not selected themselves
+ * while something below them is.
+ * @param {Object[]} items - Top-level tree items
+ * @param {Set<string>} selectedFiles - Selected file paths
+ * @param {Set<string>} selectedFolders - Selected folder paths
+ * @returns {Set<string>} - Paths of folders to show as partially selected
+ */
+export const collectPartiallySelectedFolders = (
+  items: DirectoryTreeItem[],
+  selectedFiles: Set<string>,
+  selectedFolders: Set<string>
+): Set<string> => {
+  const partialFolders = new Set<string>();
+
+  // Counts the loaded files at or below an item, and how many of them are selected.
+  const visit = (item: DirectoryTreeItem): { selected: number; total: number } => {
+    // Excluded entries are listed for information only and never selected.
+    if (item.excludedReason) {
+      return { selected: 0, total: 0 };
+    }
+
+    if (item.type === 'file') {
+      return { selected: selectedFiles.has(item.path) ? 1 : 0, total: 1 };
+    }
+
+    const counts = { selected: 0, total: 0 };
+    for (const child of item.children ?? []) {
+      const childCounts = visit(child);
+      counts.selected += childCounts.selected;
+      counts.total += childCounts.total;
+    }
+
+    if (
+      counts.selected > 0 &&
+      (counts.selected < counts.total || !selectedFolders.has(item.path))
+    ) {
+      partialFolders.add(item.path);
+    }
+    return counts;
+  };
+
+  for (const item of items) {
+    visit(item);
+  }
+  return partialFolders;
+};
+
+export const getSelectionStatus = (
+  item: DirectoryTreeItem,
+  selectedFiles: Set<string>,
+  selectedFolders: Set<string>,
+  partialFolders: Set<string>
+): SelectionStatus => {
+  if (item.type === 'file') {
+    return selectedFiles.has(item.path) ? 'checked' : 'unchecked';
+  }
+
+  if (partialFolders.has(item.path)) {
+    return 'partial';
+  }
+  return selectedFolders.has(item.path) ? 'checked' : 'unchecked';
+};
+
+/**
+ * Index range of the rows to render for a scroll position, including overscan rows on both
+ * sides so fast scrolling does not show blank space.
+ * @returns {Object} - First row index (inclusive) and last row index (exclusive)
+ */
+export const getVisibleRowRange = ({
+  rowCount,
+  rowHeight,
+  scrollTop,
+  viewportHeight,
+  overscan,
+}: {
+  rowCount: number;
+  rowHeight: number;
+  scrollTop: number;
+  viewportHeight: number;
+  overscan: number;
+}): { start: number; end: number } => {
+  const firstVisible = Math.floor(Math.max(0, scrollTop) / rowHeight);
+  const visibleCount = Math.ceil(viewportHeight / rowHeight) + 1;
+  return {
+    start: Math.max(0, firstVisible - overscan),
+    end: Math.min(rowCount, firstVisible + visibleCount + overscan),
+  };
+};
@@ -0,0 +1,8 @@
+import type { TokenizerId } from '../../types/ipc';
+
+export const TOKENIZER_LABEL_KEYS: Record<TokenizerId, string> = {
+  cl100k: 'tokenizers.cl100k',
+  o200k: 'tokenizers.o200k',
+  'claude-approx': 'tokenizers.claudeApprox',
+  'llama-approx': 'tokenizers.llamaApprox',
+};
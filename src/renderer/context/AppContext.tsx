@@ -1,31 +1,65 @@
 import React, { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
 import yaml from 'yaml';
 
-import { normalizeExportFormat } from '../../utils/export-format';
+import {
+  ConfigValidationError,
+  omitInvalidSettings,
+  parseConfigObject,
+  validateConfigContent,
+} from '../../utils/config-schema';
+import {
+  getExportFileExtension,
+  normalizeExportFormat,
+  normalizeTokenCount,
+} from '../../utils/export-format';
+import { selectFilesWithinBudget } from '../../utils/token-budget';
+import { normalizeTokenizerId } from '../../utils/tokenizers';
 import i18n from '../i18n';
 
+import {
+  CONFIG_PROFILES_STORAGE_KEY,
+  createConfigProfileId,
+  getUniqueProfileName,
+  parseStoredConfigProfiles,
+  serializeConfigProfiles,
+} from './utils/config-profiles';
 import { INITIAL_CONFIG_PLACEHOLDER, sanitizeConfigForStorage } from './utils/config-storage';
 import { ensureError } from './utils/error-utils';
-import { isPathWithinRootBoundary } from './utils/path-boundary';
+import { getPathRelativeToRoot, isPathWithinRootBoundary } from './utils/path-boundary';
+import { layerConfigContent, unlayerConfigContent } from './utils/repo-config';
 import {
-  collectFilesWithinBoundary,
-  collectSubFoldersWithinBoundary,
-  findFolderByPath,
+  applyDirectoryChanges,
+  getParentPath,
+  mergeScannedItems,
+  replaceFolderChildren,
 } from './utils/tree-selection';
 
+import type { ConfigProfile } from './utils/config-profiles';
+import type { ActiveRepoConfig } from './utils/repo-config';
 import type {
   AnalyzeRepositoryResult,
+  ConfigMigrationReport,
   ConfigObject,
+  DirectoryFilesResult,
+  DirectoryScanProgress,
   DirectoryTreeItem,
   ExportFormat,
+  FitToBudgetOptions,
+  FitToBudgetResult,
+  ProcessedOutputPart,
   ProcessRepositoryResult,
   TabId,
+  TokenizerId,
 } from '../../types/ipc';
 
 type ProcessingOptions = {
   showTokenCount: boolean;
   includeTreeView: boolean;
   exportFormat: ExportFormat;
+  maxTokensPerPart: number;
+  chunkSize?: number;
+  chunkOverlap?: number;
+  tokenizer?: TokenizerId;
 };
 
 type AppError = {
@@ -35,31 +69,112 @@ type AppError = {
   timestamp: number;
 };
 
+// What upgrading a loaded config to the current config version changed, and the profile name
+// or repository config path it was loaded from.
+type ConfigMigrationNotice = ConfigMigrationReport & { source: string };
+
+type DirectoryScanState = Pick<
+  DirectoryScanProgress,
+  'status' | 'directoriesVisited' | 'filesFound'
+>;
+
 type AppContextValue = {
   activeTab: TabId;
   rootPath: string;
   directoryTree: DirectoryTreeItem[];
+  // Progress of the running scan; kept after a cancelled scan until the next one starts.
+  directoryScan: DirectoryScanState | null;
+  // Whether the tree also lists the entries the filters exclude, greyed out.
+  showExcluded: boolean;
   selectedFiles: Set<string>;
   selectedFolders: Set<string>;
   processedResult: ProcessRepositoryResult | null;
   configContent: string;
+  configProfiles: ConfigProfile[];
+  activeProfileId: string;
+  // Profile activated when the app starts.
+  defaultProfileId: string;
+  // Root-relative path of the repository config layered over the profile, if one is active.
+  repoConfigPath: string | null;
+  // Shown in the Config tab until dismissed.
+  configMigration: ConfigMigrationNotice | null;
   processingOptions: ProcessingOptions;
   appError: AppError | null;
   switchTab: (tab: TabId) => void;
   selectDirectory: () => Promise<boolean>;
   refreshDirectoryTree: () => Promise<void>;
+  cancelDirectoryScan: () => Promise<void>;
+  loadDirectoryChildren: (folderPath: string) => Promise<void>;
+  setShowExcluded: (showExcluded: boolean) => Promise<void>;
+  includePathAnyway: (itemPath: string) => Promise<void>;
   updateConfig: (config: string) => void;
+  switchConfigProfile: (profileId: string) => Promise<void>;
+  createConfigProfile: (name: string) => Promise<void>;
+  duplicateConfigProfile: (profileId: string) => Promise<void>;
+  renameConfigProfile: (profileId: string, name: string) => void;
+  deleteConfigProfile: (profileId: string) => Promise<void>;
+  setDefaultConfigProfile: (profileId: string) => void;
+  writeRepoConfig: () => Promise<boolean>;
+  dismissConfigMigration: () => void;
   handleFileSelect: (filePath: string, isSelected: boolean) => void;
-  handleFolderSelect: (folderPath: string, isSelected: boolean) => void;
-  handleBatchSelect: (files: string[], folders: string[], isSelected: boolean) => void;
+  handleFolderSelect: (folderPath: string, isSelected: boolean) => Promise<void>;
+  handleBatchSelect: (
+    files: string[],
+    folders: string[],
+    isSelected: boolean,
+    replace?: boolean
+  ) => void;
+  handleFitToBudget: (options: FitToBudgetOptions) => Promise<FitToBudgetResult | undefined>;
   handleAnalyze: () => Promise<AnalyzeRepositoryResult | undefined>;
   handleRefreshProcessed: () => Promise<ProcessRepositoryResult | null>;
-  handleSaveOutput: () => Promise<void>;
+  handleSaveOutput: (part?: ProcessedOutputPart) => Promise<void>;
   dismissError: () => void;
 };
 
 const AppContext = createContext<AppContextValue | undefined>(undefined);
 
+// Keeps each tokens:countFiles round-trip small so the main process stays responsive.
+const FIT_TO_BUDGET_COUNT_BATCH_SIZE = 200;
+
+// The tree is loaded one level at a time; folders fetch their children when expanded.
+const DIRECTORY_TREE_LOAD_DEPTH = 1;
+
+// Settings with errors are left out, so they keep their defaults as in the tree filters. A
+// config that does not parse applies no settings.
+const readConfigObject = (configContent: string): ConfigObject => {
+  const { config, errors } = validateConfigContent(configContent);
+  return config ? omitInvalidSettings(config, errors) : {};
+};
+
+// Edits the YAML document rather than re-serializing the parsed config, so the comments are
+// kept. Returns null when the path is already listed.
+const addIncludeOverride = (configContent: string, override: string): string | null => {
+  const document = yaml.parseDocument(configContent);
+  if (document.errors.length > 0) {
+    throw document.errors[0];
+  }
+  const config = (document.toJS() || {}) as ConfigObject;
+  const overrides = Array.isArray(config.include_overrides) ? config.include_overrides : [];
+  if (overrides.includes(override)) {
+    return null;
+  }
+  document.set('include_overrides', [...overrides, override]);
+  return document.toString();
+};
+
+const readProcessingOptions = (config: ConfigObject): ProcessingOptions => ({
+  showTokenCount: config.show_token_count !== false,
+  includeTreeView: config.include_tree_view === true,
+  exportFormat: normalizeExportFormat(config.export_format),
+  maxTokensPerPart: normalizeTokenCount(config.max_tokens_per_part),
+  chunkSize: config.chunk_size,
+  chunkOverlap: config.chunk_overlap,
+  tokenizer: normalizeTokenizerId(config.tokenizer),
+});
+
+const getConfiguredTokenizer = (configContent: string): TokenizerId =>
+  normalizeTokenizerId(readConfigObject(configContent).tokenizer);
+
 type AppProviderProps = {
   children: React.ReactNode;
 };
@@ -68,16 +183,31 @@ export const AppProvider = ({ children }: AppProviderProps) => {
   const [activeTab, setActiveTab] = useState<TabId>('config');
   const [rootPath, setRootPath] = useState('');
   const [directoryTree, setDirectoryTree] = useState<DirectoryTreeItem[]>([]);
+  const [directoryScan, setDirectoryScan] = useState<DirectoryScanState | null>(null);
+  const directoryScanIdRef = useRef(0);
+  const [showExcluded, setShowExcludedState] = useState(false);
   const [selectedFiles, setSelectedFiles] = useState<Set<string>>(new Set());
   const [selectedFolders, setSelectedFolders] = useState<Set<string>>(new Set());
+  // Read by the directory change listener, which stays subscribed across selection changes.
+  const selectedFoldersRef = useRef(selectedFolders);
+  selectedFoldersRef.current = selectedFolders;
   const analysisResultRef = useRef<AnalyzeRepositoryResult | null>(null);
   const [processedResult, setProcessedResult] = useState<ProcessRepositoryResult | null>(null);
   const [processingOptions, setProcessingOptions] = useState<ProcessingOptions>({
     showTokenCount: true,
     includeTreeView: false,
     exportFormat: 'markdown',
+    maxTokensPerPart: 0,
   });
   const [configContent, setConfigContent] = useState(INITIAL_CONFIG_PLACEHOLDER);
+  const [configProfiles, setConfigProfiles] = useState<ConfigProfile[]>([]);
+  const [activeProfileId, setActiveProfileId] = useState('');
+  const [defaultProfileId, setDefaultProfileId] = useState('');
+  const [repoConfig, setRepoConfig] = useState<ActiveRepoConfig | null>(null);
+  const [configMigration, setConfigMigration] = useState<ConfigMigrationNotice | null>(null);
+  // While a repository config is active, configContent holds the layered config and the
+  // profile keeps its own content.
+  const profileConfigContent = repoConfig?.userConfigContent ?? configContent;
   const [appError, setAppError] = useState<AppError | null>(null);
   const appWindow = globalThis as Window & typeof globalThis;
   const electronAPI = appWindow.electronAPI;
@@ -111,22 +241,233 @@ export const AppProvider = ({ children }: AppProviderProps) => {
     setAppError(null);
   }, []);
 
-  // Load config from localStorage or default config
+  // Upgrades a config loaded from a profile or a repository to the current config version and
+  // keeps what changed for the Config tab. A config with invalid settings is still loaded, so
+  // it can be fixed, but the user is told that those settings are ignored.
+  const migrateLoadedConfig = useCallback(
+    async (content: string, source: string): Promise<string> => {
+      let loadedContent = content;
+      if (content && electronAPI?.migrateConfig) {
+        try {
+          const { content: migratedContent, migration } = await electronAPI.migrateConfig(content);
+          if (migration && migration.changes.length > 0) {
+            setConfigMigration({ ...migration, source });
+          }
+          loadedContent = migratedContent;
+        } catch (error) {
+          console.error('Error migrating config:', ensureError(error));
+        }
+      }
+
+      const { errors } = validateConfigContent(loadedContent);
+      if (errors.length > 0) {
+        console.error(`Invalid config loaded from ${source}:`, new ConfigValidationError(errors));
+        showError({ translationKey: 'errors.loadedConfigInvalid', translationOptions: { source } });
+      }
+      return loadedContent;
+    },
+    [electronAPI, showError]
+  );
+
+  // Finds the config committed in a root, upgrades it and layers it over the profile's config.
+  // Without a usable repository config, the profile's config applies on its own.
+  const layerRootConfig = useCallback(
+    async (
+      dirPath: string,
+      userConfigContent: string
+    ): Promise<{ repoConfig: ActiveRepoConfig | null; configContent: string }> => {
+      try {
+        const foundRepoConfig = await electronAPI?.getRepoConfig?.(dirPath);
+        const repoConfigFile = foundRepoConfig && {
+          ...foundRepoConfig,
+          content: await migrateLoadedConfig(foundRepoConfig.content, foundRepoConfig.relativePath),
+        };
+        const layeredConfig =
+          repoConfigFile && layerConfigContent(userConfigContent, repoConfigFile.content);
+        if (repoConfigFile && layeredConfig === null) {
+          showError({ translationKey: 'errors.repoConfigInvalid' });
+        } else if (repoConfigFile && layeredConfig) {
+          return {
+            repoConfig: { ...repoConfigFile, userConfigContent },
+            configContent: layeredConfig,
+          };
+        }
+      } catch (error) {
+        console.error('Error loading repository config:', ensureError(error));
+      }
+      return { repoConfig: null, configContent: userConfigContent };
+    },
+    [electronAPI, migrateLoadedConfig, showError]
+  );
+
+  const dismissConfigMigration = useCallback(() => {
+    setConfigMigration(null);
+  }, []);
+
+  // Top-level entries stream in while the main process is still walking the directory.
   useEffect(() => {
-    const savedConfig = localStorage.getItem('configContent');
+    return electronAPI?.onDirectoryScanProgress?.((progress) => {
+      if (progress.scanId !== directoryScanIdRef.current) {
+        return;
+      }
+
+      setDirectoryTree((previous) => mergeScannedItems(previous, progress.completedItems));
+      setDirectoryScan((current) =>
+        current?.status === 'scanning'
+          ? {
+              status: progress.status,
+              directoriesVisited: progress.directoriesVisited,
+              filesFound: progress.filesFound,
+            }
+          : current
+      );
+    });
+  // eslint-disable-next-line react-hooks/exhaustive-deps -- electronAPI is a stable preload bridge on globalThis
+  }, []);
+
+  // Files edited outside the app are patched into the tree without losing the selection.
+  useEffect(() => {
+    if (!rootPath) {
+      return undefined;
+    }
+
+    return electronAPI?.onDirectoryChange?.((event) => {
+      if (event.rootPath !== rootPath) {
+        return;
+      }
+
+      const removedPaths = event.changes
+        .filter((change) => change.type === 'unlink')
+        .map((change) => change.path);
+      const isRemoved = (candidatePath: string) =>
+        removedPaths.some((removedPath) => isPathWithinRootBoundary(candidatePath, removedPath));
+      // A new file in a selected folder is selected with it, as when the folder was checked.
+      const addedFiles = event.changes
+        .filter(
+          (change) =>
+            change.type === 'add' &&
+            change.item?.type === 'file' &&
+            !change.item.excludedReason &&
+            selectedFoldersRef.current.has(getParentPath(change.path))
+        )
+        .map((change) => change.path);
+
+      setDirectoryTree((previous) => applyDirectoryChanges(previous, rootPath, event.changes));
+      setSelectedFolders((previous) => {
+        const remaining = [...previous].filter((folderPath) => !isRemoved(folderPath));
+        return remaining.length === previous.size ? previous : new Set(remaining);
+      });
+      setSelectedFiles((previous) => {
+        const remaining = [...previous].filter((filePath) => !isRemoved(filePath));
+        const added = addedFiles.filter((filePath) => !previous.has(filePath));
+        return remaining.length === previous.size && added.length === 0
+          ? previous
+          : new Set([...remaining, ...added]);
+      });
+    });
+  // eslint-disable-next-line react-hooks/exhaustive-deps -- electronAPI is a stable preload bridge on globalThis
+  }, [rootPath]);
+
+  // Resolves with the full tree, or null when a newer scan superseded this one.
+  const scanDirectoryTree = useCallback(
+    async (
+      dirPath: string,
+      treeConfigContent: string | null,
+      includeExcluded: boolean
+    ): Promise<DirectoryTreeItem[] | null> => {
+      const electronAPI = appWindow.electronAPI;
+      if (!electronAPI?.getDirectoryTree) {
+        throw new Error(i18n.t('errors.electronApiUnavailable'));
+      }
+
+      directoryScanIdRef.current += 1;
+      const scanId = directoryScanIdRef.current;
+      setDirectoryTree([]);
+      setDirectoryScan({ status: 'scanning', directoriesVisited: 0, filesFound: 0 });
+
+      try {
+        const tree = await electronAPI.getDirectoryTree(dirPath, treeConfigContent, {
+          scanId,
+          maxDepth: DIRECTORY_TREE_LOAD_DEPTH,
+          includeExcluded,
+        });
+        if (scanId !== directoryScanIdRef.current) {
+          return null;
+        }
+
+        setDirectoryTree(tree ?? []);
+        setDirectoryScan((current) => (current?.status === 'cancelled' ? current : null));
+        return tree ?? [];
+      } catch (error) {
+        if (scanId === directoryScanIdRef.current) {
+          setDirectoryScan(null);
+        }
+        throw error;
+      }
+    },
+    [appWindow]
+  );
+
+  const cancelDirectoryScan = useCallback(async () => {
+    if (directoryScan?.status !== 'scanning') {
+      return;
+    }
+
+    // The scan resolves with the entries finished so far; keep showing that it was cut short.
+    setDirectoryScan({ ...directoryScan, status: 'cancelled' });
+    try {
+      await appWindow.electronAPI?.cancelDirectoryScan?.();
+    } catch (error) {
+      console.error('Error cancelling directory scan:', ensureError(error));
+    }
+  }, [directoryScan, appWindow]);
+
+  // Load the default profile, or the single saved config or default config before profiles
+  // existed, which becomes the first profile.
+  useEffect(() => {
+    const storedProfiles = parseStoredConfigProfiles(
+      localStorage.getItem(CONFIG_PROFILES_STORAGE_KEY)
+    );
+    const startupProfile = storedProfiles?.profiles.find(
+      (profile) => profile.id === storedProfiles.defaultProfileId
+    );
+    if (storedProfiles && startupProfile) {
+      setConfigProfiles(storedProfiles.profiles);
+      setActiveProfileId(startupProfile.id);
+      setDefaultProfileId(startupProfile.id);
+    } else {
+      const profileId = createConfigProfileId();
+      setConfigProfiles([
+        { id: profileId, name: i18n.t('profiles.defaultName'), configContent: '' },
+      ]);
+      setActiveProfileId(profileId);
+      setDefaultProfileId(profileId);
+    }
+
+    const savedConfig = startupProfile?.configContent || localStorage.getItem('configContent');
+    let startupConfig: Promise<string | null> = Promise.resolve(savedConfig);
     if (savedConfig) {
       setConfigContent(savedConfig);
+      startupConfig = migrateLoadedConfig(
+        savedConfig,
+        startupProfile?.name ?? i18n.t('profiles.defaultName')
+      ).then((migratedConfig) => {
+        setConfigContent((current) => (current === savedConfig ? migratedConfig : current));
+        return migratedConfig;
+      });
     } else if (electronAPI?.getDefaultConfig) {
-      electronAPI
-        .getDefaultConfig?.()
+      startupConfig = electronAPI
+        .getDefaultConfig()
         .then((defaultConfig) => {
           if (defaultConfig) {
             setConfigContent(defaultConfig);
             localStorage.setItem('configContent', sanitizeConfigForStorage(defaultConfig));
           }
+          return defaultConfig || null;
         })
         .catch((err) => {
           console.error('Error loading config:', err);
+          return null;
         });
     }
 
@@ -134,10 +475,18 @@ export const AppProvider = ({ children }: AppProviderProps) => {
     if (savedRootPath) {
       setRootPath(savedRootPath);
       if (electronAPI?.getDirectoryTree) {
-        electronAPI
-          .getDirectoryTree?.(savedRootPath, localStorage.getItem('configContent'))
-          .then((tree) => {
-            setDirectoryTree(tree ?? []);
+        // A config committed in the saved root is layered over the profile, as when the root
+        // was selected.
+        startupConfig
+          .then(async (userConfigContent) => {
+            const rootConfig = await layerRootConfig(savedRootPath, userConfigContent ?? '');
+            if (!rootConfig.repoConfig) {
+              return scanDirectoryTree(savedRootPath, userConfigContent, false);
+            }
+
+            setRepoConfig(rootConfig.repoConfig);
+            setConfigContent(rootConfig.configContent);
+            return scanDirectoryTree(savedRootPath, rootConfig.configContent, false);
           })
           .catch((err) => {
             console.error('Error loading directory tree:', err);
@@ -152,11 +501,42 @@ export const AppProvider = ({ children }: AppProviderProps) => {
     if (configContent === INITIAL_CONFIG_PLACEHOLDER) {
       return;
     }
-    localStorage.setItem('configContent', sanitizeConfigForStorage(configContent));
-  }, [configContent]);
+    localStorage.setItem('configContent', sanitizeConfigForStorage(profileConfigContent));
+  }, [configContent, profileConfigContent]);
 
+  // Save the profiles with the active one holding the current config
+  useEffect(() => {
+    if (configContent === INITIAL_CONFIG_PLACEHOLDER || configProfiles.length === 0) {
+      return;
+    }
+    localStorage.setItem(
+      CONFIG_PROFILES_STORAGE_KEY,
+      serializeConfigProfiles({
+        profiles: configProfiles.map((profile) =>
+          profile.id === activeProfileId
+            ? { ...profile, configContent: profileConfigContent }
+            : profile
+        ),
+        defaultProfileId,
+      })
+    );
+  }, [configContent, profileConfigContent, configProfiles, activeProfileId, defaultProfileId]);
+
+  // With a repository config active, edits are carried back into the profile's own config,
+  // which is the config that gets saved.
   const updateConfig = useCallback((config: string) => {
     setConfigContent(config);
+    setRepoConfig(
+      (current) =>
+        current && {
+          ...current,
+          userConfigContent: unlayerConfigContent(
+            config,
+            current.content,
+            current.userConfigContent
+          ),
+        }
+    );
   }, []);
 
   const resetSelectionAndAnalysisState = useCallback(() => {
@@ -180,14 +560,223 @@ export const AppProvider = ({ children }: AppProviderProps) => {
       }
 
       await electronAPI.resetGitignoreCache?.();
-      const tree = await electronAPI.getDirectoryTree(rootPath, configContent);
-      setDirectoryTree(tree ?? []);
+      await scanDirectoryTree(rootPath, configContent, showExcluded);
     } catch (error) {
       const processedError = ensureError(error);
       console.error('Error refreshing directory tree:', processedError);
       showError({ translationKey: 'errors.directoryLoadFailed' });
     }
-  }, [rootPath, configContent, appWindow, resetSelectionAndAnalysisState, showError]);
+  }, [
+    rootPath,
+    configContent,
+    showExcluded,
+    appWindow,
+    resetSelectionAndAnalysisState,
+    scanDirectoryTree,
+    showError,
+  ]);
+
+  // Rescans without resetting the selection: excluded entries can never be selected.
+  const rescanKeepingSelection = useCallback(
+    async (treeConfigContent: string, includeExcluded: boolean) => {
+      if (!rootPath) {
+        return;
+      }
+
+      try {
+        await scanDirectoryTree(rootPath, treeConfigContent, includeExcluded);
+      } catch (error) {
+        console.error('Error refreshing directory tree:', ensureError(error));
+        showError({ translationKey: 'errors.directoryLoadFailed' });
+      }
+    },
+    [rootPath, scanDirectoryTree, showError]
+  );
+
+  const setShowExcluded = useCallback(
+    async (nextShowExcluded: boolean) => {
+      setShowExcludedState(nextShowExcluded);
+      await rescanKeepingSelection(configContent, nextShowExcluded);
+    },
+    [configContent, rescanKeepingSelection]
+  );
+
+  // Adds the path to include_overrides, so it is shown and processed like any other entry.
+  const includePathAnyway = useCallback(
+    async (itemPath: string) => {
+      if (!isPathWithinRootBoundary(itemPath, rootPath)) {
+        console.warn(`Attempted to include an invalid path: ${itemPath}`);
+        return;
+      }
+
+      let updatedConfig: string | null;
+      try {
+        updatedConfig = addIncludeOverride(
+          configContent,
+          getPathRelativeToRoot(itemPath, rootPath)
+        );
+      } catch (error) {
+        console.error('Error adding include override:', ensureError(error));
+        showError({ translationKey: 'errors.includeAnywayFailed' });
+        return;
+      }
+      if (updatedConfig === null) {
+        return;
+      }
+
+      const { errors } = validateConfigContent(updatedConfig);
+      if (errors.length > 0) {
+        console.error('Not adding include override:', new ConfigValidationError(errors));
+        showError({ translationKey: 'errors.configInvalid' });
+        return;
+      }
+
+      updateConfig(updatedConfig);
+      await rescanKeepingSelection(updatedConfig, showExcluded);
+    },
+    [rootPath, configContent, showExcluded, updateConfig, rescanKeepingSelection, showError]
+  );
+
+  // Stores the current config in the active profile, then loads the next one. The selection
+  // is cleared, as the next profile's filters may hide selected files. An active repository
+  // config stays layered over the next profile.
+  const activateConfigProfile = useCallback(
+    async (profile: ConfigProfile) => {
+      setConfigProfiles((previous) =>
+        previous.map((existing) =>
+          existing.id === activeProfileId
+            ? { ...existing, configContent: profileConfigContent }
+            : existing
+        )
+      );
+      const profileContent = await migrateLoadedConfig(profile.configContent, profile.name);
+      let nextConfigContent = profileContent;
+      if (repoConfig) {
+        nextConfigContent =
+          layerConfigContent(profileContent, repoConfig.content) ?? profileContent;
+        setRepoConfig({ ...repoConfig, userConfigContent: profileContent });
+      }
+      setActiveProfileId(profile.id);
+      setConfigContent(nextConfigContent);
+      setProcessingOptions(readProcessingOptions(readConfigObject(nextConfigContent)));
+
+      if (!rootPath) {
+        return;
+      }
+
+      resetSelectionAndAnalysisState();
+      try {
+        await scanDirectoryTree(rootPath, nextConfigContent, showExcluded);
+      } catch (error) {
+        console.error('Error loading directory tree for profile:', ensureError(error));
+        showError({ translationKey: 'errors.directoryLoadFailed' });
+      }
+    },
+    [
+      activeProfileId,
+      profileConfigContent,
+      repoConfig,
+      rootPath,
+      showExcluded,
+      resetSelectionAndAnalysisState,
+      scanDirectoryTree,
+      showError,
+      migrateLoadedConfig,
+    ]
+  );
+
+  const switchConfigProfile = useCallback(
+    async (profileId: string) => {
+      const profile = configProfiles.find((existing) => existing.id === profileId);
+      if (profile && profileId !== activeProfileId) {
+        await activateConfigProfile(profile);
+      }
+    },
+    [configProfiles, activeProfileId, activateConfigProfile]
+  );
+
+  // New profiles start from the default config.
+  const createConfigProfile = useCallback(
+    async (name: string) => {
+      if (!name.trim()) {
+        return;
+      }
+
+      let defaultConfig: string | undefined;
+      try {
+        defaultConfig = await appWindow.electronAPI?.getDefaultConfig?.();
+      } catch (error) {
+        console.error('Error loading default config for profile:', ensureError(error));
+      }
+
+      const profile: ConfigProfile = {
+        id: createConfigProfileId(),
+        name: getUniqueProfileName(configProfiles, name),
+        configContent: defaultConfig || profileConfigContent,
+      };
+      setConfigProfiles((previous) => [...previous, profile]);
+      await activateConfigProfile(profile);
+    },
+    [configProfiles, profileConfigContent, appWindow, activateConfigProfile]
+  );
+
+  const duplicateConfigProfile = useCallback(
+    async (profileId: string) => {
+      const source = configProfiles.find((existing) => existing.id === profileId);
+      if (!source) {
+        return;
+      }
+
+      const profile: ConfigProfile = {
+        id: createConfigProfileId(),
+        name: getUniqueProfileName(
+          configProfiles,
+          i18n.t('profiles.copyName', { name: source.name })
+        ),
+        configContent: profileId === activeProfileId ? profileConfigContent : source.configContent,
+      };
+      setConfigProfiles((previous) => [...previous, profile]);
+      await activateConfigProfile(profile);
+    },
+    [configProfiles, activeProfileId, profileConfigContent, activateConfigProfile]
+  );
+
+  const renameConfigProfile = useCallback((profileId: string, name: string) => {
+    if (!name.trim()) {
+      return;
+    }
+
+    setConfigProfiles((previous) =>
+      previous.map((profile) =>
+        profile.id === profileId
+          ? { ...profile, name: getUniqueProfileName(previous, name, profileId) }
+          : profile
+      )
+    );
+  }, []);
+
+  // The last profile cannot be deleted. Deleting the active profile activates the default one.
+  const deleteConfigProfile = useCallback(
+    async (profileId: string) => {
+      const remaining = configProfiles.filter((profile) => profile.id !== profileId);
+      if (remaining.length === 0 || remaining.length === configProfiles.length) {
+        return;
+      }
+
+      const nextDefault =
+        remaining.find((profile) => profile.id === defaultProfileId) ?? remaining[0];
+      setConfigProfiles(remaining);
+      setDefaultProfileId(nextDefault.id);
+      if (profileId === activeProfileId) {
+        await activateConfigProfile(nextDefault);
+      }
+    },
+    [configProfiles, defaultProfileId, activeProfileId, activateConfigProfile]
+  );
+
+  const setDefaultConfigProfile = useCallback((profileId: string) => {
+    setDefaultProfileId(profileId);
+  }, []);
 
   const activeTabRef = useRef<TabId>(activeTab);
   activeTabRef.current = activeTab;
@@ -197,17 +786,8 @@ export const AppProvider = ({ children }: AppProviderProps) => {
 
     setActiveTab(tab);
 
-    try {
-      if (configContent) {
-        const config = (yaml.parse(configContent) || {}) as ConfigObject;
-        setProcessingOptions({
-          showTokenCount: config.show_token_count !== false,
-          includeTreeView: config.include_tree_view === true,
-          exportFormat: normalizeExportFormat(config.export_format),
-        });
-      }
-    } catch (error) {
-      console.error('Error parsing config when changing tabs:', error);
+    if (configContent) {
+      setProcessingOptions(readProcessingOptions(readConfigObject(configContent)));
     }
 
     if (tab === 'source') {
@@ -241,10 +821,21 @@ export const AppProvider = ({ children }: AppProviderProps) => {
 
       resetSelectionAndAnalysisState();
       await electronAPI.resetGitignoreCache?.();
-      const tree = await electronAPI.getDirectoryTree(dirPath, configContent);
+      // The root is shown right away so the tree can render while it is being scanned.
       setRootPath(dirPath);
       localStorage.setItem('rootPath', dirPath);
-      setDirectoryTree(tree ?? []);
+
+      // A config committed in the new root is layered over the profile; leaving a root with
+      // one restores the profile's own config.
+      const { repoConfig: nextRepoConfig, configContent: nextConfigContent } =
+        await layerRootConfig(dirPath, profileConfigContent);
+      setRepoConfig(nextRepoConfig);
+      if (nextConfigContent !== configContent) {
+        setConfigContent(nextConfigContent);
+        setProcessingOptions(readProcessingOptions(readConfigObject(nextConfigContent)));
+      }
+
+      await scanDirectoryTree(dirPath, nextConfigContent, showExcluded);
       return true;
     } catch (error) {
       const processedError = ensureError(error);
@@ -252,7 +843,37 @@ export const AppProvider = ({ children }: AppProviderProps) => {
       showError({ translationKey: 'errors.directoryLoadFailed' });
       return false;
     }
-  }, [appWindow, configContent, resetSelectionAndAnalysisState, showError]);
+  }, [
+    appWindow,
+    configContent,
+    profileConfigContent,
+    showExcluded,
+    resetSelectionAndAnalysisState,
+    scanDirectoryTree,
+    showError,
+    layerRootConfig,
+  ]);
+
+  // Writes the current config into the selected root, where it becomes the active repository
+  // config. Provider API keys are never written.
+  const writeRepoConfig = useCallback(async (): Promise<boolean> => {
+    if (!rootPath || !appWindow.electronAPI?.writeRepoConfig) {
+      return false;
+    }
+
+    try {
+      const repoConfigFile = await appWindow.electronAPI.writeRepoConfig({
+        rootPath,
+        configContent: sanitizeConfigForStorage(configContent),
+      });
+      setRepoConfig({ ...repoConfigFile, userConfigContent: profileConfigContent });
+      return true;
+    } catch (error) {
+      console.error('Error writing repository config:', ensureError(error));
+      showError({ translationKey: 'errors.repoConfigWriteFailed' });
+      return false;
+    }
+  }, [rootPath, configContent, profileConfigContent, appWindow, showError]);
 
   const handleFileSelect = useCallback((filePath: string, isSelected: boolean) => {
     if (isSelected && !isPathWithinRootBoundary(filePath, rootPath)) {
@@ -271,17 +892,32 @@ export const AppProvider = ({ children }: AppProviderProps) => {
     });
   }, [rootPath]);
 
-  const handleFolderSelect = useCallback((folderPath: string, isSelected: boolean) => {
-    if (isSelected && !isPathWithinRootBoundary(folderPath, rootPath)) {
-      console.warn(`Attempted to select an invalid folder: ${folderPath}`);
-      return;
-    }
+  // Descendants come from the main process: most of them are not loaded in the tree yet.
+  const handleFolderSelect = useCallback(
+    async (folderPath: string, isSelected: boolean) => {
+      if (isSelected && !isPathWithinRootBoundary(folderPath, rootPath)) {
+        console.warn(`Attempted to select an invalid folder: ${folderPath}`);
+        return;
+      }
 
-    const folder = findFolderByPath(directoryTree, folderPath);
+      let descendants: DirectoryFilesResult;
+      try {
+        if (!appWindow.electronAPI?.getDirectoryFiles) {
+          throw new Error(i18n.t('errors.electronApiUnavailable'));
+        }
+        descendants = await appWindow.electronAPI.getDirectoryFiles({
+          rootPath,
+          directoryPath: folderPath,
+          configContent,
+        });
+      } catch (error) {
+        console.error('Error resolving folder contents:', ensureError(error));
+        showError({ translationKey: 'errors.directoryLoadFailed' });
+        return;
+      }
 
-    if (folder) {
-      const subFolders = collectSubFoldersWithinBoundary(folder, rootPath);
-      const files = collectFilesWithinBoundary(folder, rootPath);
+      const subFolders = descendants.folders.filter((f) => isPathWithinRootBoundary(f, rootPath));
+      const files = descendants.files.filter((f) => isPathWithinRootBoundary(f, rootPath));
 
       if (isSelected) {
         setSelectedFolders((prev) => {
@@ -310,21 +946,55 @@ export const AppProvider = ({ children }: AppProviderProps) => {
           return next;
         });
       }
-    }
-  }, [rootPath, directoryTree]);
+    },
+    [rootPath, configContent, appWindow, showError]
+  );
 
+  const loadingFolderPathsRef = useRef(new Set<string>());
+
+  const loadDirectoryChildren = useCallback(
+    async (folderPath: string) => {
+      const electronAPI = appWindow.electronAPI;
+      if (!electronAPI?.getDirectoryChildren || loadingFolderPathsRef.current.has(folderPath)) {
+        return;
+      }
+
+      // A rescan replaces the tree; children loaded for the previous one are dropped.
+      const scanId = directoryScanIdRef.current;
+      loadingFolderPathsRef.current.add(folderPath);
+      try {
+        const children = await electronAPI.getDirectoryChildren({
+          rootPath,
+          directoryPath: folderPath,
+          configContent,
+          includeExcluded: showExcluded,
+        });
+        if (scanId === directoryScanIdRef.current) {
+          setDirectoryTree((previous) => replaceFolderChildren(previous, folderPath, children ?? []));
+        }
+      } catch (error) {
+        console.error('Error loading folder contents:', ensureError(error));
+        showError({ translationKey: 'errors.directoryLoadFailed' });
+      } finally {
+        loadingFolderPathsRef.current.delete(folderPath);
+      }
+    },
+    [rootPath, configContent, showExcluded, appWindow, showError]
+  );
+
+  // With replace set, the given paths become the whole selection.
   const handleBatchSelect = useCallback(
-    (files: string[], folders: string[], isSelected: boolean) => {
+    (files: string[], folders: string[], isSelected: boolean, replace = false) => {
       if (isSelected) {
         setSelectedFiles((prev) => {
-          const next = new Set(prev);
+          const next = new Set(replace ? [] : prev);
           for (const f of files) {
             if (isPathWithinRootBoundary(f, rootPath)) next.add(f);
           }
           return next;
         });
         setSelectedFolders((prev) => {
-          const next = new Set(prev);
+          const next = new Set(replace ? [] : prev);
           for (const f of folders) {
             if (isPathWithinRootBoundary(f, rootPath)) next.add(f);
           }
@@ -346,6 +1016,74 @@ export const AppProvider = ({ children }: AppProviderProps) => {
     [rootPath]
   );
 
+  const handleFitToBudget = useCallback(
+    async ({
+      tokenBudget,
+      strategy,
+      priorityGlobs,
+      pinnedFiles,
+    }: FitToBudgetOptions): Promise<FitToBudgetResult | undefined> => {
+      if (!rootPath || directoryTree.length === 0) {
+        showError({ translationKey: 'errors.selectRootAndFiles' });
+        return undefined;
+      }
+
+      try {
+        if (!appWindow.electronAPI?.countFilesTokens || !appWindow.electronAPI.getDirectoryFiles) {
+          throw new Error('Electron API is not available');
+        }
+
+        // Every file under the root is a candidate, including folders that were never expanded.
+        const { files } = await appWindow.electronAPI.getDirectoryFiles({
+          rootPath,
+          directoryPath: rootPath,
+          configContent,
+        });
+        const candidatePaths = files.filter((filePath) => isPathWithinRootBoundary(filePath, rootPath));
+        if (candidatePaths.length === 0) {
+          showError({ translationKey: 'errors.selectRootAndFiles' });
+          return undefined;
+        }
+
+        const tokenCounts: Record<string, number> = {};
+        const fileStats: Record<string, { mtime: number }> = {};
+        const tokenizer = getConfiguredTokenizer(configContent);
+        const batchSize = FIT_TO_BUDGET_COUNT_BATCH_SIZE;
+        for (let index = 0; index < candidatePaths.length; index += batchSize) {
+          const { results, stats } = await appWindow.electronAPI.countFilesTokens({
+            rootPath,
+            filePaths: candidatePaths.slice(index, index + batchSize),
+            tokenizer,
+          });
+          Object.assign(tokenCounts, results);
+          Object.assign(fileStats, stats);
+        }
+
+        const result = selectFilesWithinBudget({
+          candidates: candidatePaths.map((filePath) => ({
+            path: filePath,
+            relativePath: getPathRelativeToRoot(filePath, rootPath),
+            tokens: tokenCounts[filePath] ?? 0,
+            mtime: fileStats[filePath]?.mtime,
+          })),
+          tokenBudget,
+          strategy,
+          priorityGlobs,
+          pinnedFiles,
+        });
+
+        // Replace the selection as a whole: it may have changed while the files were counted.
+        handleBatchSelect(result.selectedFiles, [], true, true);
+        return result;
+      } catch (error) {
+        console.error('Error fitting selection to token budget:', ensureError(error));
+        showError({ translationKey: 'errors.fitToBudgetFailed' });
+        return undefined;
+      }
+    },
+    [rootPath, directoryTree, configContent, appWindow, handleBatchSelect, showError]
+  );
+
   const handleAnalyze = useCallback(async (): Promise<AnalyzeRepositoryResult | undefined> => {
     const selectedFilesArray = [...selectedFiles];
     if (!rootPath || selectedFilesArray.length === 0) {
@@ -368,7 +1106,21 @@ export const AppProvider = ({ children }: AppProviderProps) => {
         return undefined;
       }
 
-      if (!appWindow.electronAPI?.analyzeRepository || !appWindow.electronAPI?.processRepository) {
+      // The main process rejects a config with invalid settings, so it is not sent.
+      let config: ConfigObject;
+      try {
+        config = parseConfigObject(configContent);
+      } catch (error) {
+        console.error('Not processing the repository:', ensureError(error));
+        showError({ translationKey: 'errors.configInvalid' });
+        return undefined;
+      }
+
+      if (
+        !appWindow.electronAPI?.analyzeRepository ||
+        !appWindow.electronAPI?.processRepository ||
+        !appWindow.electronAPI?.processRepositoryToFile
+      ) {
         throw new Error(i18n.t('errors.electronApiUnavailable'));
       }
 
@@ -380,27 +1132,24 @@ export const AppProvider = ({ children }: AppProviderProps) => {
 
       analysisResultRef.current = currentAnalysisResult;
 
-      const options: ProcessingOptions = {
-        showTokenCount: true,
-        includeTreeView: false,
-        exportFormat: 'markdown',
-      };
-      try {
-        const config = (yaml.parse(configContent) || {}) as ConfigObject;
-        options.showTokenCount = config.show_token_count !== false;
-        options.includeTreeView = config.include_tree_view === true;
-        options.exportFormat = normalizeExportFormat(config.export_format);
-      } catch (error) {
-        console.error('Error parsing config for processing:', ensureError(error));
-      }
+      const options = readProcessingOptions(config);
       setProcessingOptions(options);
 
-      const result = await appWindow.electronAPI.processRepository({
+      const processRequest = {
         rootPath,
         filesInfo: currentAnalysisResult.filesInfo ?? [],
         treeView: null,
         options,
-      });
+      };
+      const streamToFile = config.stream_to_file === true;
+      const result = streamToFile
+        ? await appWindow.electronAPI.processRepositoryToFile(processRequest)
+        : await appWindow.electronAPI.processRepository(processRequest);
+
+      if (streamToFile && result === null) {
+        // Save dialog was cancelled; keep the current selection on the source tab.
+        return currentAnalysisResult;
+      }
 
       if (!result) {
         console.error('Processing failed or returned invalid data:', result);
@@ -427,10 +1176,23 @@ export const AppProvider = ({ children }: AppProviderProps) => {
         return null;
       }
 
-      if (!appWindow.electronAPI?.analyzeRepository || !appWindow.electronAPI?.processRepository) {
+      if (
+        !appWindow.electronAPI?.analyzeRepository ||
+        !appWindow.electronAPI?.processRepository ||
+        !appWindow.electronAPI?.processRepositoryToFile
+      ) {
         throw new Error(i18n.t('errors.electronApiUnavailable'));
       }
 
+      let config: ConfigObject;
+      try {
+        config = parseConfigObject(configContent);
+      } catch (error) {
+        console.error('Not refreshing the processed content:', ensureError(error));
+        showError({ translationKey: 'errors.configInvalid' });
+        return null;
+      }
+
       const currentReanalysisResult = await appWindow.electronAPI.analyzeRepository({
         rootPath,
         configContent,
@@ -439,25 +1201,26 @@ export const AppProvider = ({ children }: AppProviderProps) => {
 
       analysisResultRef.current = currentReanalysisResult;
 
-      const options: ProcessingOptions = { ...processingOptions };
-      try {
-        if (configContent) {
-          const config = (yaml.parse(configContent) || {}) as ConfigObject;
-          options.showTokenCount = config.show_token_count !== false;
-          options.includeTreeView = config.include_tree_view === true;
-          options.exportFormat = normalizeExportFormat(config.export_format);
-        }
-      } catch (error) {
-        console.error('Error parsing config for refresh:', ensureError(error));
-      }
+      const options = readProcessingOptions(config);
       setProcessingOptions(options);
 
-      const result = await appWindow.electronAPI.processRepository({
+      const processRequest = {
         rootPath,
         filesInfo: currentReanalysisResult.filesInfo ?? [],
         treeView: null,
         options,
-      });
+      };
+      const streamToFile = config.stream_to_file === true;
+      const result = streamToFile
+        ? await appWindow.electronAPI.processRepositoryToFile({
+            ...processRequest,
+            outputPath: processedResult?.outputPath ?? null,
+          })
+        : await appWindow.electronAPI.processRepository(processRequest);
+
+      if (streamToFile && result === null) {
+        return processedResult;
+      }
 
       if (!result) {
         console.error('Re-processing failed or returned invalid data:', result);
@@ -472,19 +1235,26 @@ export const AppProvider = ({ children }: AppProviderProps) => {
       showError({ translationKey: 'errors.refreshFailed' });
       throw processedError;
     }
-  }, [selectedFiles, rootPath, configContent, appWindow, processingOptions, showError]);
+  }, [selectedFiles, rootPath, configContent, appWindow, processedResult, showError]);
 
-  const handleSaveOutput = useCallback(async () => {
+  const handleSaveOutput = useCallback(async (part?: ProcessedOutputPart) => {
     if (!processedResult) {
       showError({ translationKey: 'errors.noProcessedContentToSave' });
       return;
     }
 
+    if (processedResult.outputPath) {
+      // Streamed output is already on disk; the in-memory content is only a preview.
+      return;
+    }
+
     try {
-      const outputExtension = processedResult.exportFormat === 'xml' ? 'xml' : 'md';
+      const outputExtension = getExportFileExtension(processedResult.exportFormat);
+      const totalParts = processedResult.parts?.length ?? 0;
+      const outputName = part ? `output.part-${part.index}-of-${totalParts}` : 'output';
       await appWindow.electronAPI?.saveFile?.({
-        content: processedResult.content,
-        defaultPath: `${rootPath}/output.${outputExtension}`,
+        content: part?.content ?? processedResult.content,
+        defaultPath: `${rootPath}/${outputName}.${outputExtension}`,
       });
     } catch (error) {
       const processedError = ensureError(error);
@@ -498,19 +1268,39 @@ export const AppProvider = ({ children }: AppProviderProps) => {
       activeTab,
       rootPath,
       directoryTree,
+      directoryScan,
+      showExcluded,
       selectedFiles,
       selectedFolders,
       processedResult,
       configContent,
+      configProfiles,
+      activeProfileId,
+      defaultProfileId,
+      repoConfigPath: repoConfig?.relativePath ?? null,
+      configMigration,
       processingOptions,
       appError,
       switchTab,
       selectDirectory,
       refreshDirectoryTree,
+      cancelDirectoryScan,
+      loadDirectoryChildren,
+      setShowExcluded,
+      includePathAnyway,
       updateConfig,
+      switchConfigProfile,
+      createConfigProfile,
+      duplicateConfigProfile,
+      renameConfigProfile,
+      deleteConfigProfile,
+      setDefaultConfigProfile,
+      writeRepoConfig,
+      dismissConfigMigration,
       handleFileSelect,
       handleFolderSelect,
       handleBatchSelect,
+      handleFitToBudget,
       handleAnalyze,
       handleRefreshProcessed,
       handleSaveOutput,
@@ -520,19 +1310,39 @@ export const AppProvider = ({ children }: AppProviderProps) => {
       activeTab,
       rootPath,
       directoryTree,
+      directoryScan,
+      showExcluded,
       selectedFiles,
       selectedFolders,
       processedResult,
       configContent,
+      configProfiles,
+      activeProfileId,
+      defaultProfileId,
+      repoConfig,
+      configMigration,
       processingOptions,
       appError,
       switchTab,
       selectDirectory,
       refreshDirectoryTree,
+      cancelDirectoryScan,
+      loadDirectoryChildren,
+      setShowExcluded,
+      includePathAnyway,
       updateConfig,
+      switchConfigProfile,
+      createConfigProfile,
+      duplicateConfigProfile,
+      renameConfigProfile,
+      deleteConfigProfile,
+      setDefaultConfigProfile,
+      writeRepoConfig,
+      dismissConfigMigration,
       handleFileSelect,
       handleFolderSelect,
       handleBatchSelect,
+      handleFitToBudget,
       handleAnalyze,
       handleRefreshProcessed,
       handleSaveOutput,
@@ -0,0 +1,104 @@
+import { sanitizeConfigForStorage } from './config-storage';
+
+// Each profile holds a full config. The active profile's content lives in the app's
+// configContent while it is active and is written back here on every change.
+export type ConfigProfile = {
+  id: string;
+  name: string;
+  configContent: string;
+};
+
+export type StoredConfigProfiles = {
+  profiles: ConfigProfile[];
+  defaultProfileId: string;
+};
+
+export const CONFIG_PROFILES_STORAGE_KEY = 'configProfiles';
+
+let profileIdCounter = 0;
+
+export const createConfigProfileId = (): string => {
+  profileIdCounter += 1;
+  return `profile-${Date.now().toString(36)}-${profileIdCounter}`;
+};
+
+const isConfigProfile = (value: unknown): value is ConfigProfile => {
+  if (!value || typeof value !== 'object') {
+    return false;
+  }
+
+  const profile = value as Record<string, unknown>;
+  return (
+    typeof profile.id === 'string' &&
+    profile.id !== '' &&
+    typeof profile.name === 'string' &&
+    typeof profile.configContent === 'string'
+  );
+};
+
+/**
+ * Read the profiles saved in localStorage.
+ * @param {string|null} storedValue - Raw value of the profiles storage key
+ * @returns {Object|null} - The profiles and the default profile id, or null when nothing valid
+ * is stored
+ */
+export const parseStoredConfigProfiles = (
+  storedValue: string | null
+): StoredConfigProfiles | null => {
+  if (!storedValue) {
+    return null;
+  }
+
+  try {
+    const parsed = JSON.parse(storedValue) as Partial<StoredConfigProfiles> | null;
+    const profiles = Array.isArray(parsed?.profiles)
+      ? parsed.profiles.filter((profile) => isConfigProfile(profile))
+      : [];
+    if (profiles.length === 0) {
+      return null;
+    }
+
+    const defaultProfile =
+      profiles.find((profile) => profile.id === parsed?.defaultProfileId) ?? profiles[0];
+    return { profiles, defaultProfileId: defaultProfile.id };
+  } catch {
+    return null;
+  }
+};
+
+// Provider API keys are dropped from every profile, as for the single stored config.
+export const serializeConfigProfiles = ({
+  profiles,
+  defaultProfileId,
+}: StoredConfigProfiles): string =>
+  JSON.stringify({
+    profiles: profiles.map((profile) => ({
+      ...profile,
+      configContent: sanitizeConfigForStorage(profile.configContent),
+    })),
+    defaultProfileId,
+  });
+
+/**
+ * Make a profile name unique by numbering it, ignoring the profile being renamed.
+ * @param {Array} profiles - Existing profiles
+ * @param {string} name - Requested name
+ * @param {string} ignoredProfileId - Profile whose own name does not count as taken
+ * @returns {string} - The trimmed name, with " (2)", " (3)", ... appended when taken
+ */
+export const getUniqueProfileName = (
+  profiles: ConfigProfile[],
+  name: string,
+  ignoredProfileId?: string
+): string => {
+  const baseName = name.trim();
+  const takenNames = new Set(
+    profiles.filter((profile) => profile.id !== ignoredProfileId).map((profile) => profile.name)
+  );
+
+  let uniqueName = baseName;
+  for (let suffix = 2; takenNames.has(uniqueName); suffix += 1) {
+    uniqueName = `${baseName} (${suffix})`;
+  }
+  return uniqueName;
+};
@@ -37,3 +37,12 @@ export const isPathWithinRootBoundary = (candidatePath: string, rootPath: string
     normalizedCandidatePath.startsWith(`${normalizedRootPath}/`)
   );
 };
+
+export const getPathRelativeToRoot = (candidatePath: string, rootPath: string): string => {
+  const normalizedRootPath = normalizePathForBoundaryCheck(rootPath);
+  const normalizedCandidatePath = normalizePathForBoundaryCheck(candidatePath);
+
+  return normalizedCandidatePath.startsWith(`${normalizedRootPath}/`)
+    ? normalizedCandidatePath.slice(normalizedRootPath.length + 1)
+    : normalizedCandidatePath;
+};
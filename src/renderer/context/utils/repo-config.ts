@@ -0,0 +1,107 @@
+import yaml from 'yaml';
+
+import type { ConfigObject } from '../../../types/ipc';
+
+// A repository config found in the selected root. It is layered over the active profile's
+// config, which is kept aside so it can be stored and restored unchanged.
+export type ActiveRepoConfig = {
+  relativePath: string;
+  content: string;
+  userConfigContent: string;
+};
+
+const parseConfigObject = (configContent: string): ConfigObject | null => {
+  const parsed: unknown = yaml.parse(configContent);
+  if (parsed === null || parsed === undefined) {
+    return {};
+  }
+  return typeof parsed === 'object' && !Array.isArray(parsed) ? (parsed as ConfigObject) : null;
+};
+
+/**
+ * Layer a repository config over the user's config. Top-level keys set by the repository
+ * replace the user's values; the other keys, such as the provider settings, are kept.
+ * @param {string} userConfigContent - The active profile's config
+ * @param {string} repoConfigContent - The config committed in the repository
+ * @returns {string|null} - The effective config, or null when the repository config is not
+ * a YAML mapping
+ */
+export const layerConfigContent = (
+  userConfigContent: string,
+  repoConfigContent: string
+): string | null => {
+  let repoConfig: ConfigObject | null;
+  try {
+    repoConfig = parseConfigObject(repoConfigContent);
+  } catch {
+    return null;
+  }
+  if (!repoConfig) {
+    return null;
+  }
+
+  let userConfig: ConfigObject = {};
+  try {
+    userConfig = parseConfigObject(userConfigContent) ?? {};
+  } catch {
+    // An unreadable user config leaves the repository config on its own.
+  }
+
+  return yaml.stringify({ ...userConfig, ...repoConfig });
+};
+
+const isSameValue = (left: unknown, right: unknown): boolean =>
+  JSON.stringify(left) === JSON.stringify(right);
+
+/**
+ * Carry edits made to the layered config back into the user's config, so they are saved with
+ * the profile. Settings the repository config sets are left as the user had them, as the
+ * repository's values replace them anyway. The user's comments are kept.
+ * @param {string} layeredConfigContent - The edited effective config
+ * @param {string} repoConfigContent - The config committed in the repository
+ * @param {string} userConfigContent - The active profile's config before the edit
+ * @returns {string} - The profile's config with the edits, or unchanged when either config is
+ * not a YAML mapping
+ */
+export const unlayerConfigContent = (
+  layeredConfigContent: string,
+  repoConfigContent: string,
+  userConfigContent: string
+): string => {
+  let layeredConfig: ConfigObject | null;
+  let repoConfig: ConfigObject | null;
+  try {
+    layeredConfig = parseConfigObject(layeredConfigContent);
+    repoConfig = parseConfigObject(repoConfigContent);
+  } catch {
+    return userConfigContent;
+  }
+  if (!layeredConfig || !repoConfig) {
+    return userConfigContent;
+  }
+
+  const isUserSetting = (key: string) => !Object.hasOwn(repoConfig, key);
+  const userDocument = yaml.parseDocument(userConfigContent);
+  if (
+    userDocument.errors.length > 0 ||
+    (userDocument.contents !== null && !yaml.isMap(userDocument.contents))
+  ) {
+    // An unreadable user config is replaced by the edited settings.
+    return yaml.stringify(
+      Object.fromEntries(Object.entries(layeredConfig).filter(([key]) => isUserSetting(key)))
+    );
+  }
+
+  const userConfig = (userDocument.toJS() ?? {}) as ConfigObject;
+  for (const [key, value] of Object.entries(layeredConfig)) {
+    if (isUserSetting(key) && !isSameValue(userConfig[key], value)) {
+      userDocument.set(key, value);
+    }
+  }
+  for (const key of Object.keys(userConfig)) {
+    if (isUserSetting(key) && !Object.hasOwn(layeredConfig, key)) {
+      userDocument.delete(key);
+    }
+  }
+  return userDocument.toString();
+};
@@ -1,65 +1,128 @@
-import { isPathWithinRootBoundary } from './path-boundary';
+import { isPathWithinRootBoundary, normalizePathForBoundaryCheck } from './path-boundary';
 
-import type { DirectoryTreeItem } from '../../../types/ipc';
+import type { DirectoryChange, DirectoryTreeItem } from '../../../types/ipc';
 
-export const findFolderByPath = (
-  items: DirectoryTreeItem[] | undefined,
-  targetPath: string
-): DirectoryTreeItem | null => {
-  for (const item of items ?? []) {
-    if (item.path === targetPath) {
+// Returns a tree where the folder at folderPath is replaced by update(folder); folders on the
+// way to it are copied, everything else is shared with the previous tree.
+const updateFolder = (
+  items: DirectoryTreeItem[],
+  folderPath: string,
+  update: (folder: DirectoryTreeItem) => DirectoryTreeItem
+): DirectoryTreeItem[] => {
+  let changed = false;
+  const nextItems = items.map((item) => {
+    if (item.type !== 'directory') {
       return item;
     }
 
-    if (item.type === 'directory' && item.children) {
-      const found = findFolderByPath(item.children, targetPath);
-      if (found) {
-        return found;
+    if (item.path === folderPath) {
+      const nextItem = update(item);
+      changed = changed || nextItem !== item;
+      return nextItem;
+    }
+
+    if (item.children && isPathWithinRootBoundary(folderPath, item.path)) {
+      const nextChildren = updateFolder(item.children, folderPath, update);
+      if (nextChildren !== item.children) {
+        changed = true;
+        return { ...item, children: nextChildren };
       }
     }
-  }
 
-  return null;
+    return item;
+  });
+
+  return changed ? nextItems : items;
 };
 
-export const collectSubFoldersWithinBoundary = (
-  folder: DirectoryTreeItem,
-  rootPath: string
-): string[] => {
-  if (!folder.children) {
-    return [];
+// Returns a tree where the folder at folderPath has the given children loaded.
+export const replaceFolderChildren = (
+  items: DirectoryTreeItem[],
+  folderPath: string,
+  children: DirectoryTreeItem[]
+): DirectoryTreeItem[] =>
+  updateFolder(items, folderPath, (folder) => ({
+    ...folder,
+    children,
+    itemCount: children.length,
+  }));
+
+// Directories first, then by name, as the main process sorts each level.
+const compareTreeItems = (a: DirectoryTreeItem, b: DirectoryTreeItem): number => {
+  if (a.type !== b.type) {
+    return a.type === 'directory' ? -1 : 1;
   }
+  return a.name.localeCompare(b.name);
+};
 
-  let folders: string[] = [];
+export const getParentPath = (itemPath: string): string =>
+  itemPath.slice(0, Math.max(itemPath.lastIndexOf('/'), itemPath.lastIndexOf('\\')));
 
-  for (const item of folder.children ?? []) {
-    if (item.type === 'directory' && isPathWithinRootBoundary(item.path, rootPath)) {
-      folders.push(item.path, ...collectSubFoldersWithinBoundary(item, rootPath));
-    }
+// Adds, replaces or removes the changed entry among the items of one folder.
+const applyChangeToLevel = (
+  items: DirectoryTreeItem[],
+  change: DirectoryChange
+): DirectoryTreeItem[] => {
+  const existing = items.find((item) => item.path === change.path);
+  if (change.type === 'unlink' || !change.item) {
+    return existing ? items.filter((item) => item !== existing) : items;
   }
 
-  return folders;
+  // Watch events list a folder without its children; keep the ones already loaded.
+  const nextItem =
+    existing?.children && change.item.type === 'directory'
+      ? { ...change.item, children: existing.children }
+      : change.item;
+  return [...items.filter((item) => item !== existing), nextItem].sort(compareTreeItems);
 };
 
-export const collectFilesWithinBoundary = (
-  folder: DirectoryTreeItem,
-  rootPath: string
-): string[] => {
-  if (!folder.children) {
-    return [];
-  }
+/**
+ * Patch the tree with changes reported by the directory watcher. Changes inside folders whose
+ * children are not loaded yet are skipped; those folders list their current entries on expand.
+ * @param {Object[]} items - Top-level tree items
+ * @param {string} rootPath - The selected root directory
+ * @param {Object[]} changes - Added, changed and removed entries
+ * @returns {Object[]} - The patched tree, or items itself when nothing visible changed
+ */
+export const applyDirectoryChanges = (
+  items: DirectoryTreeItem[],
+  rootPath: string,
+  changes: DirectoryChange[]
+): DirectoryTreeItem[] => {
+  const normalizedRootPath = normalizePathForBoundaryCheck(rootPath);
+  let nextItems = items;
 
-  let files: string[] = [];
+  for (const change of changes) {
+    const parentPath = getParentPath(change.path);
+    if (normalizePathForBoundaryCheck(parentPath) === normalizedRootPath) {
+      nextItems = applyChangeToLevel(nextItems, change);
+      continue;
+    }
 
-  for (const item of folder.children ?? []) {
-    if (item.type === 'file') {
-      if (isPathWithinRootBoundary(item.path, rootPath)) {
-        files.push(item.path);
+    nextItems = updateFolder(nextItems, parentPath, (folder) => {
+      if (!folder.children) {
+        return folder;
       }
-    } else if (item.type === 'directory') {
-      files = [...files, ...collectFilesWithinBoundary(item, rootPath)];
-    }
+      const children = applyChangeToLevel(folder.children, change);
+      return children === folder.children ? folder : { ...folder, children };
+    });
+  }
+
+  return nextItems;
+};
+
+// Adds top-level entries streamed by a directory scan, in the order the main process sorts
+// them: directories first, then by name.
+export const mergeScannedItems = (
+  items: DirectoryTreeItem[],
+  completedItems: DirectoryTreeItem[]
+): DirectoryTreeItem[] => {
+  if (completedItems.length === 0) {
+    return items;
   }
 
-  return files;
+  const completedPaths = new Set(completedItems.map((item) => item.path));
+  return [...items.filter((item) => !completedPaths.has(item.path)), ...completedItems].sort(
+    compareTreeItems
+  );
 };
@@ -1,24 +1,56 @@
 import type { ProviderId as SharedProviderId } from '../shared/provider-registry';
 
 export type TabId = 'config' | 'source' | 'processed';
-export type ExportFormat = 'markdown' | 'xml';
+export type ExportFormat = 'markdown' | 'xml' | 'json' | 'jsonl';
+export type TokenizerId = 'cl100k' | 'o200k' | 'claude-approx' | 'llama-approx';
+export type TokenBudgetStrategy = 'smallest-first' | 'priority-globs' | 'recently-modified';
 export type UpdaterChannel = 'alpha' | 'stable';
 export type UpdaterState = 'disabled' | 'up-to-date' | 'update-available' | 'error';
 export type ProviderId = SharedProviderId;
+// Ignore files in the order their rules are applied; later sources take precedence.
+export type IgnoreFileSource =
+  | 'global-excludes'
+  | 'git-info-exclude'
+  | 'gitignore'
+  | 'aicodefusionignore';
 
 export type SelectionHandler = (path: string, isSelected: boolean) => void;
 
+// Changes to the list a config extends, instead of replacing it.
+export interface ConfigListMerge {
+  add?: string[];
+  remove?: string[];
+}
+
 export interface ConfigObject {
-  include_extensions?: string[];
-  exclude_patterns?: string[];
+  // Format version; older configs are upgraded when they are loaded.
+  config_version?: number;
+  // Presets (`default`, `javascript`, `python`) or config file paths applied before this config.
+  extends?: string | string[];
+  include_extensions?: string[] | ConfigListMerge;
+  // Globs a file can match instead of an included extension; setting any turns on include mode.
+  include_globs?: string[] | ConfigListMerge;
+  exclude_patterns?: string[] | ConfigListMerge;
+  // Globs that win over every exclude filter, gitignore rules included.
+  include_patterns?: string[] | ConfigListMerge;
+  // Root-relative paths shown and processed even when a filter excludes them.
+  include_overrides?: string[];
   use_custom_excludes?: boolean;
   use_custom_includes?: boolean;
   use_gitignore?: boolean;
+  use_git_info_exclude?: boolean;
+  use_global_gitignore?: boolean;
+  use_aicodefusionignore?: boolean;
   enable_secret_scanning?: boolean;
   exclude_suspicious_files?: boolean;
   include_tree_view?: boolean;
   show_token_count?: boolean;
   export_format?: ExportFormat;
+  stream_to_file?: boolean;
+  max_tokens_per_part?: number;
+  chunk_size?: number;
+  chunk_overlap?: number;
+  tokenizer?: TokenizerId;
   provider?: {
     id?: ProviderId;
     model?: string;
@@ -27,6 +59,47 @@ export interface ConfigObject {
   };
 }
 
+export interface IgnoreFileInfo {
+  source: IgnoreFileSource;
+  path: string;
+}
+
+// Config file committed in the selected root, e.g. `.aicodefusion.yaml`.
+export interface RepoConfigFile {
+  relativePath: string;
+  content: string;
+}
+
+export interface WriteRepoConfigOptions {
+  rootPath: string;
+  configContent: string;
+}
+
+// What upgrading a config to the current config version changed.
+export interface ConfigMigrationReport {
+  fromVersion: number;
+  toVersion: number;
+  changes: string[];
+}
+
+export interface MigratedConfigContent {
+  content: string;
+  // Null when the config was already current, empty or not a YAML mapping.
+  migration: ConfigMigrationReport | null;
+}
+
+export interface ResolveConfigRequest {
+  // Relative `extends` paths resolve against the selected root.
+  rootPath?: string;
+  configContent: string;
+}
+
+export interface ResolvedConfigResult {
+  content: string;
+  // Presets and files the config extends, in the order they are applied.
+  sources: string[];
+}
+
 export interface DirectoryTreeItem {
   name: string;
   path: string;
@@ -34,8 +107,127 @@ export interface DirectoryTreeItem {
   size: number;
   lastModified?: Date;
   extension?: string;
+  // Undefined for a directory whose children have not been loaded yet.
   children?: DirectoryTreeItem[];
+  // Number of direct children shown for a directory, known before they are loaded.
   itemCount?: number;
+  // Set on entries listed only because excluded entries were requested; they cannot be
+  // selected, and excluded directories are not walked.
+  excludedReason?: ExclusionReason;
+}
+
+// Why the tree leaves an entry out. The first five come from the filters and can be overridden
+// with include_patterns or include_overrides; symlinks and paths outside the root cannot.
+export type ExclusionReason =
+  | 'extension'
+  | 'include-glob'
+  | 'custom-pattern'
+  | 'gitignore'
+  | 'sensitive'
+  | 'symlink'
+  | 'outside-root';
+
+export type DirectoryScanStatus = 'scanning' | 'completed' | 'cancelled';
+
+export interface DirectoryScanOptions {
+  // Echoed in progress events so the renderer can ignore updates from superseded scans.
+  scanId?: number;
+  // Directory levels to load; deeper directories come back with itemCount but no children.
+  maxDepth?: number;
+  // List excluded entries too, each with its excludedReason.
+  includeExcluded?: boolean;
+}
+
+export interface DirectoryListingOptions {
+  rootPath: string;
+  directoryPath: string;
+  configContent?: string | null;
+  includeExcluded?: boolean;
+}
+
+export interface DirectoryFilesResult {
+  files: string[];
+  folders: string[];
+}
+
+export interface DirectoryScanProgress {
+  scanId: number;
+  status: DirectoryScanStatus;
+  directoriesVisited: number;
+  filesFound: number;
+  // Top-level entries finished since the previous update, with their complete subtrees.
+  completedItems: DirectoryTreeItem[];
+}
+
+export type DirectoryChangeType = 'add' | 'change' | 'unlink';
+
+export interface DirectoryChange {
+  type: DirectoryChangeType;
+  path: string;
+  // The entry as the tree would list it now; directories come with itemCount but no children.
+  item?: DirectoryTreeItem;
+}
+
+export interface DirectoryChangeEvent {
+  rootPath: string;
+  changes: DirectoryChange[];
+}
+
+// Filter checks in the order they are applied. A matching include override or include pattern
+// decides on its own; otherwise the first check that excludes a path decides.
+export type FilterCheckStep =
+  | 'include-override'
+  | 'include-pattern'
+  | 'sensitive-path'
+  | 'extension'
+  | 'include-glob'
+  | 'exclude-pattern'
+  | 'gitignore'
+  | 'secret-content';
+
+export type FilterCheckOutcome =
+  | 'excluded'
+  | 'included'
+  | 'no-match'
+  | 'disabled'
+  | 'not-applicable';
+
+export type FilterRuleSource =
+  | { kind: 'config'; key: keyof ConfigObject; line?: number }
+  | { kind: 'ignore-file'; ignoreSource: IgnoreFileSource; filePath: string; line?: number }
+  | { kind: 'built-in' }
+  | { kind: 'sensitive-path-rule' | 'secret-rule'; ruleId: string; description: string };
+
+export interface FilterCheck {
+  step: FilterCheckStep;
+  outcome: FilterCheckOutcome;
+  // The pattern, extension or rule id behind the outcome.
+  rule?: string;
+  // Root-relative path the rule matched when it is a parent directory of the inspected path.
+  matchedPath?: string;
+  source?: FilterRuleSource;
+}
+
+export interface FilterTrace {
+  path: string;
+  relativePath: string;
+  isDirectory: boolean;
+  excluded: boolean;
+  decidedBy: FilterCheckStep | null;
+  checks: FilterCheck[];
+}
+
+export interface FilterDecision extends FilterTrace {
+  // Paths that do not exist yet are still run through the path filters.
+  exists: boolean;
+  // The nearest parent directory the filters exclude, which hides this path as well.
+  excludedParent?: FilterTrace;
+}
+
+export interface ExplainPathFilterOptions {
+  rootPath: string;
+  itemPath: string;
+  configContent?: string | null;
 }
 
 export interface FileInfo {
@@ -64,9 +256,27 @@ export interface ProcessRepositoryOptions {
     showTokenCount?: boolean;
     includeTreeView?: boolean;
     exportFormat?: ExportFormat;
+    maxTokensPerPart?: number;
+    chunkSize?: number;
+    chunkOverlap?: number;
+    tokenizer?: TokenizerId;
   };
 }
 
+export interface ProcessRepositoryToFileOptions extends ProcessRepositoryOptions {
+  outputPath?: string | null;
+}
+
+export interface ProcessedOutputPart {
+  index: number;
+  content: string;
+  totalTokens: number;
+  processedFiles: number;
+  // Set when the part was streamed to a file of its own; content is then a preview.
+  outputPath?: string;
+  isPreviewTruncated?: boolean;
+}
+
 export interface ProcessRepositoryResult {
   content: string;
   exportFormat: ExportFormat;
@@ -74,6 +284,9 @@ export interface ProcessRepositoryResult {
   processedFiles: number;
   skippedFiles: number;
   filesInfo: FileInfo[];
+  outputPath?: string;
+  isPreviewTruncated?: boolean;
+  parts?: ProcessedOutputPart[];
 }
 
 export interface SaveFileOptions {
@@ -86,6 +299,14 @@ export interface CountFilesTokensResult {
   stats: Record<string, { size: number; mtime: number }>;
 }
 
+// One finished chunk of a `countFilesTokens` request, sent before the whole request resolves.
+export interface TokenCountProgress extends CountFilesTokensResult {
+  rootPath: string;
+  tokenizer?: TokenizerId;
+  completedChunks: number;
+  totalChunks: number;
+}
+
 export interface GetFilesStatsOptions {
   rootPath: string;
   filePaths: string[];
@@ -98,6 +319,32 @@ export interface GetFilesStatsResult {
 export interface CountFilesTokensOptions {
   rootPath: string;
   filePaths: string[];
+  tokenizer?: TokenizerId;
+}
+
+export interface CompareTokenizersOptions {
+  rootPath: string;
+  filePaths: string[];
+  tokenizers?: TokenizerId[];
+}
+
+export interface CompareTokenizersResult {
+  totals: Partial<Record<TokenizerId, number>>;
+}
+
+export interface FitToBudgetOptions {
+  tokenBudget: number;
+  strategy: TokenBudgetStrategy;
+  priorityGlobs?: string[];
+  pinnedFiles?: string[];
+}
+
+export interface FitToBudgetResult {
+  selectedFiles: string[];
+  totalTokens: number;
+  pinnedTokens: number;
+  excludedFiles: number;
+  isOverBudget: boolean;
 }
 
 export interface UpdaterStatus {
@@ -143,16 +390,34 @@ export interface ElectronApi {
   selectDirectory: () => Promise<string | null>;
   getDirectoryTree: (
     dirPath: string,
-    configContent?: string | null
+    configContent?: string | null,
+    options?: DirectoryScanOptions
   ) => Promise<DirectoryTreeItem[]>;
+  getDirectoryChildren: (options: DirectoryListingOptions) => Promise<DirectoryTreeItem[]>;
+  getDirectoryFiles: (options: DirectoryListingOptions) => Promise<DirectoryFilesResult>;
+  cancelDirectoryScan: () => Promise<boolean>;
+  onDirectoryScanProgress: (listener: (progress: DirectoryScanProgress) => void) => () => void;
+  onDirectoryChange: (listener: (event: DirectoryChangeEvent) => void) => () => void;
   saveFile: (options: SaveFileOptions) => Promise<string | null>;
   resetGitignoreCache: () => Promise<boolean>;
+  listIgnoreFiles: (rootPath: string) => Promise<IgnoreFileInfo[]>;
+  explainPathFilter: (options: ExplainPathFilterOptions) => Promise<FilterDecision>;
   analyzeRepository: (options: AnalyzeRepositoryOptions) => Promise<AnalyzeRepositoryResult>;
   processRepository: (options: ProcessRepositoryOptions) => Promise<ProcessRepositoryResult>;
+  processRepositoryToFile: (
+    options: ProcessRepositoryToFileOptions
+  ) => Promise<ProcessRepositoryResult | null>;
   getDefaultConfig: () => Promise<string>;
+  getRepoConfig: (rootPath: string) => Promise<RepoConfigFile | null>;
+  writeRepoConfig: (options: WriteRepoConfigOptions) => Promise<RepoConfigFile>;
+  resolveConfig: (options: ResolveConfigRequest) => Promise<ResolvedConfigResult>;
+  migrateConfig: (configContent: string) => Promise<MigratedConfigContent>;
   getAssetPath: (assetName: string) => Promise<string | null>;
   getFilesStats: (options: GetFilesStatsOptions) => Promise<GetFilesStatsResult>;
   countFilesTokens: (options: CountFilesTokensOptions) => Promise<CountFilesTokensResult>;
+  onTokenCountProgress: (listener: (progress: TokenCountProgress) => void) => () => void;
+  compareTokenizers: (options: CompareTokenizersOptions) => Promise<CompareTokenizersResult>;
+  clearTokenCache: () => Promise<boolean>;
   getUpdaterStatus: () => Promise<UpdaterStatus>;
   checkForUpdates: () => Promise<UpdateCheckResult>;
   testProviderConnection: (
@@ -0,0 +1,83 @@
+import type { TokenCounter } from './token-counter';
+
+export const DEFAULT_CHUNK_SIZE = 512;
+export const DEFAULT_CHUNK_OVERLAP = 64;
+
+export type ChunkOptions = {
+  chunkSize: number;
+  chunkOverlap: number;
+};
+
+export type LineChunk = {
+  startLine: number;
+  endLine: number;
+  content: string;
+};
+
+const toPositiveInteger = (value: unknown): number | null => {
+  const numericValue = typeof value === 'number' ? value : Number(value);
+  return Number.isFinite(numericValue) && numericValue > 0 ? Math.trunc(numericValue) : null;
+};
+
+export const resolveChunkOptions = (chunkSize: unknown, chunkOverlap: unknown): ChunkOptions => {
+  const resolvedSize = toPositiveInteger(chunkSize) ?? DEFAULT_CHUNK_SIZE;
+  const requestedOverlap =
+    chunkOverlap === 0 || chunkOverlap === '0'
+      ? 0
+      : (toPositiveInteger(chunkOverlap) ?? DEFAULT_CHUNK_OVERLAP);
+
+  // Overlap must leave room for new lines in every chunk, otherwise chunking cannot advance.
+  return {
+    chunkSize: resolvedSize,
+    chunkOverlap: Math.min(requestedOverlap, resolvedSize - 1),
+  };
+};
+
+/**
+ * Splits text into chunks of whole lines whose summed line token counts stay within
+ * chunkSize. Consecutive chunks repeat trailing lines worth up to chunkOverlap tokens.
+ * A single line larger than chunkSize becomes a chunk on its own.
+ */
+export const chunkByLines = (
+  content: string,
+  { chunkSize, chunkOverlap }: ChunkOptions,
+  tokenCounter: TokenCounter
+): LineChunk[] => {
+  if (!content) {
+    return [];
+  }
+
+  const lines = content.split(/(?<=\n)/);
+  const lineTokens = lines.map((line) => tokenCounter.countTokens(line));
+  const chunks: LineChunk[] = [];
+  let start = 0;
+
+  while (start < lines.length) {
+    let end = start;
+    let chunkTokens = 0;
+    while (end < lines.length && (end === start || chunkTokens + lineTokens[end] <= chunkSize)) {
+      chunkTokens += lineTokens[end];
+      end++;
+    }
+
+    chunks.push({
+      startLine: start + 1,
+      endLine: end,
+      content: lines.slice(start, end).join(''),
+    });
+
+    if (end >= lines.length) {
+      break;
+    }
+
+    let nextStart = end;
+    let overlapTokens = 0;
+    while (nextStart - 1 > start && overlapTokens + lineTokens[nextStart - 1] <= chunkOverlap) {
+      nextStart--;
+      overlapTokens += lineTokens[nextStart];
+    }
+    start = nextStart;
+  }
+
+  return chunks;
+};
@@ -1,12 +1,57 @@
 import fs from 'fs';
 import path from 'path';
+import { isDeepStrictEqual } from 'util';
 
 import yaml from 'yaml';
 
-import type { ConfigObject } from '../types/ipc';
+import type { ConfigMigrationReport, ConfigObject, MigratedConfigContent } from '../types/ipc';
 
 const APP_ROOT = path.resolve(__dirname, '../../..');
 const DEFAULT_CONFIG_PATH = path.join(APP_ROOT, 'src', 'utils', 'config.default.yaml');
+const CONFIG_PRESETS_DIR = path.join(APP_ROOT, 'src', 'utils', 'config-presets');
+
+// Presets a config can name in `extends`. `default` is the default config itself.
+export const CONFIG_PRESET_NAMES = ['default', 'javascript', 'python'] as const;
+export type ConfigPresetName = (typeof CONFIG_PRESET_NAMES)[number];
+
+// List settings a config can change with `{ add: [...], remove: [...] }` instead of replacing
+// the list it extends.
+export const MERGEABLE_LIST_KEYS = [
+  'include_extensions',
+  'include_globs',
+  'exclude_patterns',
+  'include_patterns',
+] as const;
+
+// Format version of configs written by this version of the app. Configs written before
+// `config_version` existed are version 1.
+export const CURRENT_CONFIG_VERSION = 2;
+
+export type ResolveConfigOptions = {
+  // Directory that relative `extends` paths resolve against.
+  baseDir?: string;
+  // Extended config files are only read when this returns true for their path.
+  isPathAllowed?: (filePath: string) => boolean;
+};
+
+export type ResolvedConfig = {
+  config: ConfigObject;
+  // Presets and files the config extends, in the order they are applied.
+  sources: string[];
+};
+
+type ConfigMapping = Record<string, unknown>;
+
+export type MigratedConfig = ConfigMigrationReport & {
+  config: ConfigObject;
+};
+
+type ConfigMigration = {
+  // Version the migration upgrades a config to, from the version before it.
+  version: number;
+  // Returns the upgraded config and adds a line to changes for everything it changed.
+  migrate: (config: ConfigMapping, changes: string[]) => ConfigMapping;
+};
 
 /**
  * Load the default configuration
@@ -34,3 +79,325 @@ export function getDefaultConfigObject(): ConfigObject {
     return {} as ConfigObject;
   }
 }
+
+export const isConfigPresetName = (value: string): value is ConfigPresetName =>
+  (CONFIG_PRESET_NAMES as readonly string[]).includes(value);
+
+/**
+ * Load a bundled config preset
+ * @param {string} name - Preset name
+ * @returns {string} The preset as a YAML string
+ */
+export function loadConfigPreset(name: ConfigPresetName): string {
+  if (name === 'default') {
+    return loadDefaultConfig();
+  }
+  return fs.readFileSync(path.join(CONFIG_PRESETS_DIR, `${name}.yaml`), 'utf8');
+}
+
+const isConfigMapping = (value: unknown): value is ConfigMapping =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const isMergeableListKey = (key: string): boolean =>
+  (MERGEABLE_LIST_KEYS as readonly string[]).includes(key);
+
+const toStringList = (value: unknown): string[] =>
+  Array.isArray(value) ? value.map((item) => String(item)) : [];
+
+// Filters only read lists, so a single pattern written as a string was ignored. Extensions are
+// compared with their leading dot, so an extension written without it never matched.
+const migrateToVersion2 = (config: ConfigMapping, changes: string[]): ConfigMapping => {
+  const migrated = { ...config };
+  for (const key of [...MERGEABLE_LIST_KEYS, 'include_overrides']) {
+    const value = migrated[key];
+    if (typeof value === 'string') {
+      migrated[key] = [value];
+      changes.push(`${key}: turned the single value "${value}" into a list.`);
+    }
+  }
+
+  const undotted: string[] = [];
+  const addDots = (extensions: unknown[]): unknown[] =>
+    extensions.map((extension) => {
+      if (typeof extension !== 'string' || extension === '' || extension.startsWith('.')) {
+        return extension;
+      }
+      undotted.push(extension);
+      return `.${extension}`;
+    });
+  const extensions = migrated.include_extensions;
+  if (Array.isArray(extensions)) {
+    migrated.include_extensions = addDots(extensions);
+  } else if (isConfigMapping(extensions)) {
+    const changed = { ...extensions };
+    for (const listKey of ['add', 'remove']) {
+      const list = changed[listKey];
+      if (Array.isArray(list)) {
+        changed[listKey] = addDots(list);
+      }
+    }
+    migrated.include_extensions = changed;
+  }
+  if (undotted.length > 0) {
+    changes.push(`include_extensions: added the leading dot to ${undotted.join(', ')}.`);
+  }
+
+  return migrated;
+};
+
+// Upgrade steps in version order; each runs for configs older than its version.
+const CONFIG_MIGRATIONS: ConfigMigration[] = [{ version: 2, migrate: migrateToVersion2 }];
+
+const getConfigVersion = (config: ConfigMapping): number => {
+  const version = config.config_version;
+  return typeof version === 'number' && Number.isInteger(version) && version >= 1 ? version : 1;
+};
+
+/**
+ * Upgrade a config to the current config version. Configs that are current, or newer than this
+ * version of the app, are returned unchanged.
+ * @param {Object} config - Parsed config
+ * @returns {Object} - The upgraded config, the versions it went from and to, and what changed
+ */
+export function migrateConfig(config: ConfigObject): MigratedConfig {
+  const fromVersion = getConfigVersion(config as ConfigMapping);
+  if (fromVersion >= CURRENT_CONFIG_VERSION) {
+    return { config, fromVersion, toVersion: fromVersion, changes: [] };
+  }
+
+  const changes: string[] = [];
+  let migrated = config as ConfigMapping;
+  for (const migration of CONFIG_MIGRATIONS) {
+    if (migration.version > fromVersion) {
+      migrated = migration.migrate(migrated, changes);
+    }
+  }
+
+  // The version goes first, where it is easy to spot in the YAML.
+  const settings = { ...migrated };
+  delete settings.config_version;
+  return {
+    config: { config_version: CURRENT_CONFIG_VERSION, ...settings } as ConfigObject,
+    fromVersion,
+    toVersion: CURRENT_CONFIG_VERSION,
+    changes,
+  };
+}
+
+// Edits only the migrated settings in the YAML document, so comments and the layout of every
+// other setting survive the upgrade.
+const writeMigratedSettings = (
+  configContent: string,
+  config: ConfigMapping,
+  migratedConfig: ConfigMapping
+): string => {
+  const document = yaml.parseDocument(configContent);
+  for (const [key, value] of Object.entries(migratedConfig)) {
+    if (key !== 'config_version' && !isDeepStrictEqual(value, config[key])) {
+      document.set(key, value);
+    }
+  }
+
+  // The version goes first, where it is easy to spot in the YAML.
+  document.delete('config_version');
+  if (yaml.isMap(document.contents)) {
+    document.contents.items.unshift(
+      document.createPair('config_version', migratedConfig.config_version)
+    );
+  }
+  return document.toString();
+};
+
+/**
+ * Upgrade a YAML config to the current config version.
+ * @param {string} configContent - YAML config
+ * @returns {Object} - The upgraded YAML and what changed, or the config unchanged with no
+ * migration when no setting needs upgrading, or it is empty or not a YAML mapping
+ */
+export function migrateConfigContent(configContent: string): MigratedConfigContent {
+  let config: unknown;
+  try {
+    config = configContent ? yaml.parse(configContent) : null;
+  } catch {
+    return { content: configContent, migration: null };
+  }
+  if (!isConfigMapping(config)) {
+    return { content: configContent, migration: null };
+  }
+
+  const { config: migratedConfig, ...migration } = migrateConfig(config as ConfigObject);
+  // An older config that needs no changes is left as written rather than only stamped.
+  if (migration.changes.length === 0) {
+    return { content: configContent, migration: null };
+  }
+  return {
+    content: writeMigratedSettings(configContent, config, migratedConfig as ConfigMapping),
+    migration,
+  };
+}
+
+const parseConfigMapping = (configContent: string, source: string): ConfigMapping => {
+  const parsed: unknown = yaml.parse(configContent);
+  if (parsed === null || parsed === undefined) {
+    return {};
+  }
+  if (!isConfigMapping(parsed)) {
+    throw new Error(`Config ${source} is not a YAML mapping.`);
+  }
+  return parsed;
+};
+
+const getExtendsReferences = (value: unknown): string[] => {
+  if (value === undefined || value === null) {
+    return [];
+  }
+
+  const references = Array.isArray(value) ? value : [value];
+  if (!references.every((reference) => typeof reference === 'string' && reference.trim())) {
+    throw new Error('`extends` must be a preset name, a config file path or a list of them.');
+  }
+  return references.map((reference: string) => reference.trim());
+};
+
+// A list given as { add, remove } changes the list it extends; any other value replaces it.
+const mergeListSetting = (baseValue: unknown, value: unknown): unknown => {
+  if (!isConfigMapping(value)) {
+    return value;
+  }
+
+  const removed = new Set(toStringList(value.remove));
+  const merged = toStringList(baseValue).filter((item) => !removed.has(item));
+  for (const item of toStringList(value.add)) {
+    if (!merged.includes(item)) {
+      merged.push(item);
+    }
+  }
+  return merged;
+};
+
+const layerConfig = (base: ConfigMapping, config: ConfigMapping): ConfigMapping => {
+  const layered: ConfigMapping = { ...base };
+  for (const [key, value] of Object.entries(config)) {
+    if (key === 'extends') {
+      continue;
+    }
+    layered[key] = isMergeableListKey(key) ? mergeListSetting(base[key], value) : value;
+  }
+  return layered;
+};
+
+const loadExtendedConfig = (
+  reference: string,
+  { baseDir, isPathAllowed }: ResolveConfigOptions
+): { id: string; content: string; baseDir?: string } => {
+  // Anything that does not look like a file path names a preset.
+  if (!/[\\/]|\.ya?ml$/i.test(reference)) {
+    if (!isConfigPresetName(reference)) {
+      throw new Error(
+        `Unknown config preset "${reference}". Available presets: ${CONFIG_PRESET_NAMES.join(', ')}.`
+      );
+    }
+    return { id: `preset:${reference}`, content: loadConfigPreset(reference), baseDir };
+  }
+
+  if (!baseDir) {
+    throw new Error(`Config file ${reference} can only be extended once a folder is selected.`);
+  }
+
+  const filePath = path.resolve(baseDir, reference);
+  if (isPathAllowed && !isPathAllowed(filePath)) {
+    throw new Error(`Extended config ${reference} must be inside the selected directory.`);
+  }
+
+  try {
+    return {
+      id: filePath,
+      content: fs.readFileSync(filePath, 'utf8'),
+      baseDir: path.dirname(filePath),
+    };
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : String(error);
+    throw new Error(`Unable to read extended config ${reference}: ${errorMessage}`);
+  }
+};
+
+const resolveConfigLayers = (
+  config: ConfigMapping,
+  options: ResolveConfigOptions,
+  chain: string[],
+  sources: string[]
+): ConfigMapping => {
+  let base: ConfigMapping = {};
+  for (const reference of getExtendsReferences(config.extends)) {
+    const extended = loadExtendedConfig(reference, options);
+    if (chain.includes(extended.id)) {
+      throw new Error(`Config extends itself through ${reference}.`);
+    }
+
+    const parent = migrateConfig(parseConfigMapping(extended.content, reference)).config;
+    const resolvedParent = resolveConfigLayers(
+      parent as ConfigMapping,
+      { ...options, baseDir: extended.baseDir },
+      [...chain, extended.id],
+      sources
+    );
+    base = layerConfig(base, resolvedParent);
+    sources.push(reference);
+  }
+  return layerConfig(base, config);
+};
+
+/**
+ * Apply a config's `extends` presets and files and its { add, remove } list changes.
+ * Extended configs are applied in order, each over the previous one, then the config itself.
+ * Older configs are upgraded to the current config version first.
+ * @param {Object} config - Parsed config
+ * @param {Object} options - Base directory and path check for extended config files
+ * @returns {Object} - The resolved config and the presets and files it extends
+ */
+export function resolveConfig(
+  config: ConfigObject,
+  options: ResolveConfigOptions = {}
+): ResolvedConfig {
+  const sources: string[] = [];
+  const migrated = migrateConfig(config).config;
+  const resolved = resolveConfigLayers(migrated as ConfigMapping, options, [], sources);
+  return { config: resolved as ConfigObject, sources };
+}
+
+const needsResolution = (config: ConfigMapping): boolean =>
+  config.extends !== undefined || MERGEABLE_LIST_KEYS.some((key) => isConfigMapping(config[key]));
+
+/**
+ * Resolve a YAML config for the filters. Configs without `extends`, list changes or anything
+ * a migration changes, and configs that do not parse, are returned unchanged.
+ * @param {string} configContent - YAML config
+ * @param {Object} options - Base directory and path check for extended config files
+ * @returns {string} - The resolved YAML config
+ */
+export function resolveConfigContent<T extends string | null | undefined>(
+  configContent: T,
+  options: ResolveConfigOptions = {}
+): T | string {
+  if (!configContent) {
+    return configContent;
+  }
+
+  let config: unknown;
+  try {
+    config = yaml.parse(configContent);
+  } catch {
+    return configContent;
+  }
+  if (!isConfigMapping(config)) {
+    return configContent;
+  }
+
+  // Only stamping the current version onto an older config does not change what it filters.
+  const { config: migrated, changes } = migrateConfig(config as ConfigObject);
+  if (changes.length === 0 && !needsResolution(migrated as ConfigMapping)) {
+    return configContent;
+  }
+
+  return yaml.stringify(resolveConfig(migrated, options).config);
+}
@@ -0,0 +1,396 @@
+import yaml from 'yaml';
+
+import { PROVIDER_OPTIONS } from '../shared/provider-registry';
+
+import { EXPORT_FORMATS } from './export-format';
+import { TOKENIZER_IDS } from './tokenizers';
+
+import type { ConfigObject } from '../types/ipc';
+
+export type ConfigValueType =
+  | 'boolean'
+  | 'integer'
+  | 'string'
+  | 'string-list'
+  | 'list-setting'
+  | 'extends'
+  | 'mapping';
+
+export type ConfigFieldSchema =
+  | { type: Exclude<ConfigValueType, 'mapping'> }
+  | { type: 'enum'; values: readonly string[] }
+  | { type: 'mapping'; fields: Record<string, ConfigFieldSchema> };
+
+type ProviderConfig = NonNullable<ConfigObject['provider']>;
+
+const PROVIDER_SCHEMA: Record<keyof ProviderConfig, ConfigFieldSchema> = {
+  id: { type: 'enum', values: PROVIDER_OPTIONS.map((option) => option.id) },
+  model: { type: 'string' },
+  api_key: { type: 'string' },
+  base_url: { type: 'string' },
+};
+
+// Every ConfigObject key with the values it accepts; keys missing here are reported as unknown.
+export const CONFIG_SCHEMA: Record<keyof ConfigObject, ConfigFieldSchema> = {
+  config_version: { type: 'integer' },
+  extends: { type: 'extends' },
+  include_extensions: { type: 'list-setting' },
+  include_globs: { type: 'list-setting' },
+  exclude_patterns: { type: 'list-setting' },
+  include_patterns: { type: 'list-setting' },
+  include_overrides: { type: 'string-list' },
+  use_custom_excludes: { type: 'boolean' },
+  use_custom_includes: { type: 'boolean' },
+  use_gitignore: { type: 'boolean' },
+  use_git_info_exclude: { type: 'boolean' },
+  use_global_gitignore: { type: 'boolean' },
+  use_aicodefusionignore: { type: 'boolean' },
+  enable_secret_scanning: { type: 'boolean' },
+  exclude_suspicious_files: { type: 'boolean' },
+  include_tree_view: { type: 'boolean' },
+  show_token_count: { type: 'boolean' },
+  export_format: { type: 'enum', values: EXPORT_FORMATS },
+  stream_to_file: { type: 'boolean' },
+  max_tokens_per_part: { type: 'integer' },
+  chunk_size: { type: 'integer' },
+  chunk_overlap: { type: 'integer' },
+  tokenizer: { type: 'enum', values: TOKENIZER_IDS },
+  provider: { type: 'mapping', fields: PROVIDER_SCHEMA },
+};
+
+const LIST_MERGE_SCHEMA: Record<string, ConfigFieldSchema> = {
+  add: { type: 'string-list' },
+  remove: { type: 'string-list' },
+};
+
+export type ConfigIssue =
+  | { severity: 'error'; code: 'yaml-syntax'; message: string; line?: number }
+  | { severity: 'error'; code: 'not-a-mapping'; line?: number }
+  | {
+      severity: 'error';
+      code: 'invalid-type';
+      key: string;
+      expected: ConfigValueType;
+      line?: number;
+    }
+  | { severity: 'error'; code: 'invalid-value'; key: string; values: string[]; line?: number }
+  | { severity: 'warning'; code: 'unknown-key'; key: string; suggestion?: string; line?: number };
+
+export type ConfigValidationResult = {
+  // Null when the YAML does not parse or is not a mapping.
+  config: ConfigObject | null;
+  errors: ConfigIssue[];
+  warnings: ConfigIssue[];
+};
+
+const EXPECTED_DESCRIPTIONS: Record<ConfigValueType, string> = {
+  boolean: 'true or false',
+  integer: 'a whole number of 0 or more',
+  string: 'a string',
+  'string-list': 'a list of strings',
+  'list-setting': 'a list of strings or an add/remove mapping',
+  extends: 'a preset name, a config file path or a list of them',
+  mapping: 'a mapping',
+};
+
+/**
+ * Describe a config issue in English, for logs and errors raised outside the renderer.
+ * @param {Object} issue - Config issue
+ * @returns {string} - The issue, prefixed with its line when known
+ */
+export const formatConfigIssue = (issue: ConfigIssue): string => {
+  let message: string;
+  switch (issue.code) {
+    case 'yaml-syntax':
+      message = `YAML syntax error: ${issue.message}`;
+      break;
+    case 'not-a-mapping':
+      message = 'The config must be a YAML mapping of settings.';
+      break;
+    case 'invalid-type':
+      message = `\`${issue.key}\` must be ${EXPECTED_DESCRIPTIONS[issue.expected]}.`;
+      break;
+    case 'invalid-value':
+      message = `\`${issue.key}\` must be one of: ${issue.values.join(', ')}.`;
+      break;
+    case 'unknown-key':
+      message = issue.suggestion
+        ? `Unknown setting \`${issue.key}\`. Did you mean \`${issue.suggestion}\`?`
+        : `Unknown setting \`${issue.key}\` is ignored.`;
+      break;
+  }
+  return issue.line === undefined ? message : `Line ${issue.line}: ${message}`;
+};
+
+export class ConfigValidationError extends Error {
+  issues: ConfigIssue[];
+
+  constructor(issues: ConfigIssue[]) {
+    super(`Invalid config: ${issues.map((issue) => formatConfigIssue(issue)).join(' ')}`);
+    this.name = 'ConfigValidationError';
+    this.issues = issues;
+  }
+}
+
+const isMapping = (value: unknown): value is Record<string, unknown> =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const isStringList = (value: unknown): boolean =>
+  Array.isArray(value) && value.every((item) => typeof item === 'string');
+
+const escapeRegExp = (value: string): string => value.replaceAll(/[$()*+.?[\\\]^{|}]/g, '\\$&');
+
+// Line of a (possibly nested) key in the YAML text, found by its indentation under its parents.
+const findKeyLine = (configContent: string, keyPath: string[]): number | undefined => {
+  const lines = configContent.split(/\r?\n/);
+  let searchFrom = 0;
+  let parentIndent = -1;
+  let lineIndex = -1;
+
+  for (const key of keyPath) {
+    const keyPattern = new RegExp(`^(\\s*)(['"]?)${escapeRegExp(key)}\\2\\s*:`);
+    lineIndex = -1;
+    for (let index = searchFrom; index < lines.length; index++) {
+      const line = lines[index];
+      const indent = line.search(/\S/);
+      if (indent === -1 || line.trimStart().startsWith('#')) {
+        continue;
+      }
+      // The parent mapping ends at the next line indented no deeper than the parent.
+      if (indent <= parentIndent) {
+        break;
+      }
+
+      const match = keyPattern.exec(line);
+      if (match) {
+        lineIndex = index;
+        parentIndent = match[1].length;
+        break;
+      }
+    }
+
+    if (lineIndex === -1) {
+      return undefined;
+    }
+    searchFrom = lineIndex + 1;
+  }
+
+  return lineIndex + 1;
+};
+
+const getEditDistance = (left: string, right: string): number => {
+  let previous = Array.from({ length: right.length + 1 }, (_, index) => index);
+  for (let leftIndex = 1; leftIndex <= left.length; leftIndex++) {
+    const current = [leftIndex];
+    for (let rightIndex = 1; rightIndex <= right.length; rightIndex++) {
+      const substitution = left[leftIndex - 1] === right[rightIndex - 1] ? 0 : 1;
+      current.push(
+        Math.min(
+          previous[rightIndex] + 1,
+          current[rightIndex - 1] + 1,
+          previous[rightIndex - 1] + substitution
+        )
+      );
+    }
+    previous = current;
+  }
+  return previous[right.length];
+};
+
+// The known key closest to a misspelt one, if it is only a few edits away.
+const suggestKey = (key: string, knownKeys: string[]): string | undefined => {
+  const maxDistance = Math.min(3, Math.floor(key.length / 3));
+  let suggestion: { key: string; distance: number } | undefined;
+  for (const knownKey of knownKeys) {
+    const distance = getEditDistance(key, knownKey);
+    if (distance <= maxDistance && (!suggestion || distance < suggestion.distance)) {
+      suggestion = { key: knownKey, distance };
+    }
+  }
+  return suggestion?.key;
+};
+
+const validateMapping = (
+  mapping: Record<string, unknown>,
+  fields: Record<string, ConfigFieldSchema>,
+  keyPath: string[],
+  configContent: string,
+  issues: ConfigIssue[]
+): void => {
+  for (const [key, value] of Object.entries(mapping)) {
+    const fieldPath = [...keyPath, key];
+    const displayKey = fieldPath.join('.');
+    const line = findKeyLine(configContent, fieldPath);
+    const schema = fields[key];
+
+    if (!schema) {
+      issues.push({
+        severity: 'warning',
+        code: 'unknown-key',
+        key: displayKey,
+        suggestion: suggestKey(key, Object.keys(fields)),
+        line,
+      });
+      continue;
+    }
+    // An empty value, like a key with nothing after it, leaves the setting at its default.
+    if (value === null || value === undefined) {
+      continue;
+    }
+
+    const invalidType = (expected: ConfigValueType) =>
+      issues.push({ severity: 'error', code: 'invalid-type', key: displayKey, expected, line });
+
+    switch (schema.type) {
+      case 'boolean':
+        if (typeof value !== 'boolean') {
+          invalidType('boolean');
+        }
+        break;
+      case 'integer':
+        if (!Number.isInteger(value) || (value as number) < 0) {
+          invalidType('integer');
+        }
+        break;
+      case 'string':
+        if (typeof value !== 'string') {
+          invalidType('string');
+        }
+        break;
+      case 'string-list':
+        if (!isStringList(value)) {
+          invalidType('string-list');
+        }
+        break;
+      case 'extends':
+        if (typeof value !== 'string' && !isStringList(value)) {
+          invalidType('extends');
+        }
+        break;
+      case 'list-setting':
+        if (isMapping(value)) {
+          validateMapping(value, LIST_MERGE_SCHEMA, fieldPath, configContent, issues);
+        } else if (!isStringList(value)) {
+          invalidType('list-setting');
+        }
+        break;
+      case 'enum':
+        if (!schema.values.includes(value as string)) {
+          issues.push({
+            severity: 'error',
+            code: 'invalid-value',
+            key: displayKey,
+            values: [...schema.values],
+            line,
+          });
+        }
+        break;
+      case 'mapping':
+        if (isMapping(value)) {
+          validateMapping(value, schema.fields, fieldPath, configContent, issues);
+        } else {
+          invalidType('mapping');
+        }
+        break;
+    }
+  }
+};
+
+/**
+ * Check a parsed config against the config schema.
+ * @param {Object} config - Parsed config
+ * @param {string} configContent - The YAML it was parsed from, used to find each issue's line
+ * @returns {Object} - Errors for values of the wrong type and warnings for unknown keys
+ */
+export const validateConfig = (
+  config: unknown,
+  configContent = ''
+): Omit<ConfigValidationResult, 'config'> => {
+  if (!isMapping(config)) {
+    return { errors: [{ severity: 'error', code: 'not-a-mapping', line: 1 }], warnings: [] };
+  }
+
+  const issues: ConfigIssue[] = [];
+  validateMapping(config, CONFIG_SCHEMA, [], configContent, issues);
+  return {
+    errors: issues.filter((issue) => issue.severity === 'error'),
+    warnings: issues.filter((issue) => issue.severity === 'warning'),
+  };
+};
+
+const getYamlErrorLine = (error: unknown): number | undefined => {
+  const linePos = (error as { linePos?: Array<{ line: number }> } | null)?.linePos;
+  return linePos?.[0]?.line;
+};
+
+/**
+ * Parse a YAML config and check it against the config schema. An empty config is valid.
+ * @param {string} configContent - YAML config
+ * @returns {Object} - The parsed config, or null when it does not parse, with its issues
+ */
+export const validateConfigContent = (
+  configContent: string | null | undefined
+): ConfigValidationResult => {
+  let parsed: unknown;
+  try {
+    parsed = configContent ? yaml.parse(configContent) : null;
+  } catch (error) {
+    return {
+      config: null,
+      errors: [
+        {
+          severity: 'error',
+          code: 'yaml-syntax',
+          // The parser's message repeats the line and a code excerpt; the first line is enough.
+          message: (error instanceof Error ? error.message : String(error)).split('\n')[0],
+          line: getYamlErrorLine(error),
+        },
+      ],
+      warnings: [],
+    };
+  }
+
+  if (parsed === null || parsed === undefined) {
+    return { config: {}, errors: [], warnings: [] };
+  }
+
+  const { errors, warnings } = validateConfig(parsed, configContent ?? '');
+  return { config: isMapping(parsed) ? (parsed as ConfigObject) : null, errors, warnings };
+};
+
+/**
+ * Drop the top-level settings that have errors, so the valid settings can still be applied.
+ * @param {Object} config - Parsed config
+ * @param {Array} errors - Errors found by validateConfig
+ * @returns {Object} - The config without the settings that have errors
+ */
+export const omitInvalidSettings = (config: ConfigObject, errors: ConfigIssue[]): ConfigObject => {
+  const invalidKeys = new Set(
+    errors.map((issue) => ('key' in issue ? issue.key.split('.')[0] : undefined))
+  );
+  return Object.fromEntries(
+    Object.entries(config).filter(([key]) => !invalidKeys.has(key))
+  ) as ConfigObject;
+};
+
+/**
+ * Parse a YAML config for the filters, rejecting configs the schema does not accept.
+ * @param {string} configContent - YAML config
+ * @param {Function} onWarning - Called with each unknown-key warning
+ * @returns {Object} - The parsed config
+ * @throws {ConfigValidationError} - When the YAML does not parse or has invalid values
+ */
+export const parseConfigObject = (
+  configContent: string | null | undefined,
+  onWarning?: (message: string) => void
+): ConfigObject => {
+  const { config, errors, warnings } = validateConfigContent(configContent);
+  if (!config || errors.length > 0) {
+    throw new ConfigValidationError(errors);
+  }
+
+  for (const warning of warnings) {
+    onWarning?.(formatConfigIssue(warning));
+  }
+  return config;
+};
@@ -1,6 +1,8 @@
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 
+import { chunkByLines, resolveChunkOptions } from './chunker';
 import {
   escapeXmlAttribute,
   normalizeExportFormat,
@@ -21,6 +23,13 @@ interface ProcessFileOptions {
   exportFormat?: ExportFormat;
   showTokenCount?: boolean;
   tokenCount?: number;
+  chunkSize?: number;
+  chunkOverlap?: number;
+}
+
+interface FormatTextFileOptions extends ProcessFileOptions {
+  // Set when a file is too large for a single output part and is emitted in segments.
+  segment?: { index: number; total: number };
 }
 
 export class ContentProcessor {
@@ -48,6 +57,21 @@ export class ContentProcessor {
 
         const headerContent = `${relativePath} (binary file)`;
 
+        if (exportFormat === 'jsonl') {
+          // Chunk exports only carry text; binary files produce no chunks.
+          return '';
+        }
+
+        if (exportFormat === 'json') {
+          return JSON.stringify({
+            path: relativePath,
+            tokens: normalizeTokenCount(options.tokenCount),
+            binary: true,
+            size: stats.size,
+            content: null,
+          });
+        }
+
         if (exportFormat === 'xml') {
           const fileType = path.extname(filePath).replaceAll('.', '').toUpperCase();
           return (
@@ -79,34 +103,90 @@ export class ContentProcessor {
       console.log(`Reading fresh content from: ${filePath}`);
       const content = fs.readFileSync(filePath, { encoding: 'utf-8', flag: 'r' });
 
-      if (exportFormat === 'xml') {
-        const hasTokenCount = typeof options.tokenCount === 'number';
-        const resolvedTokenCount = hasTokenCount
-          ? normalizeTokenCount(options.tokenCount)
-          : this.tokenCounter.countTokens(content);
-        const tokenAttribute = options.showTokenCount
-          ? ` tokens="${escapeXmlAttribute(String(resolvedTokenCount))}"`
-          : '';
-        return (
-          `<file path="${escapeXmlAttribute(relativePath)}"${tokenAttribute} binary="false">\n` +
-          `${wrapXmlCdata(content)}\n` +
-          '</file>\n'
-        );
-      }
-
-      // Always use just the path without token count
-      const headerContent = `${relativePath}`;
-
-      const formattedContent =
-        '######\n' + `${headerContent}\n` + '######\n\n' + `\`\`\`\n${content}\n\`\`\`\n\n`;
-
-      return formattedContent;
+      return this.formatTextFile(relativePath, content, options);
     } catch (error) {
       console.error(`Error processing file ${filePath}:`, error);
       return null;
     }
   }
 
+  formatTextFile(
+    relativePath: string,
+    content: string,
+    options: FormatTextFileOptions = {}
+  ): string {
+    const exportFormat: ExportFormat = normalizeExportFormat(options.exportFormat);
+    const { segment } = options;
+    const hasTokenCount = typeof options.tokenCount === 'number';
+
+    if (exportFormat === 'jsonl') {
+      return this.formatChunkLines(relativePath, content, options);
+    }
+
+    if (exportFormat === 'json') {
+      return JSON.stringify({
+        path: relativePath,
+        tokens: hasTokenCount
+          ? normalizeTokenCount(options.tokenCount)
+          : this.tokenCounter.countTokens(content),
+        binary: false,
+        size: Buffer.byteLength(content, 'utf8'),
+        content,
+        ...(segment ? { segment: segment.index, totalSegments: segment.total } : {}),
+      });
+    }
+
+    if (exportFormat === 'xml') {
+      const resolvedTokenCount = hasTokenCount
+        ? normalizeTokenCount(options.tokenCount)
+        : this.tokenCounter.countTokens(content);
+      const tokenAttribute = options.showTokenCount
+        ? ` tokens="${escapeXmlAttribute(String(resolvedTokenCount))}"`
+        : '';
+      const segmentAttributes = segment
+        ? ` segment="${segment.index}" totalSegments="${segment.total}"`
+        : '';
+      return (
+        `<file path="${escapeXmlAttribute(relativePath)}"${tokenAttribute} binary="false"` +
+        `${segmentAttributes}>\n` +
+        `${wrapXmlCdata(content)}\n` +
+        '</file>\n'
+      );
+    }
+
+    // Always use just the path without token count
+    const headerContent = segment
+      ? `${relativePath} (segment ${segment.index} of ${segment.total})`
+      : `${relativePath}`;
+
+    const formattedContent =
+      '######\n' + `${headerContent}\n` + '######\n\n' + `\`\`\`\n${content}\n\`\`\`\n\n`;
+
+    return formattedContent;
+  }
+
+  private formatChunkLines(
+    relativePath: string,
+    content: string,
+    options: ProcessFileOptions
+  ): string {
+    const chunkOptions = resolveChunkOptions(options.chunkSize, options.chunkOverlap);
+
+    return chunkByLines(content, chunkOptions, this.tokenCounter)
+      .map(
+        (chunk) =>
+          `${JSON.stringify({
+            path: relativePath,
+            startLine: chunk.startLine,
+            endLine: chunk.endLine,
+            tokens: this.tokenCounter.countTokens(chunk.content),
+            hash: crypto.createHash('sha256').update(chunk.content).digest('hex'),
+            content: chunk.content,
+          })}\n`
+      )
+      .join('');
+  }
+
   readAnalysisFile(analysisPath: string): AnalysisEntry[] {
     const filesToProcess: AnalysisEntry[] = [];
 
@@ -3,8 +3,20 @@ import type { ExportFormat } from '../types/ipc';
 const INVALID_XML_CHARACTERS_REGEX =
   /[^\u0009\u000A\u000D\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu; // eslint-disable-line no-control-regex
 
+export const EXPORT_FORMATS: readonly ExportFormat[] = ['markdown', 'xml', 'json', 'jsonl'];
+
+const EXPORT_FILE_EXTENSIONS: Record<ExportFormat, string> = {
+  markdown: 'md',
+  xml: 'xml',
+  json: 'json',
+  jsonl: 'jsonl',
+};
+
 export const normalizeExportFormat = (format: unknown): ExportFormat =>
-  format === 'xml' ? 'xml' : 'markdown';
+  EXPORT_FORMATS.includes(format as ExportFormat) ? (format as ExportFormat) : 'markdown';
+
+export const getExportFileExtension = (format: unknown): string =>
+  EXPORT_FILE_EXTENSIONS[normalizeExportFormat(format)];
 
 export const sanitizeXmlContent = (value: string): string =>
   value.replaceAll(INVALID_XML_CHARACTERS_REGEX, '');
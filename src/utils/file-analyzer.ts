@@ -1,10 +1,11 @@
 import fs from 'fs';
-import path from 'path';
 
-import { shouldExclude } from './filter-utils';
+import { isIncludeOverride, shouldExclude } from './filter-utils';
+import { GitignoreMatcher } from './gitignore-matcher';
 import { scanContentForSecretsWithPolicy } from './secret-scanner';
 
-import type { GitignorePatterns } from './gitignore-parser';
+import type { ExcludePatterns } from './filter-utils';
+import type { GitignoreRule } from './gitignore-matcher';
 import type { TokenCounter } from './token-counter';
 import type { ConfigObject } from '../types/ipc';
 
@@ -54,45 +55,34 @@ class FileAnalyzer {
   private readonly config: ConfigObject;
   private readonly tokenCounter: TokenCounter;
   private readonly useGitignore: boolean;
-  private readonly gitignorePatterns: GitignorePatterns;
+  private readonly gitignoreMatcher: GitignoreMatcher;
 
   constructor(
     config: ConfigObject,
     tokenCounter: TokenCounter,
-    options: { useGitignore?: boolean; gitignorePatterns?: GitignorePatterns } = {}
+    options: { useGitignore?: boolean; gitignoreRules?: GitignoreRule[] } = {}
   ) {
     this.config = config;
     this.tokenCounter = tokenCounter;
     this.useGitignore = options.useGitignore ?? false;
-    this.gitignorePatterns = options.gitignorePatterns || {
-      excludePatterns: [],
-      includePatterns: [],
-    };
+    this.gitignoreMatcher = new GitignoreMatcher(options.gitignoreRules || []);
   }
 
   shouldProcessFile(filePath: string): boolean {
     // Convert path to forward slashes for consistent pattern matching
     const normalizedPath = filePath.replaceAll('\\', '/');
-    const ext = path.extname(filePath);
-
-    // Explicit check for node_modules
-    if (normalizedPath.split('/').includes('node_modules')) {
-      return false;
-    }
 
-    // 1. Extension filtering - apply unless explicitly disabled
+    // Explicit check for node_modules; only paths included anyway get past it, not include
+    // patterns
     if (
-      this.config.use_custom_includes !== false &&
-      this.config.include_extensions &&
-      Array.isArray(this.config.include_extensions) &&
-      ext &&
-      !this.config.include_extensions.includes(ext.toLowerCase())
+      normalizedPath.split('/').includes('node_modules') &&
+      !isIncludeOverride(normalizedPath, this.config)
     ) {
-      return false; // Exclude files with extensions not in the include list
+      return false;
     }
 
-    // 2. Build patterns array with proper structure and priority
-    const patterns: string[] & { includePatterns?: string[] } = [];
+    // 1. Build patterns array with proper structure and priority
+    const patterns: ExcludePatterns = [];
 
     // Add custom exclude patterns (highest priority)
     if (
@@ -103,17 +93,14 @@ class FileAnalyzer {
       patterns.push(...this.config.exclude_patterns);
     }
 
-    // Add gitignore exclude patterns
-    if (this.useGitignore) {
-      patterns.push(...this.gitignorePatterns.excludePatterns);
-    }
-
-    // Add include patterns property for gitignore negated patterns
+    // Add gitignore rules, including negated patterns
     if (this.useGitignore) {
-      patterns.includePatterns = this.gitignorePatterns.includePatterns;
+      patterns.gitignoreMatcher = this.gitignoreMatcher;
     }
 
-    // 3. Use the shouldExclude utility for consistent pattern matching
+    // 2. Use the shouldExclude utility for consistent pattern matching; it also applies the
+    // include filters (extensions and include_globs), include_patterns, include_overrides and
+    // the sensitive-path check
     if (shouldExclude(filePath, '', patterns, this.config)) {
       return false; // File should be excluded based on pattern matching
     }
@@ -1,116 +1,278 @@
 import path from 'path';
 
 import fnmatch from './fnmatch';
-import { shouldExcludeSensitiveFilePath } from './secret-scanner';
+import { formatGitignoreRule } from './gitignore-matcher';
+import {
+  findSensitivePathRule,
+  shouldExcludeSensitiveFilePath,
+  shouldExcludeSuspiciousFiles,
+} from './secret-scanner';
 
-import type { ConfigObject } from '../types/ipc';
+import type { GitignoreMatcher, GitignoreRuleMatch } from './gitignore-matcher';
+import type { SecretScanResult } from './secret-scanner';
+import type {
+  ConfigObject,
+  FilterCheck,
+  FilterCheckStep,
+  FilterRuleSource,
+  FilterTrace,
+} from '../types/ipc';
 
-type ExcludePatterns = string[] & { includePatterns?: string[]; includeExtensions?: string[] };
+export type ExcludePatterns = string[] & {
+  includeExtensions?: string[];
+  gitignoreMatcher?: GitignoreMatcher;
+};
 
 export const normalizePath = (inputPath: string): string => inputPath.replaceAll('\\', '/');
 
 export const getRelativePath = (filePath: string, rootPath: string): string =>
   normalizePath(path.relative(rootPath, filePath));
 
-const shouldExcludeByExtension = (itemPath: string, config?: ConfigObject): boolean => {
-  const useCustomIncludes = config?.use_custom_includes !== false;
+const getIncludeOverrides = (config?: ConfigObject): string[] =>
+  Array.isArray(config?.include_overrides)
+    ? config.include_overrides
+        .map((override) => normalizePath(String(override)).replace(/^\.\/|\/+$/g, ''))
+        .filter((override) => override !== '')
+    : [];
+
+// An override covers the path and everything below it. A directory also matches when an
+// override lies below it, so the walker descends far enough to reach the overridden path.
+const findIncludeOverride = (
+  normalizedPath: string,
+  config?: ConfigObject,
+  isDirectory = false
+): string | undefined =>
+  getIncludeOverrides(config).find(
+    (override) =>
+      normalizedPath === override ||
+      normalizedPath.startsWith(`${override}/`) ||
+      (isDirectory && override.startsWith(`${normalizedPath}/`))
+  );
+
+// Sensitive paths pass only an override that names them; a folder override or include pattern
+// does not reveal them. A directory still matches an override below it so the walker reaches it.
+const findSensitivePathOverride = (
+  normalizedPath: string,
+  config?: ConfigObject,
+  isDirectory = false
+): string | undefined =>
+  getIncludeOverrides(config).find(
+    (override) =>
+      normalizedPath === override || (isDirectory && override.startsWith(`${normalizedPath}/`))
+  );
+
+/**
+ * Whether include_overrides lets a path through every filter. Sensitive paths additionally
+ * need an override naming the path itself.
+ * @param {string} relativePath - Path relative to the root, with any separators
+ * @param {Object} config - Parsed config
+ * @param {boolean} isDirectory - Whether the path is a directory
+ * @returns {boolean} - True when the path is included anyway
+ */
+export const isIncludeOverride = (
+  relativePath: string,
+  config?: ConfigObject,
+  isDirectory = false
+): boolean => findIncludeOverride(normalizePath(relativePath), config, isDirectory) !== undefined;
+
+const getIncludePatterns = (config?: ConfigObject): string[] =>
+  Array.isArray(config?.include_patterns)
+    ? config.include_patterns.filter(
+        (pattern): pattern is string => typeof pattern === 'string' && pattern.trim() !== ''
+      )
+    : [];
+
+// Patterns without a slash match a name at any depth, so they open every excluded folder. A
+// pattern with a slash also matches the directories leading to the paths it names, so excluded
+// folders are descended into only where it could match. Folders left without a match are
+// pruned from the walked tree.
+const findMatchingIncludePattern = (
+  normalizedPath: string,
+  config?: ConfigObject,
+  isDirectory = false
+): string | undefined =>
+  getIncludePatterns(config).find(
+    (pattern) =>
+      fnmatch.fnmatch(normalizedPath, pattern) ||
+      (!pattern.includes('/') &&
+        (isDirectory || fnmatch.fnmatch(path.posix.basename(normalizedPath), pattern))) ||
+      (isDirectory && fnmatch.fnmatch(normalizedPath, pattern, true))
+  );
 
+/**
+ * Whether a path matches include_patterns, which take priority over every exclude filter
+ * except the sensitive-path check.
+ * @param {string} relativePath - Path relative to the root, with any separators
+ * @param {Object} config - Parsed config
+ * @param {boolean} isDirectory - Whether the path is a directory
+ * @returns {boolean} - True when an include pattern matches the path or could match below it
+ */
+export const matchesIncludePattern = (
+  relativePath: string,
+  config?: ConfigObject,
+  isDirectory = false
+): boolean =>
+  findMatchingIncludePattern(normalizePath(relativePath), config, isDirectory) !== undefined;
+
+// Lowercased include list when the extension check applies to the path, otherwise null.
+const getIncludeExtensions = (itemPath: string, config?: ConfigObject): string[] | null => {
   if (
-    useCustomIncludes &&
-    config?.include_extensions &&
-    Array.isArray(config.include_extensions) &&
-    config.include_extensions.length > 0 &&
-    path.extname(itemPath)
+    config?.use_custom_includes === false ||
+    !Array.isArray(config?.include_extensions) ||
+    config.include_extensions.length === 0 ||
+    !path.extname(itemPath)
   ) {
-    const ext = path.extname(itemPath).toLowerCase();
-    const includeExtensions = config.include_extensions.map((includeExt) => includeExt.toLowerCase());
-    return !includeExtensions.includes(ext);
+    return null;
   }
 
-  return false;
+  return config.include_extensions.map((includeExt) => includeExt.toLowerCase());
 };
 
-const matchesIncludePatterns = (
+const shouldExcludeByExtension = (itemPath: string, config?: ConfigObject): boolean => {
+  const includeExtensions = getIncludeExtensions(itemPath, config);
+  return (
+    includeExtensions !== null && !includeExtensions.includes(path.extname(itemPath).toLowerCase())
+  );
+};
+
+const getIncludeGlobs = (config?: ConfigObject): string[] =>
+  config?.use_custom_includes !== false && Array.isArray(config?.include_globs)
+    ? config.include_globs.filter(
+        (glob): glob is string => typeof glob === 'string' && glob.trim() !== ''
+      )
+    : [];
+
+const hasIncludeExtensions = (config?: ConfigObject): boolean =>
+  Array.isArray(config?.include_extensions) && config.include_extensions.length > 0;
+
+// A directory matches when a glob could match a file below it; globs without a slash match
+// names in any folder.
+const findMatchingIncludeGlob = (
   normalizedPath: string,
-  itemName: string,
-  includePatterns: string[]
+  includeGlobs: string[],
+  isDirectory: boolean
+): string | undefined =>
+  includeGlobs.find((glob) =>
+    isDirectory
+      ? !glob.includes('/') || fnmatch.fnmatch(normalizedPath, glob, true)
+      : fnmatch.fnmatch(normalizedPath, glob)
+  );
+
+// With include_globs set, a file must match a glob or one of the included extensions, and
+// extension-less files are no longer let through. Without globs only the extensions apply.
+const shouldExcludeByIncludeFilters = (
+  itemPath: string,
+  normalizedPath: string,
+  config: ConfigObject | undefined,
+  isDirectory: boolean
 ): boolean => {
-  if (!Array.isArray(includePatterns) || includePatterns.length === 0) {
+  const includeGlobs = getIncludeGlobs(config);
+  if (includeGlobs.length === 0) {
+    return shouldExcludeByExtension(itemPath, config);
+  }
+
+  if (findMatchingIncludeGlob(normalizedPath, includeGlobs, isDirectory) !== undefined) {
     return false;
   }
 
-  for (const pattern of includePatterns) {
-    if (
-      fnmatch.fnmatch(normalizedPath, pattern) ||
-      (!pattern.includes('/') && fnmatch.fnmatch(itemName, pattern))
-    ) {
-      return true;
-    }
+  if (isDirectory) {
+    return !hasIncludeExtensions(config);
   }
 
-  return false;
+  const includeExtensions = getIncludeExtensions(itemPath, config);
+  return (
+    includeExtensions === null || !includeExtensions.includes(path.extname(itemPath).toLowerCase())
+  );
 };
 
-const matchesExcludePatterns = (
+const findMatchingExcludePattern = (
   normalizedPath: string,
   itemName: string,
   excludePatterns: string[]
-): boolean =>
-  Array.isArray(excludePatterns) &&
-  excludePatterns.some(
-    (pattern) =>
-      fnmatch.fnmatch(normalizedPath, pattern) ||
-      (!pattern.includes('/') && fnmatch.fnmatch(itemName, pattern))
-  );
+): string | undefined =>
+  Array.isArray(excludePatterns)
+    ? excludePatterns.find(
+        (pattern) =>
+          fnmatch.fnmatch(normalizedPath, pattern) ||
+          (!pattern.includes('/') && fnmatch.fnmatch(itemName, pattern))
+      )
+    : undefined;
+
+const getCustomExcludes = (config?: ConfigObject): string[] =>
+  config?.use_custom_excludes !== false && Array.isArray(config?.exclude_patterns)
+    ? config.exclude_patterns
+    : [];
+
+// Patterns in the bundle that do not come from the config, such as the fallback used when the
+// config cannot be parsed.
+const getAdditionalExcludes = (
+  excludePatterns: ExcludePatterns | undefined,
+  customExcludes: string[]
+): string[] =>
+  Array.isArray(excludePatterns)
+    ? excludePatterns.filter((pattern) => !customExcludes.includes(pattern))
+    : [];
 
 const shouldExcludeByCustomPatterns = (
   normalizedPath: string,
   itemName: string,
   customExcludes: string[]
-): boolean =>
-  customExcludes.length > 0 && matchesExcludePatterns(normalizedPath, itemName, customExcludes);
+): boolean => findMatchingExcludePattern(normalizedPath, itemName, customExcludes) !== undefined;
 
 const shouldExcludeByGitignorePatterns = (
   normalizedPath: string,
   itemName: string,
   excludePatterns: ExcludePatterns | undefined,
   customExcludes: string[],
-  config?: ConfigObject
+  config?: ConfigObject,
+  isDirectory = false
 ): boolean => {
   if (config?.use_gitignore === false) {
     return false;
   }
 
-  const gitignoreIncludes = excludePatterns?.includePatterns || [];
-  if (gitignoreIncludes.length > 0 && matchesIncludePatterns(normalizedPath, itemName, gitignoreIncludes)) {
-    return false;
+  // Gitignore rules are evaluated in order by the matcher (last match wins, no re-including
+  // below an ignored directory).
+  if (excludePatterns?.gitignoreMatcher?.isIgnored(normalizedPath, isDirectory)) {
+    return true;
   }
 
-  const gitignoreExcludes = Array.isArray(excludePatterns)
-    ? excludePatterns.filter((pattern) => !customExcludes.includes(pattern))
-    : [];
-
-  return gitignoreExcludes.length > 0 && matchesExcludePatterns(normalizedPath, itemName, gitignoreExcludes);
+  return (
+    findMatchingExcludePattern(
+      normalizedPath,
+      itemName,
+      getAdditionalExcludes(excludePatterns, customExcludes)
+    ) !== undefined
+  );
 };
 
 export const shouldExclude = (
   itemPath: string,
   rootPath: string,
   excludePatterns?: ExcludePatterns,
-  config?: ConfigObject
+  config?: ConfigObject,
+  isDirectory = false
 ): boolean => {
   try {
     const itemName = path.basename(itemPath);
     const normalizedPath = getRelativePath(itemPath, rootPath);
-    const useCustomExcludes = config?.use_custom_excludes !== false;
-    const customExcludes =
-      useCustomExcludes && Array.isArray(config?.exclude_patterns) ? config.exclude_patterns : [];
+    const customExcludes = getCustomExcludes(config);
 
-    if (shouldExcludeSensitiveFilePath(itemPath, config)) {
+    if (
+      shouldExcludeSensitiveFilePath(itemPath, config) &&
+      findSensitivePathOverride(normalizedPath, config, isDirectory) === undefined
+    ) {
       return true;
     }
 
-    if (shouldExcludeByExtension(itemPath, config)) {
+    if (
+      findIncludeOverride(normalizedPath, config, isDirectory) !== undefined ||
+      findMatchingIncludePattern(normalizedPath, config, isDirectory) !== undefined
+    ) {
+      return false;
+    }
+
+    if (shouldExcludeByIncludeFilters(itemPath, normalizedPath, config, isDirectory)) {
       return true;
     }
 
@@ -123,10 +285,289 @@ export const shouldExclude = (
       itemName,
       excludePatterns,
       customExcludes,
-      config
+      config,
+      isDirectory
     );
   } catch (error) {
     console.error(`Error in shouldExclude for ${itemPath}:`, error);
     return false;
   }
 };
+
+const configSource = (key: keyof ConfigObject): FilterRuleSource => ({ kind: 'config', key });
+
+const disabledCheck = (step: FilterCheckStep, key: keyof ConfigObject): FilterCheck => ({
+  step,
+  outcome: 'disabled',
+  source: configSource(key),
+});
+
+// Either switch turns off both the sensitive-path and the secret-content check.
+const getSecretScanningSwitch = (config?: ConfigObject): keyof ConfigObject =>
+  config?.enable_secret_scanning === false ? 'enable_secret_scanning' : 'exclude_suspicious_files';
+
+const explainSensitivePath = (itemPath: string, config?: ConfigObject): FilterCheck => {
+  if (!shouldExcludeSuspiciousFiles(config)) {
+    return disabledCheck('sensitive-path', getSecretScanningSwitch(config));
+  }
+
+  const rule = findSensitivePathRule(itemPath);
+  return rule
+    ? {
+        step: 'sensitive-path',
+        outcome: 'excluded',
+        rule: rule.id,
+        source: { kind: 'sensitive-path-rule', ruleId: rule.id, description: rule.description },
+      }
+    : { step: 'sensitive-path', outcome: 'no-match' };
+};
+
+const explainExtension = (itemPath: string, config?: ConfigObject): FilterCheck => {
+  if (config?.use_custom_includes === false) {
+    return disabledCheck('extension', 'use_custom_includes');
+  }
+
+  const includeExtensions = getIncludeExtensions(itemPath, config);
+  if (!includeExtensions) {
+    return { step: 'extension', outcome: 'not-applicable' };
+  }
+
+  const extension = path.extname(itemPath).toLowerCase();
+  return {
+    step: 'extension',
+    outcome: includeExtensions.includes(extension) ? 'included' : 'excluded',
+    rule: extension,
+    source: configSource('include_extensions'),
+  };
+};
+
+const explainIncludeGlob = (
+  normalizedPath: string,
+  includeGlobs: string[],
+  isDirectory: boolean,
+  includedOtherwise: boolean
+): FilterCheck => {
+  const glob = findMatchingIncludeGlob(normalizedPath, includeGlobs, isDirectory);
+  if (glob !== undefined) {
+    return {
+      step: 'include-glob',
+      outcome: 'included',
+      rule: glob,
+      source: configSource('include_globs'),
+    };
+  }
+
+  return includedOtherwise
+    ? { step: 'include-glob', outcome: 'no-match' }
+    : { step: 'include-glob', outcome: 'excluded', source: configSource('include_globs') };
+};
+
+// The glob check appears only when include_globs is set. An extension that is not listed then
+// no longer excludes on its own, as a glob can still include the file.
+const explainIncludeFilters = (
+  itemPath: string,
+  normalizedPath: string,
+  config: ConfigObject | undefined,
+  isDirectory: boolean
+): FilterCheck[] => {
+  const includeGlobs = getIncludeGlobs(config);
+  if (includeGlobs.length === 0) {
+    return [explainExtension(itemPath, config)];
+  }
+
+  if (isDirectory) {
+    return [
+      { step: 'extension', outcome: 'not-applicable' },
+      explainIncludeGlob(normalizedPath, includeGlobs, true, hasIncludeExtensions(config)),
+    ];
+  }
+
+  const extensionCheck = explainExtension(itemPath, config);
+  return [
+    extensionCheck.outcome === 'excluded'
+      ? { ...extensionCheck, outcome: 'no-match' }
+      : extensionCheck,
+    explainIncludeGlob(normalizedPath, includeGlobs, false, extensionCheck.outcome === 'included'),
+  ];
+};
+
+const explainCustomPatterns = (
+  normalizedPath: string,
+  itemName: string,
+  config?: ConfigObject
+): FilterCheck => {
+  if (config?.use_custom_excludes === false) {
+    return disabledCheck('exclude-pattern', 'use_custom_excludes');
+  }
+
+  const pattern = findMatchingExcludePattern(normalizedPath, itemName, getCustomExcludes(config));
+  return pattern === undefined
+    ? { step: 'exclude-pattern', outcome: 'no-match' }
+    : {
+        step: 'exclude-pattern',
+        outcome: 'excluded',
+        rule: pattern,
+        source: configSource('exclude_patterns'),
+      };
+};
+
+const describeGitignoreMatch = (
+  { rule, matchedPath }: GitignoreRuleMatch,
+  normalizedPath: string
+): FilterCheck => ({
+  step: 'gitignore',
+  outcome: rule.negated ? 'included' : 'excluded',
+  rule: formatGitignoreRule(rule),
+  ...(matchedPath === normalizedPath ? {} : { matchedPath }),
+  source: rule.filePath
+    ? { kind: 'ignore-file', ignoreSource: rule.source, filePath: rule.filePath, line: rule.line }
+    : { kind: 'built-in' },
+});
+
+const explainGitignore = (
+  normalizedPath: string,
+  itemName: string,
+  excludePatterns: ExcludePatterns | undefined,
+  config: ConfigObject | undefined,
+  isDirectory: boolean
+): FilterCheck => {
+  if (config?.use_gitignore === false) {
+    return disabledCheck('gitignore', 'use_gitignore');
+  }
+
+  const match = excludePatterns?.gitignoreMatcher?.explain(normalizedPath, isDirectory) ?? null;
+  if (match && !match.rule.negated) {
+    return describeGitignoreMatch(match, normalizedPath);
+  }
+
+  const additionalPattern = findMatchingExcludePattern(
+    normalizedPath,
+    itemName,
+    getAdditionalExcludes(excludePatterns, getCustomExcludes(config))
+  );
+  if (additionalPattern !== undefined) {
+    return {
+      step: 'gitignore',
+      outcome: 'excluded',
+      rule: additionalPattern,
+      source: { kind: 'built-in' },
+    };
+  }
+
+  return match
+    ? describeGitignoreMatch(match, normalizedPath)
+    : { step: 'gitignore', outcome: 'no-match' };
+};
+
+/**
+ * Add a check to a trace. The first check that excludes the path decides the result, as the
+ * filters stop at the first exclusion.
+ * @param {Object} trace - Trace built so far
+ * @param {Object} check - Outcome of the next check
+ * @returns {Object} - A new trace including the check
+ */
+export const addFilterCheck = <T extends FilterTrace>(trace: T, check: FilterCheck): T => ({
+  ...trace,
+  checks: [...trace.checks, check],
+  ...(check.outcome === 'excluded' && !trace.excluded
+    ? { excluded: true, decidedBy: check.step }
+    : {}),
+});
+
+/**
+ * Explain the decision shouldExclude makes for a path: every check in the order it runs, the
+ * rule each one matched and where that rule comes from. A path included anyway or matched by
+ * an include pattern has only that check, as no other filter runs for it, unless it is a
+ * sensitive path without an override of its own.
+ * @param {string} itemPath - Absolute path to explain
+ * @param {string} rootPath - The selected root directory
+ * @param {Array} excludePatterns - Pattern bundle used by shouldExclude
+ * @param {Object} config - Parsed config
+ * @param {boolean} isDirectory - Whether the path is a directory
+ * @returns {Object} - The decision and its checks
+ */
+export const explainExclusion = (
+  itemPath: string,
+  rootPath: string,
+  excludePatterns?: ExcludePatterns,
+  config?: ConfigObject,
+  isDirectory = false
+): FilterTrace => {
+  const itemName = path.basename(itemPath);
+  const normalizedPath = getRelativePath(itemPath, rootPath);
+  let trace: FilterTrace = {
+    path: itemPath,
+    relativePath: normalizedPath,
+    isDirectory,
+    excluded: false,
+    decidedBy: null,
+    checks: [],
+  };
+
+  const sensitivePathCheck = explainSensitivePath(itemPath, config);
+  const isIncludeAllowed =
+    sensitivePathCheck.outcome !== 'excluded' ||
+    findSensitivePathOverride(normalizedPath, config, isDirectory) !== undefined;
+
+  const override = isIncludeAllowed
+    ? findIncludeOverride(normalizedPath, config, isDirectory)
+    : undefined;
+  if (override !== undefined) {
+    return addFilterCheck(trace, {
+      step: 'include-override',
+      outcome: 'included',
+      rule: override,
+      source: configSource('include_overrides'),
+    });
+  }
+
+  const includePattern = isIncludeAllowed
+    ? findMatchingIncludePattern(normalizedPath, config, isDirectory)
+    : undefined;
+  if (includePattern !== undefined) {
+    return addFilterCheck(trace, {
+      step: 'include-pattern',
+      outcome: 'included',
+      rule: includePattern,
+      source: configSource('include_patterns'),
+    });
+  }
+
+  const checks = [
+    sensitivePathCheck,
+    ...explainIncludeFilters(itemPath, normalizedPath, config, isDirectory),
+    explainCustomPatterns(normalizedPath, itemName, config),
+    explainGitignore(normalizedPath, itemName, excludePatterns, config, isDirectory),
+  ];
+  for (const check of checks) {
+    trace = addFilterCheck(trace, check);
+  }
+  return trace;
+};
+
+/**
+ * Describe the content scan that runs before a file is analyzed.
+ * @param {Object|null} scanResult - Result of scanning the file, or null for binary files
+ * @param {Object} config - Parsed config
+ * @returns {Object} - The secret-content check
+ */
+export const explainSecretScan = (
+  scanResult: SecretScanResult | null,
+  config?: ConfigObject
+): FilterCheck => {
+  if (!shouldExcludeSuspiciousFiles(config)) {
+    return disabledCheck('secret-content', getSecretScanningSwitch(config));
+  }
+
+  const match = scanResult?.matches[0];
+  if (!match) {
+    return { step: 'secret-content', outcome: scanResult ? 'no-match' : 'not-applicable' };
+  }
+
+  return {
+    step: 'secret-content',
+    outcome: 'excluded',
+    rule: match.id,
+    source: { kind: 'secret-rule', ruleId: match.id, description: match.description },
+  };
+};
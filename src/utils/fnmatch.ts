@@ -1,6 +1,7 @@
 import { Minimatch } from 'minimatch';
 
-export const fnmatch = (filepath: unknown, pattern: unknown): boolean => {
+// With partial set, a directory matches when the pattern could match a path below it.
+export const fnmatch = (filepath: unknown, pattern: unknown, partial = false): boolean => {
   if (typeof filepath !== 'string' || typeof pattern !== 'string') {
     return false;
   }
@@ -14,7 +15,7 @@ export const fnmatch = (filepath: unknown, pattern: unknown): boolean => {
       noext: false,
     });
 
-    return mm.match(filepath);
+    return mm.match(filepath, partial);
   } catch (error) {
     console.error(`Error matching pattern ${pattern} against ${filepath}:`, error);
     return false;
@@ -0,0 +1,383 @@
+import type { IgnoreFileSource } from '../types/ipc';
+
+/**
+ * One line of an ignore file, parsed the way git reads it. Rules are plain data so they can
+ * be cached and sent to worker threads; GitignoreMatcher compiles them on first use.
+ */
+export interface GitignoreRule {
+  // Wildmatch pattern without the leading '!', leading '/' or trailing '/'; escapes are kept.
+  pattern: string;
+  negated: boolean;
+  // A trailing slash: only matches directories.
+  directoryOnly: boolean;
+  // A slash anywhere but the end: matches the path relative to baseDirectory, not the name.
+  anchored: boolean;
+  // Root-relative directory of the ignore file ('' for root-level ignore files).
+  baseDirectory: string;
+  source: IgnoreFileSource;
+  // Where the rule was read from, when it came from a file rather than built-in defaults.
+  filePath?: string;
+  line?: number;
+}
+
+export interface GitignoreRuleMatch {
+  rule: GitignoreRule;
+  // The path the rule matched: the path itself or the ignored directory containing it.
+  matchedPath: string;
+}
+
+// Later sources take precedence; nested .gitignore rules share the gitignore rank and are
+// ordered parent before child, so the deepest file wins as it does in git.
+const SOURCE_PRECEDENCE: Record<IgnoreFileSource, number> = {
+  'global-excludes': 0,
+  'git-info-exclude': 1,
+  gitignore: 2,
+  aicodefusionignore: 3,
+};
+
+const POSIX_CHARACTER_CLASSES: Record<string, string> = {
+  alnum: 'a-zA-Z0-9',
+  alpha: 'a-zA-Z',
+  blank: ' \\t',
+  cntrl: '\\x00-\\x1f\\x7f',
+  digit: '0-9',
+  graph: '\\x21-\\x7e',
+  lower: 'a-z',
+  print: '\\x20-\\x7e',
+  punct: '!-\\/:-@\\[-`{-~',
+  space: ' \\t\\n\\r\\f\\v',
+  upper: 'A-Z',
+  xdigit: '0-9a-fA-F',
+};
+
+const escapeRegExp = (value: string): string => value.replaceAll(/[$()*+.?[\\\]^{|}-]/g, '\\$&');
+
+// Drops unescaped trailing spaces; an escaped space ("\ ") stays part of the pattern.
+const trimTrailingSpaces = (line: string): string => {
+  let end = line.length;
+  let lastSpace = -1;
+  for (let index = 0; index < end; index++) {
+    const character = line[index];
+    if (character === ' ') {
+      if (lastSpace === -1) {
+        lastSpace = index;
+      }
+    } else {
+      if (character === '\\') {
+        index++;
+      }
+      lastSpace = -1;
+    }
+  }
+
+  if (lastSpace !== -1) {
+    end = lastSpace;
+  }
+  return line.slice(0, end);
+};
+
+/**
+ * Parse the content of an ignore file into rules, following gitignore(5).
+ * @param {string} content - The ignore file content
+ * @param {string} source - Which kind of ignore file the content comes from
+ * @param {string} baseDirectory - Root-relative directory containing the ignore file
+ * @param {string} filePath - Ignore file the content was read from; recorded with each rule's line
+ * @returns {Object[]} - Rules in file order
+ */
+export const parseGitignoreRules = (
+  content: string,
+  source: IgnoreFileSource = 'gitignore',
+  baseDirectory = '',
+  filePath?: string
+): GitignoreRule[] => {
+  const rules: GitignoreRule[] = [];
+  const lines = content.replace(/^\uFEFF/, '').split('\n');
+
+  for (const [lineIndex, rawLine] of lines.entries()) {
+    // A comment needs a '#' in the first column; "\#" is a literal hash.
+    const line = trimTrailingSpaces(rawLine.replace(/\r$/, ''));
+    if (!line || line.startsWith('#')) continue;
+
+    const negated = line.startsWith('!');
+    let pattern = negated ? line.slice(1) : line;
+
+    const directoryOnly = pattern.endsWith('/');
+    if (directoryOnly) {
+      pattern = pattern.slice(0, -1);
+    }
+
+    const anchored = pattern.includes('/');
+    if (pattern.startsWith('/')) {
+      pattern = pattern.slice(1);
+    }
+
+    if (!pattern) continue;
+
+    rules.push({
+      pattern,
+      negated,
+      directoryOnly,
+      anchored,
+      baseDirectory,
+      source,
+      ...(filePath ? { filePath, line: lineIndex + 1 } : {}),
+    });
+  }
+
+  return rules;
+};
+
+// Writes a rule back as an ignore file line, e.g. for showing which rule matched.
+export const formatGitignoreRule = (rule: GitignoreRule): string =>
+  `${rule.negated ? '!' : ''}${rule.anchored && !rule.pattern.includes('/') ? '/' : ''}${
+    rule.pattern
+  }${rule.directoryOnly ? '/' : ''}`;
+
+// Returns the regex source for a bracket expression starting at pattern[start] and the index
+// after its closing bracket, or null when the bracket is not closed.
+const compileBracketExpression = (
+  pattern: string,
+  start: number
+): { source: string; end: number } | null => {
+  let index = start + 1;
+  const negated = pattern[index] === '!' || pattern[index] === '^';
+  if (negated) {
+    index++;
+  }
+
+  let body = '';
+  let isFirst = true;
+  while (index < pattern.length) {
+    let character = pattern[index];
+    if (character === ']' && !isFirst) {
+      // A class never matches a slash.
+      return { source: negated ? `[^/${body}]` : `(?!/)[${body}]`, end: index + 1 };
+    }
+    isFirst = false;
+
+    if (character === '[' && pattern[index + 1] === ':') {
+      const classEnd = pattern.indexOf(':]', index + 2);
+      const className = classEnd === -1 ? '' : pattern.slice(index + 2, classEnd);
+      if (className in POSIX_CHARACTER_CLASSES) {
+        body += POSIX_CHARACTER_CLASSES[className];
+        index = classEnd + 2;
+        continue;
+      }
+    }
+
+    if (character === '\\' && index + 1 < pattern.length) {
+      index++;
+      character = pattern[index];
+    }
+
+    if (
+      pattern[index + 1] === '-' &&
+      pattern[index + 2] !== undefined &&
+      pattern[index + 2] !== ']'
+    ) {
+      let rangeEnd = pattern[index + 2];
+      let nextIndex = index + 3;
+      if (rangeEnd === '\\' && index + 3 < pattern.length) {
+        rangeEnd = pattern[index + 3];
+        nextIndex++;
+      }
+      body += `${escapeRegExp(character)}-${escapeRegExp(rangeEnd)}`;
+      index = nextIndex;
+      continue;
+    }
+
+    body += escapeRegExp(character);
+    index++;
+  }
+
+  return null;
+};
+
+// Compiles a wildmatch pattern with git's pathname semantics: '*', '?' and classes stop at
+// '/', while '**' between slashes spans any number of directories.
+const compileWildmatch = (pattern: string): RegExp | null => {
+  let source = '';
+  let index = 0;
+
+  while (index < pattern.length) {
+    const character = pattern[index];
+
+    if (character === '*') {
+      let runEnd = index;
+      while (pattern[runEnd] === '*') {
+        runEnd++;
+      }
+      const isDoubleStar = runEnd - index >= 2;
+      const startsSegment = index === 0 || pattern[index - 1] === '/';
+      if (isDoubleStar && startsSegment && pattern[runEnd] === '/') {
+        source += '(?:.*/)?';
+        index = runEnd + 1;
+      } else if (isDoubleStar && startsSegment && runEnd === pattern.length) {
+        source += '.*';
+        index = runEnd;
+      } else {
+        source += '[^/]*';
+        index = runEnd;
+      }
+      continue;
+    }
+
+    if (character === '?') {
+      source += '[^/]';
+      index++;
+      continue;
+    }
+
+    if (character === '[') {
+      // Like a trailing backslash, an unclosed bracket makes the pattern never match.
+      const bracket = compileBracketExpression(pattern, index);
+      if (!bracket) {
+        return null;
+      }
+      source += bracket.source;
+      index = bracket.end;
+      continue;
+    }
+
+    if (character === '\\') {
+      // A trailing backslash makes the pattern invalid, as in git.
+      if (index + 1 >= pattern.length) {
+        return null;
+      }
+      index++;
+    }
+
+    source += escapeRegExp(pattern[index]);
+    index++;
+  }
+
+  try {
+    return new RegExp(`^${source}$`);
+  } catch {
+    return null;
+  }
+};
+
+const compiledPatterns = new Map<string, RegExp | null>();
+
+const getCompiledPattern = (pattern: string): RegExp | null => {
+  let compiled = compiledPatterns.get(pattern);
+  if (compiled === undefined) {
+    compiled = compileWildmatch(pattern);
+    compiledPatterns.set(pattern, compiled);
+  }
+  return compiled;
+};
+
+const ruleMatches = (rule: GitignoreRule, relativePath: string, isDirectory: boolean): boolean => {
+  if (rule.directoryOnly && !isDirectory) {
+    return false;
+  }
+
+  let pathFromBase = relativePath;
+  if (rule.baseDirectory) {
+    if (!relativePath.startsWith(`${rule.baseDirectory}/`)) {
+      return false;
+    }
+    pathFromBase = relativePath.slice(rule.baseDirectory.length + 1);
+  }
+
+  const regex = getCompiledPattern(rule.pattern);
+  if (!regex) {
+    return false;
+  }
+
+  const subject = rule.anchored
+    ? pathFromBase
+    : pathFromBase.slice(pathFromBase.lastIndexOf('/') + 1);
+  return regex.test(subject);
+};
+
+/**
+ * Decides whether root-relative paths are ignored by a list of gitignore rules: the last
+ * matching rule wins, and nothing below an ignored directory can be re-included.
+ */
+export class GitignoreMatcher {
+  readonly rules: GitignoreRule[];
+
+  private readonly directoryRules = new Map<string, GitignoreRule | null>();
+
+  constructor(rules: GitignoreRule[] = []) {
+    this.rules = rules
+      .map((rule, index) => ({ rule, index }))
+      .sort(
+        (a, b) =>
+          SOURCE_PRECEDENCE[a.rule.source] - SOURCE_PRECEDENCE[b.rule.source] || a.index - b.index
+      )
+      .map(({ rule }) => rule);
+  }
+
+  get isEmpty(): boolean {
+    return this.rules.length === 0;
+  }
+
+  /**
+   * Matcher with extra rules, e.g. those of a nested .gitignore, after the current ones.
+   * @param {Object[]} rules - Rules to add
+   * @returns {GitignoreMatcher} - A new matcher, or this one when there is nothing to add
+   */
+  extend(rules: GitignoreRule[]): GitignoreMatcher {
+    return rules.length === 0 ? this : new GitignoreMatcher([...this.rules, ...rules]);
+  }
+
+  /**
+   * @param {string} relativePath - Path relative to the root, using forward slashes
+   * @param {boolean} isDirectory - Whether the path is a directory
+   * @returns {boolean} - True when the path or one of its parent directories is ignored
+   */
+  isIgnored(relativePath: string, isDirectory = false): boolean {
+    const match = this.explain(relativePath, isDirectory);
+    return match !== null && !match.rule.negated;
+  }
+
+  /**
+   * Find the rule that decides whether a path is ignored. A negated rule means the path was
+   * re-included; nothing below an ignored directory can be, so that directory's rule is reported.
+   * @param {string} relativePath - Path relative to the root, using forward slashes
+   * @param {boolean} isDirectory - Whether the path is a directory
+   * @returns {Object|null} - The deciding rule and the path it matched, or null when none matches
+   */
+  explain(relativePath: string, isDirectory = false): GitignoreRuleMatch | null {
+    const normalizedPath = relativePath.replace(/^\.\//, '').replace(/\/+$/, '');
+    if (!normalizedPath || normalizedPath.startsWith('../') || this.rules.length === 0) {
+      return null;
+    }
+
+    const segments = normalizedPath.split('/');
+    for (let depth = 1; depth < segments.length; depth++) {
+      const directoryPath = segments.slice(0, depth).join('/');
+      const directoryRule = this.getDirectoryRule(directoryPath);
+      if (directoryRule && !directoryRule.negated) {
+        return { rule: directoryRule, matchedPath: directoryPath };
+      }
+    }
+
+    const rule = this.findMatchingRule(normalizedPath, isDirectory);
+    return rule ? { rule, matchedPath: normalizedPath } : null;
+  }
+
+  private getDirectoryRule(directoryPath: string): GitignoreRule | null {
+    let rule = this.directoryRules.get(directoryPath);
+    if (rule === undefined) {
+      rule = this.findMatchingRule(directoryPath, true);
+      this.directoryRules.set(directoryPath, rule);
+    }
+    return rule;
+  }
+
+  // The last matching rule wins.
+  private findMatchingRule(relativePath: string, isDirectory: boolean): GitignoreRule | null {
+    for (let index = this.rules.length - 1; index >= 0; index--) {
+      const rule = this.rules[index];
+      if (ruleMatches(rule, relativePath, isDirectory)) {
+        return rule;
+      }
+    }
+    return null;
+  }
+}
@@ -1,19 +1,118 @@
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 
-export interface GitignorePatterns {
-  excludePatterns: string[];
-  includePatterns: string[];
-}
+import { getRelativePath } from './filter-utils';
+import { parseGitignoreRules } from './gitignore-matcher';
+
+import type { GitignoreRule } from './gitignore-matcher';
+import type { ConfigObject, IgnoreFileInfo, IgnoreFileSource } from '../types/ipc';
+
+export type IgnoreFileSettings = Record<IgnoreFileSource, boolean>;
+
+type GitignoreParserOptions = {
+  // Overrides used to locate the global excludes file (defaults to the current user's).
+  homeDirectory?: string;
+  env?: NodeJS.ProcessEnv;
+};
+
+// Project-specific ignore file for paths that stay in git but should never reach an LLM.
+export const AICODEFUSION_IGNORE_FILE = '.aicodefusionignore';
+
+// Common build artifacts, ignored whenever the root has a .gitignore
+const BUILD_ARTIFACT_PATTERNS = [
+  'bundle.js',
+  'bundle.js.map',
+  'bundle.js.LICENSE.txt',
+  'index.js.map',
+  'output.css',
+];
+
+const IGNORE_FILE_SOURCES: IgnoreFileSource[] = [
+  'global-excludes',
+  'git-info-exclude',
+  'gitignore',
+  'aicodefusionignore',
+];
+
+/**
+ * Resolve which ignore files apply for a config. use_gitignore switches all of them off;
+ * the other sources can be disabled individually.
+ * @param {Object} config - The parsed config
+ * @returns {Object} - Enabled flag per ignore file source
+ */
+export const resolveIgnoreFileSettings = (config?: ConfigObject | null): IgnoreFileSettings => {
+  const useGitignore = config?.use_gitignore !== false;
+  return {
+    'global-excludes': useGitignore && config?.use_global_gitignore !== false,
+    'git-info-exclude': useGitignore && config?.use_git_info_exclude !== false,
+    gitignore: useGitignore,
+    aicodefusionignore: useGitignore && config?.use_aicodefusionignore !== false,
+  };
+};
+
+// True for a relative directory strictly below the root ('' is the root itself).
+const isNestedDirectory = (relativeDirectory: string): boolean =>
+  relativeDirectory.length > 0 &&
+  !relativeDirectory.startsWith('..') &&
+  !path.isAbsolute(relativeDirectory);
+
+const expandHomeDirectory = (filePath: string, homeDirectory: string): string => {
+  if (filePath === '~' || filePath.startsWith('~/')) {
+    return path.join(homeDirectory, filePath.slice(1));
+  }
+  return filePath;
+};
+
+// Reads core.excludesFile from a git config file. Include directives are not followed.
+const readCoreExcludesFile = (configPath: string): string | null => {
+  let content: string;
+  try {
+    if (!fs.existsSync(configPath)) {
+      return null;
+    }
+    content = fs.readFileSync(configPath, 'utf8');
+  } catch {
+    return null;
+  }
+
+  let section = '';
+  let excludesFile: string | null = null;
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    const sectionMatch = /^\[\s*([^\s\]"]+)/.exec(line);
+    if (sectionMatch) {
+      section = sectionMatch[1].toLowerCase();
+      continue;
+    }
+
+    const valueMatch = /^excludesfile\s*=\s*(.*)$/i.exec(line);
+    if (section === 'core' && valueMatch) {
+      const value = valueMatch[1].replace(/\s+[#;].*$/, '').trim();
+      excludesFile = value.replace(/^"(.*)"$/, '$1') || null;
+    }
+  }
+
+  return excludesFile;
+};
 
 /**
- * A utility class for parsing and applying gitignore rules.
+ * A utility class for reading gitignore rules; GitignoreMatcher applies them.
  */
 export class GitignoreParser {
-  private readonly cache: Map<string, GitignorePatterns>;
+  private readonly cache: Map<string, GitignoreRule[]>;
+  private readonly directoryCache: Map<string, GitignoreRule[]>;
+  private readonly ignoreFileCache: Map<string, GitignoreRule[]>;
+  private readonly homeDirectory: string;
+  private readonly env: NodeJS.ProcessEnv;
+  private globalExcludesFile: string | null | undefined;
 
-  constructor() {
-    this.cache = new Map<string, GitignorePatterns>();
+  constructor(options: GitignoreParserOptions = {}) {
+    this.cache = new Map<string, GitignoreRule[]>();
+    this.directoryCache = new Map<string, GitignoreRule[]>();
+    this.ignoreFileCache = new Map<string, GitignoreRule[]>();
+    this.homeDirectory = options.homeDirectory ?? os.homedir();
+    this.env = options.env ?? process.env;
   }
 
   /**
@@ -21,14 +120,17 @@ export class GitignoreParser {
    */
   clearCache() {
     this.cache.clear();
+    this.directoryCache.clear();
+    this.ignoreFileCache.clear();
+    this.globalExcludesFile = undefined;
   }
 
   /**
-   * Parse a .gitignore file and return patterns organized by type.
+   * Parse the root .gitignore file into rules.
    * @param {string} rootPath - The root path of the repository
-   * @returns {Object} - Object with include and exclude patterns
+   * @returns {Object[]} - Rules in file order
    */
-  parseGitignore(rootPath: string): GitignorePatterns {
+  parseGitignore(rootPath: string): GitignoreRule[] {
     // Check if we have a cached result for this root path
     const cachedResult = this.cache.get(rootPath);
     if (cachedResult) {
@@ -37,11 +139,8 @@ export class GitignoreParser {
 
     const gitignorePath = path.join(rootPath, '.gitignore');
 
-    // Default result with empty pattern arrays
-    const defaultResult: GitignorePatterns = {
-      excludePatterns: [],
-      includePatterns: [],
-    };
+    // Default result without rules
+    const defaultResult: GitignoreRule[] = [];
 
     // Check if .gitignore exists
     if (!fs.existsSync(gitignorePath)) {
@@ -53,11 +152,11 @@ export class GitignoreParser {
     try {
       // Read and parse .gitignore file
       const content = fs.readFileSync(gitignorePath, 'utf8');
-      const patterns = this._parseGitignoreContent(content);
+      const rules = this._parseGitignoreContent(content, gitignorePath);
 
-      // Cache the parsed patterns
-      this.cache.set(rootPath, patterns);
-      return patterns;
+      // Cache the parsed rules
+      this.cache.set(rootPath, rules);
+      return rules;
     } catch (error) {
       console.error('Error parsing .gitignore:', error);
       // Cache default result on error
@@ -66,113 +165,214 @@ export class GitignoreParser {
     }
   }
 
-  // Helper methods for _parseGitignoreContent
-  private _addPattern(result: GitignorePatterns, pattern: string, isNegated: boolean): void {
-    if (!pattern) return;
-    if (isNegated) {
-      result.includePatterns.push(pattern);
-    } else {
-      result.excludePatterns.push(pattern);
+  /**
+   * Parse the .gitignore of a directory below the root. Its rules carry that directory as
+   * their base, so they only match paths inside it.
+   * @param {string} rootPath - The root path of the repository
+   * @param {string} directoryPath - A directory inside the root
+   * @returns {Object[]} - Rules in file order
+   */
+  parseDirectoryGitignore(rootPath: string, directoryPath: string): GitignoreRule[] {
+    const relativeDirectory = getRelativePath(directoryPath, rootPath);
+    if (!isNestedDirectory(relativeDirectory)) {
+      // The root .gitignore is handled by parseGitignore
+      return [];
+    }
+
+    const cacheKey = `${rootPath}::${relativeDirectory}`;
+    const cachedResult = this.directoryCache.get(cacheKey);
+    if (cachedResult) {
+      return cachedResult;
     }
-  }
 
-  private _processSimplePattern(
-    result: GitignorePatterns,
-    pattern: string,
-    isNegated: boolean
-  ): void {
-    // Simple pattern like *.log or node_modules
-    const isDir = pattern.endsWith('/');
-    const rootPattern = pattern;
-    const subdirPattern = `**/${pattern}`;
+    let result: GitignoreRule[] = [];
+    const gitignorePath = path.join(directoryPath, '.gitignore');
+    try {
+      if (fs.existsSync(gitignorePath)) {
+        result = parseGitignoreRules(
+          fs.readFileSync(gitignorePath, 'utf8'),
+          'gitignore',
+          relativeDirectory,
+          gitignorePath
+        );
+      }
+    } catch (error) {
+      console.error(`Error parsing ${gitignorePath}:`, error);
+    }
 
-    this._addPattern(result, rootPattern, isNegated);
-    this._addPattern(result, subdirPattern, isNegated);
+    this.directoryCache.set(cacheKey, result);
+    return result;
+  }
 
-    if (isDir) {
-      this._addPattern(result, `${pattern}**`, isNegated);
+  /**
+   * Merge the root-level ignore files that are enabled: the global excludes file,
+   * .git/info/exclude, the root .gitignore and .aicodefusionignore, in that order.
+   * @param {string} rootPath - The root path of the repository
+   * @param {Object} settings - Enabled flag per ignore file source
+   * @returns {Object[]} - Rules in precedence order
+   */
+  parseIgnoreFiles(
+    rootPath: string,
+    settings: IgnoreFileSettings = resolveIgnoreFileSettings()
+  ): GitignoreRule[] {
+    const rules: GitignoreRule[] = [];
+    for (const source of IGNORE_FILE_SOURCES.filter((ignoreSource) => settings[ignoreSource])) {
+      rules.push(
+        ...(source === 'gitignore'
+          ? this.parseGitignore(rootPath)
+          : this._parseIgnoreFile(this._resolveIgnoreFilePath(rootPath, source), source))
+      );
     }
+    return rules;
   }
 
-  private _processPathPattern(
-    result: GitignorePatterns,
-    pattern: string,
-    isNegated: boolean
-  ): void {
-    if (pattern.startsWith('/')) {
-      // Remove leading slash
-      pattern = pattern.substring(1);
-
-      if (pattern.endsWith('/')) {
-        pattern = `${pattern}**`;
+  /**
+   * List the root-level ignore files that exist for a repository, whether enabled or not.
+   * @param {string} rootPath - The root path of the repository
+   * @returns {Object[]} - Source and absolute path of each ignore file found
+   */
+  findIgnoreFiles(rootPath: string): IgnoreFileInfo[] {
+    const ignoreFiles: IgnoreFileInfo[] = [];
+    for (const source of IGNORE_FILE_SOURCES) {
+      const filePath = this._resolveIgnoreFilePath(rootPath, source);
+      if (filePath && fs.existsSync(filePath)) {
+        ignoreFiles.push({ source, path: filePath });
       }
+    }
+    return ignoreFiles;
+  }
+
+  /**
+   * Combine the root ignore files with the nested .gitignore files of every directory that
+   * contains one of the given files. Parent rules come before child rules.
+   * @param {string} rootPath - The root path of the repository
+   * @param {string[]} filePaths - Absolute or root-relative file paths
+   * @param {Object} settings - Enabled flag per ignore file source
+   * @returns {Object[]} - Rules in precedence order
+   */
+  parseGitignoreForPaths(
+    rootPath: string,
+    filePaths: string[],
+    settings: IgnoreFileSettings = resolveIgnoreFileSettings()
+  ): GitignoreRule[] {
+    const rules = this.parseIgnoreFiles(rootPath, settings);
+    if (!settings.gitignore) {
+      return rules;
+    }
 
-      this._addPattern(result, pattern, isNegated);
-    } else if (pattern.includes('*')) {
-      // Pattern with wildcards and path separators, but not starting with /
-      this._addPattern(result, pattern, isNegated);
+    const directories = new Set<string>();
 
-      // Also add the recursive version for patterns with path separators
-      if (pattern.includes('/')) {
-        this._addPattern(result, `**/${pattern}`, isNegated);
+    for (const filePath of filePaths) {
+      let directory = path.dirname(path.resolve(rootPath, filePath));
+      while (!directories.has(directory)) {
+        if (!isNestedDirectory(getRelativePath(directory, rootPath))) {
+          break;
+        }
+        directories.add(directory);
+        directory = path.dirname(directory);
       }
-    } else {
-      // Pattern without leading slash and without wildcards
-      const rootPattern = pattern;
-      const subdirPattern = `**/${pattern}`;
+    }
 
-      this._addPattern(result, rootPattern, isNegated);
-      this._addPattern(result, subdirPattern, isNegated);
+    for (const directory of [...directories].sort()) {
+      rules.push(...this.parseDirectoryGitignore(rootPath, directory));
     }
-  }
 
-  /**
-   * Parse gitignore content and extract valid patterns
-   * @param {string} content - The content of the .gitignore file
-   * @returns {Object} - Object with include and exclude patterns
-   */
-  _parseGitignoreContent(content: string): GitignorePatterns {
-    const result: GitignorePatterns = {
-      excludePatterns: [],
-      includePatterns: [],
-    };
+    return rules;
+  }
 
-    const lines = content.split('\n');
+  private _resolveIgnoreFilePath(rootPath: string, source: IgnoreFileSource): string | null {
+    switch (source) {
+      case 'global-excludes':
+        return this._resolveGlobalExcludesFile();
+      case 'git-info-exclude': {
+        const gitDirectory = this._resolveGitDirectory(rootPath);
+        return gitDirectory ? path.join(gitDirectory, 'info', 'exclude') : null;
+      }
+      case 'gitignore':
+        return path.join(rootPath, '.gitignore');
+      case 'aicodefusionignore':
+        return path.join(rootPath, AICODEFUSION_IGNORE_FILE);
+      default:
+        return null;
+    }
+  }
 
-    for (const line of lines) {
-      const trimmedLine = line.trim();
+  // Mirrors git: core.excludesFile from the XDG or home config (the latter wins), falling
+  // back to $XDG_CONFIG_HOME/git/ignore.
+  private _resolveGlobalExcludesFile(): string | null {
+    if (this.globalExcludesFile !== undefined) {
+      return this.globalExcludesFile;
+    }
 
-      // Skip empty lines and comments
-      if (!trimmedLine || trimmedLine.startsWith('#')) continue;
+    const xdgConfigHome = this.env.XDG_CONFIG_HOME || path.join(this.homeDirectory, '.config');
+    const configuredFile =
+      readCoreExcludesFile(path.join(this.homeDirectory, '.gitconfig')) ??
+      readCoreExcludesFile(path.join(xdgConfigHome, 'git', 'config'));
+    this.globalExcludesFile = configuredFile
+      ? path.resolve(this.homeDirectory, expandHomeDirectory(configuredFile, this.homeDirectory))
+      : path.join(xdgConfigHome, 'git', 'ignore');
+    return this.globalExcludesFile;
+  }
 
-      // Handle negated patterns
-      const isNegated = trimmedLine.startsWith('!');
-      const pattern = isNegated ? trimmedLine.substring(1).trim() : trimmedLine;
+  // Worktrees and submodules have a .git file pointing at the git directory; linked
+  // worktrees share info/exclude with the main repository through commondir.
+  private _resolveGitDirectory(rootPath: string): string | null {
+    const dotGitPath = path.join(rootPath, '.git');
+    try {
+      if (fs.statSync(dotGitPath).isDirectory()) {
+        return dotGitPath;
+      }
 
-      // Skip if pattern is empty after processing
-      if (!pattern) continue;
+      const gitDirMatch = /^gitdir:\s*(.+)$/m.exec(fs.readFileSync(dotGitPath, 'utf8'));
+      if (!gitDirMatch) {
+        return null;
+      }
 
-      // Process pattern based on whether it includes a path separator
-      if (pattern.includes('/')) {
-        this._processPathPattern(result, pattern, isNegated);
-      } else {
-        this._processSimplePattern(result, pattern, isNegated);
+      const gitDirectory = path.resolve(rootPath, gitDirMatch[1].trim());
+      const commonDirPath = path.join(gitDirectory, 'commondir');
+      if (fs.existsSync(commonDirPath)) {
+        return path.resolve(gitDirectory, fs.readFileSync(commonDirPath, 'utf8').trim());
       }
+      return gitDirectory;
+    } catch {
+      return null;
     }
+  }
 
-    // Add common build artifacts
-    const buildArtifacts = [
-      '**/bundle.js',
-      '**/bundle.js.map',
-      '**/bundle.js.LICENSE.txt',
-      '**/index.js.map',
-      '**/output.css',
-    ];
+  // Parses an ignore file whose patterns are relative to the repository root.
+  private _parseIgnoreFile(filePath: string | null, source: IgnoreFileSource): GitignoreRule[] {
+    if (!filePath) {
+      return [];
+    }
 
-    for (const artifact of buildArtifacts) {
-      result.excludePatterns.push(artifact);
+    const cachedResult = this.ignoreFileCache.get(filePath);
+    if (cachedResult) {
+      return cachedResult;
     }
 
+    let result: GitignoreRule[] = [];
+    try {
+      if (fs.existsSync(filePath)) {
+        result = parseGitignoreRules(fs.readFileSync(filePath, 'utf8'), source, '', filePath);
+      }
+    } catch (error) {
+      console.error(`Error parsing ${filePath}:`, error);
+    }
+
+    this.ignoreFileCache.set(filePath, result);
     return result;
   }
+
+  /**
+   * Parse root .gitignore content into rules, plus common build artifacts
+   * @param {string} content - The content of the .gitignore file
+   * @param {string} filePath - Path of the .gitignore file, recorded on its rules
+   * @returns {Object[]} - Rules in file order
+   */
+  _parseGitignoreContent(content: string, filePath?: string): GitignoreRule[] {
+    return [
+      ...parseGitignoreRules(content, 'gitignore', '', filePath),
+      ...parseGitignoreRules(BUILD_ARTIFACT_PATTERNS.join('\n')),
+    ];
+  }
 }
@@ -111,17 +111,56 @@ const SECRET_RULES: SecretRule[] = [
   },
 ];
 
-const SENSITIVE_FILE_NAME_PATTERNS = [
-  /^\.env(?:\..+)?$/i,
-  /^id_(?:rsa|dsa|ecdsa|ed25519)(?:\.pub)?$/i,
-  /(?:^|[-_.])(?:secret|secrets|credential|credentials)(?:[-_.]|$)/i,
-];
-
 const SENSITIVE_FILE_EXTENSION_PATTERN =
   /\.(?:pem|key|p12|pfx|jks|keystore|cer|crt|der|kdbx|asc)$/i;
 
 const SENSITIVE_PATH_SEGMENTS = ['.aws/credentials', '.npmrc', '.pypirc', '.docker/config.json'];
 
+type SensitivePathRule = {
+  id: string;
+  description: string;
+  matches: (normalizedPath: string, fileName: string) => boolean;
+};
+
+const matchesPathSegment = (normalizedPath: string, segment: string): boolean =>
+  normalizedPath === segment ||
+  normalizedPath.endsWith(`/${segment}`) ||
+  normalizedPath.includes(`/${segment}/`);
+
+// Checked in order; the first matching rule is reported.
+const SENSITIVE_PATH_RULES: SensitivePathRule[] = [
+  {
+    id: 'key-or-certificate-extension',
+    description: 'Key, certificate or keystore file extension',
+    matches: (_normalizedPath, fileName) => SENSITIVE_FILE_EXTENSION_PATTERN.test(fileName),
+  },
+  {
+    id: 'env-file',
+    description: 'Environment file',
+    matches: (_normalizedPath, fileName) => /^\.env(?:\..+)?$/i.test(fileName),
+  },
+  {
+    id: 'ssh-key-file',
+    description: 'SSH key file',
+    matches: (_normalizedPath, fileName) =>
+      /^id_(?:rsa|dsa|ecdsa|ed25519)(?:\.pub)?$/i.test(fileName),
+  },
+  {
+    id: 'secret-file-name',
+    description: 'File name mentions secrets or credentials',
+    matches: (_normalizedPath, fileName) =>
+      /(?:^|[-_.])(?:secret|secrets|credential|credentials)(?:[-_.]|$)/i.test(fileName),
+  },
+  {
+    id: 'credential-store-path',
+    description: 'Known credential store path',
+    matches: (normalizedPath) =>
+      SENSITIVE_PATH_SEGMENTS.some((segment) =>
+        matchesPathSegment(normalizedPath, segment.toLowerCase())
+      ),
+  },
+];
+
 const normalizeFilePath = (filePath: string): string => filePath.replaceAll('\\', '/').toLowerCase();
 
 export const shouldExcludeSuspiciousFiles = (config?: ConfigObject): boolean =>
@@ -132,28 +171,23 @@ const cleanSecretScanResult = (): SecretScanResult => ({
   matches: [],
 });
 
-export const isSensitiveFilePath = (filePath: string): boolean => {
+/**
+ * Find the sensitive-path rule a file path matches, so a caller can report why it was excluded.
+ * @param {string} filePath - Absolute or relative file path
+ * @returns {Object|null} - Id and description of the first matching rule
+ */
+export const findSensitivePathRule = (filePath: string): SecretMatch | null => {
   const normalizedPath = normalizeFilePath(filePath);
   const fileName = path.basename(normalizedPath);
-
-  if (SENSITIVE_FILE_EXTENSION_PATTERN.test(fileName)) {
-    return true;
-  }
-
-  if (SENSITIVE_FILE_NAME_PATTERNS.some((pattern) => pattern.test(fileName))) {
-    return true;
-  }
-
-  return SENSITIVE_PATH_SEGMENTS.some((segment) => {
-    const normalizedSegment = segment.toLowerCase();
-    return (
-      normalizedPath === normalizedSegment ||
-      normalizedPath.endsWith(`/${normalizedSegment}`) ||
-      normalizedPath.includes(`/${normalizedSegment}/`)
-    );
-  });
+  const rule = SENSITIVE_PATH_RULES.find((candidate) =>
+    candidate.matches(normalizedPath, fileName)
+  );
+  return rule ? { id: rule.id, description: rule.description } : null;
 };
 
+export const isSensitiveFilePath = (filePath: string): boolean =>
+  findSensitivePathRule(filePath) !== null;
+
 export const shouldExcludeSensitiveFilePath = (filePath: string, config?: ConfigObject): boolean =>
   shouldExcludeSuspiciousFiles(config) && isSensitiveFilePath(filePath);
 
@@ -0,0 +1,111 @@
+import { fnmatch } from './fnmatch';
+
+import type { FitToBudgetResult, TokenBudgetStrategy } from '../types/ipc';
+
+export const TOKEN_BUDGET_STRATEGIES: readonly TokenBudgetStrategy[] = [
+  'smallest-first',
+  'priority-globs',
+  'recently-modified',
+];
+
+export type TokenBudgetCandidate = {
+  path: string;
+  relativePath: string;
+  tokens: number;
+  mtime?: number;
+};
+
+type SelectFilesWithinBudgetInput = {
+  candidates: TokenBudgetCandidate[];
+  tokenBudget: number;
+  strategy: TokenBudgetStrategy;
+  priorityGlobs?: string[];
+  pinnedFiles?: string[];
+};
+
+export const normalizeTokenBudgetStrategy = (strategy: unknown): TokenBudgetStrategy =>
+  TOKEN_BUDGET_STRATEGIES.includes(strategy as TokenBudgetStrategy)
+    ? (strategy as TokenBudgetStrategy)
+    : 'smallest-first';
+
+const compareBySize = (left: TokenBudgetCandidate, right: TokenBudgetCandidate): number =>
+  left.tokens - right.tokens || left.relativePath.localeCompare(right.relativePath);
+
+const getPriorityRank = (candidate: TokenBudgetCandidate, priorityGlobs: string[]): number => {
+  const matchIndex = priorityGlobs.findIndex((glob) => fnmatch(candidate.relativePath, glob));
+  return matchIndex === -1 ? priorityGlobs.length : matchIndex;
+};
+
+const orderCandidates = (
+  candidates: TokenBudgetCandidate[],
+  strategy: TokenBudgetStrategy,
+  priorityGlobs: string[]
+): TokenBudgetCandidate[] => {
+  const ordered = [...candidates];
+
+  if (strategy === 'priority-globs') {
+    // Files matching earlier globs win; ties (and unmatched files) fall back to smallest-first.
+    const ranks = new Map(
+      ordered.map((candidate) => [candidate.path, getPriorityRank(candidate, priorityGlobs)])
+    );
+    return ordered.sort(
+      (left, right) =>
+        (ranks.get(left.path) ?? 0) - (ranks.get(right.path) ?? 0) || compareBySize(left, right)
+    );
+  }
+
+  if (strategy === 'recently-modified') {
+    return ordered.sort(
+      (left, right) => (right.mtime ?? 0) - (left.mtime ?? 0) || compareBySize(left, right)
+    );
+  }
+
+  return ordered.sort(compareBySize);
+};
+
+/**
+ * Greedily packs candidate files into a token budget. Pinned files are always kept, even
+ * when they alone exceed the budget; the remaining files are added in strategy order while
+ * they still fit.
+ */
+export const selectFilesWithinBudget = ({
+  candidates,
+  tokenBudget,
+  strategy,
+  priorityGlobs = [],
+  pinnedFiles = [],
+}: SelectFilesWithinBudgetInput): FitToBudgetResult => {
+  const budget = Number.isFinite(tokenBudget) && tokenBudget > 0 ? tokenBudget : 0;
+  const pinnedSet = new Set(pinnedFiles);
+  const selectedFiles: string[] = [];
+  let pinnedTokens = 0;
+
+  for (const candidate of candidates) {
+    if (pinnedSet.has(candidate.path)) {
+      selectedFiles.push(candidate.path);
+      pinnedTokens += candidate.tokens;
+    }
+  }
+
+  let totalTokens = pinnedTokens;
+  const remainingCandidates = candidates.filter((candidate) => !pinnedSet.has(candidate.path));
+
+  for (const candidate of orderCandidates(
+    remainingCandidates,
+    normalizeTokenBudgetStrategy(strategy),
+    priorityGlobs.map((glob) => glob.trim()).filter(Boolean)
+  )) {
+    if (totalTokens + candidate.tokens <= budget) {
+      selectedFiles.push(candidate.path);
+      totalTokens += candidate.tokens;
+    }
+  }
+
+  return {
+    selectedFiles,
+    totalTokens,
+    pinnedTokens,
+    excludedFiles: candidates.length - selectedFiles.length,
+    isOverBudget: totalTokens > budget,
+  };
+};
@@ -1,19 +1,61 @@
 import * as tiktoken from 'tiktoken';
 
+import { DEFAULT_TOKENIZER, normalizeTokenizerId } from './tokenizers';
+
+import type { TokenizerId } from '../types/ipc';
+
 type Encoder = {
   encode: (text: string) => { length: number };
 };
 
+type TokenizerEncoding = 'cl100k_base' | 'o200k_base';
+
+type TokenizerDefinition = {
+  encoding: TokenizerEncoding;
+  // Multiplier applied to the encoding's count for tokenizers we can only approximate.
+  scale: number;
+};
+
+// Claude and Llama tokenizers are not available as bundled encoders, so their counts are
+// estimated from cl100k: Claude splits code into roughly 10% more tokens, while the larger
+// Llama 3 vocabulary merges slightly more.
+const TOKENIZER_DEFINITIONS: Record<TokenizerId, TokenizerDefinition> = {
+  cl100k: { encoding: 'cl100k_base', scale: 1 },
+  o200k: { encoding: 'o200k_base', scale: 1 },
+  'claude-approx': { encoding: 'cl100k_base', scale: 1.1 },
+  'llama-approx': { encoding: 'cl100k_base', scale: 0.95 },
+};
+
+// Encoders are large; share one per encoding across TokenCounter instances.
+const encoderCache = new Map<TokenizerEncoding, Encoder | null>();
+
+const getEncoder = (encoding: TokenizerEncoding): Encoder | null => {
+  if (encoderCache.has(encoding)) {
+    return encoderCache.get(encoding) ?? null;
+  }
+
+  let encoder: Encoder | null = null;
+  try {
+    encoder = tiktoken.get_encoding(encoding) as unknown as Encoder;
+  } catch (error) {
+    console.error(`Error initializing tiktoken encoding ${encoding}:`, error);
+  }
+  encoderCache.set(encoding, encoder);
+  return encoder;
+};
+
 export class TokenCounter {
+  readonly tokenizer: TokenizerId;
+
   private readonly encoder: Encoder | null;
 
-  constructor(modelName = 'gpt-4') {
-    try {
-      this.encoder = tiktoken.encoding_for_model(modelName as never) as unknown as Encoder;
-    } catch (error) {
-      console.error(`Error initializing tiktoken for model ${modelName}:`, error);
-      this.encoder = null;
-    }
+  private readonly scale: number;
+
+  constructor(tokenizer: unknown = DEFAULT_TOKENIZER) {
+    this.tokenizer = normalizeTokenizerId(tokenizer);
+    const definition = TOKENIZER_DEFINITIONS[this.tokenizer];
+    this.encoder = getEncoder(definition.encoding);
+    this.scale = definition.scale;
   }
 
   countTokens(text: unknown): number {
@@ -27,12 +69,11 @@ export class TokenCounter {
         return 0;
       }
 
-      if (this.encoder) {
-        return this.encoder.encode(textStr).length;
-      }
-
-      // Very rough approximation: ~4 chars per token.
-      return Math.ceil(textStr.length / 4);
+      // Without an encoder fall back to a very rough approximation: ~4 chars per token.
+      const baseCount = this.encoder
+        ? this.encoder.encode(textStr).length
+        : Math.ceil(textStr.length / 4);
+      return this.scale === 1 ? baseCount : Math.round(baseCount * this.scale);
     } catch (error) {
       console.error('Error counting tokens:', error);
       return 0;
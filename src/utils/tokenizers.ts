@@ -0,0 +1,14 @@
+import type { TokenizerId } from '../types/ipc';
+
+export const TOKENIZER_IDS: readonly TokenizerId[] = [
+  'cl100k',
+  'o200k',
+  'claude-approx',
+  'llama-approx',
+];
+
+export const DEFAULT_TOKENIZER: TokenizerId = 'cl100k';
+
+export const normalizeTokenizerId = (value: unknown): TokenizerId => {
+  return TOKENIZER_IDS.includes(value as TokenizerId) ? (value as TokenizerId) : DEFAULT_TOKENIZER;
+};
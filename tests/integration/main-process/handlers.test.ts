@@ -33,6 +33,7 @@ jest.mock('electron', () => ({
     setAppUserModelId: jest.fn(),
     quit: jest.fn(),
     getVersion: jest.fn().mockReturnValue('0.2.0'),
+    getPath: jest.fn().mockReturnValue('/mock/userData'),
   },
   BrowserWindow: jest.fn().mockImplementation(() => ({
     loadFile: jest.fn().mockImplementation(async (targetPath) => {
@@ -101,20 +102,30 @@ jest.mock('electron-updater', () => ({
 
 // Mock core utils
 jest.mock('../../../src/utils/token-counter', () => ({
-  TokenCounter: jest.fn().mockImplementation(() => ({
-    countTokens: jest.fn().mockReturnValue(100),
+  TokenCounter: jest.fn().mockImplementation((tokenizer) => ({
+    tokenizer,
+    countTokens: jest.fn().mockReturnValue(tokenizer === 'o200k' ? 90 : 100),
   })),
 }));
 
-jest.mock('../../../src/utils/gitignore-parser', () => ({
-  GitignoreParser: jest.fn().mockImplementation(() => ({
-    parseGitignore: jest.fn().mockReturnValue({
-      excludePatterns: ['node_modules/', '*.log'],
-      includePatterns: ['important.log'],
-    }),
-    clearCache: jest.fn(),
-  })),
-}));
+jest.mock('../../../src/utils/gitignore-parser', () => {
+  const { parseGitignoreRules } = jest.requireActual('../../../src/utils/gitignore-matcher');
+  const gitignoreRules = parseGitignoreRules('node_modules/\n*.log\n!important.log');
+  return {
+    GitignoreParser: jest.fn().mockImplementation(() => ({
+      parseGitignore: jest.fn().mockReturnValue(gitignoreRules),
+      parseIgnoreFiles: jest.fn().mockReturnValue(gitignoreRules),
+      parseGitignoreForPaths: jest.fn().mockReturnValue(gitignoreRules),
+      parseDirectoryGitignore: jest.fn().mockReturnValue([]),
+      findIgnoreFiles: jest
+        .fn()
+        .mockReturnValue([{ source: 'gitignore', path: '/mock/repo/.gitignore' }]),
+      clearCache: jest.fn(),
+    })),
+    resolveIgnoreFileSettings: jest.requireActual('../../../src/utils/gitignore-parser')
+      .resolveIgnoreFileSettings,
+  };
+});
 
 // Let's NOT mock the FileAnalyzer class - only mock the isBinaryFile function
 // This is crucial for correctly testing binary file handling
@@ -169,6 +180,14 @@ const buildMockStats = ({
   mtime: new Date(),
 });
 
+// Invoke event for handlers that push messages back to the renderer.
+const createInvokeEvent = () => ({
+  sender: {
+    send: jest.fn(),
+    isDestroyed: jest.fn().mockReturnValue(false),
+  },
+});
+
 describe('Main Process IPC Handlers', () => {
   beforeEach(async () => {
     jest.clearAllMocks();
@@ -231,6 +250,9 @@ describe('Main Process IPC Handlers', () => {
     fs.lstatSync.mockImplementation((itemPath) =>
       buildMockStats({ isDirectory: isDefaultDirectoryPath(itemPath) })
     );
+    // The tree walk is async; route it through the sync mocks each test configures.
+    fs.promises.readdir = jest.fn().mockImplementation(async (dir) => fs.readdirSync(dir));
+    fs.promises.lstat = jest.fn().mockImplementation(async (itemPath) => fs.lstatSync(itemPath));
 
     if (typeof fs.realpathSync !== 'function') {
       fs.realpathSync = jest.fn();
@@ -407,7 +429,7 @@ describe('Main Process IPC Handlers', () => {
       const handler = mockIpcHandlers['fs:getDirectoryTree'];
       expect(handler).toBeDefined();
 
-      const result = await handler(null, dirPath, configContent);
+      const result = await handler(createInvokeEvent(), dirPath, configContent);
 
       // Verify
       expect(result).toBeDefined();
@@ -445,7 +467,7 @@ describe('Main Process IPC Handlers', () => {
 
       // Execute
       const handler = mockIpcHandlers['fs:getDirectoryTree'];
-      const result = await handler(null, dirPath, configContent);
+      const result = await handler(createInvokeEvent(), dirPath, configContent);
 
       // Verify
       expect(result).toEqual([]);
@@ -453,7 +475,7 @@ describe('Main Process IPC Handlers', () => {
 
     test('should reject unauthorized directory tree requests', async () => {
       const handler = mockIpcHandlers['fs:getDirectoryTree'];
-      const result = await handler(null, '/unauthorized/path', '');
+      const result = await handler(createInvokeEvent(), '/unauthorized/path', '');
       expect(result).toEqual([]);
     });
 
@@ -486,7 +508,7 @@ describe('Main Process IPC Handlers', () => {
       fs.realpathSync.native = fs.realpathSync;
 
       const handler = mockIpcHandlers['fs:getDirectoryTree'];
-      const result = await handler(null, '/mock/repo', '');
+      const result = await handler(createInvokeEvent(), '/mock/repo', '');
 
       expect(result.find((item) => item.name === 'src')).toBeDefined();
       expect(result.find((item) => item.name === 'outside-link')).toBeUndefined();
@@ -528,12 +550,149 @@ describe('Main Process IPC Handlers', () => {
       fs.realpathSync.native = fs.realpathSync;
 
       const handler = mockIpcHandlers['fs:getDirectoryTree'];
-      const result = await handler(null, '/mock/repo', '');
+      const result = await handler(createInvokeEvent(), '/mock/repo', '');
 
       expect(result.find((item) => item.name === 'src')).toBeDefined();
       expect(result.find((item) => item.name === 'loop-link')).toBeUndefined();
       expect(readdirCalls).toBeLessThanOrEqual(maxReaddirCalls);
     });
+
+    test('should watch the selected root once its tree is complete', async () => {
+      const watchHandle = { close: jest.fn(), on: jest.fn() };
+      fs.watch = jest.fn().mockReturnValue(watchHandle);
+
+      const handler = mockIpcHandlers['fs:getDirectoryTree'];
+      await handler(createInvokeEvent(), '/mock/repo', '');
+
+      expect(fs.watch).toHaveBeenCalledWith(
+        '/mock/repo',
+        { recursive: true },
+        expect.any(Function)
+      );
+
+      // Selecting another directory stops watching the previous root.
+      await mockIpcHandlers['dialog:selectDirectory'](null);
+      expect(watchHandle.close).toHaveBeenCalled();
+    });
+
+    test('should stop watching when the e2e override selects the directory', async () => {
+      const watchHandle = { close: jest.fn(), on: jest.fn() };
+      fs.watch = jest.fn().mockReturnValue(watchHandle);
+      await mockIpcHandlers['fs:getDirectoryTree'](createInvokeEvent(), '/mock/repo', '');
+
+      process.env.E2E_DIALOG_DIRECTORY_PATH = '/mock/repo-next';
+      try {
+        await expect(mockIpcHandlers['dialog:selectDirectory'](null)).resolves.toBe(
+          '/mock/repo-next'
+        );
+      } finally {
+        delete process.env.E2E_DIALOG_DIRECTORY_PATH;
+      }
+      expect(watchHandle.close).toHaveBeenCalled();
+    });
+
+    test('should send scan progress tagged with the requested scan id', async () => {
+      const handler = mockIpcHandlers['fs:getDirectoryTree'];
+      const event = createInvokeEvent();
+      const result = await handler(event, '/mock/repo', '', { scanId: 7 });
+
+      const progressCalls = event.sender.send.mock.calls.filter(
+        ([channel]) => channel === 'fs:directoryScanProgress'
+      );
+      expect(progressCalls.length).toBeGreaterThan(0);
+      const finalProgress = progressCalls.at(-1)[1];
+      expect(finalProgress).toEqual(expect.objectContaining({ scanId: 7, status: 'completed' }));
+      expect(finalProgress.directoriesVisited).toBeGreaterThan(0);
+      const streamedPaths = progressCalls.flatMap(([, progress]) =>
+        progress.completedItems.map((item) => item.path)
+      );
+      expect(streamedPaths.sort()).toEqual(result.map((item) => item.path).sort());
+    });
+
+    test('should stop sending progress once the renderer is gone', async () => {
+      const handler = mockIpcHandlers['fs:getDirectoryTree'];
+      const event = createInvokeEvent();
+      event.sender.isDestroyed.mockReturnValue(true);
+
+      await handler(event, '/mock/repo', '');
+
+      expect(event.sender.send).not.toHaveBeenCalled();
+    });
+
+    test('should cancel the running scan', async () => {
+      const cancelHandler = mockIpcHandlers['fs:cancelDirectoryScan'];
+      expect(cancelHandler).toBeDefined();
+      expect(await cancelHandler(null)).toBe(false);
+
+      let releaseReaddir;
+      fs.promises.readdir.mockImplementationOnce(
+        () =>
+          new Promise((resolve) => {
+            releaseReaddir = () => resolve(fs.readdirSync('/mock/repo'));
+          })
+      );
+
+      const handler = mockIpcHandlers['fs:getDirectoryTree'];
+      const event = createInvokeEvent();
+      const scan = handler(event, '/mock/repo', '', { scanId: 3 });
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(await cancelHandler(null)).toBe(true);
+      releaseReaddir();
+
+      expect(await scan).toEqual([]);
+      expect(event.sender.send).toHaveBeenLastCalledWith(
+        'fs:directoryScanProgress',
+        expect.objectContaining({ scanId: 3, status: 'cancelled' })
+      );
+      expect(await cancelHandler(null)).toBe(false);
+    });
+  });
+
+  describe('lazy directory listing', () => {
+    const configContent = 'include_extensions:\n  - .js';
+
+    test('fs:getDirectoryChildren returns one level with child counts', async () => {
+      const handler = mockIpcHandlers['fs:getDirectoryChildren'];
+      expect(handler).toBeDefined();
+
+      const result = await handler(null, {
+        rootPath: '/mock/repo',
+        directoryPath: '/mock/repo/src',
+        configContent,
+      });
+
+      expect(result.map((item) => item.name)).toEqual(['utils', 'index.js']);
+      expect(result[0]).toEqual(expect.objectContaining({ type: 'directory', itemCount: 1 }));
+      expect(result[0].children).toBeUndefined();
+    });
+
+    test('fs:getDirectoryFiles resolves every file below a folder', async () => {
+      const handler = mockIpcHandlers['fs:getDirectoryFiles'];
+      expect(handler).toBeDefined();
+
+      const result = await handler(null, {
+        rootPath: '/mock/repo',
+        directoryPath: '/mock/repo/src',
+        configContent,
+      });
+
+      expect(result).toEqual({
+        files: ['/mock/repo/src/utils/helpers.js', '/mock/repo/src/index.js'],
+        folders: ['/mock/repo/src/utils'],
+      });
+    });
+
+    test('rejects listings outside the selected root', async () => {
+      const request = { rootPath: '/mock/repo', directoryPath: '/etc', configContent };
+
+      expect(await mockIpcHandlers['fs:getDirectoryChildren'](null, request)).toEqual([]);
+      expect(await mockIpcHandlers['fs:getDirectoryFiles'](null, request)).toEqual({
+        files: [],
+        folders: [],
+      });
+      expect(fs.promises.readdir).not.toHaveBeenCalled();
+    });
   });
 
   describe('updater handlers', () => {
@@ -793,6 +952,25 @@ describe('Main Process IPC Handlers', () => {
         })
       ).rejects.toThrow('Unauthorized root path');
     });
+
+    test('should reject a config with values of the wrong type before analyzing', async () => {
+      yaml.parse.mockReturnValue({
+        config_version: 2,
+        use_gitignore: 'no',
+        exclude_patterns: '**/dist/**',
+      });
+
+      const handler = mockIpcHandlers['repo:analyze'];
+      await expect(
+        handler(null, {
+          rootPath: '/mock/repo',
+          configContent: 'config_version: 2\nuse_gitignore: no\nexclude_patterns: "**/dist/**"',
+          selectedFiles: ['/mock/repo/src/index.js'],
+        })
+      ).rejects.toThrow(
+        'Invalid config: Line 2: `use_gitignore` must be true or false. Line 3: `exclude_patterns`'
+      );
+    });
   });
 
   describe('repo:process', () => {
@@ -1127,6 +1305,28 @@ describe('Main Process IPC Handlers', () => {
       expect(fs.writeFileSync).toHaveBeenCalledWith('/mock/repo/output.md', '# output');
     });
 
+    test('should prioritize json filter when default path uses .json extension', async () => {
+      const { dialog } = require('electron');
+      dialog.showSaveDialog.mockResolvedValue({
+        canceled: false,
+        filePath: '/mock/repo/output.json',
+      });
+
+      const handler = mockIpcHandlers['fs:saveFile'];
+      await handler(null, {
+        content: '{}',
+        defaultPath: '/mock/repo/output.json',
+      });
+
+      const saveDialogCallArgs = dialog.showSaveDialog.mock.calls[0];
+      const saveDialogOptions = saveDialogCallArgs[saveDialogCallArgs.length - 1];
+      expect(saveDialogOptions.filters[0]).toEqual({
+        name: 'JSON Files',
+        extensions: ['json'],
+      });
+      expect(saveDialogOptions.filters).toHaveLength(6);
+    });
+
     test('should return null when save dialog is canceled', async () => {
       const { dialog } = require('electron');
       dialog.showSaveDialog.mockResolvedValue({
@@ -1352,5 +1552,220 @@ describe('Main Process IPC Handlers', () => {
       const result = await handler(null, { rootPath: '/etc', filePaths: ['/etc/passwd'] });
       expect(result).toEqual({ results: {}, stats: {} });
     });
+
+    test('should count with the requested tokenizer', async () => {
+      const handler = mockIpcHandlers['tokens:countFiles'];
+      const result = await handler(null, {
+        rootPath: '/mock/repo',
+        filePaths: ['/mock/repo/src/file.js'],
+        tokenizer: 'o200k',
+      });
+
+      expect(result.results['/mock/repo/src/file.js']).toBe(90);
+    });
+  });
+
+  describe('tokens:compareTokenizers', () => {
+    test('should total text files for every requested tokenizer', async () => {
+      const handler = mockIpcHandlers['tokens:compareTokenizers'];
+      const result = await handler(null, {
+        rootPath: '/mock/repo',
+        filePaths: ['/mock/repo/src/file.js', '/mock/repo/package.json', '/mock/repo/image.png'],
+        tokenizers: ['cl100k', 'o200k', 'unknown'],
+      });
+
+      // Unknown ids fall back to the default tokenizer and binary files are not counted.
+      expect(result).toEqual({ totals: { cl100k: 200, o200k: 180 } });
+    });
+
+    test('should reject comparisons for unauthorized root path', async () => {
+      const handler = mockIpcHandlers['tokens:compareTokenizers'];
+      const result = await handler(null, { rootPath: '/etc', filePaths: ['/etc/passwd'] });
+      expect(result).toEqual({ totals: {} });
+    });
+  });
+
+  describe('gitignore:listIgnoreFiles', () => {
+    test('should list the ignore files found for the current root', async () => {
+      const handler = mockIpcHandlers['gitignore:listIgnoreFiles'];
+      const result = await handler(null, '/mock/repo');
+
+      expect(result).toEqual([{ source: 'gitignore', path: '/mock/repo/.gitignore' }]);
+    });
+
+    test('should reject listings for unauthorized root path', async () => {
+      const handler = mockIpcHandlers['gitignore:listIgnoreFiles'];
+      const result = await handler(null, '/unauthorized/path');
+
+      expect(result).toEqual([]);
+    });
+  });
+
+  describe('repository config', () => {
+    test('should load the config committed in the current root', async () => {
+      fs.readFileSync.mockImplementation((filePath) =>
+        filePath === '/mock/repo/.aicodefusion.yaml' ? 'use_gitignore: false' : ''
+      );
+
+      const handler = mockIpcHandlers['config:getRepoConfig'];
+      const result = await handler(null, '/mock/repo');
+
+      expect(result).toEqual({
+        relativePath: '.aicodefusion.yaml',
+        content: 'use_gitignore: false',
+      });
+    });
+
+    test('should write the config into the current root', async () => {
+      fs.existsSync.mockReturnValue(false);
+
+      const handler = mockIpcHandlers['config:writeRepoConfig'];
+      const result = await handler(null, {
+        rootPath: '/mock/repo',
+        configContent: 'use_gitignore: true',
+      });
+
+      expect(result).toEqual({
+        relativePath: '.aicodefusion.yaml',
+        content: 'use_gitignore: true',
+      });
+      expect(fs.writeFileSync).toHaveBeenCalledWith(
+        '/mock/repo/.aicodefusion.yaml',
+        'use_gitignore: true',
+        'utf8'
+      );
+    });
+
+    test('should reject repository config requests for unauthorized root path', async () => {
+      expect(await mockIpcHandlers['config:getRepoConfig'](null, '/unauthorized/path')).toBeNull();
+      expect(() =>
+        mockIpcHandlers['config:writeRepoConfig'](null, {
+          rootPath: '/unauthorized/path',
+          configContent: 'use_gitignore: true',
+        })
+      ).toThrow('Unauthorized root path');
+      expect(fs.writeFileSync).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('config:resolve', () => {
+    test('should apply config files extended from the current root', async () => {
+      fs.readFileSync.mockImplementation((filePath) =>
+        filePath === '/mock/repo/team.yaml' ? 'team config' : ''
+      );
+      yaml.parse.mockImplementation((content) =>
+        content === 'team config'
+          ? { include_extensions: ['.js', '.md'], use_gitignore: true }
+          : { extends: 'team.yaml', include_extensions: { add: ['.vue'], remove: ['.md'] } }
+      );
+
+      const handler = mockIpcHandlers['config:resolve'];
+      const result = await handler(null, { rootPath: '/mock/repo', configContent: 'user config' });
+
+      expect(result.sources).toEqual(['team.yaml']);
+      expect(yaml.stringify).toHaveBeenLastCalledWith({
+        config_version: 2,
+        include_extensions: ['.js', '.vue'],
+        use_gitignore: true,
+      });
+    });
+
+    test('should reject configs that are not a mapping or extend files outside the root', async () => {
+      const handler = mockIpcHandlers['config:resolve'];
+
+      yaml.parse.mockReturnValue(['not', 'a', 'mapping']);
+      expect(() => handler(null, { configContent: 'list' })).toThrow(
+        'The config must be a YAML mapping.'
+      );
+
+      yaml.parse.mockReturnValue({ extends: '../outside.yaml' });
+      expect(() => handler(null, { rootPath: '/mock/repo', configContent: 'outside' })).toThrow(
+        'must be inside the selected directory'
+      );
+      expect(() =>
+        handler(null, { rootPath: '/unauthorized/path', configContent: 'outside' })
+      ).toThrow('can only be extended once a folder is selected');
+    });
+  });
+
+  describe('config:migrate', () => {
+    test('should upgrade an unversioned config and report what changed', async () => {
+      yaml.parse.mockReturnValue({ include_extensions: ['js'], exclude_patterns: '**/dist/**' });
+
+      const handler = mockIpcHandlers['config:migrate'];
+      const result = await handler(
+        null,
+        '# Legacy config\ninclude_extensions:\n  - js\nexclude_patterns: "**/dist/**"\n'
+      );
+
+      expect(result).toEqual({
+        content:
+          'config_version: 2\n# Legacy config\ninclude_extensions:\n  - .js\n' +
+          'exclude_patterns:\n  - "**/dist/**"\n',
+        migration: {
+          fromVersion: 1,
+          toVersion: 2,
+          changes: [
+            'exclude_patterns: turned the single value "**/dist/**" into a list.',
+            'include_extensions: added the leading dot to js.',
+          ],
+        },
+      });
+    });
+
+    test('should return current configs unchanged', async () => {
+      yaml.parse.mockReturnValue({ config_version: 2, include_extensions: ['.js'] });
+
+      const handler = mockIpcHandlers['config:migrate'];
+      expect(await handler(null, 'current config')).toEqual({
+        content: 'current config',
+        migration: null,
+      });
+    });
+  });
+
+  describe('filter:explainPath', () => {
+    test('should explain a root-relative path with the hidden parent directory', async () => {
+      const handler = mockIpcHandlers['filter:explainPath'];
+      expect(handler).toBeDefined();
+
+      const result = await handler(null, {
+        rootPath: '/mock/repo',
+        itemPath: 'node_modules/pkg/index.js',
+        configContent: 'use_gitignore: true',
+      });
+
+      expect(result).toEqual(
+        expect.objectContaining({
+          path: '/mock/repo/node_modules/pkg/index.js',
+          relativePath: 'node_modules/pkg/index.js',
+          excluded: true,
+        })
+      );
+      expect(result.excludedParent).toEqual(
+        expect.objectContaining({ relativePath: 'node_modules', excluded: true })
+      );
+    });
+
+    test('should reject paths outside the current root', async () => {
+      const handler = mockIpcHandlers['filter:explainPath'];
+
+      expect(() =>
+        handler(null, { rootPath: '/mock/repo', itemPath: '/etc/passwd', configContent: '' })
+      ).toThrow('inside the selected directory');
+      expect(() =>
+        handler(null, { rootPath: '/unauthorized/path', itemPath: 'a.js', configContent: '' })
+      ).toThrow('inside the selected directory');
+    });
+  });
+
+  describe('tokens:clearCache', () => {
+    test('should remove the persisted token cache under userData', async () => {
+      const handler = mockIpcHandlers['tokens:clearCache'];
+      const result = await handler(null);
+
+      expect(result).toBe(true);
+      expect(fs.rmSync).toHaveBeenCalledWith('/mock/userData/token-cache.json', { force: true });
+    });
   });
 });
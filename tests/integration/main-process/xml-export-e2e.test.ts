@@ -30,6 +30,7 @@ describe('XML export end-to-end', () => {
         setAppUserModelId: jest.fn(),
         quit: jest.fn(),
         getVersion: jest.fn().mockReturnValue('0.2.0'),
+        getPath: jest.fn().mockReturnValue(path.join(tempRoot, 'userData')),
       },
       BrowserWindow: jest.fn().mockImplementation(() => ({
         loadFile: jest.fn().mockResolvedValue(null),
@@ -1,4 +1,12 @@
 // Mock implementation of yaml module for testing
+import path from 'path';
+
+// Documents are edited in place to keep comments, which the simple mock cannot do, so document
+// helpers use the real parser (loaded by file path, as `yaml` itself maps to this mock).
+const realYaml = jest.requireActual(
+  path.join(__dirname, '..', '..', 'node_modules', 'yaml', 'dist', 'index.js')
+);
+
 const yamlMock = {
   parse: jest.fn((yamlString) => {
     // Simple mock implementation
@@ -18,6 +26,10 @@ const yamlMock = {
 
     if (/export_format\s*:\s*xml/.test(yamlString)) {
       parsedConfig.export_format = 'xml';
+    } else if (/export_format\s*:\s*jsonl/.test(yamlString)) {
+      parsedConfig.export_format = 'jsonl';
+    } else if (/export_format\s*:\s*json/.test(yamlString)) {
+      parsedConfig.export_format = 'json';
     } else if (/export_format\s*:\s*markdown/.test(yamlString)) {
       parsedConfig.export_format = 'markdown';
     }
@@ -30,6 +42,15 @@ const yamlMock = {
       parsedConfig.show_token_count = true;
     }
 
+    if (/stream_to_file\s*:\s*true/.test(yamlString)) {
+      parsedConfig.stream_to_file = true;
+    }
+
+    const tokenizerMatch = /tokenizer\s*:\s*([\w-]+)/.exec(yamlString);
+    if (tokenizerMatch) {
+      parsedConfig.tokenizer = tokenizerMatch[1];
+    }
+
     if (/provider\s*:/.test(yamlString)) {
       const providerConfig: Record<string, string> = {};
       const providerIdMatch = yamlString.match(/id\s*:\s*([^\n]+)/);
@@ -65,6 +86,8 @@ const yamlMock = {
     // Simple stringification for testing
     return JSON.stringify(obj, null, 2).replace(/"/g, '').replace(/\{/g, '').replace(/\}/g, '');
   }),
+  parseDocument: jest.fn((yamlString, options) => realYaml.parseDocument(yamlString, options)),
+  isMap: jest.fn((node) => realYaml.isMap(node)),
 };
 
 module.exports = yamlMock;
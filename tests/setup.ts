@@ -19,7 +19,7 @@ describe('Setup validation', () => {
 
 // Mock the tiktoken module
 jest.mock('tiktoken', () => ({
-  encoding_for_model: jest.fn().mockImplementation(() => ({
+  get_encoding: jest.fn().mockImplementation(() => ({
     encode: jest.fn().mockImplementation(() => Array(10)),
   })),
 }));
@@ -28,8 +28,23 @@ jest.mock('tiktoken', () => ({
 window.electronAPI = {
   selectDirectory: jest.fn().mockResolvedValue('/mock/directory'),
   getDirectoryTree: jest.fn().mockResolvedValue([]),
+  getDirectoryChildren: jest.fn().mockResolvedValue([]),
+  getDirectoryFiles: jest.fn().mockResolvedValue({ files: [], folders: [] }),
+  cancelDirectoryScan: jest.fn().mockResolvedValue(false),
+  onDirectoryScanProgress: jest.fn(() => () => {}),
+  onDirectoryChange: jest.fn(() => () => {}),
   saveFile: jest.fn().mockResolvedValue('/mock/output.md'),
   resetGitignoreCache: jest.fn().mockResolvedValue(true),
+  listIgnoreFiles: jest.fn().mockResolvedValue([]),
+  explainPathFilter: jest.fn().mockResolvedValue({
+    path: '',
+    relativePath: '',
+    isDirectory: false,
+    exists: true,
+    excluded: false,
+    decidedBy: null,
+    checks: [],
+  }),
   analyzeRepository: jest.fn().mockResolvedValue({
     filesInfo: [],
     totalTokens: 0,
@@ -42,12 +57,22 @@ window.electronAPI = {
     skippedFiles: 0,
     filesInfo: [],
   }),
+  processRepositoryToFile: jest.fn().mockResolvedValue(null),
   getDefaultConfig: jest.fn().mockResolvedValue(''),
+  getRepoConfig: jest.fn().mockResolvedValue(null),
+  writeRepoConfig: jest.fn().mockResolvedValue({ relativePath: '.aicodefusion.yaml', content: '' }),
+  resolveConfig: jest.fn().mockResolvedValue({ content: '', sources: [] }),
+  migrateConfig: jest
+    .fn()
+    .mockImplementation(async (configContent) => ({ content: configContent, migration: null })),
   getAssetPath: jest.fn().mockResolvedValue(null),
   countFilesTokens: jest.fn().mockResolvedValue({
     results: {},
     stats: {},
   }),
+  onTokenCountProgress: jest.fn(() => () => {}),
+  compareTokenizers: jest.fn().mockResolvedValue({ totals: {} }),
+  clearTokenCache: jest.fn().mockResolvedValue(true),
   getUpdaterStatus: jest.fn().mockResolvedValue({
     enabled: false,
     platformSupported: false,
@@ -124,6 +149,7 @@ jest.mock('fs', () => ({
   existsSync: jest.fn().mockReturnValue(true),
   readFileSync: jest.fn().mockReturnValue('mock content'),
   writeFileSync: jest.fn(),
+  rmSync: jest.fn(),
   openSync: jest.fn().mockReturnValue(1),
   readSync: jest.fn().mockReturnValue(100),
   closeSync: jest.fn(),
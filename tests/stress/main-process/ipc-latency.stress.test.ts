@@ -19,6 +19,7 @@ jest.mock('electron', () => ({
     setAppUserModelId: jest.fn(),
     quit: jest.fn(),
     getVersion: jest.fn().mockReturnValue('0.2.0'),
+    getPath: jest.fn().mockReturnValue('/mock/userData'),
   },
   BrowserWindow: jest.fn().mockImplementation(() => ({
     loadFile: jest.fn().mockResolvedValue(null),
@@ -65,12 +66,14 @@ jest.mock('../../../src/utils/token-counter', () => ({
 }));
 jest.mock('../../../src/utils/gitignore-parser', () => ({
   GitignoreParser: jest.fn().mockImplementation(() => ({
-    parseGitignore: jest.fn().mockReturnValue({
-      excludePatterns: [],
-      includePatterns: [],
-    }),
+    parseGitignore: jest.fn().mockReturnValue([]),
+    parseIgnoreFiles: jest.fn().mockReturnValue([]),
+    parseGitignoreForPaths: jest.fn().mockReturnValue([]),
+    parseDirectoryGitignore: jest.fn().mockReturnValue([]),
     clearCache: jest.fn(),
   })),
+  resolveIgnoreFileSettings: jest.requireActual('../../../src/utils/gitignore-parser')
+    .resolveIgnoreFileSettings,
 }));
 jest.mock('../../../src/utils/file-analyzer', () => ({
   FileAnalyzer: jest.fn().mockImplementation(() => ({
@@ -120,8 +123,17 @@ const configureFlatRepositoryMock = (files: string[], size: number) => {
   });
   fs.statSync.mockImplementation(() => createMockStats({ size }));
   fs.lstatSync.mockImplementation(() => createMockStats({ size }));
+  // The tree walk is async; route it through the sync mocks above.
+  fs.promises = fs.promises || {};
+  fs.promises.readdir = jest.fn().mockImplementation(async (dirPath) => fs.readdirSync(dirPath));
+  fs.promises.lstat = jest.fn().mockImplementation(async (itemPath) => fs.lstatSync(itemPath));
+  fs.promises.stat = jest.fn().mockImplementation(async (itemPath) => fs.statSync(itemPath));
 };
 
+const createInvokeEvent = () => ({
+  sender: { send: jest.fn(), isDestroyed: () => false },
+});
+
 const percentile = (values: number[], p: number): number => {
   if (!Array.isArray(values) || values.length === 0) {
     return 0;
@@ -176,7 +188,7 @@ describe('Main Process IPC Stress Benchmarks', () => {
     let firstResultLength = 0;
     for (let i = 0; i < 7; i++) {
       const startedAt = process.hrtime.bigint();
-      const result = await handler(null, MOCK_ROOT_DIR, '');
+      const result = await handler(createInvokeEvent(), MOCK_ROOT_DIR, '');
       const durationMs = Number(process.hrtime.bigint() - startedAt) / 1_000_000;
       if (i === 0) {
         firstResultLength = Array.isArray(result) ? result.length : 0;
@@ -218,7 +230,7 @@ describe('Main Process IPC Stress Benchmarks', () => {
     };
 
     for (let i = 0; i < 20; i++) {
-      await handler(null, MOCK_ROOT_DIR, '');
+      await handler(createInvokeEvent(), MOCK_ROOT_DIR, '');
       lagSamplesMs.push(await sampleLag());
     }
 
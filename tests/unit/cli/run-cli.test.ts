@@ -0,0 +1,241 @@
+jest.unmock('fs');
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import yaml from 'yaml';
+
+import {
+  CLI_EXIT_CODES,
+  CliUsageError,
+  parseCliArgs,
+  runCli,
+} from '../../../src/cli/run-cli';
+
+const createTempRepository = () => {
+  const rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-run-'));
+  const createFile = (relativePath: string, content: string) => {
+    const fullPath = path.join(rootPath, relativePath);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, content, 'utf-8');
+  };
+
+  return {
+    rootPath,
+    createFile,
+    cleanup: () => {
+      fs.rmSync(rootPath, { recursive: true, force: true });
+    },
+  };
+};
+
+const createIo = () => {
+  const stdout: string[] = [];
+  const stderr: string[] = [];
+  return {
+    io: {
+      stdout: (text: string) => stdout.push(text),
+      stderr: (text: string) => stderr.push(text),
+    },
+    stdout: () => stdout.join(''),
+    stderr: () => stderr.join(''),
+  };
+};
+
+describe('cli argument parsing', () => {
+  test('parses root, repeatable include globs and output options', () => {
+    const options = parseCliArgs([
+      'repo',
+      '--config',
+      'config.yaml',
+      '-i',
+      'src/**/*.ts',
+      '--include',
+      '**/Dockerfile',
+      '-o',
+      'out.xml',
+      '--format',
+      'XML',
+      '--tree',
+      '--no-token-count',
+    ]);
+
+    expect(options).toEqual(
+      expect.objectContaining({
+        rootPath: 'repo',
+        configPath: 'config.yaml',
+        includeGlobs: ['src/**/*.ts', '**/Dockerfile'],
+        outputPath: 'out.xml',
+        exportFormat: 'xml',
+        includeTreeView: true,
+        showTokenCount: false,
+      })
+    );
+  });
+
+  test('rejects missing root, unknown flags and unsupported formats', () => {
+    expect(() => parseCliArgs([])).toThrow(CliUsageError);
+    expect(() => parseCliArgs(['repo', '--unknown'])).toThrow(CliUsageError);
+    expect(() => parseCliArgs(['repo', '--format', 'html'])).toThrow('Unsupported format');
+  });
+});
+
+describe('runCli', () => {
+  test('writes processed markdown for files matching include globs to stdout', async () => {
+    const { rootPath, createFile, cleanup } = createTempRepository();
+    const { io, stdout } = createIo();
+    try {
+      createFile('src/index.js', 'const answer = 42;\n');
+      createFile('src/feature.jsx', 'export const Feature = () => null;\n');
+      createFile('config.yaml', 'include_extensions:\n  - .js\n');
+
+      const exitCode = await runCli(
+        [rootPath, '--config', path.join(rootPath, 'config.yaml'), '--include', '**/index.js'],
+        io
+      );
+
+      expect(exitCode).toBe(CLI_EXIT_CODES.success);
+      expect(stdout()).toContain('# Repository Content');
+      expect(stdout()).toContain('src/index.js');
+      expect(stdout()).toContain('const answer = 42;');
+      expect(stdout()).not.toContain('src/feature.jsx');
+      expect(stdout()).toContain('--END--');
+    } finally {
+      cleanup();
+    }
+  });
+
+  test('writes xml output to the requested file and reports a summary on stderr', async () => {
+    const { rootPath, createFile, cleanup } = createTempRepository();
+    const { io, stdout, stderr } = createIo();
+    const outputPath = path.join(os.tmpdir(), `cli-output-${process.pid}.xml`);
+    try {
+      createFile('src/index.js', 'console.log("xml");\n');
+
+      const exitCode = await runCli([rootPath, '--format', 'xml', '--output', outputPath], io);
+
+      expect(exitCode).toBe(CLI_EXIT_CODES.success);
+      expect(stdout()).toBe('');
+      expect(stderr()).toContain(`as xml to ${outputPath}`);
+      const written = fs.readFileSync(outputPath, 'utf8');
+      expect(written).toContain('<repositoryContent>');
+      expect(written).toContain('<file path="src/index.js"');
+    } finally {
+      fs.rmSync(outputPath, { force: true });
+      cleanup();
+    }
+  });
+
+  test('splits output into parts under max_tokens_per_part from the config', async () => {
+    const realYaml = jest.requireActual<typeof yaml>(
+      path.join(__dirname, '..', '..', '..', 'node_modules', 'yaml', 'dist', 'index.js')
+    );
+    const mockParse = jest.mocked(yaml.parse).getMockImplementation();
+    jest.mocked(yaml.parse).mockImplementation(realYaml.parse);
+
+    const { rootPath, createFile, cleanup } = createTempRepository();
+    const outputDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-parts-'));
+    try {
+      // The tiktoken mock counts 10 tokens for each file, wrapper, header and footer.
+      createFile('src/a.js', 'const a = 1;\n');
+      createFile('src/b.js', 'const b = 2;\n');
+      createFile('config.yaml', 'max_tokens_per_part: 45\n');
+      const configPath = path.join(rootPath, 'config.yaml');
+      const args = [rootPath, '--config', configPath, '--include', 'src/**'];
+
+      const streamed = createIo();
+      const outputPath = path.join(outputDirectory, 'output.md');
+      expect(await runCli([...args, '-o', outputPath], streamed.io)).toBe(CLI_EXIT_CODES.success);
+      const partPaths = [
+        path.join(outputDirectory, 'output.part-1-of-2.md'),
+        path.join(outputDirectory, 'output.part-2-of-2.md'),
+      ];
+      expect(streamed.stderr()).toContain(`as markdown to ${partPaths.join(', ')}`);
+      expect(fs.readFileSync(partPaths[0], 'utf8')).toContain('src/a.js');
+      expect(fs.readFileSync(partPaths[1], 'utf8')).toContain('src/b.js');
+
+      const joined = createIo();
+      expect(await runCli(args, joined.io)).toBe(CLI_EXIT_CODES.success);
+      expect(joined.stdout()).toContain('# Repository Content (part 2 of 2)');
+
+      const json = createIo();
+      expect(await runCli([...args, '--format', 'json'], json.io)).toBe(CLI_EXIT_CODES.failure);
+      expect(json.stderr()).toContain('use --output to write one file per part');
+    } finally {
+      fs.rmSync(outputDirectory, { recursive: true, force: true });
+      cleanup();
+      jest.mocked(yaml.parse).mockImplementation(mockParse);
+    }
+  });
+
+  test('returns a usage exit code for invalid arguments', async () => {
+    const { io, stderr } = createIo();
+
+    const exitCode = await runCli(['--format', 'xml'], io);
+
+    expect(exitCode).toBe(CLI_EXIT_CODES.usage);
+    expect(stderr()).toContain('Missing required <root> argument');
+    expect(stderr()).toContain('Usage: ai-code-fusion');
+  });
+
+  test('returns a failure exit code for missing roots, configs and empty selections', async () => {
+    const { rootPath, createFile, cleanup } = createTempRepository();
+    try {
+      createFile('src/index.js', 'const value = 1;\n');
+
+      const missingRoot = createIo();
+      expect(await runCli([path.join(rootPath, 'missing')], missingRoot.io)).toBe(
+        CLI_EXIT_CODES.failure
+      );
+      expect(missingRoot.stderr()).toContain('Root path does not exist');
+
+      const missingConfig = createIo();
+      expect(
+        await runCli([rootPath, '--config', path.join(rootPath, 'missing.yaml')], missingConfig.io)
+      ).toBe(CLI_EXIT_CODES.failure);
+      expect(missingConfig.stderr()).toContain('Unable to read config file');
+
+      const noMatches = createIo();
+      expect(await runCli([rootPath, '--include', '**/*.rs'], noMatches.io)).toBe(
+        CLI_EXIT_CODES.failure
+      );
+      expect(noMatches.stderr()).toContain('No files matched');
+    } finally {
+      cleanup();
+    }
+  });
+
+  test('upgrades an older config in memory and warns about what changed', async () => {
+    // `yaml` is mapped to a mock for every test, so the real parser is loaded by file path.
+    const realYaml = jest.requireActual<typeof yaml>(
+      path.join(__dirname, '..', '..', '..', 'node_modules', 'yaml', 'dist', 'index.js')
+    );
+    const mockParse = jest.mocked(yaml.parse).getMockImplementation();
+    const mockStringify = jest.mocked(yaml.stringify).getMockImplementation();
+    jest.mocked(yaml.parse).mockImplementation(realYaml.parse);
+    jest.mocked(yaml.stringify).mockImplementation(realYaml.stringify);
+
+    const { rootPath, createFile, cleanup } = createTempRepository();
+    const { io, stdout, stderr } = createIo();
+    const legacyConfig = 'use_custom_includes: true\ninclude_extensions:\n  - js\n';
+    try {
+      createFile('src/index.js', 'const answer = 42;\n');
+      createFile('src/notes.txt', 'notes\n');
+      createFile('config.yaml', legacyConfig);
+
+      const configPath = path.join(rootPath, 'config.yaml');
+      expect(await runCli([rootPath, '--config', configPath], io)).toBe(CLI_EXIT_CODES.success);
+      expect(stderr()).toContain(
+        `Warning: Upgraded config ${configPath} from version 1 to 2: include_extensions: added the leading dot to js.`
+      );
+      expect(stdout()).toContain('src/index.js');
+      expect(stdout()).not.toContain('src/notes.txt');
+      expect(fs.readFileSync(configPath, 'utf-8')).toBe(legacyConfig);
+    } finally {
+      cleanup();
+      jest.mocked(yaml.parse).mockImplementation(mockParse);
+      jest.mocked(yaml.stringify).mockImplementation(mockStringify);
+    }
+  });
+});
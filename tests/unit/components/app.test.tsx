@@ -65,15 +65,35 @@ jest.mock('../../../src/renderer/components/SourceTab', () => {
 
   const MockSourceTab = ({
     rootPath,
+    directoryTree,
+    directoryScan,
     selectedFiles,
     onDirectorySelect,
     onAnalyze,
     onRefreshTree,
+    onCancelScan,
     onFileSelect,
+    onFolderSelect,
+    onLoadChildren,
+    showExcluded,
+    onShowExcludedChange,
+    onIncludeAnyway,
+    configProfiles,
+    activeProfileId,
+    onProfileChange,
+    onFitToBudget,
   }) => {
     return (
       <div data-testid='mock-source-tab'>
         <div data-testid='root-path'>{rootPath}</div>
+        <div data-testid='tree-item-count'>{directoryTree?.length ?? 0}</div>
+        <div data-testid='src-children-count'>
+          {directoryTree?.find((item) => item.name === 'src')?.children?.length ?? 'unloaded'}
+        </div>
+        <div data-testid='scan-status'>{directoryScan?.status ?? 'idle'}</div>
+        <button data-testid='cancel-scan-btn' onClick={() => void onCancelScan?.()}>
+          Cancel Scan
+        </button>
         <button data-testid='select-directory-btn' onClick={onDirectorySelect}>
           Select Directory
         </button>
@@ -100,23 +120,79 @@ jest.mock('../../../src/renderer/components/SourceTab', () => {
         >
           Select File
         </button>
+        <button
+          data-testid='mock-select-folder-btn'
+          onClick={() => void onFolderSelect?.('/mock/directory/src', true)}
+        >
+          Select Folder
+        </button>
+        <button
+          data-testid='mock-load-children-btn'
+          onClick={() => void onLoadChildren?.('/mock/directory/src')}
+        >
+          Load Children
+        </button>
+        <div data-testid='show-excluded'>{String(showExcluded)}</div>
+        <button
+          data-testid='mock-show-excluded-btn'
+          onClick={() => void onShowExcludedChange(true)}
+        >
+          Show Excluded
+        </button>
+        <button
+          data-testid='mock-include-anyway-btn'
+          onClick={() => void onIncludeAnyway('/mock/directory/assets/logo.png')}
+        >
+          Include Anyway
+        </button>
+        <select
+          data-testid='mock-profile-select'
+          value={activeProfileId}
+          onChange={(e) => void onProfileChange(e.target.value)}
+        >
+          {configProfiles.map((profile) => (
+            <option key={profile.id} value={profile.id}>
+              {profile.name}
+            </option>
+          ))}
+        </select>
         <button
           data-testid='mock-select-invalid-file-btn'
           onClick={() => onFileSelect && onFileSelect('/mock/directory-secrets/file1.js', true)}
         >
           Select Invalid File
         </button>
+        <button
+          data-testid='mock-fit-budget-btn'
+          onClick={() => {
+            void onFitToBudget({ tokenBudget: 250, strategy: 'smallest-first' });
+          }}
+        >
+          Fit To Budget
+        </button>
       </div>
     );
   };
 
   MockSourceTab.propTypes = {
     rootPath: PropTypes.string,
+    directoryTree: PropTypes.array,
+    directoryScan: PropTypes.object,
     selectedFiles: PropTypes.any.isRequired,
     onDirectorySelect: PropTypes.func.isRequired,
     onAnalyze: PropTypes.func.isRequired,
     onRefreshTree: PropTypes.func.isRequired,
+    onCancelScan: PropTypes.func,
     onFileSelect: PropTypes.func,
+    onFolderSelect: PropTypes.func,
+    onLoadChildren: PropTypes.func,
+    showExcluded: PropTypes.bool,
+    onShowExcludedChange: PropTypes.func,
+    onIncludeAnyway: PropTypes.func,
+    configProfiles: PropTypes.array,
+    activeProfileId: PropTypes.string,
+    onProfileChange: PropTypes.func,
+    onFitToBudget: PropTypes.func,
   };
 
   // Use __esModule: true and default property to match ES module default export
@@ -133,7 +209,7 @@ jest.mock('../../../src/renderer/components/ProcessedTab', () => {
         <div data-testid='processed-content'>
           {processedResult ? processedResult.content : 'No content'}
         </div>
-        <button data-testid='save-btn' onClick={onSave}>
+        <button data-testid='save-btn' onClick={() => onSave()}>
           Save
         </button>
         <button data-testid='refresh-btn' onClick={onRefresh}>
@@ -157,6 +233,13 @@ jest.mock('../../../src/renderer/components/ProcessedTab', () => {
 
 // IMPORTANT: Only import App AFTER all mocks are set up
 import App from '../../../src/renderer/components/App';
+import path from 'path';
+import yaml from 'yaml';
+
+// `yaml` is mapped to a mock for every test, so the real parser is loaded by file path.
+const realYaml = jest.requireActual(
+  path.join(__dirname, '..', '..', '..', 'node_modules', 'yaml', 'dist', 'index.js')
+);
 
 // Mock the electronAPI for Electron's IPC
 window.electronAPI = {
@@ -175,8 +258,23 @@ window.electronAPI = {
       ],
     },
   ]),
+  getDirectoryChildren: jest.fn().mockResolvedValue([]),
+  getDirectoryFiles: jest.fn().mockResolvedValue({ files: [], folders: [] }),
+  cancelDirectoryScan: jest.fn().mockResolvedValue(false),
+  onDirectoryScanProgress: jest.fn(() => () => {}),
+  onDirectoryChange: jest.fn(() => () => {}),
   saveFile: jest.fn().mockResolvedValue('/mock/output.md'),
   resetGitignoreCache: jest.fn().mockResolvedValue(true),
+  listIgnoreFiles: jest.fn().mockResolvedValue([]),
+  explainPathFilter: jest.fn().mockResolvedValue({
+    path: '',
+    relativePath: '',
+    isDirectory: false,
+    exists: true,
+    excluded: false,
+    decidedBy: null,
+    checks: [],
+  }),
   analyzeRepository: jest.fn().mockResolvedValue({
     filesInfo: [
       { path: 'file1.js', tokens: 100 },
@@ -191,7 +289,17 @@ window.electronAPI = {
     processedFiles: 2,
     skippedFiles: 0,
   }),
+  processRepositoryToFile: jest.fn().mockResolvedValue(null),
   getDefaultConfig: jest.fn().mockResolvedValue('# Default config'),
+  getRepoConfig: jest.fn().mockResolvedValue(null),
+  writeRepoConfig: jest.fn().mockImplementation(async ({ configContent }) => ({
+    relativePath: '.aicodefusion.yaml',
+    content: configContent,
+  })),
+  resolveConfig: jest.fn().mockResolvedValue({ content: '', sources: [] }),
+  migrateConfig: jest
+    .fn()
+    .mockImplementation(async (configContent) => ({ content: configContent, migration: null })),
   getAssetPath: jest.fn().mockResolvedValue('/mock/assets/image.png'),
   getFilesStats: jest.fn().mockResolvedValue({
     stats: { '/mock/file1.js': { size: 1000, mtime: Date.now() } },
@@ -200,6 +308,9 @@ window.electronAPI = {
     results: { '/mock/file1.js': 100 },
     stats: { '/mock/file1.js': { size: 1000, mtime: Date.now() } },
   }),
+  onTokenCountProgress: jest.fn(() => () => {}),
+  compareTokenizers: jest.fn().mockResolvedValue({ totals: {} }),
+  clearTokenCache: jest.fn().mockResolvedValue(true),
 };
 
 // Mock the electron shell
@@ -320,6 +431,60 @@ describe('App Component', () => {
     expect(localStorage.getItem).toHaveBeenCalledWith('configContent');
   });
 
+  test('upgrades an older config loaded from localStorage', async () => {
+    const legacyConfig = 'include_extensions:\n  - js';
+    const migratedConfig = 'config_version: 2\ninclude_extensions:\n  - .js';
+    localStorage.getItem.mockReturnValue(legacyConfig);
+    window.electronAPI.migrateConfig.mockResolvedValueOnce({
+      content: migratedConfig,
+      migration: {
+        fromVersion: 1,
+        toVersion: 2,
+        changes: ['include_extensions: added the leading dot to js.'],
+      },
+    });
+
+    render(<App />);
+
+    await waitFor(() => {
+      expect(screen.getByTestId('config-content').value).toBe(migratedConfig);
+    });
+    expect(window.electronAPI.migrateConfig).toHaveBeenCalledWith(legacyConfig);
+  });
+
+  test('scans the saved folder at startup with the upgraded saved config', async () => {
+    const legacyConfig = 'include_extensions:\n  - js';
+    const migratedConfig = 'config_version: 2\ninclude_extensions:\n  - .js';
+    localStorage.setItem('rootPath', '/mock/directory');
+    localStorage.setItem('configContent', legacyConfig);
+    window.electronAPI.migrateConfig.mockResolvedValueOnce({
+      content: migratedConfig,
+      migration: null,
+    });
+
+    render(<App />);
+    await waitFor(() => {
+      expect(window.electronAPI.getDirectoryTree).toHaveBeenCalledWith(
+        '/mock/directory',
+        migratedConfig,
+        expect.anything()
+      );
+    });
+  });
+
+  test('scans the saved folder at startup with the default config when none is saved', async () => {
+    localStorage.setItem('rootPath', '/mock/directory');
+
+    render(<App />);
+    await waitFor(() => {
+      expect(window.electronAPI.getDirectoryTree).toHaveBeenCalledWith(
+        '/mock/directory',
+        '# Default config',
+        expect.anything()
+      );
+    });
+  });
+
   test('loads default config if localStorage is empty', async () => {
     // Setup mocks
     localStorage.getItem.mockReturnValue(null); // No stored config
@@ -445,6 +610,584 @@ describe('App Component', () => {
     expect(window.electronAPI.getDirectoryTree).toHaveBeenCalledTimes(2);
   });
 
+  test('renders streamed scan results and cancels the running scan', async () => {
+    let emitProgress;
+    window.electronAPI.onDirectoryScanProgress.mockImplementationOnce((listener) => {
+      emitProgress = listener;
+      return () => {};
+    });
+    let resolveTree;
+    window.electronAPI.getDirectoryTree.mockImplementationOnce(
+      () =>
+        new Promise((resolve) => {
+          resolveTree = resolve;
+        })
+    );
+    const srcFolder = { name: 'src', path: '/mock/directory/src', type: 'directory', children: [] };
+
+    render(<App />);
+    openSourceTab();
+    await clickSelectDirectory();
+
+    await waitFor(() => {
+      expect(screen.getByTestId('scan-status')).toHaveTextContent('scanning');
+    });
+    const { scanId } = window.electronAPI.getDirectoryTree.mock.calls[0][2];
+
+    act(() => {
+      emitProgress({
+        scanId,
+        status: 'scanning',
+        directoriesVisited: 2,
+        filesFound: 1,
+        completedItems: [srcFolder],
+      });
+      // Progress from a superseded scan is ignored.
+      emitProgress({
+        scanId: scanId - 1,
+        status: 'scanning',
+        directoriesVisited: 9,
+        filesFound: 9,
+        completedItems: [{ name: 'stale.js', path: '/old/stale.js', type: 'file' }],
+      });
+    });
+    expect(screen.getByTestId('tree-item-count')).toHaveTextContent('1');
+
+    await act(async () => {
+      fireEvent.click(screen.getByTestId('cancel-scan-btn'));
+      await Promise.resolve();
+    });
+    expect(window.electronAPI.cancelDirectoryScan).toHaveBeenCalled();
+    expect(screen.getByTestId('scan-status')).toHaveTextContent('cancelled');
+
+    await act(async () => {
+      resolveTree([srcFolder]);
+    });
+    expect(screen.getByTestId('scan-status')).toHaveTextContent('cancelled');
+    expect(screen.getByTestId('tree-item-count')).toHaveTextContent('1');
+  });
+
+  test('loads folder children on demand and selects folders through the main process', async () => {
+    window.electronAPI.getDirectoryTree.mockResolvedValueOnce([
+      { name: 'src', path: '/mock/directory/src', type: 'directory', itemCount: 1 },
+    ]);
+    window.electronAPI.getDirectoryChildren.mockResolvedValueOnce([
+      { name: 'nested', path: '/mock/directory/src/nested', type: 'directory', itemCount: 3 },
+    ]);
+    window.electronAPI.getDirectoryFiles.mockResolvedValueOnce({
+      files: ['/mock/directory/src/nested/a.js', '/mock/directory/src/nested/b.js'],
+      folders: ['/mock/directory/src/nested'],
+    });
+
+    render(<App />);
+    openSourceTab();
+    await clickSelectDirectory();
+
+    await waitFor(() => {
+      expect(screen.getByTestId('src-children-count')).toHaveTextContent('unloaded');
+    });
+    expect(window.electronAPI.getDirectoryTree).toHaveBeenCalledWith(
+      '/mock/directory',
+      expect.anything(),
+      expect.objectContaining({ maxDepth: 1 })
+    );
+
+    await act(async () => {
+      fireEvent.click(screen.getByTestId('mock-load-children-btn'));
+    });
+    expect(window.electronAPI.getDirectoryChildren).toHaveBeenCalledWith({
+      rootPath: '/mock/directory',
+      directoryPath: '/mock/directory/src',
+      configContent: expect.any(String),
+      includeExcluded: false,
+    });
+    expect(screen.getByTestId('src-children-count')).toHaveTextContent('1');
+
+    await act(async () => {
+      fireEvent.click(screen.getByTestId('mock-select-folder-btn'));
+    });
+    expect(screen.getByTestId('selected-files-count')).toHaveTextContent('2');
+  });
+
+  test('patches the tree from watcher events and keeps the selection of remaining files', async () => {
+    let emitChange;
+    window.electronAPI.onDirectoryChange.mockImplementation((listener) => {
+      emitChange = listener;
+      return () => {};
+    });
+    const file1 = { name: 'file1.js', path: '/mock/directory/src/file1.js', type: 'file' };
+    const file2 = { name: 'file2.js', path: '/mock/directory/src/file2.js', type: 'file' };
+    window.electronAPI.getDirectoryTree.mockResolvedValueOnce([
+      { name: 'src', path: '/mock/directory/src', type: 'directory', children: [file1] },
+    ]);
+
+    render(<App />);
+    openSourceTab();
+    await clickSelectDirectory();
+    await waitFor(() => {
+      expect(screen.getByTestId('src-children-count')).toHaveTextContent('1');
+    });
+    fireEvent.click(screen.getByTestId('mock-select-file-btn'));
+    expect(screen.getByTestId('selected-files-count')).toHaveTextContent('1');
+
+    act(() => {
+      emitChange({
+        rootPath: '/mock/directory',
+        changes: [
+          { type: 'add', path: file2.path, item: file2 },
+          { type: 'change', path: file1.path, item: file1 },
+        ],
+      });
+      // Events for another root are ignored.
+      emitChange({
+        rootPath: '/other',
+        changes: [{ type: 'unlink', path: '/mock/directory/src' }],
+      });
+    });
+    expect(screen.getByTestId('src-children-count')).toHaveTextContent('2');
+    expect(screen.getByTestId('selected-files-count')).toHaveTextContent('1');
+
+    act(() => {
+      emitChange({
+        rootPath: '/mock/directory',
+        changes: [{ type: 'unlink', path: file1.path }],
+      });
+    });
+    expect(screen.getByTestId('src-children-count')).toHaveTextContent('1');
+    expect(screen.getByTestId('selected-files-count')).toHaveTextContent('0');
+    expect(window.electronAPI.getDirectoryTree).toHaveBeenCalledTimes(1);
+  });
+
+  test('selects files added to a selected folder without resubscribing to watcher events', async () => {
+    let emitChange;
+    window.electronAPI.onDirectoryChange.mockImplementation((listener) => {
+      emitChange = listener;
+      return () => {};
+    });
+    const file1 = { name: 'file1.js', path: '/mock/directory/src/file1.js', type: 'file' };
+    const file2 = { name: 'file2.js', path: '/mock/directory/src/file2.js', type: 'file' };
+    window.electronAPI.getDirectoryTree.mockResolvedValueOnce([
+      { name: 'src', path: '/mock/directory/src', type: 'directory', children: [file1] },
+    ]);
+    window.electronAPI.getDirectoryFiles.mockResolvedValueOnce({
+      files: [file1.path],
+      folders: ['/mock/directory/src'],
+    });
+
+    render(<App />);
+    openSourceTab();
+    await clickSelectDirectory();
+    await waitFor(() => {
+      expect(screen.getByTestId('src-children-count')).toHaveTextContent('1');
+    });
+    const subscriptions = window.electronAPI.onDirectoryChange.mock.calls.length;
+
+    await act(async () => {
+      fireEvent.click(screen.getByTestId('mock-select-folder-btn'));
+    });
+    expect(screen.getByTestId('selected-files-count')).toHaveTextContent('1');
+    expect(window.electronAPI.onDirectoryChange).toHaveBeenCalledTimes(subscriptions);
+
+    act(() => {
+      emitChange({
+        rootPath: '/mock/directory',
+        changes: [{ type: 'add', path: file2.path, item: file2 }],
+      });
+    });
+    expect(screen.getByTestId('selected-files-count')).toHaveTextContent('2');
+  });
+
+  test('lists excluded entries on request and includes one anyway through the config', async () => {
+    render(<App />);
+    openSourceTab();
+    await clickSelectDirectory();
+    fireEvent.click(screen.getByTestId('mock-select-file-btn'));
+
+    await act(async () => {
+      fireEvent.click(screen.getByTestId('mock-show-excluded-btn'));
+    });
+    expect(screen.getByTestId('show-excluded')).toHaveTextContent('true');
+    expect(window.electronAPI.getDirectoryTree).toHaveBeenLastCalledWith(
+      '/mock/directory',
+      expect.anything(),
+      expect.objectContaining({ includeExcluded: true })
+    );
+
+    await act(async () => {
+      fireEvent.click(screen.getByTestId('mock-include-anyway-btn'));
+    });
+    const [, configContent, options] = window.electronAPI.getDirectoryTree.mock.calls.at(-1);
+    expect(configContent).toMatch(/include_overrides[\s\S]*assets\/logo\.png/);
+    expect(options).toEqual(expect.objectContaining({ includeExcluded: true }));
+    // Neither rescan drops the selection: excluded entries are never selected.
+    expect(screen.getByTestId('selected-files-count')).toHaveTextContent('1');
+  });
+
+  test('starts with the default profile and rescans the tree with the profile switched to', async () => {
+    localStorage.setItem('rootPath', '/mock/directory');
+    localStorage.setItem(
+      'configProfiles',
+      JSON.stringify({
+        profiles: [
+          { id: 'backend', name: 'Backend review', configContent: 'include_globs: [src/**]' },
+          { id: 'docs', name: 'Docs', configContent: 'include_extensions: [.md]' },
+        ],
+        defaultProfileId: 'docs',
+      })
+    );
+
+    render(<App />);
+
+    await waitFor(() => {
+      expect(screen.getByTestId('config-content')).toHaveValue('include_extensions: [.md]');
+    });
+    expect(window.electronAPI.getDirectoryTree).toHaveBeenCalledWith(
+      '/mock/directory',
+      'include_extensions: [.md]',
+      expect.anything()
+    );
+
+    fireEvent.change(screen.getByTestId('config-content'), {
+      target: { value: 'include_extensions: [.md, .mdx]' },
+    });
+    await act(async () => {
+      openSourceTab();
+    });
+    fireEvent.click(screen.getByTestId('mock-select-file-btn'));
+    expect(screen.getByTestId('selected-files-count')).toHaveTextContent('1');
+
+    await act(async () => {
+      fireEvent.change(screen.getByTestId('mock-profile-select'), {
+        target: { value: 'backend' },
+      });
+    });
+
+    expect(screen.getByTestId('config-content')).toHaveValue('include_globs: [src/**]');
+    expect(window.electronAPI.getDirectoryTree).toHaveBeenLastCalledWith(
+      '/mock/directory',
+      'include_globs: [src/**]',
+      expect.anything()
+    );
+    expect(screen.getByTestId('selected-files-count')).toHaveTextContent('0');
+    // The edit made to the profile switched away from is kept.
+    expect(JSON.parse(localStorageStore.configProfiles)).toEqual({
+      profiles: [
+        { id: 'backend', name: 'Backend review', configContent: 'include_globs: [src/**]' },
+        { id: 'docs', name: 'Docs', configContent: 'include_extensions: [.md, .mdx]' },
+      ],
+      defaultProfileId: 'docs',
+    });
+  });
+
+  test('layers the config committed in the selected folder over the profile config', async () => {
+    localStorage.setItem('configContent', 'use_gitignore: true');
+    window.electronAPI.getRepoConfig
+      .mockResolvedValueOnce({
+        relativePath: '.aicodefusion.yaml',
+        content: 'include_extensions: [.py]',
+      })
+      .mockResolvedValueOnce(null);
+
+    render(<App />);
+    await act(async () => {
+      openSourceTab();
+    });
+    await clickSelectDirectory();
+
+    await waitFor(() => {
+      expect(screen.getByTestId('config-content')).not.toHaveValue('use_gitignore: true');
+    });
+    const layeredConfig = (screen.getByTestId('config-content') as HTMLTextAreaElement).value;
+    expect(layeredConfig).toContain('include_extensions');
+    expect(layeredConfig).toContain('default_value');
+    expect(window.electronAPI.getRepoConfig).toHaveBeenCalledWith('/mock/directory');
+    expect(window.electronAPI.getDirectoryTree).toHaveBeenLastCalledWith(
+      '/mock/directory',
+      layeredConfig,
+      expect.anything()
+    );
+    // The profile keeps its own config while the repository config is active.
+    expect(localStorageStore.configContent).toBe('use_gitignore: true');
+
+    await clickSelectDirectory();
+
+    await waitFor(() => {
+      expect(screen.getByTestId('config-content')).toHaveValue('use_gitignore: true');
+    });
+    expect(window.electronAPI.getDirectoryTree).toHaveBeenLastCalledWith(
+      '/mock/directory',
+      'use_gitignore: true',
+      expect.anything()
+    );
+  });
+
+  test('layers the config committed in the saved folder at startup', async () => {
+    localStorage.setItem('rootPath', '/mock/directory');
+    localStorage.setItem('configContent', 'use_gitignore: true');
+    window.electronAPI.getRepoConfig.mockResolvedValueOnce({
+      relativePath: '.aicodefusion.yaml',
+      content: 'include_extensions: [.py]',
+    });
+
+    render(<App />);
+
+    await waitFor(() => {
+      expect(window.electronAPI.getDirectoryTree).toHaveBeenCalled();
+    });
+    const layeredConfig = (screen.getByTestId('config-content') as HTMLTextAreaElement).value;
+    expect(layeredConfig).toContain('include_extensions');
+    expect(window.electronAPI.getRepoConfig).toHaveBeenCalledWith('/mock/directory');
+    expect(window.electronAPI.getDirectoryTree).toHaveBeenCalledTimes(1);
+    expect(window.electronAPI.getDirectoryTree).toHaveBeenCalledWith(
+      '/mock/directory',
+      layeredConfig,
+      expect.anything()
+    );
+    // The profile keeps its own config while the repository config is active.
+    expect(localStorageStore.configContent).toBe('use_gitignore: true');
+  });
+
+  test('saves config edits to the profile while a repository config is active', async () => {
+    const mockParse = jest.mocked(yaml.parse).getMockImplementation();
+    const mockStringify = jest.mocked(yaml.stringify).getMockImplementation();
+    jest.mocked(yaml.parse).mockImplementation(realYaml.parse);
+    jest.mocked(yaml.stringify).mockImplementation(realYaml.stringify);
+    try {
+      localStorage.setItem(
+        'configProfiles',
+        JSON.stringify({
+          profiles: [
+            { id: 'backend', name: 'Backend review', configContent: 'use_gitignore: true\n' },
+            { id: 'docs', name: 'Docs', configContent: 'include_extensions: [.md]\n' },
+          ],
+          defaultProfileId: 'backend',
+        })
+      );
+      window.electronAPI.getRepoConfig.mockResolvedValueOnce({
+        relativePath: '.aicodefusion.yaml',
+        content: 'include_extensions: [.py]\n',
+      });
+
+      render(<App />);
+      await act(async () => {
+        openSourceTab();
+      });
+      await clickSelectDirectory();
+      await waitFor(() => {
+        expect(screen.getByTestId('config-content')).toHaveValue(
+          'use_gitignore: true\ninclude_extensions:\n  - .py\n'
+        );
+      });
+
+      fireEvent.change(screen.getByTestId('config-content'), {
+        target: { value: 'use_gitignore: false\ninclude_extensions:\n  - .py\n' },
+      });
+      await act(async () => {
+        fireEvent.change(screen.getByTestId('mock-profile-select'), {
+          target: { value: 'docs' },
+        });
+      });
+
+      // The repository config stays layered over the profile switched to.
+      expect(screen.getByTestId('config-content')).toHaveValue('include_extensions:\n  - .py\n');
+      expect(JSON.parse(localStorageStore.configProfiles).profiles[0]).toEqual({
+        id: 'backend',
+        name: 'Backend review',
+        configContent: 'use_gitignore: false\n',
+      });
+    } finally {
+      jest.mocked(yaml.parse).mockImplementation(mockParse);
+      jest.mocked(yaml.stringify).mockImplementation(mockStringify);
+    }
+  });
+
+  test('includes a path anyway in the saved profile config, keeping its comments', async () => {
+    const mockParse = jest.mocked(yaml.parse).getMockImplementation();
+    const mockStringify = jest.mocked(yaml.stringify).getMockImplementation();
+    jest.mocked(yaml.parse).mockImplementation(realYaml.parse);
+    jest.mocked(yaml.stringify).mockImplementation(realYaml.stringify);
+    try {
+      localStorage.setItem(
+        'configProfiles',
+        JSON.stringify({
+          profiles: [
+            {
+              id: 'backend',
+              name: 'Backend review',
+              configContent: '# Team defaults\nuse_gitignore: true\n',
+            },
+          ],
+          defaultProfileId: 'backend',
+        })
+      );
+      window.electronAPI.getRepoConfig.mockResolvedValueOnce({
+        relativePath: '.aicodefusion.yaml',
+        content: 'include_extensions: [.py]\n',
+      });
+
+      render(<App />);
+      await act(async () => {
+        openSourceTab();
+      });
+      await clickSelectDirectory();
+      await act(async () => {
+        fireEvent.click(screen.getByTestId('mock-include-anyway-btn'));
+      });
+
+      const [, configContent] = window.electronAPI.getDirectoryTree.mock.calls.at(-1);
+      expect(realYaml.parse(configContent)).toEqual({
+        use_gitignore: true,
+        include_extensions: ['.py'],
+        include_overrides: ['assets/logo.png'],
+      });
+      await waitFor(() => {
+        expect(JSON.parse(localStorageStore.configProfiles).profiles[0].configContent).toBe(
+          '# Team defaults\nuse_gitignore: true\ninclude_overrides:\n  - assets/logo.png\n'
+        );
+      });
+    } finally {
+      jest.mocked(yaml.parse).mockImplementation(mockParse);
+      jest.mocked(yaml.stringify).mockImplementation(mockStringify);
+    }
+  });
+
+  test('does not include a path anyway while the config has invalid settings', async () => {
+    const mockParse = jest.mocked(yaml.parse).getMockImplementation();
+    const mockStringify = jest.mocked(yaml.stringify).getMockImplementation();
+    jest.mocked(yaml.parse).mockImplementation(realYaml.parse);
+    jest.mocked(yaml.stringify).mockImplementation(realYaml.stringify);
+    try {
+      localStorage.setItem('configContent', 'use_gitignore: sometimes\n');
+
+      render(<App />);
+      openSourceTab();
+      await clickSelectDirectory();
+      const scanCount = window.electronAPI.getDirectoryTree.mock.calls.length;
+      await act(async () => {
+        fireEvent.click(screen.getByTestId('mock-include-anyway-btn'));
+      });
+
+      expect(screen.getByText(/The config has invalid settings/i)).toBeInTheDocument();
+      expect(window.electronAPI.getDirectoryTree).toHaveBeenCalledTimes(scanCount);
+      expect(screen.getByTestId('config-content')).toHaveValue('use_gitignore: sometimes\n');
+    } finally {
+      jest.mocked(yaml.parse).mockImplementation(mockParse);
+      jest.mocked(yaml.stringify).mockImplementation(mockStringify);
+    }
+  });
+
+  test('flags a loaded config with invalid settings and does not process with it', async () => {
+    const mockParse = jest.mocked(yaml.parse).getMockImplementation();
+    jest.mocked(yaml.parse).mockImplementation(realYaml.parse);
+    try {
+      localStorage.setItem('configContent', 'export_format: pdf\n');
+
+      render(<App />);
+      await waitFor(() => {
+        expect(
+          screen.getByText(
+            'The config from Default has invalid settings. They are ignored until you fix them on the Start tab.'
+          )
+        ).toBeInTheDocument();
+      });
+
+      openSourceTab();
+      await clickSelectDirectory();
+      fireEvent.click(screen.getByTestId('mock-select-file-btn'));
+      await act(async () => {
+        fireEvent.click(screen.getByTestId('analyze-btn'));
+      });
+
+      expect(screen.getByText(/The config has invalid settings/i)).toBeInTheDocument();
+      expect(window.electronAPI.analyzeRepository).not.toHaveBeenCalled();
+    } finally {
+      jest.mocked(yaml.parse).mockImplementation(mockParse);
+    }
+  });
+
+  test('fits the selection to a token budget using per-file token counts', async () => {
+    // Only the top level is loaded; candidates come from the main process.
+    window.electronAPI.getDirectoryTree.mockResolvedValueOnce([
+      { name: 'src', path: '/mock/directory/src', type: 'directory', itemCount: 2 },
+    ]);
+    window.electronAPI.getDirectoryFiles.mockResolvedValueOnce({
+      files: ['/mock/directory/src/small.js', '/mock/directory/src/large.js'],
+      folders: ['/mock/directory/src'],
+    });
+    window.electronAPI.countFilesTokens.mockResolvedValueOnce({
+      results: {
+        '/mock/directory/src/small.js': 100,
+        '/mock/directory/src/large.js': 400,
+      },
+      stats: {},
+    });
+
+    render(<App />);
+
+    openSourceTab();
+    await clickSelectDirectory();
+
+    await act(async () => {
+      fireEvent.click(screen.getByTestId('mock-fit-budget-btn'));
+    });
+
+    await waitFor(() => {
+      expect(screen.getByTestId('selected-files-count')).toHaveTextContent('1');
+    });
+    expect(window.electronAPI.countFilesTokens).toHaveBeenCalledWith({
+      rootPath: '/mock/directory',
+      filePaths: ['/mock/directory/src/small.js', '/mock/directory/src/large.js'],
+      tokenizer: 'cl100k',
+    });
+    expect(window.electronAPI.getDirectoryFiles).toHaveBeenCalledWith({
+      rootPath: '/mock/directory',
+      directoryPath: '/mock/directory',
+      configContent: expect.any(String),
+    });
+  });
+
+  test('fitting to a budget replaces selections made while files are counted', async () => {
+    window.electronAPI.getDirectoryFiles.mockResolvedValueOnce({
+      files: ['/mock/directory/src/small.js', '/mock/directory/src/large.js'],
+      folders: ['/mock/directory/src'],
+    });
+    let resolveCount: (value: unknown) => void = () => {};
+    window.electronAPI.countFilesTokens.mockReturnValueOnce(
+      new Promise((resolve) => {
+        resolveCount = resolve;
+      })
+    );
+
+    render(<App />);
+
+    openSourceTab();
+    await clickSelectDirectory();
+
+    await act(async () => {
+      fireEvent.click(screen.getByTestId('mock-fit-budget-btn'));
+    });
+    await waitFor(() => {
+      expect(window.electronAPI.countFilesTokens).toHaveBeenCalled();
+    });
+    fireEvent.click(screen.getByTestId('mock-select-file-btn'));
+    expect(screen.getByTestId('selected-files-count')).toHaveTextContent('1');
+
+    await act(async () => {
+      resolveCount({
+        results: {
+          '/mock/directory/src/small.js': 100,
+          '/mock/directory/src/large.js': 400,
+        },
+        stats: {},
+      });
+    });
+
+    await waitFor(() => {
+      expect(screen.getByTestId('selected-files-count')).toHaveTextContent('1');
+    });
+    expect(window.electronAPI.countFilesTokens).toHaveBeenCalledTimes(1);
+  });
+
   test('rejects prefix-collision file selection outside root path', () => {
     localStorage.setItem('rootPath', '/mock/directory');
     render(<App />);
@@ -631,6 +1374,79 @@ describe('App Component', () => {
     });
   });
 
+  test('streams output to a file when stream_to_file is enabled', async () => {
+    window.electronAPI.processRepositoryToFile.mockResolvedValue({
+      content: 'Streamed preview',
+      exportFormat: 'markdown',
+      totalTokens: 300,
+      processedFiles: 2,
+      skippedFiles: 0,
+      outputPath: '/mock/directory/output.md',
+      isPreviewTruncated: true,
+    });
+
+    localStorage.setItem('rootPath', '/mock/directory');
+    localStorage.setItem(
+      'configContent',
+      ['export_format: markdown', 'stream_to_file: true'].join('\n')
+    );
+
+    render(<App />);
+
+    const tabElements = screen.getAllByRole('button');
+    const sourceTab = tabElements.find((el) => el.textContent === 'Source');
+    fireEvent.click(sourceTab);
+
+    fireEvent.click(screen.getByTestId('mock-select-file-btn'));
+
+    await act(async () => {
+      fireEvent.click(screen.getByTestId('analyze-btn'));
+      await waitFor(() => window.electronAPI.processRepositoryToFile.mock.calls.length > 0);
+    });
+
+    expect(window.electronAPI.processRepository).not.toHaveBeenCalled();
+    expect(window.electronAPI.processRepositoryToFile).toHaveBeenCalledWith(
+      expect.objectContaining({
+        rootPath: '/mock/directory',
+        options: expect.objectContaining({ exportFormat: 'markdown' }),
+      })
+    );
+
+    await waitFor(() => {
+      expect(screen.getByTestId('processed-content')).toHaveTextContent('Streamed preview');
+    });
+
+    await act(async () => {
+      fireEvent.click(screen.getByTestId('save-btn'));
+    });
+    expect(window.electronAPI.saveFile).not.toHaveBeenCalled();
+  });
+
+  test('stays on the source tab when the stream save dialog is cancelled', async () => {
+    window.electronAPI.processRepositoryToFile.mockResolvedValue(null);
+
+    localStorage.setItem('rootPath', '/mock/directory');
+    localStorage.setItem('configContent', 'stream_to_file: true');
+
+    render(<App />);
+
+    const tabElements = screen.getAllByRole('button');
+    const sourceTab = tabElements.find((el) => el.textContent === 'Source');
+    fireEvent.click(sourceTab);
+
+    fireEvent.click(screen.getByTestId('mock-select-file-btn'));
+
+    await act(async () => {
+      fireEvent.click(screen.getByTestId('analyze-btn'));
+      await waitFor(() => window.electronAPI.processRepositoryToFile.mock.calls.length > 0);
+    });
+
+    expect(sourceTab).toHaveAttribute('data-active', 'true');
+    expect(
+      screen.queryByText(/An error occurred while processing the repository/i)
+    ).not.toBeInTheDocument();
+  });
+
   test('defaults showTokenCount to true when config omits show_token_count', async () => {
     localStorage.setItem('rootPath', '/mock/directory');
     localStorage.setItem(
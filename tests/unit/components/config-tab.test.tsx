@@ -4,12 +4,42 @@ import { render, screen, fireEvent, waitFor, act } from '@testing-library/react'
 // Mock useApp from AppContext
 const mockSelectDirectory = jest.fn().mockResolvedValue(true);
 const mockSwitchTab = jest.fn();
+const mockProfileActions = {
+  switchConfigProfile: jest.fn(),
+  createConfigProfile: jest.fn(),
+  duplicateConfigProfile: jest.fn(),
+  renameConfigProfile: jest.fn(),
+  deleteConfigProfile: jest.fn(),
+  setDefaultConfigProfile: jest.fn(),
+};
+const mockRepoConfig = { path: null as string | null };
+const mockWriteRepoConfig = jest.fn().mockResolvedValue(true);
+const mockConfigMigration = {
+  notice: null as {
+    source: string;
+    fromVersion: number;
+    toVersion: number;
+    changes: string[];
+  } | null,
+};
+const mockDismissConfigMigration = jest.fn();
 
 jest.mock('../../../src/renderer/context/AppContext', () => ({
   useApp: () => ({
     rootPath: '/mock/saved/path',
     selectDirectory: mockSelectDirectory,
     switchTab: mockSwitchTab,
+    configProfiles: [
+      { id: 'backend', name: 'Backend review', configContent: '' },
+      { id: 'docs', name: 'Docs', configContent: '' },
+    ],
+    activeProfileId: 'backend',
+    defaultProfileId: 'docs',
+    ...mockProfileActions,
+    repoConfigPath: mockRepoConfig.path,
+    writeRepoConfig: mockWriteRepoConfig,
+    configMigration: mockConfigMigration.notice,
+    dismissConfigMigration: mockDismissConfigMigration,
   }),
 }));
 
@@ -47,6 +77,12 @@ const mockParseYaml = (str: string = '') => {
   if (str.includes('invalid_yaml')) {
     throw new Error('Invalid YAML');
   }
+  if (str.includes('use_gitingore')) {
+    return { use_gitingore: false, show_token_count: true };
+  }
+  if (str.includes('exclude_patterns: "**/dist/**"')) {
+    return { use_gitignore: true, exclude_patterns: '**/dist/**' };
+  }
 
   const exportFormat: 'markdown' | 'xml' = str.includes('export_format: xml') ? 'xml' : 'markdown';
   const includesProvider = str.includes('provider:');
@@ -81,6 +117,14 @@ Object.defineProperty(window, 'localStorage', { value: localStorageMock });
 // Mock electronAPI
 window.electronAPI = {
   selectDirectory: jest.fn().mockResolvedValue('/mock/directory'),
+  listIgnoreFiles: jest.fn().mockResolvedValue([
+    { source: 'gitignore', path: '/mock/saved/path/.gitignore' },
+    { source: 'aicodefusionignore', path: '/mock/saved/path/.aicodefusionignore' },
+  ]),
+  resolveConfig: jest.fn().mockResolvedValue({
+    content: 'include_extensions:\n  - .js\n  - .vue',
+    sources: ['default', 'javascript'],
+  }),
   testProviderConnection: jest.fn().mockResolvedValue({
     ok: true,
     status: 200,
@@ -102,6 +146,7 @@ describe('ConfigTab', () => {
       isDev: true,
     };
     localStorageMock.getItem.mockReturnValue('/mock/saved/path');
+    mockRepoConfig.path = null;
     jest.useFakeTimers();
   });
 
@@ -172,6 +217,39 @@ describe('ConfigTab', () => {
     expect(savedConfig.exclude_suspicious_files).toBe(false);
   });
 
+  test('lists ignore files found for the root and persists their toggles', async () => {
+    render(<ConfigTab configContent={mockConfigContent} onConfigChange={mockOnConfigChange} />);
+
+    expect(await screen.findByText('/mock/saved/path/.aicodefusionignore')).toBeInTheDocument();
+    expect(screen.getByTestId('ignore-files-found')).toHaveTextContent(
+      '.gitignore /mock/saved/path/.gitignore'
+    );
+    expect(window.electronAPI.listIgnoreFiles).toHaveBeenCalledWith('/mock/saved/path');
+
+    act(() => {
+      fireEvent.click(screen.getByLabelText('Apply .git/info/exclude'));
+      fireEvent.click(screen.getByLabelText('Apply .aicodefusionignore'));
+      jest.advanceTimersByTime(100); // Advance past the debounce
+    });
+
+    await waitFor(() => {
+      expect(mockOnConfigChange).toHaveBeenCalled();
+    });
+
+    const yamlLib = require('yaml');
+    const savedConfig = yamlLib.stringify.mock.calls.at(-1)[0];
+    expect(savedConfig.use_git_info_exclude).toBe(false);
+    expect(savedConfig.use_global_gitignore).toBe(true);
+    expect(savedConfig.use_aicodefusionignore).toBe(false);
+
+    act(() => {
+      fireEvent.click(screen.getByLabelText('Apply .gitignore rules'));
+    });
+    expect(
+      screen.getByLabelText('Apply global git excludes file (core.excludesFile)')
+    ).toBeDisabled();
+  });
+
   test('persists export format changes in saved config', async () => {
     render(<ConfigTab configContent={mockConfigContent} onConfigChange={mockOnConfigChange} />);
 
@@ -193,6 +271,222 @@ describe('ConfigTab', () => {
     expect(savedConfig.export_format).toBe('xml');
   });
 
+  test('persists the selected tokenizer in saved config', async () => {
+    render(<ConfigTab configContent={mockConfigContent} onConfigChange={mockOnConfigChange} />);
+
+    const tokenizerSelect = screen.getByLabelText('Tokenizer');
+    expect(tokenizerSelect).toHaveValue('cl100k');
+
+    act(() => {
+      fireEvent.change(tokenizerSelect, { target: { value: 'claude-approx' } });
+      jest.advanceTimersByTime(100);
+    });
+
+    await waitFor(() => {
+      expect(mockOnConfigChange).toHaveBeenCalled();
+    });
+
+    const yamlLib = require('yaml');
+    const savedConfig = yamlLib.stringify.mock.calls.at(-1)[0];
+    expect(savedConfig.tokenizer).toBe('claude-approx');
+  });
+
+  test('saves include globs and include patterns from their own editors', async () => {
+    render(<ConfigTab configContent={mockConfigContent} onConfigChange={mockOnConfigChange} />);
+
+    fireEvent.change(screen.getByPlaceholderText(/Dockerfile/), {
+      target: { value: '**/Dockerfile\nsrc/**/*.ts' },
+    });
+
+    fireEvent.change(screen.getByPlaceholderText(/schema\.graphql/), {
+      target: { value: 'dist/schema.graphql\n  \n**/generated/*.ts ' },
+    });
+    fireEvent.click(screen.getByRole('button', { name: 'Save Config' }));
+
+    await waitFor(() => {
+      expect(mockOnConfigChange).toHaveBeenCalled();
+    });
+
+    const yamlLib = require('yaml');
+    const savedConfig = yamlLib.stringify.mock.calls.at(-1)[0];
+    expect(savedConfig.include_globs).toEqual(['**/Dockerfile', 'src/**/*.ts']);
+    expect(savedConfig.include_patterns).toEqual(['dist/schema.graphql', '**/generated/*.ts']);
+  });
+
+  test('saves extends and +/- list lines as changes to the inherited lists', async () => {
+    render(<ConfigTab configContent={mockConfigContent} onConfigChange={mockOnConfigChange} />);
+
+    fireEvent.change(screen.getByLabelText('Extends'), {
+      target: { value: 'javascript\n.ai-code-fusion/team.yaml' },
+    });
+    fireEvent.change(screen.getByPlaceholderText(/^\.py/), {
+      target: { value: '+ .vue\n- .md\n.svelte' },
+    });
+    fireEvent.click(screen.getByRole('button', { name: 'Save Config' }));
+
+    await waitFor(() => {
+      expect(mockOnConfigChange).toHaveBeenCalled();
+    });
+
+    const yamlLib = require('yaml');
+    const savedConfig = yamlLib.stringify.mock.calls.at(-1)[0];
+    expect(savedConfig.extends).toEqual(['javascript', '.ai-code-fusion/team.yaml']);
+    expect(savedConfig.include_extensions).toEqual({ add: ['.vue', '.svelte'], remove: ['.md'] });
+  });
+
+  test('shows the effective config with the presets it extends', async () => {
+    render(<ConfigTab configContent={mockConfigContent} onConfigChange={mockOnConfigChange} />);
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: 'Show effective config' }));
+    });
+
+    expect(window.electronAPI.resolveConfig).toHaveBeenCalledWith({
+      rootPath: '/mock/saved/path',
+      configContent: mockConfigContent,
+    });
+    expect(screen.getByTestId('effective-config')).toHaveTextContent(
+      'Extends default → javascript, in the order applied.'
+    );
+    expect(screen.getByLabelText('Effective config')).toHaveValue(
+      'include_extensions:\n  - .js\n  - .vue'
+    );
+
+    jest
+      .mocked(window.electronAPI.resolveConfig)
+      .mockRejectedValueOnce(
+        new Error(
+          'Error invoking remote method \'config:resolve\': Error: Unknown config preset "rust".'
+        )
+      );
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: 'Hide effective config' }));
+    });
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: 'Show effective config' }));
+    });
+    expect(screen.getByTestId('effective-config')).toHaveTextContent(
+      'Could not resolve the config: Unknown config preset "rust".'
+    );
+  });
+
+  test('lists what an upgrade of an older config changed until it is dismissed', () => {
+    mockConfigMigration.notice = {
+      source: '.aicodefusion.yaml',
+      fromVersion: 1,
+      toVersion: 2,
+      changes: ['include_extensions: added the leading dot to js.'],
+    };
+    try {
+      render(<ConfigTab configContent={mockConfigContent} onConfigChange={mockOnConfigChange} />);
+
+      const notice = screen.getByTestId('config-migration');
+      expect(notice).toHaveTextContent(
+        'The config from .aicodefusion.yaml was upgraded from version 1 to 2:'
+      );
+      expect(notice).toHaveTextContent('include_extensions: added the leading dot to js.');
+
+      fireEvent.click(screen.getByRole('button', { name: 'Dismiss' }));
+      expect(mockDismissConfigMigration).toHaveBeenCalled();
+    } finally {
+      mockConfigMigration.notice = null;
+    }
+  });
+
+  test('shows line-precise errors for an invalid config and does not save over it', async () => {
+    const invalidConfig = 'use_gitignore: true\nexclude_patterns: "**/dist/**"';
+    render(<ConfigTab configContent={invalidConfig} onConfigChange={mockOnConfigChange} />);
+
+    expect(screen.getByTestId('config-validation')).toHaveTextContent(
+      'Line 2: `exclude_patterns` must be a list of strings or an add/remove mapping.'
+    );
+
+    // The settings are locked, so toggles cannot look changed without being saved.
+    expect(screen.getByRole('button', { name: 'Save Config' })).toBeDisabled();
+    expect(screen.getByLabelText('Apply .gitignore rules')).toBeDisabled();
+    expect(screen.getByRole('button', { name: 'Edit YAML' })).toBeEnabled();
+    fireEvent.click(screen.getByRole('button', { name: 'Save Config' }));
+    await act(async () => {
+      jest.runOnlyPendingTimers();
+    });
+    expect(mockOnConfigChange).not.toHaveBeenCalled();
+  });
+
+  test('checks YAML edits and applies them only when they have no errors', async () => {
+    render(<ConfigTab configContent={mockConfigContent} onConfigChange={mockOnConfigChange} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Edit YAML' }));
+    const yamlEditor = screen.getByLabelText('Config YAML');
+    expect(yamlEditor).toHaveValue(mockConfigContent);
+    const applyButton = screen.getByRole('button', { name: 'Apply YAML' });
+    expect(applyButton).toBeDisabled();
+
+    fireEvent.change(yamlEditor, {
+      target: { value: 'use_gitignore: true\nexclude_patterns: "**/dist/**"' },
+    });
+    expect(screen.getByTestId('config-issues')).toHaveTextContent(
+      'Line 2: `exclude_patterns` must be a list of strings or an add/remove mapping.'
+    );
+    expect(applyButton).toBeDisabled();
+
+    const configWithTypo = 'show_token_count: true\nuse_gitingore: false';
+    fireEvent.change(yamlEditor, { target: { value: configWithTypo } });
+    expect(screen.getByTestId('config-issues')).toHaveTextContent(
+      'Line 2: Unknown setting `use_gitingore`. Did you mean `use_gitignore`?'
+    );
+    expect(applyButton).toBeEnabled();
+
+    fireEvent.click(applyButton);
+    expect(mockOnConfigChange).toHaveBeenCalledWith(configWithTypo);
+  });
+
+  test('switches, renames and manages config profiles', () => {
+    render(<ConfigTab configContent={mockConfigContent} onConfigChange={mockOnConfigChange} />);
+
+    const profileSelect = screen.getByLabelText('Profile');
+    expect(profileSelect).toHaveValue('backend');
+    expect(screen.getByRole('option', { name: 'Docs (default)' })).toBeInTheDocument();
+
+    fireEvent.change(profileSelect, { target: { value: 'docs' } });
+    expect(mockProfileActions.switchConfigProfile).toHaveBeenCalledWith('docs');
+
+    const renameButton = screen.getByRole('button', { name: 'Rename' });
+    expect(renameButton).toBeDisabled();
+    fireEvent.change(screen.getByLabelText('Profile name'), { target: { value: ' Backend ' } });
+    fireEvent.click(renameButton);
+    expect(mockProfileActions.renameConfigProfile).toHaveBeenCalledWith('backend', 'Backend');
+
+    fireEvent.click(screen.getByRole('button', { name: 'New' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Duplicate' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Set as default' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Delete' }));
+    expect(mockProfileActions.createConfigProfile).toHaveBeenCalledWith('New profile');
+    expect(mockProfileActions.duplicateConfigProfile).toHaveBeenCalledWith('backend');
+    expect(mockProfileActions.setDefaultConfigProfile).toHaveBeenCalledWith('backend');
+    expect(mockProfileActions.deleteConfigProfile).toHaveBeenCalledWith('backend');
+  });
+
+  test('offers to write the config into the repository and shows when it is active', async () => {
+    const { rerender } = render(
+      <ConfigTab configContent={mockConfigContent} onConfigChange={mockOnConfigChange} />
+    );
+
+    expect(screen.getByTestId('repo-config')).toHaveTextContent(
+      'This folder has no repository config.'
+    );
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: 'Write to repository' }));
+    });
+    expect(mockWriteRepoConfig).toHaveBeenCalledTimes(1);
+    expect(screen.getByRole('button', { name: 'Written' })).toBeInTheDocument();
+
+    mockRepoConfig.path = '.ai-code-fusion/config.yaml';
+    rerender(<ConfigTab configContent={mockConfigContent} onConfigChange={mockOnConfigChange} />);
+    expect(screen.getByTestId('repo-config')).toHaveTextContent(
+      'Using the repository config .ai-code-fusion/config.yaml, layered over this profile.'
+    );
+  });
+
   test('initializes export format selector to xml when config specifies export_format: xml', () => {
     const xmlConfigContent = `${mockConfigContent}\nexport_format: xml`;
     render(<ConfigTab configContent={xmlConfigContent} onConfigChange={mockOnConfigChange} />);
@@ -236,4 +236,217 @@ describe('FileTree Component', () => {
     expect(screen.getByText('No files to display')).toBeInTheDocument();
     expect(screen.getByText('Select a directory to view files')).toBeInTheDocument();
   });
+
+  describe('lazily loaded folders', () => {
+    const lazyItems = [
+      { name: 'src', path: '/project/src', type: 'directory', itemCount: 2 },
+      { name: 'package.json', path: '/project/package.json', type: 'file' },
+    ];
+
+    test('requests children when an unloaded folder is expanded', () => {
+      const onLoadChildren = jest.fn();
+      const { rerender } = render(
+        <FileTree
+          items={lazyItems}
+          selectedFiles={new Set()}
+          selectedFolders={new Set()}
+          onFileSelect={mockFileSelect}
+          onFolderSelect={mockFolderSelect}
+          onLoadChildren={onLoadChildren}
+        />
+      );
+
+      expect(screen.getByText('0 files selected')).toBeInTheDocument();
+      expect(screen.getByTitle('2 items')).toHaveTextContent('2');
+
+      fireEvent.click(screen.getByRole('button', { name: /expand folder src/i }));
+      expect(onLoadChildren).toHaveBeenCalledWith('/project/src');
+      expect(screen.getByText('Loading...')).toBeInTheDocument();
+
+      rerender(
+        <FileTree
+          items={[{ ...lazyItems[0], children: mockItems[0].children }, lazyItems[1]]}
+          selectedFiles={new Set()}
+          selectedFolders={new Set()}
+          onFileSelect={mockFileSelect}
+          onFolderSelect={mockFolderSelect}
+          onLoadChildren={onLoadChildren}
+        />
+      );
+      expect(screen.queryByText('Loading...')).not.toBeInTheDocument();
+      expect(screen.getByRole('treeitem', { name: /index\.js/i })).toBeInTheDocument();
+      expect(onLoadChildren).toHaveBeenCalledTimes(1);
+    });
+
+    test('select all selects top-level folders so their contents are resolved', () => {
+      render(
+        <FileTree
+          items={lazyItems}
+          selectedFiles={new Set()}
+          selectedFolders={new Set()}
+          onFileSelect={mockFileSelect}
+          onFolderSelect={mockFolderSelect}
+          onBatchSelect={mockBatchSelect}
+        />
+      );
+
+      fireEvent.click(screen.getByLabelText('Select All'));
+
+      expect(mockBatchSelect).toHaveBeenCalledWith(['/project/package.json'], [], true);
+      expect(mockFolderSelect).toHaveBeenCalledWith('/project/src', true);
+    });
+  });
+
+  describe('excluded entries', () => {
+    const itemsWithExcluded = [
+      ...mockItems,
+      {
+        name: 'dist',
+        path: '/project/dist',
+        type: 'directory',
+        children: [],
+        excludedReason: 'gitignore',
+      },
+      { name: 'logo.png', path: '/project/logo.png', type: 'file', excludedReason: 'extension' },
+      { name: 'link', path: '/project/link', type: 'file', excludedReason: 'symlink' },
+    ];
+
+    const renderExcludedTree = (onIncludeAnyway = jest.fn()) =>
+      render(
+        <FileTree
+          items={itemsWithExcluded}
+          selectedFiles={new Set()}
+          selectedFolders={new Set()}
+          onFileSelect={mockFileSelect}
+          onFolderSelect={mockFolderSelect}
+          onBatchSelect={mockBatchSelect}
+          onIncludeAnyway={onIncludeAnyway}
+        />
+      );
+
+    test('shows excluded entries disabled with their reason and includes them on request', () => {
+      const onIncludeAnyway = jest.fn();
+      renderExcludedTree(onIncludeAnyway);
+
+      const logoRow = screen.getByRole('treeitem', { name: /logo\.png/ });
+      expect(logoRow).toHaveAttribute('aria-disabled', 'true');
+      expect(logoRow).toHaveTextContent('Excluded: extension');
+      expect(screen.getByRole('checkbox', { name: 'logo.png' })).toBeDisabled();
+      expect(screen.getByRole('treeitem', { name: /dist/ })).toHaveTextContent(
+        'Excluded: ignore file'
+      );
+      expect(screen.queryByRole('button', { name: /expand folder dist/i })).not.toBeInTheDocument();
+
+      fireEvent.click(logoRow);
+      expect(mockFileSelect).not.toHaveBeenCalled();
+
+      fireEvent.click(screen.getByRole('button', { name: 'Include logo.png anyway' }));
+      expect(onIncludeAnyway).toHaveBeenCalledWith('/project/logo.png');
+
+      // Symlinks cannot be overridden from the config.
+      expect(screen.getByRole('treeitem', { name: /link/ })).toHaveTextContent('Excluded: symlink');
+      expect(screen.queryByRole('button', { name: 'Include link anyway' })).not.toBeInTheDocument();
+    });
+
+    test('leaves excluded entries out of the file count and select all', () => {
+      renderExcludedTree();
+
+      expect(screen.getByText('0 of 3 files selected')).toBeInTheDocument();
+      fireEvent.click(screen.getByLabelText('Select All'));
+
+      expect(mockBatchSelect).toHaveBeenCalledWith(
+        ['/project/src/index.js', '/project/src/utils/helpers.js', '/project/package.json'],
+        ['/project/src', '/project/src/utils'],
+        true
+      );
+    });
+  });
+
+  describe('virtualized rows', () => {
+    const renderTree = (items, { selectedFiles = new Set(), selectedFolders = new Set() } = {}) =>
+      render(
+        <FileTree
+          items={items}
+          selectedFiles={selectedFiles}
+          selectedFolders={selectedFolders}
+          onFileSelect={mockFileSelect}
+          onFolderSelect={mockFolderSelect}
+        />
+      );
+
+    test('mounts only the rows around the scroll position', () => {
+      const manyFiles = Array.from({ length: 1000 }, (_, index) => ({
+        name: `file-${String(index).padStart(4, '0')}.js`,
+        path: `/project/file-${String(index).padStart(4, '0')}.js`,
+        type: 'file',
+      }));
+      renderTree(manyFiles);
+
+      const renderedRows = screen.getAllByRole('treeitem');
+      expect(renderedRows.length).toBeGreaterThan(0);
+      expect(renderedRows.length).toBeLessThan(100);
+      expect(screen.queryByRole('treeitem', { name: /file-0500\.js/ })).not.toBeInTheDocument();
+
+      const tree = screen.getByRole('tree');
+      tree.scrollTop = 500 * 32;
+      fireEvent.scroll(tree);
+
+      expect(screen.getByRole('treeitem', { name: /file-0500\.js/ })).toBeInTheDocument();
+      expect(screen.queryByRole('treeitem', { name: /file-0000\.js/ })).not.toBeInTheDocument();
+    });
+
+    test('shows folders with part of their files selected as indeterminate', () => {
+      renderTree(mockItems, { selectedFiles: new Set(['/project/src/index.js']) });
+
+      const srcCheckbox = document.getElementById('checkbox-/project/src') as HTMLInputElement;
+      expect(srcCheckbox.indeterminate).toBe(true);
+      expect(srcCheckbox).toHaveAttribute('aria-checked', 'mixed');
+      expect(srcCheckbox).not.toBeChecked();
+
+      fireEvent.click(screen.getByRole('treeitem', { name: /src/ }));
+      expect(mockFolderSelect).toHaveBeenCalledWith('/project/src', true);
+    });
+
+    test('keeps nested folders expanded when their parent is collapsed and reopened', () => {
+      renderTree(mockItems);
+
+      fireEvent.click(screen.getByRole('button', { name: /expand folder src/i }));
+      fireEvent.click(screen.getByRole('button', { name: /expand folder utils/i }));
+      expect(screen.getByRole('treeitem', { name: /helpers\.js/ })).toBeInTheDocument();
+
+      fireEvent.click(screen.getByRole('button', { name: /collapse folder src/i }));
+      expect(screen.queryByRole('treeitem', { name: /helpers\.js/ })).not.toBeInTheDocument();
+
+      fireEvent.click(screen.getByRole('button', { name: /expand folder src/i }));
+      expect(screen.getByRole('treeitem', { name: /helpers\.js/ })).toBeInTheDocument();
+    });
+
+    test('moves keyboard focus between rows with a single tab stop', () => {
+      renderTree(mockItems);
+
+      const focusableRows = () =>
+        screen.getAllByRole('treeitem').filter((row) => row.getAttribute('tabindex') === '0');
+      expect(focusableRows()).toHaveLength(1);
+
+      const srcRow = screen.getByRole('treeitem', { name: /src/ });
+      srcRow.focus();
+      fireEvent.keyDown(srcRow, { key: 'ArrowRight' });
+      expect(screen.getByRole('treeitem', { name: /index\.js/ })).toBeInTheDocument();
+
+      fireEvent.keyDown(srcRow, { key: 'ArrowRight' });
+      const indexRow = screen.getByRole('treeitem', { name: /index\.js/ });
+      expect(indexRow).toHaveFocus();
+
+      fireEvent.keyDown(indexRow, { key: 'End' });
+      expect(screen.getByRole('treeitem', { name: /package\.json/ })).toHaveFocus();
+
+      fireEvent.keyDown(document.activeElement as Element, { key: 'ArrowUp' });
+      fireEvent.keyDown(document.activeElement as Element, { key: 'ArrowLeft' });
+      expect(srcRow).toHaveFocus();
+      expect(focusableRows()).toEqual([srcRow]);
+
+      fireEvent.keyDown(srcRow, { key: 'ArrowLeft' });
+      expect(screen.queryByRole('treeitem', { name: /index\.js/ })).not.toBeInTheDocument();
+    });
+  });
 });
@@ -0,0 +1,132 @@
+import React from 'react';
+import { act, fireEvent, render, screen, within } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import FilterInspector from '../../../src/renderer/components/FilterInspector';
+
+import type { FilterDecision } from '../../../src/types/ipc';
+
+const ROOT_PATH = '/mock/repo';
+
+const excludedDecision: FilterDecision = {
+  path: `${ROOT_PATH}/dist/app.js`,
+  relativePath: 'dist/app.js',
+  isDirectory: false,
+  exists: true,
+  excluded: true,
+  decidedBy: 'gitignore',
+  checks: [
+    { step: 'sensitive-path', outcome: 'no-match' },
+    {
+      step: 'extension',
+      outcome: 'included',
+      rule: '.js',
+      source: { kind: 'config', key: 'include_extensions', line: 3 },
+    },
+    { step: 'exclude-pattern', outcome: 'no-match' },
+    {
+      step: 'gitignore',
+      outcome: 'excluded',
+      rule: 'dist/',
+      matchedPath: 'dist',
+      source: {
+        kind: 'ignore-file',
+        ignoreSource: 'gitignore',
+        filePath: `${ROOT_PATH}/.gitignore`,
+        line: 7,
+      },
+    },
+    {
+      step: 'secret-content',
+      outcome: 'disabled',
+      source: { kind: 'config', key: 'enable_secret_scanning' },
+    },
+  ],
+};
+
+describe('FilterInspector', () => {
+  const renderInspector = () =>
+    render(
+      <FilterInspector
+        rootPath={ROOT_PATH}
+        configContent='use_gitignore: true'
+        directoryTree={[
+          {
+            type: 'directory',
+            name: 'src',
+            path: `${ROOT_PATH}/src`,
+            size: 0,
+            children: [
+              { type: 'file', name: 'index.js', path: `${ROOT_PATH}/src/index.js`, size: 1 },
+            ],
+          },
+        ]}
+      />
+    );
+
+  const explain = async (itemPath: string) => {
+    fireEvent.change(screen.getByLabelText(/Why is this path included or excluded/), {
+      target: { value: itemPath },
+    });
+    await act(async () => {
+      fireEvent.click(screen.getByTestId('filter-inspector-explain'));
+    });
+  };
+
+  test('suggests loaded paths and shows each check with its rule and source', async () => {
+    window.electronAPI.explainPathFilter = jest.fn().mockResolvedValue(excludedDecision);
+    const { container } = renderInspector();
+
+    expect(
+      [...container.querySelectorAll('#filter-inspector-paths option')].map((option) =>
+        option.getAttribute('value')
+      )
+    ).toEqual(['src', 'src/index.js']);
+
+    await explain(' dist/app.js ');
+
+    expect(window.electronAPI.explainPathFilter).toHaveBeenCalledWith({
+      rootPath: ROOT_PATH,
+      itemPath: 'dist/app.js',
+      configContent: 'use_gitignore: true',
+    });
+    expect(screen.getByTestId('filter-decision-verdict')).toHaveTextContent(
+      'dist/app.js is excluded by: Ignore files'
+    );
+
+    const gitignoreCheck = within(screen.getByTestId('filter-check-gitignore'));
+    expect(gitignoreCheck.getByText('dist/')).toBeInTheDocument();
+    expect(gitignoreCheck.getByText('matched dist')).toBeInTheDocument();
+    expect(gitignoreCheck.getByText(`${ROOT_PATH}/.gitignore, line 7`)).toBeInTheDocument();
+    expect(screen.getByTestId('filter-check-extension')).toHaveTextContent(
+      'Config include_extensions, line 3'
+    );
+    expect(screen.getByTestId('filter-check-secret-content')).toHaveTextContent('Disabled');
+  });
+
+  test('shows the excluded parent folder and reports paths it cannot explain', async () => {
+    window.electronAPI.explainPathFilter = jest
+      .fn()
+      .mockResolvedValueOnce({
+        ...excludedDecision,
+        path: `${ROOT_PATH}/dist/new.js`,
+        relativePath: 'dist/new.js',
+        exists: false,
+        excludedParent: { ...excludedDecision, relativePath: 'dist', isDirectory: true },
+      })
+      .mockRejectedValueOnce(new Error('outside the root'));
+    renderInspector();
+
+    await explain('dist/new.js');
+
+    expect(screen.getByText('Hidden because its folder dist is excluded:')).toBeInTheDocument();
+    expect(screen.getByTestId('filter-parent-checks')).toBeInTheDocument();
+    expect(
+      screen.getByText('This path does not exist; only the path filters were checked.')
+    ).toBeInTheDocument();
+
+    await explain('../outside.js');
+
+    expect(screen.getByRole('alert')).toHaveTextContent('Could not explain this path.');
+    expect(screen.queryByTestId('filter-decision')).not.toBeInTheDocument();
+  });
+});
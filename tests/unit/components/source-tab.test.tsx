@@ -1,5 +1,5 @@
 import React from 'react';
-import { act, render, screen, waitFor } from '@testing-library/react';
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react';
 import '@testing-library/jest-dom';
 import SourceTab from '../../../src/renderer/components/SourceTab';
 
@@ -204,6 +204,7 @@ describe('SourceTab Component', () => {
     expect(countFilesTokensMock).toHaveBeenCalledWith({
       rootPath: ROOT_PATH,
       filePaths: [SELECTED_FILE],
+      tokenizer: 'cl100k',
     });
 
     await act(async () => {
@@ -242,6 +243,7 @@ describe('SourceTab Component', () => {
     expect(countFilesTokensMock).toHaveBeenCalledWith({
       rootPath: ROOT_PATH,
       filePaths: [SELECTED_FILE],
+      tokenizer: 'cl100k',
     });
 
     rerender(<SourceTab {...createProps({ selectedFiles: new Set<string>([UPDATED_SELECTED_FILE]) })} />);
@@ -251,6 +253,7 @@ describe('SourceTab Component', () => {
     expect(countFilesTokensMock).toHaveBeenCalledWith({
       rootPath: ROOT_PATH,
       filePaths: [UPDATED_SELECTED_FILE],
+      tokenizer: 'cl100k',
     });
 
     await waitFor(() => {
@@ -320,4 +323,195 @@ describe('SourceTab Component', () => {
 
     expect(countFilesTokensMock).toHaveBeenCalledTimes(2);
   });
+
+  test('recounts only the selected files the watcher reports as changed', async () => {
+    let emitChange: Parameters<typeof window.electronAPI.onDirectoryChange>[0] = () => {};
+    window.electronAPI.onDirectoryChange = jest.fn((listener) => {
+      emitChange = listener;
+      return () => {};
+    });
+    const countFilesTokensMock = jest
+      .fn()
+      .mockResolvedValueOnce({
+        results: { [SELECTED_FILE]: 120, [UPDATED_SELECTED_FILE]: 80 },
+        stats: { [SELECTED_FILE]: FILE_STAT_INITIAL, [UPDATED_SELECTED_FILE]: FILE_STAT_SECONDARY },
+      })
+      .mockResolvedValueOnce(createTokenPayload(SELECTED_FILE, 150, FILE_STAT_INITIAL));
+    window.electronAPI.countFilesTokens = countFilesTokensMock;
+
+    render(
+      <SourceTab
+        {...createProps({ selectedFiles: new Set([SELECTED_FILE, UPDATED_SELECTED_FILE]) })}
+      />
+    );
+    await advanceAndAssertTokenState(countFilesTokensMock, 1, '200');
+
+    act(() => {
+      emitChange({
+        rootPath: ROOT_PATH,
+        changes: [{ type: 'change', path: SELECTED_FILE }],
+      });
+    });
+    await advanceAndAssertTokenState(countFilesTokensMock, 2, '230');
+    expect(countFilesTokensMock).toHaveBeenLastCalledWith({
+      rootPath: ROOT_PATH,
+      filePaths: [SELECTED_FILE],
+      tokenizer: 'cl100k',
+    });
+  });
+
+  test('uses counts streamed from other count requests for the same root and tokenizer', async () => {
+    let emitProgress: Parameters<typeof window.electronAPI.onTokenCountProgress>[0] = () => {};
+    window.electronAPI.onTokenCountProgress = jest.fn((listener) => {
+      emitProgress = listener;
+      return () => {};
+    });
+    const countFilesTokensMock = jest.fn().mockResolvedValue({ results: {}, stats: {} });
+    window.electronAPI.countFilesTokens = countFilesTokensMock;
+
+    renderSingleFileSourceTab();
+    act(() => {
+      emitProgress({
+        ...createTokenPayload(SELECTED_FILE, 70, FILE_STAT_INITIAL),
+        rootPath: '/other/root',
+        completedChunks: 1,
+        totalChunks: 2,
+      });
+      emitProgress({
+        ...createTokenPayload(SELECTED_FILE, 40, FILE_STAT_INITIAL),
+        rootPath: ROOT_PATH,
+        tokenizer: 'cl100k',
+        completedChunks: 1,
+        totalChunks: 2,
+      });
+    });
+
+    await advanceAndAssertTokenState(countFilesTokensMock, 0, '40');
+  });
+
+  test('fits the selection to a token budget with the chosen strategy', async () => {
+    const onFitToBudget = jest.fn().mockResolvedValue({
+      selectedFiles: [SELECTED_FILE],
+      totalTokens: 1200,
+      pinnedTokens: 0,
+      excludedFiles: 1,
+      isOverBudget: false,
+    });
+
+    render(<SourceTab {...createProps({ onFitToBudget })} />);
+
+    fireEvent.change(screen.getByLabelText('Token budget'), { target: { value: '5000' } });
+    fireEvent.change(screen.getByLabelText('Strategy'), { target: { value: 'priority-globs' } });
+    fireEvent.change(screen.getByLabelText('Priority globs (comma-separated)'), {
+      target: { value: 'src/**/*.tsx, *.md' },
+    });
+    fireEvent.click(screen.getByLabelText('Keep current selection'));
+
+    await act(async () => {
+      fireEvent.click(screen.getByTestId('fit-to-budget-button'));
+    });
+
+    expect(onFitToBudget).toHaveBeenCalledWith({
+      tokenBudget: 5000,
+      strategy: 'priority-globs',
+      priorityGlobs: ['src/**/*.tsx', '*.md'],
+      pinnedFiles: [SELECTED_FILE],
+    });
+    expect(screen.getByTestId('fit-to-budget-result')).toHaveTextContent(
+      'Selected 1 files (1,200 tokens); 1 files left out.'
+    );
+  });
+
+  test('counts with the configured tokenizer and compares totals across tokenizers', async () => {
+    const countFilesTokensMock = jest.fn().mockResolvedValue(
+      createTokenPayload(SELECTED_FILE, 900, FILE_STAT_INITIAL)
+    );
+    const compareTokenizersMock = jest.fn().mockResolvedValue({
+      totals: { cl100k: 1000, o200k: 900, 'claude-approx': 1100, 'llama-approx': 950 },
+    });
+    window.electronAPI.countFilesTokens = countFilesTokensMock;
+    window.electronAPI.compareTokenizers = compareTokenizersMock;
+
+    renderSingleFileSourceTab({ configContent: 'show_token_count: true\ntokenizer: o200k' });
+    await advanceTokenDebounce();
+
+    await waitFor(() => {
+      expect(countFilesTokensMock).toHaveBeenCalledWith({
+        rootPath: ROOT_PATH,
+        filePaths: [SELECTED_FILE],
+        tokenizer: 'o200k',
+      });
+      expect(getTokenSummaryElement()).toHaveTextContent('900');
+    });
+
+    await act(async () => {
+      fireEvent.click(screen.getByTestId('compare-tokenizers-button'));
+    });
+
+    expect(compareTokenizersMock).toHaveBeenCalledWith({
+      rootPath: ROOT_PATH,
+      filePaths: [SELECTED_FILE],
+      tokenizers: ['cl100k', 'o200k', 'claude-approx', 'llama-approx'],
+    });
+    const comparison = screen.getByTestId('tokenizer-comparison');
+    expect(comparison).toHaveTextContent('Claude (approx.)1,100');
+    expect(comparison).toHaveTextContent('OpenAI o200k (GPT-4o)900');
+  });
+
+  test('clears the persisted token cache and recounts the selection', async () => {
+    const countFilesTokensMock = jest
+      .fn()
+      .mockResolvedValueOnce(createTokenPayload(SELECTED_FILE, 900, FILE_STAT_INITIAL))
+      .mockResolvedValueOnce(createTokenPayload(SELECTED_FILE, 950, FILE_STAT_INITIAL));
+    const clearTokenCacheMock = jest.fn().mockResolvedValue(true);
+    window.electronAPI.countFilesTokens = countFilesTokensMock;
+    window.electronAPI.clearTokenCache = clearTokenCacheMock;
+
+    renderSingleFileSourceTab();
+    await advanceTokenDebounce();
+    await waitFor(() => {
+      expect(getTokenSummaryElement()).toHaveTextContent('900');
+    });
+
+    await act(async () => {
+      fireEvent.click(screen.getByTestId('clear-token-cache-button'));
+    });
+    await advanceTokenDebounce();
+
+    expect(clearTokenCacheMock).toHaveBeenCalledTimes(1);
+    await waitFor(() => {
+      expect(countFilesTokensMock).toHaveBeenCalledTimes(2);
+      expect(getTokenSummaryElement()).toHaveTextContent('950');
+    });
+  });
+
+  test('shows scan progress and cancels the running scan', () => {
+    const onCancelScan = jest.fn();
+    const { rerender } = render(
+      <SourceTab
+        {...createProps({
+          directoryTree: [],
+          directoryScan: { status: 'scanning', directoriesVisited: 4, filesFound: 12 },
+          onCancelScan,
+        })}
+      />
+    );
+
+    expect(screen.getByTestId('directory-scan-status')).toHaveTextContent(
+      'Scanning... 4 folders, 12 files found'
+    );
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel scan' }));
+    expect(onCancelScan).toHaveBeenCalledTimes(1);
+
+    rerender(
+      <SourceTab
+        {...createProps({
+          directoryScan: { status: 'cancelled', directoriesVisited: 5, filesFound: 13 },
+          onCancelScan,
+        })}
+      />
+    );
+    expect(screen.getByTestId('directory-scan-status')).toHaveTextContent('Scan cancelled after 5');
+    expect(screen.queryByRole('button', { name: 'Cancel scan' })).not.toBeInTheDocument();
+  });
 });
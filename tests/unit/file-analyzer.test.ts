@@ -1,6 +1,7 @@
 // Path module will be imported through jest mock
 // const path = require('path');
 const { TokenCounter } = require('../../src/utils/token-counter');
+const { parseGitignoreRules } = require('../../src/utils/gitignore-matcher');
 
 // This is the correct way to mock modules with Jest
 jest.mock('../../src/utils/file-analyzer', () => {
@@ -58,16 +59,15 @@ describe('FileAnalyzer', () => {
       use_gitignore: false,
     };
 
-    // Mock gitignore patterns
-    const mockGitignorePatterns = {
-      excludePatterns: ['.DS_Store', '*.log', 'coverage/', '**/coverage/', 'temp/'],
-      includePatterns: ['important.log', '**/keep-this-dir/file.log'],
-    };
+    // Mock gitignore rules
+    const mockGitignoreRules = parseGitignoreRules(
+      '.DS_Store\n*.log\ncoverage/\ntemp/\n!important.log\n!**/keep-this-dir/file.log'
+    );
 
     // Create FileAnalyzer instance
     fileAnalyzer = new FileAnalyzer(mockConfig, mockTokenCounter, {
       useGitignore: false,
-      gitignorePatterns: mockGitignorePatterns,
+      gitignoreRules: mockGitignoreRules,
     });
 
     // We no longer mock the internal pattern matching function
@@ -170,7 +170,7 @@ describe('FileAnalyzer', () => {
         mockTokenCounter,
         {
           useGitignore: false,
-          gitignorePatterns: null,
+          gitignoreRules: null,
         }
       );
 
@@ -228,10 +228,7 @@ describe('FileAnalyzer', () => {
         mockTokenCounter,
         {
           useGitignore: true,
-          gitignorePatterns: {
-            excludePatterns: ['.DS_Store', '*.log', 'coverage/', '**/coverage/', 'temp/'],
-            includePatterns: [],
-          },
+          gitignoreRules: parseGitignoreRules('.DS_Store\n*.log\ncoverage/\ntemp/'),
         }
       );
 
@@ -276,10 +273,7 @@ describe('FileAnalyzer', () => {
         mockTokenCounter,
         {
           useGitignore: true,
-          gitignorePatterns: {
-            excludePatterns: ['*.log', 'logs/'],
-            includePatterns: ['important.log', 'logs/critical/'],
-          },
+          gitignoreRules: parseGitignoreRules('*.log\n!important.log\nlogs/*\n!logs/critical/'),
         }
       );
 
@@ -324,10 +318,7 @@ describe('FileAnalyzer', () => {
         mockTokenCounter,
         {
           useGitignore: true,
-          gitignorePatterns: {
-            excludePatterns: ['*.log'],
-            includePatterns: ['important.log'],
-          },
+          gitignoreRules: parseGitignoreRules('*.log\n!important.log'),
         }
       );
 
@@ -340,6 +331,64 @@ describe('FileAnalyzer', () => {
       // Restore the original implementation
       filterUtils.shouldExclude = originalShouldExclude;
     });
+
+    test('should process include overrides that every filter would exclude', () => {
+      const overrideAnalyzer = new FileAnalyzer(
+        { ...mockConfig, include_overrides: ['node_modules/lib', 'assets/logo.svg'] },
+        mockTokenCounter,
+        { useGitignore: true, gitignoreRules: parseGitignoreRules('assets/') }
+      );
+
+      expect(overrideAnalyzer.shouldProcessFile('node_modules/lib/index.py')).toBe(true);
+      expect(overrideAnalyzer.shouldProcessFile('assets/logo.svg')).toBe(true);
+      expect(overrideAnalyzer.shouldProcessFile('node_modules/other/index.js')).toBe(false);
+      expect(overrideAnalyzer.shouldProcessFile('assets/icon.svg')).toBe(false);
+    });
+
+    test('should process files matching include globs and require a match for extension-less files', () => {
+      const globAnalyzer = new FileAnalyzer(
+        { ...mockConfig, include_globs: ['**/Dockerfile', 'scripts/*.sh'] },
+        mockTokenCounter
+      );
+
+      expect(globAnalyzer.shouldProcessFile('docker/Dockerfile')).toBe(true);
+      expect(globAnalyzer.shouldProcessFile('scripts/build.sh')).toBe(true);
+      expect(globAnalyzer.shouldProcessFile('src/index.js')).toBe(true);
+      expect(globAnalyzer.shouldProcessFile('Makefile')).toBe(false);
+      expect(globAnalyzer.shouldProcessFile('tools/build.sh')).toBe(false);
+    });
+
+    test('should process files matching include patterns over gitignore and exclude rules', () => {
+      const includeAnalyzer = new FileAnalyzer(
+        { ...mockConfig, include_patterns: ['dist/schema.graphql', '**/*.generated.py'] },
+        mockTokenCounter,
+        { useGitignore: true, gitignoreRules: parseGitignoreRules('dist/\n*.generated.py') }
+      );
+
+      expect(includeAnalyzer.shouldProcessFile('dist/schema.graphql')).toBe(true);
+      expect(includeAnalyzer.shouldProcessFile('src/api/client.generated.py')).toBe(true);
+      expect(includeAnalyzer.shouldProcessFile('dist/bundle.graphql')).toBe(false);
+    });
+
+    test('should keep sensitive files and node_modules excluded under broad include rules', () => {
+      const includeAnalyzer = new FileAnalyzer(
+        {
+          ...mockConfig,
+          exclude_patterns: [],
+          include_patterns: ['config/**', 'vendor/**'],
+          include_overrides: ['config/.env.example', 'keys'],
+        },
+        mockTokenCounter
+      );
+
+      expect(includeAnalyzer.shouldProcessFile('config/app.json')).toBe(true);
+      expect(includeAnalyzer.shouldProcessFile('config/.env')).toBe(false);
+      expect(includeAnalyzer.shouldProcessFile('config/id_rsa')).toBe(false);
+      expect(includeAnalyzer.shouldProcessFile('vendor/node_modules/pkg/index.js')).toBe(false);
+      expect(includeAnalyzer.shouldProcessFile('keys/server.pem')).toBe(false);
+      // An override naming the sensitive file itself still includes it.
+      expect(includeAnalyzer.shouldProcessFile('config/.env.example')).toBe(true);
+    });
   });
 
   describe('analyzeFile', () => {
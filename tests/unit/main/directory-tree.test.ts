@@ -2,7 +2,12 @@ import fs from 'fs';
 import path from 'path';
 import yaml from 'yaml';
 
-import { getDirectoryTree } from '../../../src/main/services/directory-tree';
+import {
+  explainPathFilter,
+  getDirectoryFiles,
+  getDirectoryTree,
+} from '../../../src/main/services/directory-tree';
+import { parseGitignoreRules } from '../../../src/utils/gitignore-matcher';
 
 type MockStatsOptions = {
   isDirectory?: boolean;
@@ -11,14 +16,17 @@ type MockStatsOptions = {
 };
 
 type FsWithTreeMethods = {
-  readdirSync: jest.Mock;
-  statSync: jest.Mock;
-  lstatSync?: jest.Mock;
+  promises: {
+    readdir: jest.Mock;
+    lstat: jest.Mock;
+    stat: jest.Mock;
+  };
   realpathSync?: ((value: string) => string) & { native?: (value: string) => string };
 };
 
 type MockGitignoreParser = {
-  parseGitignore: jest.Mock;
+  parseIgnoreFiles: jest.Mock;
+  parseDirectoryGitignore: jest.Mock;
 };
 
 const fsWithTreeMethods = fs as unknown as FsWithTreeMethods;
@@ -37,19 +45,25 @@ const buildMockStats = ({
 });
 
 const createGitignoreParser = (
-  excludePatterns: string[] = [],
-  includePatterns: string[] = []
+  gitignoreContent = '',
+  nestedGitignoreContentByDirectory: Record<string, string> = {}
 ): MockGitignoreParser => {
   return {
-    parseGitignore: jest.fn().mockReturnValue({
-      excludePatterns,
-      includePatterns,
-    }),
+    parseIgnoreFiles: jest.fn().mockReturnValue(parseGitignoreRules(gitignoreContent)),
+    parseDirectoryGitignore: jest
+      .fn()
+      .mockImplementation((_rootPath: string, directoryPath: string) =>
+        parseGitignoreRules(
+          nestedGitignoreContentByDirectory[directoryPath] ?? '',
+          'gitignore',
+          path.relative(ROOT_PATH, directoryPath).split(path.sep).join('/')
+        )
+      ),
   };
 };
 
 const mockDirectoryEntries = (entriesByDirectory: Record<string, string[]>) => {
-  fsWithTreeMethods.readdirSync.mockImplementation((directoryPath: string) => {
+  fsWithTreeMethods.promises.readdir.mockImplementation(async (directoryPath: string) => {
     return entriesByDirectory[directoryPath] ?? [];
   });
 };
@@ -64,14 +78,14 @@ const mockPathStats = ({
   const directorySet = new Set(directories);
   const symlinkSet = new Set(symlinks);
 
-  fsWithTreeMethods.lstatSync?.mockImplementation((candidatePath: string) =>
+  fsWithTreeMethods.promises.lstat.mockImplementation(async (candidatePath: string) =>
     buildMockStats({
       isDirectory: directorySet.has(candidatePath),
       isSymbolicLink: symlinkSet.has(candidatePath),
     })
   );
 
-  fsWithTreeMethods.statSync.mockImplementation((candidatePath: string) =>
+  fsWithTreeMethods.promises.stat.mockImplementation(async (candidatePath: string) =>
     buildMockStats({
       isDirectory: directorySet.has(candidatePath),
     })
@@ -84,14 +98,12 @@ describe('directory-tree service', () => {
   beforeEach(() => {
     jest.clearAllMocks();
     yamlParse.mockReset();
-    fsWithTreeMethods.readdirSync.mockReset();
-    fsWithTreeMethods.statSync.mockReset();
-
-    if (typeof fsWithTreeMethods.lstatSync === 'function') {
-      fsWithTreeMethods.lstatSync.mockReset();
-    } else {
-      fsWithTreeMethods.lstatSync = jest.fn();
-    }
+    // The shared fs mock has no promise API; the service only uses fs.promises for the walk.
+    fsWithTreeMethods.promises = {
+      readdir: jest.fn().mockResolvedValue([]),
+      lstat: jest.fn(),
+      stat: jest.fn(),
+    };
 
     originalRealPathSync = fsWithTreeMethods.realpathSync;
   });
@@ -100,7 +112,7 @@ describe('directory-tree service', () => {
     fsWithTreeMethods.realpathSync = originalRealPathSync;
   });
 
-  test('applies custom excludes, include extensions, and gitignore rules', () => {
+  test('applies custom excludes, include extensions, and gitignore rules', async () => {
     yamlParse.mockReturnValue({
       use_custom_excludes: true,
       use_custom_includes: true,
@@ -111,7 +123,7 @@ describe('directory-tree service', () => {
 
     const srcDirectoryPath = path.join(ROOT_PATH, 'src');
     const nodeModulesDirectoryPath = path.join(ROOT_PATH, 'node_modules');
-    const gitignoreParser = createGitignoreParser(['*.log'], ['keep.log']);
+    const gitignoreParser = createGitignoreParser('*.log\n!keep.log');
 
     mockDirectoryEntries({
       [ROOT_PATH]: ['src', 'node_modules', 'keep.log', 'drop.log', 'README.md'],
@@ -122,13 +134,18 @@ describe('directory-tree service', () => {
       directories: [srcDirectoryPath, nodeModulesDirectoryPath],
     });
 
-    const result = getDirectoryTree({
+    const result = await getDirectoryTree({
       rootPath: ROOT_PATH,
       configContent: 'mocked: true',
       gitignoreParser,
     });
 
-    expect(gitignoreParser.parseGitignore).toHaveBeenCalledWith(ROOT_PATH);
+    expect(gitignoreParser.parseIgnoreFiles).toHaveBeenCalledWith(ROOT_PATH, {
+      'global-excludes': true,
+      'git-info-exclude': true,
+      gitignore: true,
+      aicodefusionignore: true,
+    });
     expect(result.map((item) => item.name)).toEqual(['src', 'keep.log']);
     expect(result[0]).toEqual(
       expect.objectContaining({
@@ -140,7 +157,219 @@ describe('directory-tree service', () => {
     expect(result[0].children?.map((item) => item.name)).toEqual(['index.ts']);
   });
 
-  test('skips symlinks and warns when symlink resolves outside root', () => {
+  test('passes the ignore file toggles from the config to the parser', async () => {
+    yamlParse.mockReturnValue({
+      use_gitignore: true,
+      use_git_info_exclude: false,
+      use_aicodefusionignore: false,
+    });
+    const gitignoreParser = createGitignoreParser();
+    mockDirectoryEntries({ [ROOT_PATH]: [] });
+
+    await getDirectoryTree({ rootPath: ROOT_PATH, configContent: 'mocked: true', gitignoreParser });
+
+    expect(gitignoreParser.parseIgnoreFiles).toHaveBeenCalledWith(ROOT_PATH, {
+      'global-excludes': true,
+      'git-info-exclude': false,
+      gitignore: true,
+      aicodefusionignore: false,
+    });
+  });
+
+  test('scopes nested .gitignore rules to their directory and lets negations override parents', async () => {
+    yamlParse.mockReturnValue({ use_gitignore: true });
+
+    const packagesDirectoryPath = path.join(ROOT_PATH, 'packages');
+    const appDirectoryPath = path.join(packagesDirectoryPath, 'app');
+    const appDistDirectoryPath = path.join(appDirectoryPath, 'dist');
+    const libDirectoryPath = path.join(packagesDirectoryPath, 'lib');
+    const libDistDirectoryPath = path.join(libDirectoryPath, 'dist');
+    const gitignoreParser = createGitignoreParser('*.log', {
+      [appDirectoryPath]: 'dist/\n!keep.log',
+    });
+
+    mockDirectoryEntries({
+      [ROOT_PATH]: ['packages', 'root.log'],
+      [packagesDirectoryPath]: ['app', 'lib'],
+      [appDirectoryPath]: ['dist', 'index.ts', 'keep.log', 'debug.log'],
+      [appDistDirectoryPath]: ['bundle.ts'],
+      [libDirectoryPath]: ['dist'],
+      [libDistDirectoryPath]: ['out.ts'],
+    });
+
+    mockPathStats({
+      directories: [
+        packagesDirectoryPath,
+        appDirectoryPath,
+        appDistDirectoryPath,
+        libDirectoryPath,
+        libDistDirectoryPath,
+      ],
+    });
+
+    const result = await getDirectoryTree({
+      rootPath: ROOT_PATH,
+      configContent: 'mocked: true',
+      gitignoreParser,
+    });
+
+    expect(result.map((item) => item.name)).toEqual(['packages']);
+    const [appDirectory, libDirectory] = result[0].children ?? [];
+    expect(appDirectory.children?.map((item) => item.name)).toEqual(['index.ts', 'keep.log']);
+    // The app package's dist/ rule does not leak into sibling packages.
+    expect(libDirectory.children?.map((item) => item.name)).toEqual(['dist']);
+    expect(gitignoreParser.parseDirectoryGitignore).toHaveBeenCalledWith(
+      ROOT_PATH,
+      appDirectoryPath
+    );
+    expect(gitignoreParser.parseDirectoryGitignore).not.toHaveBeenCalledWith(ROOT_PATH, ROOT_PATH);
+  });
+
+  test('loads one level with child counts when maxDepth is set', async () => {
+    yamlParse.mockReturnValue({ use_gitignore: true });
+
+    const srcDirectoryPath = path.join(ROOT_PATH, 'src');
+    const emptyDirectoryPath = path.join(ROOT_PATH, 'empty');
+    const nestedDirectoryPath = path.join(srcDirectoryPath, 'nested');
+    mockDirectoryEntries({
+      [ROOT_PATH]: ['src', 'empty', 'README.md'],
+      [srcDirectoryPath]: ['index.ts', 'debug.log', 'nested'],
+      [emptyDirectoryPath]: ['trace.log'],
+    });
+    mockPathStats({ directories: [srcDirectoryPath, emptyDirectoryPath, nestedDirectoryPath] });
+
+    const result = await getDirectoryTree({
+      rootPath: ROOT_PATH,
+      maxDepth: 1,
+      configContent: 'mocked: true',
+      gitignoreParser: createGitignoreParser('*.log'),
+    });
+
+    expect(result.map((item) => item.name)).toEqual(['src', 'README.md']);
+    expect(result[0]).toEqual(expect.objectContaining({ type: 'directory', itemCount: 2 }));
+    expect(result[0].children).toBeUndefined();
+    expect(fsWithTreeMethods.promises.readdir).not.toHaveBeenCalledWith(nestedDirectoryPath);
+  });
+
+  test('lists a subdirectory with the .gitignore rules of its parents', async () => {
+    yamlParse.mockReturnValue({ use_gitignore: true });
+
+    const packagesDirectoryPath = path.join(ROOT_PATH, 'packages');
+    const appDirectoryPath = path.join(packagesDirectoryPath, 'app');
+    const srcDirectoryPath = path.join(appDirectoryPath, 'src');
+    const gitignoreParser = createGitignoreParser('', {
+      [packagesDirectoryPath]: '*.tmp',
+      [appDirectoryPath]: '!keep.tmp',
+    });
+    mockDirectoryEntries({
+      [appDirectoryPath]: ['src', 'keep.tmp', 'drop.tmp'],
+      [srcDirectoryPath]: ['index.ts', 'cache.tmp'],
+    });
+    mockPathStats({ directories: [packagesDirectoryPath, appDirectoryPath, srcDirectoryPath] });
+
+    const options = {
+      rootPath: ROOT_PATH,
+      directoryPath: appDirectoryPath,
+      configContent: 'mocked: true',
+      gitignoreParser,
+    };
+    const children = await getDirectoryTree({ ...options, maxDepth: 1 });
+    const descendants = await getDirectoryFiles(options);
+
+    expect(children.map((item) => item.name)).toEqual(['src', 'keep.tmp']);
+    expect(children[0].itemCount).toBe(1);
+    expect(descendants).toEqual({
+      files: [path.join(srcDirectoryPath, 'index.ts'), path.join(appDirectoryPath, 'keep.tmp')],
+      folders: [srcDirectoryPath],
+    });
+    expect(gitignoreParser.parseDirectoryGitignore).toHaveBeenCalledWith(
+      ROOT_PATH,
+      packagesDirectoryPath
+    );
+  });
+
+  test('refuses to list a directory outside the root', async () => {
+    yamlParse.mockReturnValue({});
+    const warnMock = jest.fn();
+
+    const result = await getDirectoryTree({
+      rootPath: ROOT_PATH,
+      directoryPath: path.join(path.sep, 'elsewhere'),
+      gitignoreParser: createGitignoreParser(),
+      onWarn: warnMock,
+    });
+
+    expect(result).toEqual([]);
+    expect(fsWithTreeMethods.promises.readdir).not.toHaveBeenCalled();
+    expect(warnMock).toHaveBeenCalledWith(
+      expect.stringContaining('Skipping directory outside current root directory')
+    );
+  });
+
+  test('reports progress with the top-level entries finished since the last update', async () => {
+    yamlParse.mockReturnValue({ exclude_patterns: [] });
+
+    const srcDirectoryPath = path.join(ROOT_PATH, 'src');
+    mockDirectoryEntries({
+      [ROOT_PATH]: ['src', 'README.md'],
+      [srcDirectoryPath]: ['index.ts', 'util.ts'],
+    });
+    mockPathStats({ directories: [srcDirectoryPath] });
+
+    const onProgress = jest.fn();
+    const result = await getDirectoryTree({
+      rootPath: ROOT_PATH,
+      gitignoreParser: createGitignoreParser(),
+      onProgress,
+      progressIntervalMs: 0,
+    });
+
+    const updates = onProgress.mock.calls.map(([progress]) => progress);
+    expect(updates.flatMap((update) => update.completedItems.map((item) => item.name))).toEqual([
+      'src',
+      'README.md',
+    ]);
+    expect(updates.at(-1)).toEqual({
+      status: 'completed',
+      directoriesVisited: 2,
+      filesFound: 3,
+      completedItems: [],
+    });
+    expect(result.map((item) => item.name)).toEqual(['src', 'README.md']);
+  });
+
+  test('stops walking when the scan is aborted and keeps finished entries only', async () => {
+    yamlParse.mockReturnValue({ exclude_patterns: [] });
+
+    const controller = new AbortController();
+    const [firstDirectoryPath, secondDirectoryPath, thirdDirectoryPath] = ['a', 'b', 'c'].map(
+      (name) => path.join(ROOT_PATH, name)
+    );
+    mockPathStats({ directories: [firstDirectoryPath, secondDirectoryPath, thirdDirectoryPath] });
+    // Cancel while the second directory is being read.
+    fsWithTreeMethods.promises.readdir.mockImplementation(async (directoryPath: string) => {
+      if (directoryPath === secondDirectoryPath) {
+        controller.abort();
+      }
+      return directoryPath === ROOT_PATH ? ['a', 'b', 'c'] : [`${path.basename(directoryPath)}.ts`];
+    });
+
+    const onProgress = jest.fn();
+    const result = await getDirectoryTree({
+      rootPath: ROOT_PATH,
+      gitignoreParser: createGitignoreParser(),
+      signal: controller.signal,
+      onProgress,
+    });
+
+    expect(result.map((item) => item.name)).toEqual(['a']);
+    expect(fsWithTreeMethods.promises.readdir).not.toHaveBeenCalledWith(thirdDirectoryPath);
+    expect(onProgress).toHaveBeenLastCalledWith(
+      expect.objectContaining({ status: 'cancelled', directoriesVisited: 3 })
+    );
+  });
+
+  test('skips symlinks and warns when symlink resolves outside root', async () => {
     yamlParse.mockReturnValue({ exclude_patterns: [] });
 
     const outsideLinkPath = path.join(ROOT_PATH, 'outside-link');
@@ -168,7 +397,7 @@ describe('directory-tree service', () => {
     });
 
     const warnMock = jest.fn();
-    const result = getDirectoryTree({
+    const result = await getDirectoryTree({
       rootPath: ROOT_PATH,
       gitignoreParser,
       onWarn: warnMock,
@@ -180,7 +409,159 @@ describe('directory-tree service', () => {
     );
   });
 
-  test('prevents recursion loops by tracking canonical directory paths', () => {
+  test('lists excluded entries with their reason without walking excluded folders', async () => {
+    yamlParse.mockReturnValue({
+      include_extensions: ['.ts', '.log'],
+      exclude_patterns: ['dist'],
+      include_overrides: ['kept.png'],
+    });
+
+    const srcDirectoryPath = path.join(ROOT_PATH, 'src');
+    const distDirectoryPath = path.join(ROOT_PATH, 'dist');
+    const linkPath = path.join(ROOT_PATH, 'link');
+    const realPathMock = jest.fn((candidatePath: string) => candidatePath);
+    fsWithTreeMethods.realpathSync = Object.assign(realPathMock, { native: realPathMock });
+    mockDirectoryEntries({
+      [ROOT_PATH]: ['src', 'dist', '.env', 'a.ts', 'b.png', 'debug.log', 'kept.png', 'link'],
+      [srcDirectoryPath]: ['index.ts', 'old.png'],
+      [distDirectoryPath]: ['bundle.ts'],
+    });
+    mockPathStats({ directories: [srcDirectoryPath, distDirectoryPath], symlinks: [linkPath] });
+
+    const options = {
+      rootPath: ROOT_PATH,
+      configContent: 'mocked: true',
+      gitignoreParser: createGitignoreParser('*.log'),
+    };
+    const result = await getDirectoryTree({ ...options, includeExcluded: true });
+
+    expect(Object.fromEntries(result.map((item) => [item.name, item.excludedReason]))).toEqual({
+      src: undefined,
+      dist: 'custom-pattern',
+      '.env': 'sensitive',
+      'a.ts': undefined,
+      'b.png': 'extension',
+      'debug.log': 'gitignore',
+      'kept.png': undefined,
+      link: 'symlink',
+    });
+    expect(result.find((item) => item.name === 'dist')).toEqual(
+      expect.objectContaining({ type: 'directory', children: [] })
+    );
+    expect(fsWithTreeMethods.promises.readdir).not.toHaveBeenCalledWith(distDirectoryPath);
+    expect(result.find((item) => item.name === 'src')?.children).toEqual([
+      expect.objectContaining({ name: 'index.ts' }),
+      expect.objectContaining({ name: 'old.png', excludedReason: 'extension' }),
+    ]);
+
+    // Folder selection never picks up excluded entries.
+    await expect(getDirectoryFiles(options)).resolves.toEqual({
+      files: [
+        path.join(srcDirectoryPath, 'index.ts'),
+        path.join(ROOT_PATH, 'a.ts'),
+        path.join(ROOT_PATH, 'kept.png'),
+      ],
+      folders: [srcDirectoryPath],
+    });
+  });
+
+  test('applies include globs to files and skips folders no glob can reach', async () => {
+    yamlParse.mockReturnValue({ include_globs: ['src/**/*.ts'] });
+
+    const srcDirectoryPath = path.join(ROOT_PATH, 'src');
+    const docsDirectoryPath = path.join(ROOT_PATH, 'docs');
+    mockDirectoryEntries({
+      [ROOT_PATH]: ['src', 'docs', 'Makefile'],
+      [srcDirectoryPath]: ['a.ts', 'b.js'],
+      [docsDirectoryPath]: ['guide.md'],
+    });
+    mockPathStats({ directories: [srcDirectoryPath, docsDirectoryPath] });
+
+    const result = await getDirectoryTree({
+      rootPath: ROOT_PATH,
+      configContent: 'mocked: true',
+      gitignoreParser: createGitignoreParser(''),
+      includeExcluded: true,
+    });
+
+    expect(Object.fromEntries(result.map((item) => [item.name, item.excludedReason]))).toEqual({
+      src: undefined,
+      docs: 'include-glob',
+      Makefile: 'include-glob',
+    });
+    expect(result.find((item) => item.name === 'src')?.children).toEqual([
+      expect.objectContaining({ name: 'a.ts' }),
+      expect.objectContaining({ name: 'b.js', excludedReason: 'include-glob' }),
+    ]);
+    expect(fsWithTreeMethods.promises.readdir).not.toHaveBeenCalledWith(docsDirectoryPath);
+  });
+
+  test('descends into excluded folders wherever an include pattern could match', async () => {
+    yamlParse.mockReturnValue({
+      include_extensions: ['.ts'],
+      exclude_patterns: ['**/dist/**', 'dist', '**/out/**', 'out'],
+      include_patterns: ['*.graphql'],
+    });
+
+    const distDirectoryPath = path.join(ROOT_PATH, 'dist');
+    const buildDirectoryPath = path.join(ROOT_PATH, 'build');
+    const outDirectoryPath = path.join(ROOT_PATH, 'out');
+    mockDirectoryEntries({
+      [ROOT_PATH]: ['dist', 'build', 'out', 'a.ts'],
+      [distDirectoryPath]: ['schema.graphql', 'bundle.ts'],
+      [buildDirectoryPath]: ['schema.graphql'],
+      [outDirectoryPath]: ['bundle.ts'],
+    });
+    mockPathStats({ directories: [distDirectoryPath, buildDirectoryPath, outDirectoryPath] });
+
+    const result = await getDirectoryTree({
+      rootPath: ROOT_PATH,
+      configContent: 'mocked: true',
+      gitignoreParser: createGitignoreParser('build/'),
+    });
+
+    // A pattern without a slash matches at any depth, so the gitignored folder is walked too;
+    // excluded folders without a match are left out.
+    expect(result).toEqual([
+      expect.objectContaining({
+        name: 'build',
+        children: [expect.objectContaining({ name: 'schema.graphql' })],
+      }),
+      expect.objectContaining({
+        name: 'dist',
+        children: [expect.objectContaining({ name: 'schema.graphql' })],
+      }),
+      expect.objectContaining({ name: 'a.ts' }),
+    ]);
+    expect(fsWithTreeMethods.promises.readdir).toHaveBeenCalledWith(outDirectoryPath);
+  });
+
+  test('descends into excluded folders only on the way to paths a slashed pattern names', async () => {
+    yamlParse.mockReturnValue({
+      include_extensions: ['.ts'],
+      exclude_patterns: ['**/dist/**', 'dist'],
+      include_patterns: ['dist/schema.graphql'],
+    });
+
+    const distDirectoryPath = path.join(ROOT_PATH, 'dist');
+    const buildDirectoryPath = path.join(ROOT_PATH, 'build');
+    mockDirectoryEntries({
+      [ROOT_PATH]: ['dist', 'build', 'a.ts'],
+      [distDirectoryPath]: ['schema.graphql', 'bundle.ts'],
+      [buildDirectoryPath]: ['schema.graphql'],
+    });
+    mockPathStats({ directories: [distDirectoryPath, buildDirectoryPath] });
+
+    await getDirectoryTree({
+      rootPath: ROOT_PATH,
+      configContent: 'mocked: true',
+      gitignoreParser: createGitignoreParser('build/'),
+    });
+
+    expect(fsWithTreeMethods.promises.readdir).not.toHaveBeenCalledWith(buildDirectoryPath);
+  });
+
+  test('prevents recursion loops by tracking canonical directory paths', async () => {
     yamlParse.mockReturnValue({ exclude_patterns: [] });
 
     const firstDirectoryPath = path.join(ROOT_PATH, 'a');
@@ -214,7 +595,7 @@ describe('directory-tree service', () => {
     });
 
     const warnMock = jest.fn();
-    const result = getDirectoryTree({
+    const result = await getDirectoryTree({
       rootPath: ROOT_PATH,
       gitignoreParser,
       onWarn: warnMock,
@@ -228,14 +609,88 @@ describe('directory-tree service', () => {
     );
   });
 
-  test('falls back on parse errors and keeps traversal resilient', () => {
+  test('explains a path with config lines, ignore file lines and excluded parents', () => {
+    const configContent = [
+      'include_extensions:',
+      '  - .ts',
+      'exclude_patterns:',
+      "  - '**/*.test.ts'",
+      '',
+    ].join('\n');
+    yamlParse.mockReturnValue({
+      include_extensions: ['.ts'],
+      exclude_patterns: ['**/*.test.ts'],
+    });
+    const gitignoreParser = createGitignoreParser();
+    gitignoreParser.parseIgnoreFiles.mockReturnValue(
+      parseGitignoreRules('# output\nbuild/', 'gitignore', '', path.join(ROOT_PATH, '.gitignore'))
+    );
+    (fs.statSync as jest.Mock).mockImplementation((itemPath: string) => {
+      if (itemPath.includes('build')) {
+        throw new Error('ENOENT');
+      }
+      return { isDirectory: () => false };
+    });
+    const explain = (relativePath: string) =>
+      explainPathFilter({
+        rootPath: ROOT_PATH,
+        itemPath: path.join(ROOT_PATH, ...relativePath.split('/')),
+        configContent,
+        gitignoreParser,
+      });
+
+    const included = explain('src/index.ts');
+    expect(included).toEqual(
+      expect.objectContaining({ excluded: false, decidedBy: null, exists: true })
+    );
+    expect(included.checks.map((check) => check.outcome)).toEqual([
+      'no-match',
+      'included',
+      'no-match',
+      'no-match',
+      'no-match',
+    ]);
+    expect(included.checks[1].source).toEqual({
+      kind: 'config',
+      key: 'include_extensions',
+      line: 2,
+    });
+
+    const testFile = explain('src/app.test.ts');
+    expect(testFile.decidedBy).toBe('exclude-pattern');
+    expect(testFile.checks[2].source).toEqual({
+      kind: 'config',
+      key: 'exclude_patterns',
+      line: 4,
+    });
+
+    const wrongExtension = explain('src/data.json');
+    expect(wrongExtension.decidedBy).toBe('extension');
+    expect(wrongExtension.checks[1].source).toEqual(expect.objectContaining({ line: 1 }));
+
+    const built = explain('build/out/app.ts');
+    expect(built).toEqual(
+      expect.objectContaining({ excluded: true, decidedBy: 'gitignore', exists: false })
+    );
+    expect(built.excludedParent).toEqual(
+      expect.objectContaining({ relativePath: 'build', decidedBy: 'gitignore' })
+    );
+    expect(built.excludedParent?.checks[3]).toEqual(
+      expect.objectContaining({
+        rule: 'build/',
+        source: expect.objectContaining({ filePath: path.join(ROOT_PATH, '.gitignore'), line: 2 }),
+      })
+    );
+  });
+
+  test('falls back on parse errors and keeps traversal resilient', async () => {
     yamlParse.mockImplementation(() => {
       throw new Error('parse failure');
     });
 
     const gitDirectoryPath = path.join(ROOT_PATH, '.git');
     const srcDirectoryPath = path.join(ROOT_PATH, 'src');
-    const gitignoreParser = createGitignoreParser(['*.tmp']);
+    const gitignoreParser = createGitignoreParser('*.tmp');
 
     mockDirectoryEntries({
       [ROOT_PATH]: ['.git', 'src'],
@@ -248,15 +703,50 @@ describe('directory-tree service', () => {
     });
 
     const errorMock = jest.fn();
-    const result = getDirectoryTree({
+    const result = await getDirectoryTree({
       rootPath: ROOT_PATH,
       configContent: 'invalid yaml',
       gitignoreParser,
       onError: errorMock,
     });
 
-    expect(gitignoreParser.parseGitignore).not.toHaveBeenCalled();
+    expect(gitignoreParser.parseIgnoreFiles).not.toHaveBeenCalled();
     expect(result.map((item) => item.name)).toEqual(['src']);
     expect(errorMock).toHaveBeenCalledWith('Error parsing config:', expect.any(Error));
   });
+
+  test('keeps the valid settings when the config has values of the wrong type', async () => {
+    yamlParse.mockReturnValue({
+      exclude_patterns: '**/dist/**',
+      include_extensions: ['.ts'],
+    });
+
+    const srcDirectoryPath = path.join(ROOT_PATH, 'src');
+    const gitignoreParser = createGitignoreParser('*.tmp');
+    mockDirectoryEntries({
+      [ROOT_PATH]: ['src', 'notes.md'],
+      [srcDirectoryPath]: ['index.ts', 'cache.tmp'],
+    });
+    mockPathStats({ directories: [srcDirectoryPath] });
+
+    const errorMock = jest.fn();
+    const result = await getDirectoryTree({
+      rootPath: ROOT_PATH,
+      configContent: 'exclude_patterns: "**/dist/**"\ninclude_extensions: [.ts]',
+      gitignoreParser,
+      onError: errorMock,
+    });
+
+    // The extension list and the ignore files still filter the tree.
+    expect(result.map((item) => item.name)).toEqual(['src']);
+    expect(result[0].children?.map((item) => item.name)).toEqual(['index.ts']);
+    expect(errorMock).toHaveBeenCalledWith(
+      'Ignoring invalid config settings:',
+      expect.objectContaining({
+        name: 'ConfigValidationError',
+        message:
+          'Invalid config: Line 1: `exclude_patterns` must be a list of strings or an add/remove mapping.',
+      })
+    );
+  });
 });
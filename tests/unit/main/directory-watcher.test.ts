@@ -0,0 +1,181 @@
+jest.unmock('fs');
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { DirectoryWatcher } from '../../../src/main/services/directory-watcher';
+import { parseGitignoreRules } from '../../../src/utils/gitignore-matcher';
+
+type WatchListener = (eventType: string, fileName: string | null) => void;
+
+const createGitignoreParser = () => ({
+  parseIgnoreFiles: jest.fn().mockReturnValue(parseGitignoreRules('node_modules/')),
+  parseDirectoryGitignore: jest.fn().mockReturnValue([]),
+  clearCache: jest.fn(),
+});
+
+describe('DirectoryWatcher', () => {
+  let rootPath: string;
+  let emit: WatchListener;
+  let watchHandle: { close: jest.Mock; on: jest.Mock };
+  let watch: jest.Mock;
+  let onChanges: jest.Mock;
+  let gitignoreParser: ReturnType<typeof createGitignoreParser>;
+  let watcher: DirectoryWatcher;
+
+  const writeFile = (relativePath: string, content = 'export {};') => {
+    const filePath = path.join(rootPath, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  };
+
+  beforeEach(() => {
+    rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'directory-watcher-'));
+    writeFile('src/a.js');
+    writeFile('node_modules/lib/index.js');
+
+    watchHandle = { close: jest.fn(), on: jest.fn() };
+    watch = jest.fn((_rootPath: string, _options: unknown, listener: WatchListener) => {
+      emit = listener;
+      return watchHandle;
+    });
+    onChanges = jest.fn();
+    gitignoreParser = createGitignoreParser();
+    // Changes are flushed by hand; the debounce timer never fires during a test.
+    watcher = new DirectoryWatcher({
+      gitignoreParser,
+      onChanges,
+      debounceMs: 60_000,
+      watch,
+      onWarn: jest.fn(),
+      onError: jest.fn(),
+    });
+  });
+
+  afterEach(() => {
+    watcher.close();
+    fs.rmSync(rootPath, { recursive: true, force: true });
+  });
+
+  test('reports added, changed and removed entries with their refreshed parent', async () => {
+    expect(watcher.watch(rootPath, null)).toBe(true);
+    expect(watch).toHaveBeenCalledWith(rootPath, { recursive: true }, expect.any(Function));
+
+    writeFile('src/b.js');
+    emit('rename', path.join('src', 'b.js'));
+    writeFile('src/a.js', 'export const a = 1;');
+    emit('change', path.join('src', 'a.js'));
+    emit('change', path.join('src', 'a.js'));
+    await watcher.flush();
+
+    expect(onChanges).toHaveBeenCalledTimes(1);
+    const [reportedRoot, changes] = onChanges.mock.calls[0];
+    expect(reportedRoot).toBe(rootPath);
+    expect(changes).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({
+          type: 'add',
+          path: path.join(rootPath, 'src', 'b.js'),
+          item: expect.objectContaining({ name: 'b.js', type: 'file' }),
+        }),
+        expect.objectContaining({ type: 'change', path: path.join(rootPath, 'src', 'a.js') }),
+        expect.objectContaining({
+          type: 'change',
+          path: path.join(rootPath, 'src'),
+          item: expect.objectContaining({ type: 'directory', itemCount: 2 }),
+        }),
+      ])
+    );
+    expect(changes).toHaveLength(3);
+
+    fs.rmSync(path.join(rootPath, 'src', 'a.js'));
+    emit('rename', path.join('src', 'a.js'));
+    await watcher.flush();
+
+    expect(onChanges.mock.calls[1][1]).toEqual(
+      expect.arrayContaining([
+        { type: 'unlink', path: path.join(rootPath, 'src', 'a.js') },
+        expect.objectContaining({
+          path: path.join(rootPath, 'src'),
+          item: expect.objectContaining({ itemCount: 1 }),
+        }),
+      ])
+    );
+  });
+
+  test('drops events below ignored directories and reloads rules when an ignore file changes', async () => {
+    watcher.watch(rootPath, null);
+
+    emit('change', path.join('node_modules', 'lib', 'index.js'));
+    await watcher.flush();
+    expect(onChanges).not.toHaveBeenCalled();
+
+    writeFile('.gitignore', 'node_modules/\n');
+    emit('rename', '.gitignore');
+    await watcher.flush();
+
+    expect(gitignoreParser.clearCache).toHaveBeenCalled();
+    expect(onChanges).toHaveBeenCalledWith(rootPath, [
+      expect.objectContaining({ type: 'add', path: path.join(rootPath, '.gitignore') }),
+    ]);
+  });
+
+  test('reports excluded entries with their reason when the tree lists them', async () => {
+    watcher.watch(rootPath, null, { includeExcluded: true });
+
+    emit('change', 'node_modules');
+    await watcher.flush();
+
+    expect(onChanges).toHaveBeenCalledWith(rootPath, [
+      expect.objectContaining({
+        type: 'change',
+        path: path.join(rootPath, 'node_modules'),
+        item: expect.objectContaining({ type: 'directory', excludedReason: 'gitignore' }),
+      }),
+    ]);
+  });
+
+  test('reports a removed folder and everything below it as unlinked', async () => {
+    watcher.watch(rootPath, null);
+
+    fs.rmSync(path.join(rootPath, 'src'), { recursive: true });
+    emit('rename', path.join('src', 'a.js'));
+    emit('rename', 'src');
+    await watcher.flush();
+
+    expect(onChanges).toHaveBeenCalledWith(
+      rootPath,
+      expect.arrayContaining([
+        { type: 'unlink', path: path.join(rootPath, 'src', 'a.js') },
+        { type: 'unlink', path: path.join(rootPath, 'src') },
+      ])
+    );
+  });
+
+  test('stops reporting once closed and warns when watching is unavailable', async () => {
+    watcher.watch(rootPath, null);
+    writeFile('src/c.js');
+    emit('rename', path.join('src', 'c.js'));
+    watcher.close();
+    await watcher.flush();
+
+    expect(watchHandle.close).toHaveBeenCalled();
+    expect(onChanges).not.toHaveBeenCalled();
+    expect(watcher.watchedRootPath).toBeNull();
+
+    const onWarn = jest.fn();
+    const unsupportedWatcher = new DirectoryWatcher({
+      gitignoreParser,
+      onChanges,
+      onWarn,
+      watch: jest.fn(() => {
+        throw new Error('recursive watch is not supported');
+      }),
+    });
+    expect(unsupportedWatcher.watch(rootPath, null)).toBe(false);
+    expect(onWarn).toHaveBeenCalledWith(
+      expect.stringContaining('recursive watch is not supported')
+    );
+  });
+});
@@ -0,0 +1,75 @@
+jest.unmock('fs');
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { findRepoConfig, writeRepoConfig } from '../../../src/main/services/repo-config';
+
+describe('repository config', () => {
+  let rootPath: string;
+
+  beforeEach(() => {
+    rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(rootPath, { recursive: true, force: true });
+  });
+
+  test('returns null when the root has no config', () => {
+    expect(findRepoConfig(rootPath)).toBeNull();
+  });
+
+  test('prefers .aicodefusion.yaml over .ai-code-fusion/config.yaml', () => {
+    fs.mkdirSync(path.join(rootPath, '.ai-code-fusion'));
+    fs.writeFileSync(path.join(rootPath, '.ai-code-fusion', 'config.yaml'), 'use_gitignore: false');
+    expect(findRepoConfig(rootPath)).toEqual({
+      relativePath: '.ai-code-fusion/config.yaml',
+      content: 'use_gitignore: false',
+    });
+
+    fs.writeFileSync(path.join(rootPath, '.aicodefusion.yaml'), 'use_gitignore: true');
+    expect(findRepoConfig(rootPath)).toEqual({
+      relativePath: '.aicodefusion.yaml',
+      content: 'use_gitignore: true',
+    });
+  });
+
+  test('writes new configs to .aicodefusion.yaml and replaces an existing config in place', () => {
+    expect(writeRepoConfig(rootPath, 'include_globs: []')).toEqual({
+      relativePath: '.aicodefusion.yaml',
+      content: 'include_globs: []',
+    });
+    expect(fs.readFileSync(path.join(rootPath, '.aicodefusion.yaml'), 'utf8')).toBe(
+      'include_globs: []'
+    );
+
+    fs.rmSync(path.join(rootPath, '.aicodefusion.yaml'));
+    fs.mkdirSync(path.join(rootPath, '.ai-code-fusion'));
+    fs.writeFileSync(path.join(rootPath, '.ai-code-fusion', 'config.yaml'), 'old: true');
+    writeRepoConfig(rootPath, 'new: true');
+    expect(fs.readFileSync(path.join(rootPath, '.ai-code-fusion', 'config.yaml'), 'utf8')).toBe(
+      'new: true'
+    );
+    expect(fs.existsSync(path.join(rootPath, '.aicodefusion.yaml'))).toBe(false);
+  });
+
+  test('ignores a config symlinked from outside the root', () => {
+    const outsidePath = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-config-outside-'));
+    try {
+      fs.writeFileSync(path.join(outsidePath, 'config.yaml'), 'secret: true');
+      fs.symlinkSync(
+        path.join(outsidePath, 'config.yaml'),
+        path.join(rootPath, '.aicodefusion.yaml')
+      );
+
+      expect(findRepoConfig(rootPath)).toBeNull();
+      expect(() => writeRepoConfig(rootPath, 'use_gitignore: true')).toThrow(
+        'inside the selected directory'
+      );
+    } finally {
+      fs.rmSync(outsidePath, { recursive: true, force: true });
+    }
+  });
+});
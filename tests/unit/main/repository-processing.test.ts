@@ -1,10 +1,14 @@
 jest.unmock('fs');
 
+import crypto from 'node:crypto';
 import fs from 'node:fs';
 import os from 'node:os';
 import path from 'node:path';
 
-import { processRepository } from '../../../src/main/services/repository-processing';
+import {
+  processRepository,
+  processRepositoryToFile,
+} from '../../../src/main/services/repository-processing';
 
 import type { FileInfo } from '../../../src/types/ipc';
 
@@ -178,4 +182,392 @@ describe('repository-processing service', () => {
       cleanup();
     }
   });
+
+  test('streams the same output to disk and returns a truncated preview', () => {
+    const { rootPath, createFile, cleanup } = createTempRepository();
+    const outputPath = path.join(rootPath, 'output.xml');
+    try {
+      createFile('src/index.js', 'const marker = "]]>";\n');
+      createFile('src/feature.js', 'export const feature = true;\n');
+      const input = {
+        rootPath,
+        filesInfo: [
+          { path: 'src/index.js', tokens: 4 },
+          { path: 'src/feature.js', tokens: 6 },
+        ],
+        options: { exportFormat: 'xml' as const },
+      };
+
+      const bufferedResult = processRepository(input);
+      const streamedResult = processRepositoryToFile({ ...input, outputPath, previewLength: 64 });
+
+      const written = fs.readFileSync(outputPath, 'utf8');
+      expect(written).toBe(bufferedResult.content);
+      expect(written).toContain(']]]]><![CDATA[>');
+      expect(streamedResult.outputPath).toBe(outputPath);
+      expect(streamedResult.isPreviewTruncated).toBe(true);
+      expect(streamedResult.content).toBe(written.slice(0, 64));
+      expect(streamedResult.processedFiles).toBe(2);
+      expect(streamedResult.totalTokens).toBe(bufferedResult.totalTokens);
+    } finally {
+      cleanup();
+    }
+  });
+
+  test('returns the full content as preview when output fits the preview length', () => {
+    const { rootPath, createFile, cleanup } = createTempRepository();
+    const outputPath = path.join(rootPath, 'output.md');
+    try {
+      createFile('src/index.js', 'const small = 1;\n');
+
+      const result = processRepositoryToFile({
+        rootPath,
+        filesInfo: [{ path: 'src/index.js', tokens: 3 }],
+        outputPath,
+      });
+
+      expect(result.isPreviewTruncated).toBe(false);
+      expect(result.content).toBe(fs.readFileSync(outputPath, 'utf8'));
+    } finally {
+      cleanup();
+    }
+  });
+
+  test('packs whole files into self-contained parts under maxTokensPerPart', () => {
+    const { rootPath, createFile, cleanup } = createTempRepository();
+    try {
+      // The tiktoken mock counts 10 tokens for the part header, the footer and each file wrapper.
+      createFile('src/a.js', 'const a = 1;\n');
+      createFile('src/b.js', 'const b = 2;\n');
+      createFile('src/c.js', 'const c = 3;\n');
+
+      const result = processRepository({
+        rootPath,
+        filesInfo: [
+          { path: 'src/a.js', tokens: 40 },
+          { path: 'src/b.js', tokens: 50 },
+          { path: 'src/c.js', tokens: 30 },
+        ],
+        options: { maxTokensPerPart: 130 },
+      });
+
+      expect(result.parts).toHaveLength(2);
+      const [firstPart, secondPart] = result.parts ?? [];
+      expect(firstPart).toEqual(
+        expect.objectContaining({ index: 1, totalTokens: 90, processedFiles: 2 })
+      );
+      expect(firstPart.content).toContain('# Repository Content (part 1 of 2)');
+      expect(firstPart.content).toContain('src/a.js');
+      expect(firstPart.content).toContain('src/b.js');
+      expect(firstPart.content).toContain('--END--');
+      expect(secondPart.content).toContain('# Repository Content (part 2 of 2)');
+      expect(secondPart.content).toContain('src/c.js');
+      expect(secondPart.content).not.toContain('src/a.js');
+      expect(result.content).toBe(`${firstPart.content}\n${secondPart.content}`);
+      expect(result.totalTokens).toBe(120);
+      expect(result.processedFiles).toBe(3);
+    } finally {
+      cleanup();
+    }
+  });
+
+  test('reserves budget for part overhead and reports skipped files per part', () => {
+    const { rootPath, createFile, cleanup } = createTempRepository();
+    try {
+      createFile('src/a.js', 'const a = 1;\n');
+      createFile('src/b.js', 'const b = 2;\n');
+      createFile('src/c.js', 'const c = 3;\n');
+
+      // a and b hold 90 file tokens, but with their wrappers, header and footer take 130.
+      const result = processRepository({
+        rootPath,
+        filesInfo: [
+          { path: 'src/a.js', tokens: 40 },
+          { path: 'src/b.js', tokens: 50 },
+          { path: 'missing.js', tokens: 5 },
+          { path: 'src/c.js', tokens: 30 },
+        ],
+        options: { exportFormat: 'xml', maxTokensPerPart: 129 },
+      });
+
+      const [firstPart, secondPart] = result.parts ?? [];
+      expect(result.parts).toHaveLength(2);
+      expect(firstPart.content).toContain('src/a.js');
+      expect(firstPart.content).not.toContain('src/b.js');
+      expect(firstPart.content).toContain(
+        '<summary totalTokens="40" processedFiles="1" skippedFiles="0" />'
+      );
+      expect(secondPart.content).toContain(
+        '<summary totalTokens="80" processedFiles="2" skippedFiles="1" />'
+      );
+      expect(result.skippedFiles).toBe(1);
+    } finally {
+      cleanup();
+    }
+  });
+
+  test('streams each part to a file of its own, shaped like the buffered parts', () => {
+    const { rootPath, createFile, cleanup } = createTempRepository();
+    const outputPath = path.join(rootPath, 'output.md');
+    try {
+      createFile('src/a.js', 'const a = 1;\n');
+      createFile('src/b.js', 'const b = 2;\n');
+      createFile('src/c.js', 'const c = 3;\n');
+      const input = {
+        rootPath,
+        filesInfo: [
+          { path: 'src/a.js', tokens: 40 },
+          { path: 'src/b.js', tokens: 50 },
+          { path: 'src/c.js', tokens: 30 },
+        ],
+        options: { maxTokensPerPart: 130 },
+      };
+
+      const bufferedResult = processRepository(input);
+      const streamedResult = processRepositoryToFile({ ...input, outputPath });
+
+      const partPaths = [
+        path.join(rootPath, 'output.part-1-of-2.md'),
+        path.join(rootPath, 'output.part-2-of-2.md'),
+      ];
+      expect(partPaths.map((partPath) => fs.readFileSync(partPath, 'utf8'))).toEqual(
+        bufferedResult.parts?.map((part) => part.content)
+      );
+      expect(streamedResult.parts).toEqual([
+        expect.objectContaining({ index: 1, totalTokens: 90, outputPath: partPaths[0] }),
+        expect.objectContaining({ index: 2, totalTokens: 30, outputPath: partPaths[1] }),
+      ]);
+      expect(streamedResult.parts?.[1].content).toContain('# Repository Content (part 2 of 2)');
+      expect(streamedResult.processedFiles).toBe(3);
+      expect(streamedResult.totalTokens).toBe(120);
+      expect(fs.existsSync(outputPath)).toBe(false);
+      expect(fs.existsSync(`${outputPath}.parts.tmp`)).toBe(false);
+    } finally {
+      cleanup();
+    }
+  });
+
+  test('splits a single file that alone exceeds maxTokensPerPart into segments', () => {
+    const { rootPath, createFile, cleanup } = createTempRepository();
+    try {
+      // The tiktoken mock counts every line as 10 tokens.
+      createFile('src/big.js', 'line 1\nline 2\nline 3\nline 4\n');
+
+      const result = processRepository({
+        rootPath,
+        filesInfo: [{ path: 'src/big.js', tokens: 40 }],
+        options: { exportFormat: 'xml', maxTokensPerPart: 50 },
+      });
+
+      expect(result.parts).toHaveLength(2);
+      const [firstPart, secondPart] = result.parts ?? [];
+      expect(firstPart.content).toContain('<repositoryContent part="1" totalParts="2">');
+      expect(firstPart.content).toContain('segment="1" totalSegments="2"');
+      expect(firstPart.content).toContain('line 2');
+      expect(firstPart.content).not.toContain('line 3');
+      expect(firstPart.content).toContain('</repositoryContent>');
+      expect(secondPart.content).toContain('segment="2" totalSegments="2"');
+      expect(secondPart.content).toContain('line 4');
+    } finally {
+      cleanup();
+    }
+  });
+
+  test('produces a json document with tree, file entries and summary', () => {
+    const { rootPath, createFile, cleanup } = createTempRepository();
+    try {
+      createFile('src/index.js', 'const quote = "json";\n');
+      createFile('assets/logo.png', 'PNG\u0000\u0001binary');
+
+      const result = processRepository({
+        rootPath,
+        filesInfo: [
+          { path: 'src/index.js', tokens: 6 },
+          { path: 'assets/logo.png', tokens: 0 },
+          { path: 'missing.js', tokens: 1 },
+        ],
+        options: { exportFormat: 'json', includeTreeView: true },
+      });
+
+      expect(result.exportFormat).toBe('json');
+      const document = JSON.parse(result.content);
+      expect(document.tree).toContain('index.js');
+      expect(document.files).toEqual([
+        {
+          path: 'src/index.js',
+          tokens: 6,
+          binary: false,
+          size: Buffer.byteLength('const quote = "json";\n'),
+          content: 'const quote = "json";\n',
+        },
+        expect.objectContaining({ path: 'assets/logo.png', binary: true, content: null }),
+      ]);
+      expect(document.summary).toEqual({ totalTokens: 6, processedFiles: 2, skippedFiles: 1 });
+    } finally {
+      cleanup();
+    }
+  });
+
+  test('keeps every json part and streamed json output parseable', () => {
+    const { rootPath, createFile, cleanup } = createTempRepository();
+    try {
+      createFile('src/a.js', 'const a = 1;\n');
+      createFile('src/b.js', 'const b = 2;\n');
+      const input = {
+        rootPath,
+        filesInfo: [
+          { path: 'src/a.js', tokens: 60 },
+          { path: 'src/b.js', tokens: 60 },
+        ],
+      };
+
+      const partsResult = processRepository({
+        ...input,
+        options: { exportFormat: 'json', maxTokensPerPart: 100 },
+      });
+      const parsedParts = (partsResult.parts ?? []).map((part) => JSON.parse(part.content));
+      expect(parsedParts.map((part) => part.part)).toEqual([
+        { index: 1, total: 2 },
+        { index: 2, total: 2 },
+      ]);
+      expect(parsedParts[1].files[0].path).toBe('src/b.js');
+      // Joined json parts would not parse, so the content is the first part.
+      expect(JSON.parse(partsResult.content)).toEqual(parsedParts[0]);
+
+      const outputPath = path.join(rootPath, 'output.json');
+      processRepositoryToFile({ ...input, options: { exportFormat: 'json' }, outputPath });
+      const streamed = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+      expect(streamed.tree).toBeNull();
+      expect(streamed.files).toHaveLength(2);
+    } finally {
+      cleanup();
+    }
+  });
+
+  test('keeps every streamed json and xml part a document of its own', () => {
+    const { rootPath, createFile, cleanup } = createTempRepository();
+    try {
+      createFile('src/a.js', 'const a = 1;\n');
+      createFile('src/b.js', 'const b = 2;\n');
+      const input = {
+        rootPath,
+        filesInfo: [
+          { path: 'src/a.js', tokens: 60 },
+          { path: 'src/b.js', tokens: 60 },
+        ],
+      };
+
+      const jsonResult = processRepositoryToFile({
+        ...input,
+        options: { exportFormat: 'json', maxTokensPerPart: 100 },
+        outputPath: path.join(rootPath, 'output.json'),
+      });
+      const jsonParts = (jsonResult.parts ?? []).map((part) =>
+        JSON.parse(fs.readFileSync(part.outputPath ?? '', 'utf8'))
+      );
+      expect(jsonParts.map((part) => part.files.map((file: FileInfo) => file.path))).toEqual([
+        ['src/a.js'],
+        ['src/b.js'],
+      ]);
+
+      const xmlResult = processRepositoryToFile({
+        ...input,
+        options: { exportFormat: 'xml', maxTokensPerPart: 100 },
+        outputPath: path.join(rootPath, 'output.xml'),
+      });
+      expect(xmlResult.parts).toHaveLength(2);
+      for (const part of xmlResult.parts ?? []) {
+        const written = fs.readFileSync(part.outputPath ?? '', 'utf8');
+        expect(written.match(/<repositoryContent[ >]/g)).toHaveLength(1);
+        expect(written.trimEnd().endsWith('</repositoryContent>')).toBe(true);
+      }
+    } finally {
+      cleanup();
+    }
+  });
+
+  test('packs json lines chunk records into parts one by one', () => {
+    const { rootPath, createFile, cleanup } = createTempRepository();
+    try {
+      // The mocked tokenizer counts 10 tokens per line, so each line becomes a chunk record.
+      createFile('src/index.js', 'line 1\nline 2\nline 3\nline 4\nline 5\nline 6\n');
+      createFile('src/small.js', 'small\n');
+
+      const result = processRepository({
+        rootPath,
+        filesInfo: [
+          { path: 'src/index.js', tokens: 60 },
+          { path: 'src/small.js', tokens: 10 },
+        ],
+        options: { exportFormat: 'jsonl', chunkSize: 10, chunkOverlap: 0, maxTokensPerPart: 35 },
+      });
+
+      const parts = result.parts ?? [];
+      expect(parts.length).toBeGreaterThan(1);
+      for (const part of parts) {
+        expect(part.totalTokens).toBeLessThanOrEqual(35);
+      }
+      const records = parts.flatMap((part) =>
+        part.content
+          .split('\n')
+          .filter(Boolean)
+          .map((line) => JSON.parse(line))
+      );
+      expect(
+        records.map(({ path: recordPath, startLine }) => `${recordPath}:${startLine}`)
+      ).toEqual([
+        'src/index.js:1',
+        'src/index.js:2',
+        'src/index.js:3',
+        'src/index.js:4',
+        'src/index.js:5',
+        'src/index.js:6',
+        'src/small.js:1',
+      ]);
+      expect(result.totalTokens).toBe(70);
+    } finally {
+      cleanup();
+    }
+  });
+
+  test('writes one json line per overlapping chunk with line range and content hash', () => {
+    const { rootPath, createFile, cleanup } = createTempRepository();
+    try {
+      // The mocked tokenizer counts 10 tokens per line.
+      const content = 'line 1\nline 2\nline 3\nline 4\n';
+      createFile('src/index.js', content);
+      createFile('assets/logo.png', 'PNG\u0000\u0001binary');
+
+      const result = processRepository({
+        rootPath,
+        filesInfo: [
+          { path: 'src/index.js', tokens: 40 },
+          { path: 'assets/logo.png', tokens: 0 },
+        ],
+        options: { exportFormat: 'jsonl', chunkSize: 25, chunkOverlap: 10 },
+      });
+
+      const records = result.content
+        .split('\n')
+        .filter(Boolean)
+        .map((line) => JSON.parse(line));
+      expect(records.map(({ startLine, endLine }) => [startLine, endLine])).toEqual([
+        [1, 2],
+        [2, 3],
+        [3, 4],
+      ]);
+      expect(records[0]).toEqual({
+        path: 'src/index.js',
+        startLine: 1,
+        endLine: 2,
+        tokens: 10,
+        hash: crypto.createHash('sha256').update('line 1\nline 2\n').digest('hex'),
+        content: 'line 1\nline 2\n',
+      });
+      expect(result.processedFiles).toBe(1);
+      expect(result.skippedFiles).toBe(1);
+    } finally {
+      cleanup();
+    }
+  });
 });
@@ -0,0 +1,139 @@
+jest.unmock('fs');
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import {
+  CachedTokenCounter,
+  hashTokenContent,
+  MIN_CACHED_CONTENT_LENGTH,
+  recordTokenCacheWrites,
+  TokenCache,
+} from '../../../src/main/services/token-cache';
+import { TokenCounter } from '../../../src/utils/token-counter';
+
+describe('TokenCache', () => {
+  let tempDirectory: string;
+  let cacheFilePath: string;
+
+  beforeEach(() => {
+    tempDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'token-cache-'));
+    cacheFilePath = path.join(tempDirectory, 'nested', 'token-cache.json');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tempDirectory, { recursive: true, force: true });
+  });
+
+  test('keys entries by content hash and tokenizer and persists them', () => {
+    const cache = new TokenCache({ filePath: cacheFilePath });
+    cache.set('hash-a', 'cl100k', 12);
+    cache.set('hash-a', 'o200k', 10);
+    cache.save();
+
+    const reloaded = new TokenCache({ filePath: cacheFilePath });
+    expect(reloaded.get('hash-a', 'cl100k')).toBe(12);
+    expect(reloaded.get('hash-a', 'o200k')).toBe(10);
+    expect(reloaded.get('hash-a', 'claude-approx')).toBeUndefined();
+    expect(reloaded.size).toBe(2);
+  });
+
+  test('evicts the least recently used entries past maxEntries', () => {
+    const cache = new TokenCache({ filePath: cacheFilePath, maxEntries: 2 });
+    cache.set('first', 'cl100k', 1);
+    cache.set('second', 'cl100k', 2);
+    // Reading "first" makes "second" the oldest entry.
+    expect(cache.get('first', 'cl100k')).toBe(1);
+    cache.set('third', 'cl100k', 3);
+
+    expect(cache.get('second', 'cl100k')).toBeUndefined();
+    expect(cache.get('first', 'cl100k')).toBe(1);
+    expect(cache.get('third', 'cl100k')).toBe(3);
+    expect(cache.size).toBe(2);
+  });
+
+  test('ignores unreadable or outdated cache files', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    fs.mkdirSync(path.dirname(cacheFilePath), { recursive: true });
+
+    fs.writeFileSync(cacheFilePath, '{not json');
+    expect(new TokenCache({ filePath: cacheFilePath }).size).toBe(0);
+
+    fs.writeFileSync(cacheFilePath, JSON.stringify({ version: 0, entries: [['cl100k:a', 1]] }));
+    expect(new TokenCache({ filePath: cacheFilePath }).size).toBe(0);
+  });
+
+  test('clear removes entries and the cache file', () => {
+    const cache = new TokenCache({ filePath: cacheFilePath });
+    cache.set('hash-a', 'cl100k', 12);
+    cache.save();
+    expect(fs.existsSync(cacheFilePath)).toBe(true);
+
+    cache.clear();
+
+    expect(cache.size).toBe(0);
+    expect(fs.existsSync(cacheFilePath)).toBe(false);
+  });
+
+  test('auto-saves changes after the configured delay', () => {
+    jest.useFakeTimers();
+    try {
+      const cache = new TokenCache({ filePath: cacheFilePath, autoSaveDelayMs: 1000 });
+      cache.merge([
+        ['cl100k:a', 1],
+        ['cl100k:b', 2],
+      ]);
+      expect(fs.existsSync(cacheFilePath)).toBe(false);
+
+      jest.advanceTimersByTime(1000);
+
+      expect(new TokenCache({ filePath: cacheFilePath }).size).toBe(2);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('load picks up entries saved by another instance', () => {
+    const writer = new TokenCache({ filePath: cacheFilePath });
+    const reader = new TokenCache({ filePath: cacheFilePath });
+    expect(reader.size).toBe(0);
+
+    writer.set('hash-a', 'cl100k', 7);
+    writer.save();
+    // Keep the mtime check deterministic on coarse-grained filesystems.
+    const future = new Date(Date.now() + 5000);
+    fs.utimesSync(cacheFilePath, future, future);
+    reader.load();
+
+    expect(reader.get('hash-a', 'cl100k')).toBe(7);
+  });
+});
+
+describe('CachedTokenCounter', () => {
+  test('counts each large content once and reuses the cached count', () => {
+    const store = new Map<string, number>();
+    const recorder = recordTokenCacheWrites({
+      get: (contentHash, tokenizer) => store.get(`${tokenizer}:${contentHash}`),
+      set: (contentHash, tokenizer, tokens) => {
+        store.set(`${tokenizer}:${contentHash}`, tokens);
+      },
+    });
+    const countSpy = jest.spyOn(TokenCounter.prototype, 'countTokens');
+    const counter = new CachedTokenCounter('o200k', recorder.store);
+    const content = 'x'.repeat(MIN_CACHED_CONTENT_LENGTH);
+
+    const first = counter.countTokens(content);
+    const second = counter.countTokens(content);
+
+    expect(second).toBe(first);
+    expect(countSpy).toHaveBeenCalledTimes(1);
+    expect(recorder.entries).toEqual([[`o200k:${hashTokenContent(content)}`, first]]);
+
+    // Short strings skip the cache entirely.
+    counter.countTokens('short');
+    expect(recorder.entries).toHaveLength(1);
+    countSpy.mockRestore();
+  });
+});
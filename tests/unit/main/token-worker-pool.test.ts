@@ -0,0 +1,270 @@
+jest.unmock('fs');
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { TokenCache } from '../../../src/main/services/token-cache';
+import { TokenWorkerPool } from '../../../src/main/services/token-worker-pool';
+
+const createTempDirectory = () => {
+  const rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'token-worker-pool-'));
+  const createFile = (relativePath: string, content: string) => {
+    const fullPath = path.join(rootPath, relativePath);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, content, 'utf-8');
+    return fullPath;
+  };
+
+  return {
+    rootPath,
+    createFile,
+    cleanup: () => {
+      fs.rmSync(rootPath, { recursive: true, force: true });
+    },
+  };
+};
+
+// Plain JavaScript stand-in for the compiled worker: answers countFiles tasks with one
+// token per file path character, reports each count as a cache entry, and fails tasks for
+// paths containing "fail" or exits on "crash". Paths containing "hold" are answered once a
+// file of that name exists under the root, and the path "known" is answered with the
+// number of cache entries the pool has forwarded to this worker.
+const FAKE_WORKER_SOURCE = `
+const fs = require('fs');
+const path = require('path');
+const { parentPort, workerData } = require('worker_threads');
+const knownEntries = new Map();
+parentPort.on('message', ({ id, task, cacheEntries: forwardedEntries = [] }) => {
+  for (const [key, tokens] of forwardedEntries) {
+    knownEntries.set(key, tokens);
+  }
+  if (task.filePaths.includes('known')) {
+    parentPort.postMessage({ id, result: { results: { known: knownEntries.size }, stats: {} } });
+    return;
+  }
+  if (task.filePaths.some((filePath) => filePath.includes('crash'))) {
+    process.exit(3);
+  }
+  if (task.filePaths.some((filePath) => filePath.includes('fail'))) {
+    parentPort.postMessage({ id, error: 'cannot count ' + task.filePaths.join(',') });
+    return;
+  }
+  const results = {};
+  const stats = {};
+  for (const filePath of task.filePaths) {
+    results[filePath] = filePath.length;
+    stats[filePath] = { size: filePath.length, mtime: 1 };
+  }
+  const newEntries = workerData.tokenCacheFilePath
+    ? task.filePaths.map((filePath) => ['cl100k:' + filePath, filePath.length])
+    : undefined;
+  const respond = () => {
+    parentPort.postMessage({ id, result: { results, stats }, cacheEntries: newEntries });
+  };
+  const heldPath = task.filePaths.find((filePath) => filePath.includes('hold'));
+  if (!heldPath) {
+    respond();
+    return;
+  }
+  const timer = setInterval(() => {
+    if (fs.existsSync(path.join(task.rootPath, heldPath))) {
+      clearInterval(timer);
+      respond();
+    }
+  }, 5);
+});
+`;
+
+describe('TokenWorkerPool', () => {
+  test('runs inline when no worker script is available and merges chunk results', async () => {
+    const { rootPath, createFile, cleanup } = createTempDirectory();
+    const pool = new TokenWorkerPool({ workerScriptPath: null, chunkSize: 2 });
+    try {
+      const filePaths = ['a.js', 'b.js', 'c.js'].map((name) =>
+        createFile(`src/${name}`, `const ${name[0]} = 1;\n`)
+      );
+      createFile('image.png', 'PNG\u0000\u0001binary');
+
+      const result = await pool.run({
+        type: 'countFiles',
+        rootPath,
+        filePaths: [...filePaths, path.join(rootPath, 'image.png'), '../outside.js'],
+      });
+
+      // The mocked tokenizer reports 10 tokens per text file.
+      expect(result.results).toEqual({
+        [filePaths[0]]: 10,
+        [filePaths[1]]: 10,
+        [filePaths[2]]: 10,
+        [path.join(rootPath, 'image.png')]: 0,
+        '../outside.js': 0,
+      });
+      expect(Object.keys(result.stats)).toHaveLength(4);
+
+      const comparison = await pool.run({
+        type: 'compareTokenizers',
+        rootPath,
+        filePaths,
+        tokenizers: ['cl100k', 'claude-approx'],
+      });
+      expect(comparison).toEqual({ totals: { cl100k: 30, 'claude-approx': 33 } });
+    } finally {
+      await pool.destroy();
+      cleanup();
+    }
+  });
+
+  test('merges analysis chunks and keeps files ordered by token count', async () => {
+    const { rootPath, createFile, cleanup } = createTempDirectory();
+    const pool = new TokenWorkerPool({ workerScriptPath: null, chunkSize: 1 });
+    try {
+      createFile('src/small.js', 'a\n');
+      createFile('src/large.js', 'a\nb\nc\n');
+      createFile('logo.png', 'PNG\u0000\u0001binary');
+
+      const result = await pool.run({
+        type: 'analyze',
+        rootPath,
+        configContent: 'include_extensions:\n  - .js\n',
+        selectedFiles: ['logo.png', 'src/small.js', 'src/large.js'].map((filePath) =>
+          path.join(rootPath, filePath)
+        ),
+        gitignoreRules: [],
+      });
+
+      expect(result.skippedBinaryFiles).toBe(1);
+      expect(result.filesInfo.map((fileInfo) => fileInfo.path)).toEqual([
+        'src/small.js',
+        'src/large.js',
+        'logo.png',
+      ]);
+      expect(result.totalTokens).toBe(20);
+    } finally {
+      await pool.destroy();
+      cleanup();
+    }
+  });
+
+  test('spreads chunks over worker threads and surfaces worker errors', async () => {
+    const { rootPath, createFile, cleanup } = createTempDirectory();
+    const workerScriptPath = createFile('fake-worker.js', FAKE_WORKER_SOURCE);
+    const pool = new TokenWorkerPool({ workerScriptPath, size: 2, chunkSize: 1 });
+    try {
+      const result = await pool.run({
+        type: 'countFiles',
+        rootPath,
+        filePaths: ['a', 'bb', 'ccc'],
+      });
+      expect(result).toEqual({
+        results: { a: 1, bb: 2, ccc: 3 },
+        stats: {
+          a: { size: 1, mtime: 1 },
+          bb: { size: 2, mtime: 1 },
+          ccc: { size: 3, mtime: 1 },
+        },
+      });
+
+      await expect(
+        pool.run({ type: 'countFiles', rootPath, filePaths: ['fail.js'] })
+      ).rejects.toThrow('cannot count fail.js');
+
+      await expect(
+        pool.run({ type: 'countFiles', rootPath, filePaths: ['crash.js'] })
+      ).rejects.toThrow('Token worker exited with code 3');
+
+      // A replacement worker is spawned after a crash.
+      await expect(
+        pool.run({ type: 'countFiles', rootPath, filePaths: ['dddd'] })
+      ).resolves.toEqual({ results: { dddd: 4 }, stats: { dddd: { size: 4, mtime: 1 } } });
+    } finally {
+      await pool.destroy();
+      cleanup();
+    }
+  });
+
+  test('reports each chunk result before the whole task finishes', async () => {
+    const { rootPath, createFile, cleanup } = createTempDirectory();
+    const workerScriptPath = createFile('fake-worker.js', FAKE_WORKER_SOURCE);
+    const pool = new TokenWorkerPool({ workerScriptPath, size: 2, chunkSize: 1 });
+    try {
+      const onChunkResult = jest.fn();
+      const result = await pool.run(
+        { type: 'countFiles', rootPath, filePaths: ['a', 'bb', 'ccc'] },
+        onChunkResult
+      );
+
+      expect(onChunkResult).toHaveBeenCalledTimes(3);
+      expect(onChunkResult.mock.calls.map(([, progress]) => progress)).toEqual([
+        { completedChunks: 1, totalChunks: 3 },
+        { completedChunks: 2, totalChunks: 3 },
+        { completedChunks: 3, totalChunks: 3 },
+      ]);
+      const chunkResults = onChunkResult.mock.calls.map(([chunkResult]) => chunkResult.results);
+      expect(Object.assign({}, ...chunkResults)).toEqual(result.results);
+    } finally {
+      await pool.destroy();
+      cleanup();
+    }
+  });
+
+  test('merges cache entries reported by workers into the shared token cache', async () => {
+    const { rootPath, createFile, cleanup } = createTempDirectory();
+    const workerScriptPath = createFile('fake-worker.js', FAKE_WORKER_SOURCE);
+    const tokenCache = new TokenCache({ filePath: path.join(rootPath, 'token-cache.json') });
+    const pool = new TokenWorkerPool({ workerScriptPath, tokenCache, size: 1 });
+    try {
+      await pool.run({ type: 'countFiles', rootPath, filePaths: ['a', 'bb'] });
+
+      expect(tokenCache.get('a', 'cl100k')).toBe(1);
+      expect(tokenCache.get('bb', 'cl100k')).toBe(2);
+    } finally {
+      await pool.destroy();
+      cleanup();
+    }
+  });
+
+  test('passes counts from one worker to the others instead of re-reading the cache file', async () => {
+    const { rootPath, createFile, cleanup } = createTempDirectory();
+    const workerScriptPath = createFile('fake-worker.js', FAKE_WORKER_SOURCE);
+    const tokenCache = new TokenCache({ filePath: path.join(rootPath, 'token-cache.json') });
+    const pool = new TokenWorkerPool({ workerScriptPath, tokenCache, size: 2, chunkSize: 1 });
+    try {
+      // The second worker counts "a" and moves on to "hold-2" while the first holds
+      // "hold-1", so the first gets "known" together with the count for "a".
+      const { results } = await pool.run(
+        { type: 'countFiles', rootPath, filePaths: ['hold-1', 'a', 'hold-2', 'known'] },
+        ({ results: chunkResults }) => {
+          if ('a' in chunkResults) {
+            createFile('hold-1', '');
+          }
+          if ('known' in chunkResults) {
+            createFile('hold-2', '');
+          }
+        }
+      );
+      expect(results.known).toBe(1);
+    } finally {
+      await pool.destroy();
+      cleanup();
+    }
+  });
+
+  test('drops counts no worker asked for once a run completes', async () => {
+    const { rootPath, createFile, cleanup } = createTempDirectory();
+    const workerScriptPath = createFile('fake-worker.js', FAKE_WORKER_SOURCE);
+    const tokenCache = new TokenCache({ filePath: path.join(rootPath, 'token-cache.json') });
+    const pool = new TokenWorkerPool({ workerScriptPath, tokenCache, size: 2, chunkSize: 1 });
+    try {
+      // One file per worker; neither gets another request in this run.
+      await pool.run({ type: 'countFiles', rootPath, filePaths: ['a', 'bb'] });
+
+      const { results } = await pool.run({ type: 'countFiles', rootPath, filePaths: ['known'] });
+      expect(results).toEqual({ known: 0 });
+      expect(tokenCache.get('bb', 'cl100k')).toBe(2);
+    } finally {
+      await pool.destroy();
+      cleanup();
+    }
+  });
+});
@@ -0,0 +1,57 @@
+import {
+  getUniqueProfileName,
+  parseStoredConfigProfiles,
+  serializeConfigProfiles,
+} from '../../../src/renderer/context/utils/config-profiles';
+
+const profiles = [
+  { id: 'backend', name: 'Backend review', configContent: 'use_gitignore: true' },
+  { id: 'docs', name: 'Docs', configContent: 'include_extensions: [.md]' },
+];
+
+describe('config profiles storage', () => {
+  test('reads stored profiles and falls back to the first one as default', () => {
+    expect(
+      parseStoredConfigProfiles(JSON.stringify({ profiles, defaultProfileId: 'docs' }))
+    ).toEqual({ profiles, defaultProfileId: 'docs' });
+    expect(
+      parseStoredConfigProfiles(
+        JSON.stringify({
+          profiles: [...profiles, { id: '', name: 'Broken' }],
+          defaultProfileId: 'x',
+        })
+      )
+    ).toEqual({ profiles, defaultProfileId: 'backend' });
+  });
+
+  test('ignores missing, malformed and empty stored values', () => {
+    expect(parseStoredConfigProfiles(null)).toBeNull();
+    expect(parseStoredConfigProfiles('use_gitignore: true')).toBeNull();
+    expect(parseStoredConfigProfiles(JSON.stringify({ profiles: [] }))).toBeNull();
+  });
+
+  test('drops provider api keys from every stored profile', () => {
+    const stored = serializeConfigProfiles({
+      profiles: [
+        ...profiles,
+        { id: 'ai', name: 'AI', configContent: 'provider:\n  api_key: secret-key' },
+      ],
+      defaultProfileId: 'backend',
+    });
+
+    expect(stored).not.toContain('secret-key');
+    expect(parseStoredConfigProfiles(stored)?.profiles).toHaveLength(3);
+  });
+
+  test('numbers taken profile names, except for the profile being renamed', () => {
+    expect(getUniqueProfileName(profiles, ' Docs ')).toBe('Docs (2)');
+    expect(
+      getUniqueProfileName(
+        [...profiles, { id: 'copy', name: 'Docs (2)', configContent: '' }],
+        'Docs'
+      )
+    ).toBe('Docs (3)');
+    expect(getUniqueProfileName(profiles, 'Docs', 'docs')).toBe('Docs');
+    expect(getUniqueProfileName(profiles, 'Frontend only')).toBe('Frontend only');
+  });
+});
@@ -0,0 +1,90 @@
+import yaml from 'yaml';
+
+import {
+  layerConfigContent,
+  unlayerConfigContent,
+} from '../../../src/renderer/context/utils/repo-config';
+
+const parsedConfigs: Record<string, unknown> = {
+  user: {
+    use_gitignore: true,
+    exclude_patterns: ['**/dist/**'],
+    provider: { id: 'openai', model: 'gpt-4o-mini' },
+  },
+  repo: { exclude_patterns: ['**/generated/**'], include_globs: ['src/**/*.ts'] },
+  list: ['not', 'a', 'mapping'],
+  empty: null,
+  edited: {
+    use_gitignore: false,
+    exclude_patterns: ['**/generated/**', '**/tmp/**'],
+    include_globs: ['src/**/*.ts'],
+    show_token_count: true,
+  },
+};
+
+// The user's config is edited as a YAML document, so it is real YAML.
+const USER_CONFIG_CONTENT = [
+  '# My profile',
+  'use_gitignore: true # respect ignore files',
+  'exclude_patterns:',
+  '  - "**/dist/**"',
+  'provider:',
+  '  id: openai',
+  '',
+].join('\n');
+
+describe('layerConfigContent', () => {
+  beforeEach(() => {
+    jest.mocked(yaml.parse).mockImplementation((content: string) => parsedConfigs[content]);
+  });
+
+  test('lets the repository config replace top-level keys and keeps the others', () => {
+    layerConfigContent('user', 'repo');
+
+    expect(yaml.stringify).toHaveBeenLastCalledWith({
+      use_gitignore: true,
+      exclude_patterns: ['**/generated/**'],
+      include_globs: ['src/**/*.ts'],
+      provider: { id: 'openai', model: 'gpt-4o-mini' },
+    });
+  });
+
+  test('treats an empty repository config as no changes', () => {
+    layerConfigContent('user', 'empty');
+
+    expect(yaml.stringify).toHaveBeenLastCalledWith(parsedConfigs.user);
+  });
+
+  test('rejects repository configs that are not a mapping', () => {
+    expect(layerConfigContent('user', 'list')).toBeNull();
+
+    jest.mocked(yaml.parse).mockImplementation(() => {
+      throw new Error('bad indentation');
+    });
+    expect(layerConfigContent('user', 'repo')).toBeNull();
+  });
+});
+
+describe('unlayerConfigContent', () => {
+  beforeEach(() => {
+    jest.mocked(yaml.parse).mockImplementation((content: string) => parsedConfigs[content]);
+  });
+
+  test('saves edits to user settings and leaves the settings the repository sets', () => {
+    expect(unlayerConfigContent('edited', 'repo', USER_CONFIG_CONTENT)).toBe(
+      [
+        '# My profile',
+        'use_gitignore: false # respect ignore files',
+        'exclude_patterns:',
+        '  - "**/dist/**"',
+        'show_token_count: true',
+        '',
+      ].join('\n')
+    );
+  });
+
+  test('leaves the user config unchanged when a config is not a mapping', () => {
+    expect(unlayerConfigContent('list', 'repo', USER_CONFIG_CONTENT)).toBe(USER_CONFIG_CONTENT);
+    expect(unlayerConfigContent('edited', 'list', USER_CONFIG_CONTENT)).toBe(USER_CONFIG_CONTENT);
+  });
+});
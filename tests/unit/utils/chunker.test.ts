@@ -0,0 +1,62 @@
+import {
+  DEFAULT_CHUNK_OVERLAP,
+  DEFAULT_CHUNK_SIZE,
+  chunkByLines,
+  resolveChunkOptions,
+} from '../../../src/utils/chunker';
+
+import type { TokenCounter } from '../../../src/utils/token-counter';
+
+// One token per whitespace-separated word keeps the expected chunk boundaries readable.
+const wordCounter = {
+  countTokens: (text: string) => text.split(/\s+/).filter(Boolean).length,
+} as TokenCounter;
+
+const lines = (count: number, wordsPerLine = 2) =>
+  Array.from(
+    { length: count },
+    (_, index) => `${Array.from({ length: wordsPerLine }, () => `w${index + 1}`).join(' ')}\n`
+  ).join('');
+
+describe('chunker', () => {
+  test('resolveChunkOptions falls back to defaults and keeps overlap below the chunk size', () => {
+    expect(resolveChunkOptions(undefined, undefined)).toEqual({
+      chunkSize: DEFAULT_CHUNK_SIZE,
+      chunkOverlap: DEFAULT_CHUNK_OVERLAP,
+    });
+    expect(resolveChunkOptions('100', 0)).toEqual({ chunkSize: 100, chunkOverlap: 0 });
+    expect(resolveChunkOptions(10, 50)).toEqual({ chunkSize: 10, chunkOverlap: 9 });
+    expect(resolveChunkOptions(-5, 'abc')).toEqual({
+      chunkSize: DEFAULT_CHUNK_SIZE,
+      chunkOverlap: DEFAULT_CHUNK_OVERLAP,
+    });
+  });
+
+  test('splits on line boundaries and repeats trailing lines as overlap', () => {
+    const chunks = chunkByLines(lines(5), { chunkSize: 4, chunkOverlap: 2 }, wordCounter);
+
+    expect(chunks.map(({ startLine, endLine }) => [startLine, endLine])).toEqual([
+      [1, 2],
+      [2, 3],
+      [3, 4],
+      [4, 5],
+    ]);
+    expect(chunks[0].content).toBe('w1 w1\nw2 w2\n');
+  });
+
+  test('produces adjacent chunks without overlap and keeps oversized lines whole', () => {
+    const content = `${lines(2)}huge line with many words\n${lines(1)}`;
+    const chunks = chunkByLines(content, { chunkSize: 4, chunkOverlap: 0 }, wordCounter);
+
+    expect(chunks.map(({ startLine, endLine }) => [startLine, endLine])).toEqual([
+      [1, 2],
+      [3, 3],
+      [4, 4],
+    ]);
+    expect(chunks[1].content).toBe('huge line with many words\n');
+  });
+
+  test('returns no chunks for empty content', () => {
+    expect(chunkByLines('', { chunkSize: 4, chunkOverlap: 1 }, wordCounter)).toEqual([]);
+  });
+});
@@ -22,7 +22,12 @@ jest.mock('fs');
 jest.mock('yaml');
 
 // NOW require the module under test
-const { loadDefaultConfig, getDefaultConfigObject } = require('../../../src/utils/config-manager');
+const {
+  loadDefaultConfig,
+  getDefaultConfigObject,
+  resolveConfig,
+  resolveConfigContent,
+} = require('../../../src/utils/config-manager');
 
 describe('config-manager', () => {
   const mockConfigContent = `
@@ -125,4 +130,103 @@ describe('config-manager', () => {
       expect(result).toEqual({});
     });
   });
+
+  describe('resolveConfig', () => {
+    // File contents stand in for YAML; yaml.parse maps each one to its parsed config.
+    const files = {
+      [mockConfigPath]: 'default-preset',
+      '/repo/team.yaml': 'team-config',
+      '/repo/shared/base.yaml': 'base-config',
+      '/repo/shared/loop.yaml': 'loop-config',
+    };
+    const parsedConfigs = {
+      'default-preset': {
+        use_gitignore: true,
+        include_extensions: ['.js', '.md'],
+        exclude_patterns: ['**/node_modules/**', '**/test*.py'],
+      },
+      'team-config': {
+        extends: './shared/base.yaml',
+        exclude_patterns: { add: ['**/fixtures/**'] },
+      },
+      'base-config': { extends: 'default', show_token_count: false },
+      'loop-config': { extends: ['default', './loop.yaml'] },
+    };
+
+    beforeEach(() => {
+      fs.readFileSync.mockImplementation((filePath) => {
+        if (!(filePath in files)) {
+          throw new Error('ENOENT: no such file or directory');
+        }
+        return files[filePath];
+      });
+      yaml.parse.mockImplementation((content) => parsedConfigs[content]);
+    });
+
+    test('applies presets in order and changes lists with add and remove', () => {
+      const result = resolveConfig({
+        extends: ['default'],
+        include_extensions: { add: ['.py', '.js'], remove: ['.md'] },
+        exclude_patterns: { remove: ['**/test*.py'] },
+        use_gitignore: false,
+      });
+
+      expect(result).toEqual({
+        config: {
+          config_version: 2,
+          use_gitignore: false,
+          include_extensions: ['.js', '.py'],
+          exclude_patterns: ['**/node_modules/**'],
+        },
+        sources: ['default'],
+      });
+    });
+
+    test('resolves config files relative to the file that extends them', () => {
+      const isPathAllowed = jest.fn().mockReturnValue(true);
+      const result = resolveConfig(
+        { extends: 'team.yaml', include_extensions: ['.ts'] },
+        { baseDir: '/repo', isPathAllowed }
+      );
+
+      expect(result.sources).toEqual(['default', './shared/base.yaml', 'team.yaml']);
+      expect(result.config).toEqual({
+        config_version: 2,
+        use_gitignore: true,
+        show_token_count: false,
+        include_extensions: ['.ts'],
+        exclude_patterns: ['**/node_modules/**', '**/test*.py', '**/fixtures/**'],
+      });
+      expect(isPathAllowed).toHaveBeenCalledWith('/repo/shared/base.yaml');
+    });
+
+    test('rejects unknown presets, disallowed files and cycles', () => {
+      expect(() => resolveConfig({ extends: 'rust' })).toThrow(
+        'Unknown config preset "rust". Available presets: default, javascript, python.'
+      );
+      expect(() => resolveConfig({ extends: 'team.yaml' })).toThrow(
+        'can only be extended once a folder is selected'
+      );
+      expect(() =>
+        resolveConfig(
+          { extends: '../outside.yaml' },
+          { baseDir: '/repo', isPathAllowed: () => false }
+        )
+      ).toThrow('must be inside the selected directory');
+      expect(() => resolveConfig({ extends: 'missing.yaml' }, { baseDir: '/repo' })).toThrow(
+        'Unable to read extended config missing.yaml'
+      );
+      expect(() => resolveConfig({ extends: 'shared/loop.yaml' }, { baseDir: '/repo' })).toThrow(
+        'Config extends itself through ./loop.yaml.'
+      );
+    });
+
+    test('returns configs without extends or list changes unchanged', () => {
+      parsedConfigs['plain-config'] = { include_extensions: ['.js'] };
+
+      expect(resolveConfigContent('plain-config')).toBe('plain-config');
+      expect(resolveConfigContent(null)).toBeNull();
+      expect(yaml.stringify).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,137 @@
+jest.unmock('fs');
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+import yaml from 'yaml';
+
+import {
+  CURRENT_CONFIG_VERSION,
+  migrateConfig,
+  migrateConfigContent,
+  resolveConfigContent,
+} from '../../../src/utils/config-manager';
+
+import type { ConfigObject } from '../../../src/types/ipc';
+
+// `yaml` is mapped to a mock for every test, so the real parser is loaded by file path.
+const realYaml = jest.requireActual<typeof yaml>(
+  path.join(__dirname, '..', '..', '..', 'node_modules', 'yaml', 'dist', 'index.js')
+);
+
+const CONFIG_FIXTURE_DIRECTORY = path.join(__dirname, '..', '..', 'fixtures', 'configs');
+const MIGRATION_FIXTURE_DIRECTORY = path.join(CONFIG_FIXTURE_DIRECTORY, 'migrations');
+const DEFAULT_CONFIG_PATH = path.join(
+  __dirname,
+  '..',
+  '..',
+  '..',
+  'src',
+  'utils',
+  'config.default.yaml'
+);
+
+const readFixture = (fileName: string): string =>
+  fs.readFileSync(path.join(MIGRATION_FIXTURE_DIRECTORY, fileName), 'utf-8');
+
+const parseFixture = (fileName: string): ConfigObject =>
+  realYaml.parse(readFixture(fileName)) as ConfigObject;
+
+describe('config migrations', () => {
+  beforeEach(() => {
+    jest.mocked(yaml.parse).mockImplementation(realYaml.parse);
+    jest.mocked(yaml.stringify).mockImplementation(realYaml.stringify);
+  });
+
+  test('the default config is at the current version', () => {
+    const defaultConfig = realYaml.parse(fs.readFileSync(DEFAULT_CONFIG_PATH, 'utf-8'));
+    expect(defaultConfig.config_version).toBe(CURRENT_CONFIG_VERSION);
+    expect(
+      migrateConfigContent(fs.readFileSync(DEFAULT_CONFIG_PATH, 'utf-8')).migration
+    ).toBeNull();
+  });
+
+  // Each fixture is upgraded and compared with its `.migrated.yaml` counterpart.
+  test.each([
+    {
+      fixture: 'unversioned',
+      fromVersion: 1,
+      changes: [
+        'include_globs: turned the single value "src/**" into a list.',
+        'exclude_patterns: turned the single value "**/dist/**" into a list.',
+        'include_overrides: turned the single value "src/generated/keep.ts" into a list.',
+        'include_extensions: added the leading dot to js, tsx.',
+      ],
+    },
+    {
+      fixture: 'version-1',
+      fromVersion: 1,
+      changes: [
+        'include_patterns: turned the single value "**/*.pyi" into a list.',
+        'include_extensions: added the leading dot to py.',
+      ],
+    },
+  ])('upgrades the $fixture fixture', ({ fixture, fromVersion, changes }) => {
+    const { content, migration } = migrateConfigContent(readFixture(`${fixture}.yaml`));
+
+    expect(migration).toEqual({ fromVersion, toVersion: CURRENT_CONFIG_VERSION, changes });
+    expect(realYaml.parse(content)).toEqual(parseFixture(`${fixture}.migrated.yaml`));
+    expect(Object.keys(realYaml.parse(content))[0]).toBe('config_version');
+  });
+
+  test('migrated fixtures are current and migrate to themselves', () => {
+    for (const fixture of ['unversioned', 'version-1']) {
+      const migrated = parseFixture(`${fixture}.migrated.yaml`);
+      expect(migrateConfig(migrated)).toEqual({
+        config: migrated,
+        fromVersion: CURRENT_CONFIG_VERSION,
+        toVersion: CURRENT_CONFIG_VERSION,
+        changes: [],
+      });
+    }
+  });
+
+  test('leaves current and newer configs unchanged', () => {
+    for (const fixture of ['current.yaml', 'newer.yaml']) {
+      const content = readFixture(fixture);
+      expect(migrateConfigContent(content)).toEqual({ content, migration: null });
+    }
+
+    expect(migrateConfig(parseFixture('newer.yaml'))).toMatchObject({
+      fromVersion: 3,
+      toVersion: 3,
+      changes: [],
+    });
+  });
+
+  test('leaves older configs that need no changes as written', () => {
+    for (const fixture of ['default.yaml', 'minimal.yaml']) {
+      const content = fs.readFileSync(path.join(CONFIG_FIXTURE_DIRECTORY, fixture), 'utf-8');
+
+      expect(migrateConfigContent(content)).toEqual({ content, migration: null });
+      expect(resolveConfigContent(content)).toBe(content);
+    }
+  });
+
+  test('keeps comments and untouched settings when upgrading', () => {
+    const content = readFixture('unversioned.yaml');
+    const { content: migratedContent } = migrateConfigContent(content);
+
+    expect(migratedContent).toMatch(
+      /^config_version: 2\n# Config saved before config_version existed\n/
+    );
+    expect(migratedContent).toContain('use_custom_includes: true\n');
+    expect(migratedContent).toContain('export_format: xml\n\ninclude_extensions:\n');
+  });
+
+  test('filters see the upgraded settings of an older config', () => {
+    const resolved = realYaml.parse(resolveConfigContent(readFixture('unversioned.yaml')));
+    expect(resolved).toEqual(parseFixture('unversioned.migrated.yaml'));
+  });
+
+  test('leaves content it cannot migrate unchanged', () => {
+    for (const content of ['', '- .js\n- .ts', 'use_gitignore: [']) {
+      expect(migrateConfigContent(content)).toEqual({ content, migration: null });
+    }
+  });
+});
@@ -0,0 +1,169 @@
+import yaml from 'yaml';
+
+import {
+  ConfigValidationError,
+  formatConfigIssue,
+  omitInvalidSettings,
+  parseConfigObject,
+  validateConfigContent,
+} from '../../../src/utils/config-schema';
+
+import type { ConfigObject } from '../../../src/types/ipc';
+
+// yaml is mocked, so each test pairs the YAML text (used to find lines) with its parsed value.
+const mockParsedConfig = (parsed: unknown) => {
+  jest.mocked(yaml.parse).mockReturnValue(parsed);
+};
+
+describe('config schema', () => {
+  test('accepts a config that matches the schema', () => {
+    const config = {
+      extends: ['javascript'],
+      include_extensions: { add: ['.vue'], remove: ['.md'] },
+      exclude_patterns: ['**/dist/**'],
+      use_gitignore: false,
+      export_format: 'xml',
+      max_tokens_per_part: 0,
+      provider: { id: 'ollama', model: 'llama3' },
+    };
+    mockParsedConfig(config);
+
+    expect(validateConfigContent('config')).toEqual({ config, errors: [], warnings: [] });
+  });
+
+  test('reports values of the wrong type at the line of their key', () => {
+    mockParsedConfig({
+      use_gitignore: 'no',
+      exclude_patterns: '**/dist/**',
+      tokenizer: 'gpt2',
+      chunk_size: -5,
+      provider: { id: 'openai', model: 42 },
+    });
+
+    const { errors } = validateConfigContent(
+      [
+        '# Filters',
+        'use_gitignore: no',
+        'exclude_patterns: "**/dist/**"',
+        'tokenizer: gpt2',
+        'chunk_size: -5',
+        'provider:',
+        '  id: openai',
+        '  model: 42',
+      ].join('\n')
+    );
+
+    expect(errors.map((issue) => formatConfigIssue(issue))).toEqual([
+      'Line 2: `use_gitignore` must be true or false.',
+      'Line 3: `exclude_patterns` must be a list of strings or an add/remove mapping.',
+      'Line 4: `tokenizer` must be one of: cl100k, o200k, claude-approx, llama-approx.',
+      'Line 5: `chunk_size` must be a whole number of 0 or more.',
+      'Line 8: `provider.model` must be a string.',
+    ]);
+  });
+
+  test('warns about unknown keys and suggests the setting they were meant to be', () => {
+    mockParsedConfig({
+      use_gitingore: false,
+      custom_theme: 'dark',
+      exclude_patterns: { add: ['**/tmp/**'], remvoe: ['**/dist/**'] },
+    });
+
+    const { errors, warnings } = validateConfigContent(
+      [
+        'use_gitingore: false',
+        'custom_theme: dark',
+        'exclude_patterns:',
+        '  add:',
+        '    - "**/tmp/**"',
+        '  remvoe:',
+        '    - "**/dist/**"',
+      ].join('\n')
+    );
+
+    expect(errors).toEqual([]);
+    expect(warnings).toEqual([
+      {
+        severity: 'warning',
+        code: 'unknown-key',
+        key: 'use_gitingore',
+        suggestion: 'use_gitignore',
+        line: 1,
+      },
+      { severity: 'warning', code: 'unknown-key', key: 'custom_theme', line: 2 },
+      {
+        severity: 'warning',
+        code: 'unknown-key',
+        key: 'exclude_patterns.remvoe',
+        suggestion: 'remove',
+        line: 6,
+      },
+    ]);
+  });
+
+  test('reports YAML syntax errors with the line the parser gives', () => {
+    jest.mocked(yaml.parse).mockImplementation(() => {
+      throw Object.assign(
+        new Error('Nested mappings are not allowed in compact mappings at line 2'),
+        {
+          linePos: [{ line: 2, col: 14 }],
+        }
+      );
+    });
+
+    expect(validateConfigContent('use_gitignore: a: b')).toEqual({
+      config: null,
+      errors: [
+        {
+          severity: 'error',
+          code: 'yaml-syntax',
+          message: 'Nested mappings are not allowed in compact mappings at line 2',
+          line: 2,
+        },
+      ],
+      warnings: [],
+    });
+  });
+
+  test('rejects configs that are not a mapping', () => {
+    mockParsedConfig(['.js', '.ts']);
+
+    const { config, errors } = validateConfigContent('- .js\n- .ts');
+    expect(config).toBeNull();
+    expect(errors).toEqual([{ severity: 'error', code: 'not-a-mapping', line: 1 }]);
+  });
+
+  test('parseConfigObject throws on errors and passes warnings on', () => {
+    const onWarning = jest.fn();
+    mockParsedConfig({ use_gitingore: false });
+    expect(parseConfigObject('use_gitingore: false', onWarning)).toEqual({ use_gitingore: false });
+    expect(onWarning).toHaveBeenCalledWith(
+      'Line 1: Unknown setting `use_gitingore`. Did you mean `use_gitignore`?'
+    );
+
+    mockParsedConfig({ include_globs: 'src/**' });
+    expect(() => parseConfigObject('include_globs: src/**')).toThrow(ConfigValidationError);
+    expect(() => parseConfigObject('include_globs: src/**')).toThrow(
+      'Invalid config: Line 1: `include_globs` must be a list of strings or an add/remove mapping.'
+    );
+  });
+
+  test('omitInvalidSettings keeps only the settings without errors', () => {
+    const config = {
+      use_gitignore: 'no',
+      exclude_patterns: ['**/dist/**'],
+      provider: { id: 'openai', model: 42 },
+    };
+    mockParsedConfig(config);
+
+    const { errors } = validateConfigContent('config');
+    expect(omitInvalidSettings(config as ConfigObject, errors)).toEqual({
+      exclude_patterns: ['**/dist/**'],
+    });
+  });
+
+  test('treats an empty config as valid', () => {
+    expect(validateConfigContent('')).toEqual({ config: {}, errors: [], warnings: [] });
+    expect(parseConfigObject(undefined)).toEqual({});
+  });
+});
@@ -115,6 +115,24 @@ describe('ContentProcessor', () => {
       expect(result).not.toContain('\u0001');
     });
 
+    test('should process text files as json entries when export format is json', () => {
+      isBinaryFile.mockReturnValue(false);
+      fs.readFileSync.mockReturnValue('const x = "y";');
+
+      const result = contentProcessor.processFile('/project/src/file.js', 'src/file.js', {
+        exportFormat: 'json',
+        tokenCount: 12,
+      });
+
+      expect(JSON.parse(result)).toEqual({
+        path: 'src/file.js',
+        tokens: 12,
+        binary: false,
+        size: 14,
+        content: 'const x = "y";',
+      });
+    });
+
     test('should handle binary files correctly', () => {
       // Setup
       const filePath = '/project/images/logo.png';
@@ -208,6 +226,26 @@ describe('ContentProcessor', () => {
     });
   });
 
+  describe('formatTextFile', () => {
+    test('should label markdown and xml segments of a split file', () => {
+      const segment = { index: 2, total: 3 };
+
+      const markdown = contentProcessor.formatTextFile('src/big.js', 'line 2\n', { segment });
+      const xml = contentProcessor.formatTextFile('src/big.js', 'line 2\n', {
+        exportFormat: 'xml',
+        showTokenCount: true,
+        tokenCount: 7,
+        segment,
+      });
+
+      expect(markdown).toContain('src/big.js (segment 2 of 3)');
+      expect(markdown).toContain('line 2');
+      expect(xml).toContain(
+        '<file path="src/big.js" tokens="7" binary="false" segment="2" totalSegments="3">'
+      );
+    });
+  });
+
   describe('readAnalysisFile', () => {
     test('should parse analysis file correctly', () => {
       // Setup
@@ -1,4 +1,5 @@
 const {
+  getExportFileExtension,
   normalizeExportFormat,
   escapeXmlAttribute,
   sanitizeXmlContent,
@@ -8,13 +9,23 @@ const {
 } = require('../../../src/utils/export-format');
 
 describe('export-format utils', () => {
-  test('normalizeExportFormat should accept xml and fallback to markdown', () => {
+  test('normalizeExportFormat should accept xml, json and jsonl and fallback to markdown', () => {
     expect(normalizeExportFormat('xml')).toBe('xml');
+    expect(normalizeExportFormat('json')).toBe('json');
+    expect(normalizeExportFormat('jsonl')).toBe('jsonl');
     expect(normalizeExportFormat('markdown')).toBe('markdown');
     expect(normalizeExportFormat('other')).toBe('markdown');
     expect(normalizeExportFormat(undefined)).toBe('markdown');
   });
 
+  test('getExportFileExtension should map each format to its file extension', () => {
+    expect(getExportFileExtension('markdown')).toBe('md');
+    expect(getExportFileExtension('xml')).toBe('xml');
+    expect(getExportFileExtension('json')).toBe('json');
+    expect(getExportFileExtension('jsonl')).toBe('jsonl');
+    expect(getExportFileExtension('other')).toBe('md');
+  });
+
   test('escapeXmlAttribute should escape xml-sensitive characters and remove invalid code points', () => {
     expect(escapeXmlAttribute(`a&b"c'd<e>\u0001`)).toBe('a&amp;b&quot;c&apos;d&lt;e&gt;');
   });
@@ -3,7 +3,10 @@ const {
   normalizePath,
   getRelativePath,
   shouldExclude,
+  explainExclusion,
+  explainSecretScan,
 } = require('../../../src/utils/filter-utils');
+const { GitignoreMatcher, parseGitignoreRules } = require('../../../src/utils/gitignore-matcher');
 
 // Mock path module
 jest.mock('path', () => ({
@@ -258,6 +261,94 @@ describe('filter-utils', () => {
       expect(shouldExclude(itemPath, rootPath, excludePatterns, config)).toBe(false);
     });
 
+    test('should include override paths, the folders leading to them and everything below', () => {
+      const excludePatterns = ['**/dist/**', 'dist'];
+      const config = {
+        include_extensions: ['.js'],
+        include_overrides: ['./dist/app.map', 'vendor/'],
+      };
+
+      expect(shouldExclude('/project/dist/app.map', '/project', excludePatterns, config)).toBe(
+        false
+      );
+      expect(shouldExclude('/project/dist', '/project', excludePatterns, config, true)).toBe(false);
+      expect(shouldExclude('/project/dist/other.js', '/project', excludePatterns, config)).toBe(
+        true
+      );
+      expect(shouldExclude('/project/vendor/lib/a.png', '/project', excludePatterns, config)).toBe(
+        false
+      );
+      expect(shouldExclude('/project/vendor-old/a.png', '/project', excludePatterns, config)).toBe(
+        true
+      );
+    });
+
+    test('should let include patterns win over excludes and open the folders they reach into', () => {
+      const excludePatterns = ['**/dist/**'];
+      excludePatterns.gitignoreMatcher = new GitignoreMatcher(parseGitignoreRules('dist/\n*.log'));
+      const config = {
+        include_extensions: ['.js'],
+        exclude_patterns: ['**/dist/**'],
+        include_patterns: ['dist/schema.graphql', 'debug.log'],
+      };
+
+      expect(
+        shouldExclude('/project/dist/schema.graphql', '/project', excludePatterns, config)
+      ).toBe(false);
+      expect(shouldExclude('/project/dist', '/project', excludePatterns, config, true)).toBe(false);
+      expect(shouldExclude('/project/dist/app.js', '/project', excludePatterns, config)).toBe(true);
+      expect(shouldExclude('/project/logs/debug.log', '/project', excludePatterns, config)).toBe(
+        false
+      );
+      expect(shouldExclude('/project/logs/error.log', '/project', excludePatterns, config)).toBe(
+        true
+      );
+    });
+
+    test('should not let include patterns or folder overrides reveal sensitive files', () => {
+      const config = {
+        include_patterns: ['config/**'],
+        include_overrides: ['certs', 'secrets/app.yaml', 'deploy/.env.production'],
+      };
+
+      expect(shouldExclude('/project/config/settings.json', '/project', [], config)).toBe(false);
+      expect(shouldExclude('/project/config/.env', '/project', [], config)).toBe(true);
+      expect(shouldExclude('/project/config/id_rsa', '/project', [], config)).toBe(true);
+      expect(shouldExclude('/project/certs/server.key', '/project', [], config)).toBe(true);
+      expect(shouldExclude('/project/deploy/.env.production', '/project', [], config)).toBe(false);
+      // A sensitive folder is opened only as far as the override below it.
+      expect(shouldExclude('/project/secrets', '/project', [], config, true)).toBe(false);
+      expect(shouldExclude('/project/config/secrets', '/project', [], config, true)).toBe(true);
+    });
+
+    test('should include files matching include globs alongside the listed extensions', () => {
+      const config = {
+        include_extensions: ['.py'],
+        include_globs: ['**/Dockerfile', 'src/**/*.ts'],
+      };
+
+      expect(shouldExclude('/project/deploy/Dockerfile', '/project', [], config)).toBe(false);
+      expect(shouldExclude('/project/src/lib/a.ts', '/project', [], config)).toBe(false);
+      expect(shouldExclude('/project/tools/run.py', '/project', [], config)).toBe(false);
+      expect(shouldExclude('/project/tools/a.ts', '/project', [], config)).toBe(true);
+      expect(shouldExclude('/project/Makefile', '/project', [], config)).toBe(true);
+      expect(shouldExclude('/project/docs', '/project', [], config, true)).toBe(false);
+    });
+
+    test('should prune folders no include glob can reach when no extensions are listed', () => {
+      const config = { include_globs: ['src/**/*.ts'] };
+
+      expect(shouldExclude('/project/src/lib', '/project', [], config, true)).toBe(false);
+      expect(shouldExclude('/project/docs', '/project', [], config, true)).toBe(true);
+      expect(shouldExclude('/project/src/a.js', '/project', [], config)).toBe(true);
+      expect(
+        shouldExclude('/project/src/a.ts', '/project', [], {
+          ...config,
+          use_custom_includes: false,
+        })
+      ).toBe(false);
+    });
+
     test('should handle empty patterns', () => {
       const itemPath = '/project/src/file.js';
       const rootPath = '/project';
@@ -281,4 +372,217 @@ describe('filter-utils', () => {
       expect(shouldExclude(itemPath, rootPath, excludePatterns, config)).toBe(false);
     });
   });
+
+  describe('explainExclusion', () => {
+    const withGitignore = (content) => {
+      const patterns = [];
+      patterns.gitignoreMatcher = new GitignoreMatcher(
+        parseGitignoreRules(content, 'gitignore', '', '/project/.gitignore')
+      );
+      return patterns;
+    };
+
+    test('should report every check and let the first exclusion decide', () => {
+      const config = { include_extensions: ['.js'], exclude_patterns: ['**/vendor/**'] };
+      const trace = explainExclusion(
+        '/project/vendor/lib.js',
+        '/project',
+        withGitignore('vendor/'),
+        config
+      );
+
+      expect(trace).toEqual(
+        expect.objectContaining({
+          relativePath: 'vendor/lib.js',
+          excluded: true,
+          decidedBy: 'exclude-pattern',
+        })
+      );
+      expect(trace.checks).toEqual([
+        { step: 'sensitive-path', outcome: 'no-match' },
+        {
+          step: 'extension',
+          outcome: 'included',
+          rule: '.js',
+          source: { kind: 'config', key: 'include_extensions' },
+        },
+        {
+          step: 'exclude-pattern',
+          outcome: 'excluded',
+          rule: '**/vendor/**',
+          source: { kind: 'config', key: 'exclude_patterns' },
+        },
+        {
+          step: 'gitignore',
+          outcome: 'excluded',
+          rule: 'vendor/',
+          matchedPath: 'vendor',
+          source: {
+            kind: 'ignore-file',
+            ignoreSource: 'gitignore',
+            filePath: '/project/.gitignore',
+            line: 1,
+          },
+        },
+      ]);
+    });
+
+    test('should agree with shouldExclude', () => {
+      const excludePatterns = withGitignore('*.log\n!keep.log');
+      const config = { include_extensions: ['.js', '.log'], exclude_patterns: ['*.tmp'] };
+      const paths = [
+        '/project/src/app.js',
+        '/project/src/app.py',
+        '/project/logs/debug.log',
+        '/project/logs/keep.log',
+        '/project/.env',
+      ];
+
+      for (const itemPath of paths) {
+        expect(explainExclusion(itemPath, '/project', excludePatterns, config).excluded).toBe(
+          shouldExclude(itemPath, '/project', excludePatterns, config)
+        );
+      }
+    });
+
+    test('should name the sensitive-path rule and the re-including gitignore rule', () => {
+      const sensitive = explainExclusion('/project/.env', '/project', [], {});
+      expect(sensitive.decidedBy).toBe('sensitive-path');
+      expect(sensitive.checks[0]).toEqual(
+        expect.objectContaining({
+          rule: 'env-file',
+          source: expect.objectContaining({ kind: 'sensitive-path-rule', ruleId: 'env-file' }),
+        })
+      );
+
+      const kept = explainExclusion(
+        '/project/logs/keep.log',
+        '/project',
+        withGitignore('*.log\n!keep.log'),
+        {}
+      );
+      expect(kept.excluded).toBe(false);
+      expect(kept.checks[3]).toEqual(
+        expect.objectContaining({ outcome: 'included', rule: '!keep.log' })
+      );
+    });
+
+    test('should report disabled checks with the setting that turned them off', () => {
+      const trace = explainExclusion('/project/.env', '/project', [], {
+        exclude_suspicious_files: false,
+        use_custom_includes: false,
+        use_custom_excludes: false,
+        use_gitignore: false,
+      });
+
+      expect(trace.excluded).toBe(false);
+      expect(trace.checks.map((check) => [check.outcome, check.source?.key])).toEqual([
+        ['disabled', 'exclude_suspicious_files'],
+        ['disabled', 'use_custom_includes'],
+        ['disabled', 'use_custom_excludes'],
+        ['disabled', 'use_gitignore'],
+      ]);
+    });
+
+    test('should report an include override as the only check', () => {
+      const trace = explainExclusion('/project/.env', '/project', ['**/.env'], {
+        include_overrides: ['.env'],
+      });
+
+      expect(trace).toEqual(
+        expect.objectContaining({ excluded: false, decidedBy: null, relativePath: '.env' })
+      );
+      expect(trace.checks).toEqual([
+        {
+          step: 'include-override',
+          outcome: 'included',
+          rule: '.env',
+          source: { kind: 'config', key: 'include_overrides' },
+        },
+      ]);
+    });
+    test('should let the include glob check decide once include globs are set', () => {
+      const config = { include_extensions: ['.py'], include_globs: ['**/Dockerfile'] };
+
+      const excludedTrace = explainExclusion('/project/app.ts', '/project', [], config);
+      expect(excludedTrace.decidedBy).toBe('include-glob');
+      expect(excludedTrace.checks.slice(1, 3)).toEqual([
+        {
+          step: 'extension',
+          outcome: 'no-match',
+          rule: '.ts',
+          source: { kind: 'config', key: 'include_extensions' },
+        },
+        {
+          step: 'include-glob',
+          outcome: 'excluded',
+          source: { kind: 'config', key: 'include_globs' },
+        },
+      ]);
+
+      const includedTrace = explainExclusion('/project/Dockerfile', '/project', [], config);
+      expect(includedTrace.excluded).toBe(false);
+      expect(includedTrace.checks[2]).toEqual(
+        expect.objectContaining({
+          step: 'include-glob',
+          outcome: 'included',
+          rule: '**/Dockerfile',
+        })
+      );
+    });
+
+    test('should report a matching include pattern as the only check', () => {
+      const trace = explainExclusion('/project/dist/schema.graphql', '/project', ['**/dist/**'], {
+        include_extensions: ['.js'],
+        include_patterns: ['**/*.graphql'],
+      });
+
+      expect(trace).toEqual(expect.objectContaining({ excluded: false, decidedBy: null }));
+      expect(trace.checks).toEqual([
+        {
+          step: 'include-pattern',
+          outcome: 'included',
+          rule: '**/*.graphql',
+          source: { kind: 'config', key: 'include_patterns' },
+        },
+      ]);
+    });
+
+    test('should report a sensitive path that an include pattern does not override', () => {
+      const trace = explainExclusion('/project/config/.env', '/project', [], {
+        include_patterns: ['config/**'],
+      });
+
+      expect(trace).toEqual(
+        expect.objectContaining({ excluded: true, decidedBy: 'sensitive-path' })
+      );
+      expect(trace.checks[0]).toEqual(
+        expect.objectContaining({ step: 'sensitive-path', outcome: 'excluded', rule: 'env-file' })
+      );
+    });
+  });
+
+  describe('explainSecretScan', () => {
+    test('should describe the first matching secret rule', () => {
+      const scanResult = {
+        isSuspicious: true,
+        matches: [{ id: 'github-token', description: 'GitHub token detected' }],
+      };
+
+      expect(explainSecretScan(scanResult, {})).toEqual({
+        step: 'secret-content',
+        outcome: 'excluded',
+        rule: 'github-token',
+        source: {
+          kind: 'secret-rule',
+          ruleId: 'github-token',
+          description: 'GitHub token detected',
+        },
+      });
+      expect(explainSecretScan(null, {}).outcome).toBe('not-applicable');
+      expect(explainSecretScan(scanResult, { enable_secret_scanning: false })).toEqual(
+        expect.objectContaining({ outcome: 'disabled' })
+      );
+    });
+  });
 });
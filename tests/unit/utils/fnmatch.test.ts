@@ -45,6 +45,13 @@ describe('fnmatch', () => {
       expect(fnmatch('node_modules', 'node_modules/')).toBe(false); // Path needs trailing slash
       expect(fnmatch('src/node_modules/', '*/node_modules/')).toBe(true);
     });
+
+    test('partial matches for directories a pattern could reach into', () => {
+      expect(fnmatch('dist', 'dist/schema.graphql', true)).toBe(true);
+      expect(fnmatch('packages/api', '**/dist/*.graphql', true)).toBe(true);
+      expect(fnmatch('src', 'dist/schema.graphql', true)).toBe(false);
+      expect(fnmatch('dist', 'dist/schema.graphql')).toBe(false);
+    });
   });
 
   // Glob features
@@ -0,0 +1,162 @@
+jest.unmock('fs');
+
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import {
+  formatGitignoreRule,
+  GitignoreMatcher,
+  parseGitignoreRules,
+} from '../../../src/utils/gitignore-matcher';
+
+import type { GitignoreRule } from '../../../src/utils/gitignore-matcher';
+
+// Each fixture lists ignore files, candidate paths (a trailing '/' marks a directory) and
+// the paths `git check-ignore --no-index` reports as ignored for them.
+type GitignoreFixture = {
+  description: string;
+  files: Record<string, string>;
+  paths: string[];
+  ignored: string[];
+};
+
+const FIXTURE_DIRECTORY = path.join(__dirname, '..', '..', 'fixtures', 'gitignore');
+
+const fixtures = fs
+  .readdirSync(FIXTURE_DIRECTORY)
+  .filter((fileName) => fileName.endsWith('.json'))
+  .sort()
+  .map((fileName) => ({
+    name: path.basename(fileName, '.json'),
+    fixture: JSON.parse(
+      fs.readFileSync(path.join(FIXTURE_DIRECTORY, fileName), 'utf-8')
+    ) as GitignoreFixture,
+  }));
+
+// Parent directories sort before their children, matching the tree walk.
+const fixtureRules = (files: Record<string, string>): GitignoreRule[] =>
+  Object.keys(files)
+    .sort()
+    .flatMap((filePath) => {
+      if (filePath === '.git/info/exclude') {
+        return parseGitignoreRules(files[filePath], 'git-info-exclude');
+      }
+      const baseDirectory = path.posix.dirname(filePath);
+      return parseGitignoreRules(
+        files[filePath],
+        'gitignore',
+        baseDirectory === '.' ? '' : baseDirectory
+      );
+    });
+
+const ignoredByMatcher = (fixture: GitignoreFixture): string[] => {
+  const matcher = new GitignoreMatcher(fixtureRules(fixture.files));
+  return fixture.paths.filter((candidatePath) =>
+    matcher.isIgnored(candidatePath.replace(/\/$/, ''), candidatePath.endsWith('/'))
+  );
+};
+
+const hasGit = spawnSync('git', ['--version']).status === 0;
+
+describe('GitignoreMatcher', () => {
+  test.each(fixtures)('matches git check-ignore for the $name fixture', ({ fixture }) => {
+    expect(ignoredByMatcher(fixture)).toEqual(fixture.ignored);
+  });
+
+  // Keeps the fixtures honest: regenerating them by hand should never drift from git.
+  (hasGit ? test.each(fixtures) : test.skip.each(fixtures))(
+    'the $name fixture agrees with the installed git',
+    ({ fixture }) => {
+      const repositoryPath = fs.mkdtempSync(path.join(os.tmpdir(), 'gitignore-fixture-'));
+      try {
+        spawnSync('git', ['init', '-q', repositoryPath]);
+        for (const [filePath, content] of Object.entries(fixture.files)) {
+          const fullPath = path.join(repositoryPath, filePath);
+          fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+          fs.writeFileSync(fullPath, content);
+        }
+
+        const ignored = fixture.paths.filter(
+          (candidatePath) =>
+            spawnSync(
+              'git',
+              ['-c', 'core.excludesFile=', 'check-ignore', '-q', '--no-index', '--', candidatePath],
+              { cwd: repositoryPath }
+            ).status === 0
+        );
+        expect(ignored).toEqual(fixture.ignored);
+      } finally {
+        fs.rmSync(repositoryPath, { recursive: true, force: true });
+      }
+    }
+  );
+
+  test('ranks ignore file sources regardless of the order rules are given in', () => {
+    const matcher = new GitignoreMatcher([
+      ...parseGitignoreRules('!secret.env', 'gitignore'),
+      ...parseGitignoreRules('*.env', 'aicodefusionignore'),
+      ...parseGitignoreRules('!*.env', 'global-excludes'),
+    ]);
+
+    expect(matcher.rules.map((rule) => rule.source)).toEqual([
+      'global-excludes',
+      'gitignore',
+      'aicodefusionignore',
+    ]);
+    expect(matcher.isIgnored('config/secret.env')).toBe(true);
+  });
+
+  test('extend adds rules without changing the original matcher', () => {
+    const matcher = new GitignoreMatcher(parseGitignoreRules('*.log'));
+    const extended = matcher.extend(parseGitignoreRules('!keep.log', 'gitignore', 'pkg'));
+
+    expect(matcher.extend([])).toBe(matcher);
+    expect(matcher.isIgnored('pkg/keep.log')).toBe(true);
+    expect(extended.isIgnored('pkg/keep.log')).toBe(false);
+    expect(extended.isIgnored('keep.log')).toBe(true);
+  });
+
+  test('explains which rule decides a path and where it was written', () => {
+    const matcher = new GitignoreMatcher([
+      ...parseGitignoreRules(
+        '# build output\n/build/\n*.log\n!keep.log',
+        'gitignore',
+        '',
+        '/repo/.gitignore'
+      ),
+      ...parseGitignoreRules('*.log'),
+    ]);
+
+    expect(matcher.explain('build/out/app.js')).toEqual({
+      rule: expect.objectContaining({ pattern: 'build', filePath: '/repo/.gitignore', line: 2 }),
+      matchedPath: 'build',
+    });
+    // Rules without a file, like the built-in defaults, carry no line.
+    const logRule = matcher.explain('logs/keep.log')?.rule;
+    expect(logRule).toEqual(expect.objectContaining({ pattern: '*.log', negated: false }));
+    expect(logRule?.line).toBeUndefined();
+    expect(matcher.explain('src/index.ts')).toBeNull();
+    expect(formatGitignoreRule(matcher.rules[0])).toBe('/build/');
+    expect(formatGitignoreRule(matcher.rules[2])).toBe('!keep.log');
+
+    const reincluded = new GitignoreMatcher(
+      parseGitignoreRules('*.log\n!keep.log', 'gitignore', '', '/repo/.gitignore')
+    );
+    expect(reincluded.explain('keep.log')).toEqual({
+      rule: expect.objectContaining({ negated: true, line: 2 }),
+      matchedPath: 'keep.log',
+    });
+    expect(reincluded.isIgnored('keep.log')).toBe(false);
+  });
+
+  test('treats invalid patterns and paths outside the root as not ignored', () => {
+    const matcher = new GitignoreMatcher(parseGitignoreRules('trailing\\\n*.txt'));
+
+    expect(matcher.isIgnored('trailing\\')).toBe(false);
+    expect(matcher.isIgnored('../outside.txt')).toBe(false);
+    expect(matcher.isIgnored('./notes.txt')).toBe(true);
+    expect(new GitignoreMatcher().isEmpty).toBe(true);
+  });
+});
@@ -1,5 +1,6 @@
 const fs = require('fs');
 const {
+  findSensitivePathRule,
   isSensitiveFilePath,
   shouldExcludeSensitiveFilePath,
   scanContentForSecrets,
@@ -51,6 +52,20 @@ describe('secret-scanner', () => {
     });
   });
 
+  describe('findSensitivePathRule', () => {
+    test('should report the rule a sensitive path matches', () => {
+      expect(findSensitivePathRule('/repo/.env.local')).toEqual({
+        id: 'env-file',
+        description: expect.any(String),
+      });
+      expect(findSensitivePathRule('/repo/keys/server.pem')?.id).toBe(
+        'key-or-certificate-extension'
+      );
+      expect(findSensitivePathRule('/home/dev/.npmrc')?.id).toBe('credential-store-path');
+      expect(findSensitivePathRule('/repo/src/app.ts')).toBeNull();
+    });
+  });
+
   describe('shouldExcludeSensitiveFilePath', () => {
     test('should exclude sensitive paths by default', () => {
       expect(shouldExcludeSensitiveFilePath('/repo/.env')).toBe(true);
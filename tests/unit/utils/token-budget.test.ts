@@ -0,0 +1,72 @@
+import {
+  normalizeTokenBudgetStrategy,
+  selectFilesWithinBudget,
+} from '../../../src/utils/token-budget';
+
+import type { TokenBudgetCandidate } from '../../../src/utils/token-budget';
+
+const candidates: TokenBudgetCandidate[] = [
+  { path: '/repo/src/large.ts', relativePath: 'src/large.ts', tokens: 600, mtime: 1 },
+  { path: '/repo/src/medium.ts', relativePath: 'src/medium.ts', tokens: 300, mtime: 3 },
+  { path: '/repo/README.md', relativePath: 'README.md', tokens: 200, mtime: 2 },
+  { path: '/repo/docs/guide.md', relativePath: 'docs/guide.md', tokens: 100, mtime: 4 },
+];
+
+describe('token-budget', () => {
+  test('packs smallest files first until the budget is reached', () => {
+    const result = selectFilesWithinBudget({
+      candidates,
+      tokenBudget: 650,
+      strategy: 'smallest-first',
+    });
+
+    expect(result.selectedFiles).toEqual([
+      '/repo/docs/guide.md',
+      '/repo/README.md',
+      '/repo/src/medium.ts',
+    ]);
+    expect(result.totalTokens).toBe(600);
+    expect(result.excludedFiles).toBe(1);
+    expect(result.isOverBudget).toBe(false);
+  });
+
+  test('prefers files matching earlier priority globs and skips entries that no longer fit', () => {
+    const result = selectFilesWithinBudget({
+      candidates,
+      tokenBudget: 900,
+      strategy: 'priority-globs',
+      priorityGlobs: ['src/**/*.ts', ' *.md '],
+    });
+
+    expect(result.selectedFiles).toEqual(['/repo/src/medium.ts', '/repo/src/large.ts']);
+    expect(result.totalTokens).toBe(900);
+  });
+
+  test('orders by most recent modification time', () => {
+    const result = selectFilesWithinBudget({
+      candidates,
+      tokenBudget: 450,
+      strategy: 'recently-modified',
+    });
+
+    expect(result.selectedFiles).toEqual(['/repo/docs/guide.md', '/repo/src/medium.ts']);
+  });
+
+  test('always keeps pinned files and reports when they exceed the budget', () => {
+    const result = selectFilesWithinBudget({
+      candidates,
+      tokenBudget: 500,
+      strategy: 'smallest-first',
+      pinnedFiles: ['/repo/src/large.ts'],
+    });
+
+    expect(result.selectedFiles).toEqual(['/repo/src/large.ts']);
+    expect(result.pinnedTokens).toBe(600);
+    expect(result.isOverBudget).toBe(true);
+  });
+
+  test('falls back to smallest-first for unknown strategies', () => {
+    expect(normalizeTokenBudgetStrategy('largest-first')).toBe('smallest-first');
+    expect(normalizeTokenBudgetStrategy('priority-globs')).toBe('priority-globs');
+  });
+});
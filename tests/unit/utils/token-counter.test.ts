@@ -1,8 +1,11 @@
+import * as tiktoken from 'tiktoken';
+
 import { TokenCounter } from '../../../src/utils/token-counter';
+import { DEFAULT_TOKENIZER, normalizeTokenizerId } from '../../../src/utils/tokenizers';
 
 // Mock the tiktoken import
 jest.mock('tiktoken', () => ({
-  encoding_for_model: jest.fn().mockImplementation(() => ({
+  get_encoding: jest.fn().mockImplementation(() => ({
     encode: jest.fn().mockImplementation((text) => {
       // Simple mock that returns an array with length roughly proportional to text length
       // Handle null/undefined case
@@ -36,4 +39,27 @@ describe('TokenCounter', () => {
     expect(tokenCounter.countTokens(null)).toBe(0);
     expect(tokenCounter.countTokens(undefined)).toBe(0);
   });
+
+  test('selects the encoding for the configured tokenizer', () => {
+    const o200kCounter = new TokenCounter('o200k');
+
+    expect(o200kCounter.tokenizer).toBe('o200k');
+    expect(tiktoken.get_encoding).toHaveBeenCalledWith('o200k_base');
+    expect(tokenCounter.tokenizer).toBe(DEFAULT_TOKENIZER);
+    expect(tiktoken.get_encoding).toHaveBeenCalledWith('cl100k_base');
+  });
+
+  test('scales cl100k counts for approximate Claude and Llama tokenizers', () => {
+    const text = 'x'.repeat(400);
+
+    expect(tokenCounter.countTokens(text)).toBe(100);
+    expect(new TokenCounter('claude-approx').countTokens(text)).toBe(110);
+    expect(new TokenCounter('llama-approx').countTokens(text)).toBe(95);
+  });
+
+  test('normalizeTokenizerId falls back to the default tokenizer for unknown values', () => {
+    expect(normalizeTokenizerId('claude-approx')).toBe('claude-approx');
+    expect(normalizeTokenizerId('gpt-2')).toBe(DEFAULT_TOKENIZER);
+    expect(normalizeTokenizerId(undefined)).toBe(DEFAULT_TOKENIZER);
+  });
 });